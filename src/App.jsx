@@ -1,4 +1,4 @@
-import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import Layout from './components/Layout';
 import Login from './pages/Login';
 import ResetPassword from './pages/ResetPassword';
@@ -7,6 +7,7 @@ import Contacts from './pages/Contacts';
 import ContactDetail from './pages/ContactDetail';
 import ContactActivityHistory from './pages/ContactActivityHistory';
 import CompanyDetail from './pages/CompanyDetail';
+import DuplicateContacts from './pages/DuplicateContacts';
 import Import from './pages/Import';
 import AddContact from './pages/AddContact';
 import Projects from './pages/Projects';
@@ -16,6 +17,8 @@ import ProjectDashboard from './pages/ProjectDashboard';
 import ProspectDashboard from './pages/ProspectDashboard';
 import MasterDashboard from './pages/MasterDashboard';
 import EmployeePerformance from './pages/EmployeePerformance';
+import Goals from './pages/Goals';
+import AuditLog from './pages/AuditLog';
 import Report from './pages/Report';
 import LinkedInReport from './pages/LinkedInReport';
 import ColdCallingReport from './pages/ColdCallingReport';
@@ -25,11 +28,28 @@ import FunnelProjects from './pages/FunnelProjects';
 import LinkedInFunnelDetail from './pages/LinkedInFunnelDetail';
 import ColdCallingFunnelDetail from './pages/ColdCallingFunnelDetail';
 import EmailFunnelDetail from './pages/EmailFunnelDetail';
+import Tasks from './pages/Tasks';
+import EmailSequences from './pages/EmailSequences';
+import ClientPortalLayout from './components/ClientPortalLayout';
+import ClientPortal from './pages/ClientPortal';
+import ClientProjectReport from './pages/ClientProjectReport';
+import ClientInvite from './pages/ClientInvite';
+import { PERMISSIONS, hasPermission, getHomePath } from './utils/permissions';
+import { getToken, buildLoginPath } from './api/session';
 
 // Private Route Component
-const PrivateRoute = ({ children }) => {
-  const token = localStorage.getItem('token');
-  return token ? children : <Navigate to="/" replace />;
+// Sends signed-out users to login (coming back here afterwards), and users whose role lacks
+// `permission` to their home page
+const PrivateRoute = ({ children, permission }) => {
+  const location = useLocation();
+  const token = getToken();
+  if (!token) {
+    return <Navigate to={buildLoginPath(`${location.pathname}${location.search}`)} replace />;
+  }
+  if (permission && !hasPermission(permission)) {
+    return <Navigate to={getHomePath()} replace />;
+  }
+  return children;
 };
 
 export default function App() {
@@ -42,22 +62,53 @@ export default function App() {
         {/* Public Routes */}
         <Route path="/login" element={<Login />} />
         <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/client/invite/:token" element={<ClientInvite />} />
+
+        {/* Client Portal */}
+        <Route element={<ClientPortalLayout />}>
+          <Route
+            path="/client"
+            element={
+              <PrivateRoute permission={PERMISSIONS.VIEW_CLIENT_PORTAL}>
+                <ClientPortal />
+              </PrivateRoute>
+            }
+          />
+
+          <Route
+            path="/client/projects/:id"
+            element={
+              <PrivateRoute permission={PERMISSIONS.VIEW_CLIENT_PORTAL}>
+                <ClientProjectReport />
+              </PrivateRoute>
+            }
+          />
+        </Route>
 
         {/* Protected Routes */}
         <Route element={<Layout />}>
           <Route
             path="/dashboard"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_DATABANK}>
                 <Dashboard />
               </PrivateRoute>
             }
           />
 
+          <Route
+            path="/tasks"
+            element={
+              <PrivateRoute permission={PERMISSIONS.VIEW_TASKS}>
+                <Tasks />
+              </PrivateRoute>
+            }
+          />
+
           <Route
             path="/master-dashboard"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_MASTER_DASHBOARD}>
                 <MasterDashboard />
               </PrivateRoute>
             }
@@ -66,25 +117,52 @@ export default function App() {
           <Route
             path="/employee-performance"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_EMPLOYEE_PERFORMANCE}>
                 <EmployeePerformance />
               </PrivateRoute>
             }
           />
 
+          <Route
+            path="/goals"
+            element={
+              <PrivateRoute permission={PERMISSIONS.VIEW_LEADERBOARD}>
+                <Goals />
+              </PrivateRoute>
+            }
+          />
+
+          <Route
+            path="/audit-log"
+            element={
+              <PrivateRoute permission={PERMISSIONS.VIEW_AUDIT_LOG}>
+                <AuditLog />
+              </PrivateRoute>
+            }
+          />
+
           <Route
             path="/contacts"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_DATABANK}>
                 <Contacts />
               </PrivateRoute>
             }
           />
 
+          <Route
+            path="/contacts/duplicates"
+            element={
+              <PrivateRoute permission={PERMISSIONS.MERGE_CONTACTS}>
+                <DuplicateContacts />
+              </PrivateRoute>
+            }
+          />
+
           <Route
             path="/contacts/company/:companyName"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_DATABANK}>
                 <CompanyDetail />
               </PrivateRoute>
             }
@@ -93,7 +171,7 @@ export default function App() {
           <Route
             path="/contacts/:id/activities"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_DATABANK}>
                 <ContactActivityHistory />
               </PrivateRoute>
             }
@@ -102,7 +180,7 @@ export default function App() {
           <Route
             path="/contacts/:id"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_DATABANK}>
                 <ContactDetail />
               </PrivateRoute>
             }
@@ -111,7 +189,7 @@ export default function App() {
           <Route
             path="/contacts/new"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.EDIT_CONTACTS}>
                 <AddContact />
               </PrivateRoute>
             }
@@ -120,7 +198,7 @@ export default function App() {
           <Route
             path="/import"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.IMPORT_CONTACTS}>
                 <Import />
               </PrivateRoute>
             }
@@ -129,7 +207,7 @@ export default function App() {
           <Route
             path="/projects"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_PROJECTS}>
                 <Projects />
               </PrivateRoute>
             }
@@ -138,7 +216,7 @@ export default function App() {
           <Route
             path="/projects/dashboard"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_ANALYTICS}>
                 <ProjectDashboard />
               </PrivateRoute>
             }
@@ -147,7 +225,7 @@ export default function App() {
           <Route
             path="/prospects/dashboard"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_ANALYTICS}>
                 <ProspectDashboard />
               </PrivateRoute>
             }
@@ -156,7 +234,7 @@ export default function App() {
           <Route
             path="/projects/new"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_PROJECTS}>
                 <CreateProject />
               </PrivateRoute>
             }
@@ -165,7 +243,7 @@ export default function App() {
           <Route
             path="/projects/:id/edit"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.MANAGE_PROJECTS}>
                 <CreateProject />
               </PrivateRoute>
             }
@@ -174,7 +252,7 @@ export default function App() {
           <Route
             path="/projects/:id"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_PROJECTS}>
                 <ProjectDetail />
               </PrivateRoute>
             }
@@ -183,7 +261,7 @@ export default function App() {
           <Route
             path="/projects/:id/funnel"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_REPORTS}>
                 <Report />
               </PrivateRoute>
             }
@@ -192,7 +270,7 @@ export default function App() {
           <Route
             path="/projects/:id/linkedin-funnel"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_REPORTS}>
                 <LinkedInReport />
               </PrivateRoute>
             }
@@ -201,7 +279,7 @@ export default function App() {
           <Route
             path="/projects/:id/cold-calling-funnel"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_REPORTS}>
                 <ColdCallingReport />
               </PrivateRoute>
             }
@@ -210,16 +288,25 @@ export default function App() {
           <Route
             path="/projects/:id/email-funnel"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_REPORTS}>
                 <EmailReport />
               </PrivateRoute>
             }
           />
 
+          <Route
+            path="/projects/:id/sequences"
+            element={
+              <PrivateRoute permission={PERMISSIONS.LOG_ACTIVITIES}>
+                <EmailSequences />
+              </PrivateRoute>
+            }
+          />
+
           <Route
             path="/projects/:id/report"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_REPORTS}>
                 <MonthlyReport />
               </PrivateRoute>
             }
@@ -228,7 +315,7 @@ export default function App() {
           <Route
             path="/funnel"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_REPORTS}>
                 <FunnelProjects />
               </PrivateRoute>
             }
@@ -237,7 +324,7 @@ export default function App() {
           <Route
             path="/funnel/:id/linkedin"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_REPORTS}>
                 <LinkedInFunnelDetail />
               </PrivateRoute>
             }
@@ -246,7 +333,7 @@ export default function App() {
           <Route
             path="/funnel/:id/cold-calling"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_REPORTS}>
                 <ColdCallingFunnelDetail />
               </PrivateRoute>
             }
@@ -255,7 +342,7 @@ export default function App() {
           <Route
             path="/funnel/:id/email"
             element={
-              <PrivateRoute>
+              <PrivateRoute permission={PERMISSIONS.VIEW_REPORTS}>
                 <EmailFunnelDetail />
               </PrivateRoute>
             }
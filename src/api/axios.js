@@ -1,4 +1,5 @@
 import axios from 'axios';
+import { getToken, getRefreshToken, saveSession, logout } from './session';
 
 // Get base URL and ensure it ends with /api
 const getBaseURL = () => {
@@ -13,9 +14,43 @@ const API = axios.create({
   baseURL: getBaseURL()
 });
 
+// Login, register and refresh answer 401 for bad credentials, not for an expired session
+const isAuthRequest = (config) => (config?.url || '').startsWith('/auth/');
+
+// Single in-flight refresh. Requests that hit a 401 (or start) while it runs wait on it,
+// then replay with the new token.
+let refreshPromise = null;
+
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = getRefreshToken();
+    if (!refreshToken) {
+      return Promise.reject(new Error('No refresh token stored'));
+    }
+    // Plain axios so the refresh call skips these interceptors
+    refreshPromise = axios.post(`${getBaseURL()}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data?.data || {};
+        if (!token) {
+          throw new Error('Refresh response did not include a token');
+        }
+        saveSession({ token, refreshToken: nextRefreshToken });
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Request interceptor
-API.interceptors.request.use((req) => {
-  const token = localStorage.getItem('token');
+API.interceptors.request.use(async (req) => {
+  if (refreshPromise && !isAuthRequest(req)) {
+    // Hold new requests until the running refresh settles; a failed refresh logs out on its own
+    await refreshPromise.catch(() => {});
+  }
+  const token = getToken();
   if (token) {
     req.headers.Authorization = `Bearer ${token}`;
   }
@@ -29,7 +64,7 @@ API.interceptors.request.use((req) => {
 // Response interceptor for better error handling
 API.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
     // Ignore canceled requests - these are expected when components unmount or requests are aborted
     // Check multiple ways axios might indicate a canceled request
     const isCanceled = 
@@ -43,6 +78,23 @@ API.interceptors.response.use(
       // Silently handle canceled requests - don't log as errors
       return Promise.reject(error);
     }
+
+    // Expired or revoked session: refresh once and replay, otherwise send the user to login
+    const originalRequest = error.config;
+    if (error.response?.status === 401 && originalRequest && !isAuthRequest(originalRequest) && getToken()) {
+      if (!originalRequest._retry) {
+        originalRequest._retry = true;
+        try {
+          const token = await refreshSession();
+          originalRequest.headers.Authorization = `Bearer ${token}`;
+          return API(originalRequest);
+        } catch (refreshError) {
+          console.error('Session refresh failed:', refreshError.message);
+        }
+      }
+      logout({ reason: 'expired' });
+      return Promise.reject(error);
+    }
     
     // Enhanced error logging with detailed information
     if (error.response) {
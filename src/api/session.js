@@ -0,0 +1,72 @@
+// Session storage and lifecycle shared by the axios client, Login, Layout and Sidebar.
+// Tokens live in localStorage, so every tab sees the same session; a `storage` event on the
+// token key tells other tabs when this one logs out or refreshes.
+
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const USER_KEY = 'user';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+// Store whatever the login or refresh response returned; missing fields are left untouched
+export const saveSession = ({ token, refreshToken, user }) => {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  if (user) localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+};
+
+// Expiry (ms since epoch) from a JWT's `exp` claim, or null when the token isn't a readable JWT
+export const getTokenExpiry = (token = getToken()) => {
+  if (!token) return null;
+  try {
+    const payload = token.split('.')[1];
+    const json = atob(payload.replace(/-/g, '+').replace(/_/g, '/'));
+    const { exp } = JSON.parse(json);
+    return typeof exp === 'number' ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+// Only same-origin paths are allowed back in, so returnTo can't bounce users off-site
+export const getSafeReturnTo = (value) => {
+  if (!value || !value.startsWith('/') || value.startsWith('//')) return null;
+  if (value.startsWith('/login')) return null;
+  return value;
+};
+
+export const buildLoginPath = (returnTo, reason) => {
+  const params = new URLSearchParams();
+  const safeReturnTo = getSafeReturnTo(returnTo);
+  if (safeReturnTo) params.set('returnTo', safeReturnTo);
+  if (reason) params.set('reason', reason);
+  const query = params.toString();
+  return query ? `/login?${query}` : '/login';
+};
+
+// Clear the session and leave the app. A full page load drops in-memory caches from the old session.
+// reason: 'expired' shows a notice on the login page; a plain logout passes nothing.
+export const logout = ({ reason, returnTo } = {}) => {
+  clearSession();
+  const currentPath = `${window.location.pathname}${window.location.search}`;
+  window.location.assign(buildLoginPath(returnTo === undefined && reason ? currentPath : returnTo, reason));
+};
+
+// Calls `onLogout` when another tab clears the session
+export const onSessionClearedElsewhere = (onLogout) => {
+  const handleStorage = (e) => {
+    if ((e.key === TOKEN_KEY || e.key === null) && !getToken()) {
+      onLogout();
+    }
+  };
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+};
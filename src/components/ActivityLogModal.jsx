@@ -1,7 +1,11 @@
 import { useState, useEffect, useRef } from 'react';
 import API from '../api/axios';
+import { DEFAULT_STATUS_SCHEMA, resolveStatusSchema, getStatusOptions } from '../utils/statusSchema';
+import { toDateKey, toTimeKey, toIdString } from '../utils/helpers';
+import { stopSequencesForEmails } from '../utils/emailSequences';
+import { DEFAULT_CALL_RETRY_RULES, CALL_RETRY_NEXT_ACTION, resolveCallRetryRules, getCallRetry, getCallAttemptNumber, getCallNumberLabel } from '../utils/callRetry';
 
-export default function ActivityLogModal({ isOpen, onClose, type, contactName, companyName, projectId, contactId, phoneNumber, email, linkedInProfileUrl, activityId, editMode = false, lastActivity = null }) {
+export default function ActivityLogModal({ isOpen, onClose, type, contactName, companyName, projectId, contactId, phoneNumber, email, linkedInProfileUrl, activityId, editMode = false, lastActivity = null, statusSchema = null, callRetryRules = null }) {
   const [formData, setFormData] = useState({
     template: '',
     outcome: '',
@@ -32,7 +36,65 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
   const [showAddAccount, setShowAddAccount] = useState(false);
   const [generatingEmail, setGeneratingEmail] = useState(false);
   const [generatingLinkedIn, setGeneratingLinkedIn] = useState(false);
+  const [fetchedStatusSchema, setFetchedStatusSchema] = useState(null);
+  const [fetchedCallRetryRules, setFetchedCallRetryRules] = useState(null);
+  const [previousCallCount, setPreviousCallCount] = useState(0);
+  // The call number and status wait for the previous calls, so a retry is never judged on a guessed attempt
+  const [loadingPreviousCalls, setLoadingPreviousCalls] = useState(false);
+  // Time of day for a follow-up call; the day stays in nextActionDate
+  const [callbackTime, setCallbackTime] = useState('');
   const hasInitializedRef = useRef(false);
+  const activeStatusSchema = statusSchema || fetchedStatusSchema || DEFAULT_STATUS_SCHEMA;
+  const activeCallRetryRules = callRetryRules || fetchedCallRetryRules || DEFAULT_CALL_RETRY_RULES;
+  const needsCallRetryRules = type === 'call' && !callRetryRules;
+
+  // Callers that don't already hold the project (e.g. ContactActivityHistory) get its status schema
+  // and call retry rules here
+  useEffect(() => {
+    if (!isOpen || (statusSchema && !needsCallRetryRules) || !projectId) return;
+    let cancelled = false;
+    API.get(`/projects/${projectId}`)
+      .then((response) => {
+        if (!cancelled && response.data.success) {
+          setFetchedStatusSchema(resolveStatusSchema(response.data.data));
+          setFetchedCallRetryRules(resolveCallRetryRules(response.data.data));
+        }
+      })
+      .catch((error) => {
+        console.error('Error fetching project status schema:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, statusSchema, needsCallRetryRules, projectId]);
+
+  // A new call continues the contact's sequence in this project: pre-select the next call number
+  useEffect(() => {
+    if (!isOpen || editMode || type !== 'call' || !contactId) return;
+    let cancelled = false;
+    setLoadingPreviousCalls(true);
+    API.get(`/activities/contact/${contactId}`)
+      .then((response) => {
+        if (cancelled || !response.data.success) return;
+        const calls = (response.data.data || []).filter(act =>
+          act.type === 'call' && (!projectId || toIdString(act.projectId) === String(projectId))
+        );
+        const highestCallNumber = calls.reduce((max, act) => Math.max(max, getCallAttemptNumber(act.callNumber) || 0), 0);
+        const attempt = Math.max(calls.length, highestCallNumber) + 1;
+        setPreviousCallCount(attempt - 1);
+        setFormData(prev => ({ ...prev, callNumber: getCallNumberLabel(attempt) }));
+      })
+      .catch((error) => {
+        console.error('Error fetching previous calls:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingPreviousCalls(false);
+      });
+    return () => {
+      cancelled = true;
+      setLoadingPreviousCalls(false);
+    };
+  }, [isOpen, editMode, type, contactId, projectId]);
 
   // Load LinkedIn accounts from localStorage on component mount
   useEffect(() => {
@@ -84,6 +146,12 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
           emailDate: activity.emailDate ? new Date(activity.emailDate).toISOString().split('T')[0] : (activity.createdAt ? new Date(activity.createdAt).toISOString().split('T')[0] : ''),
           linkedinDate: activity.linkedinDate ? new Date(activity.linkedinDate).toISOString().split('T')[0] : (activity.createdAt ? new Date(activity.createdAt).toISOString().split('T')[0] : '')
         });
+        // Callbacks saved with a time of day are flagged, since midnight UTC is also how date-only ones are stored
+        if (activity.nextAction === CALL_RETRY_NEXT_ACTION && activity.nextActionDate && activity.nextActionTimed) {
+          const callbackAt = new Date(activity.nextActionDate);
+          setFormData(prev => ({ ...prev, nextActionDate: toDateKey(callbackAt) }));
+          setCallbackTime(toTimeKey(callbackAt));
+        }
         setSavedValues({
           phone: activity.phoneNumber || phoneNumber || null,
           email: activity.email || email || null,
@@ -215,6 +283,8 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
       }
     } else if (!isOpen) {
       setIsVisible(false);
+      setCallbackTime('');
+      setPreviousCallCount(0);
       // Reset initialization flag when modal closes
       hasInitializedRef.current = false;
     }
@@ -301,6 +371,26 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
     }
   };
 
+  // The retry rule for the picked call status, judged on this call's attempt number
+  const callAttempt = getCallAttemptNumber(formData.callNumber) || previousCallCount + 1;
+  const callRetry = type === 'call' ? getCallRetry(activeCallRetryRules, formData.callStatus, callAttempt) : null;
+  const isScheduledCallback = type === 'call' && formData.nextAction === CALL_RETRY_NEXT_ACTION;
+
+  // Picking a status with a retry rule schedules the follow-up call: 'delay' rules fill in the time,
+  // 'manual' ones leave it for the rep to enter
+  const handleCallStatusChange = (value) => {
+    handleChange('callStatus', value);
+    const retry = getCallRetry(activeCallRetryRules, value, callAttempt);
+    if (!retry || retry.exhausted) return;
+    setFormData(prev => ({
+      ...prev,
+      nextAction: CALL_RETRY_NEXT_ACTION,
+      nextActionDate: retry.dueAt ? toDateKey(retry.dueAt) : ''
+    }));
+    setCallbackTime(retry.dueAt ? toTimeKey(retry.dueAt) : '');
+    setErrors(prev => ({ ...prev, nextActionDate: '' }));
+  };
+
   const validate = () => {
     const newErrors = {};
 
@@ -314,6 +404,10 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
       newErrors.nextActionDate = 'Next action date is required when next action is specified';
     }
 
+    if (!newErrors.nextActionDate && callRetry && !callRetry.exhausted && callRetry.rule.mode === 'manual' && isScheduledCallback && !callbackTime) {
+      newErrors.nextActionDate = `Enter the day and time to call back (${formData.callStatus})`;
+    }
+
     if (formData.nextActionDate) {
       // Validate that next action date is within 7 days
       const selectedDate = new Date(formData.nextActionDate);
@@ -349,6 +443,11 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
       const callDateValue = formData.callDate && formData.callDate.trim() ? formData.callDate.trim() : null;
       const emailDateValue = formData.emailDate && formData.emailDate.trim() ? formData.emailDate.trim() : null;
       const linkedinDateValue = formData.linkedinDate && formData.linkedinDate.trim() ? formData.linkedinDate.trim() : null;
+      // Follow-up calls keep the time of day so the calling queue can order them
+      const nextActionTimed = !!(isScheduledCallback && formData.nextActionDate && callbackTime);
+      const nextActionDateValue = nextActionTimed
+        ? new Date(`${formData.nextActionDate}T${callbackTime}`).toISOString()
+        : formData.nextActionDate;
       
       if (editMode && activityId) {
         // Update existing activity
@@ -356,7 +455,8 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
           template: formData.template,
           conversationNotes: notesWithContact,
           nextAction: formData.nextAction,
-          nextActionDate: formData.nextActionDate,
+          nextActionDate: nextActionDateValue,
+          nextActionTimed,
           phoneNumber: formData.phoneNumber || phoneNumber || null,
           email: formData.email || email || null,
           linkedInUrl: formData.linkedInUrl || linkedInProfileUrl || null,
@@ -380,7 +480,8 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
           outcome: null, // Outcome is not used for any activity types
         conversationNotes: notesWithContact,
         nextAction: formData.nextAction,
-          nextActionDate: formData.nextActionDate,
+          nextActionDate: nextActionDateValue,
+          nextActionTimed,
           phoneNumber: formData.phoneNumber || phoneNumber || null,
           email: formData.email || email || null,
           linkedInUrl: formData.linkedInUrl || linkedInProfileUrl || null,
@@ -408,6 +509,15 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
         }
       }
 
+      // A reply, opt-out or bounce stops the contact's email sequences now, not when the queue is next opened
+      if (response.data.success && type === 'email' && formData.status && contactId && projectId) {
+        try {
+          await stopSequencesForEmails(projectId, [{ contactId, status: formData.status }], activeStatusSchema);
+        } catch (error) {
+          console.error('Error stopping email sequences:', error);
+        }
+      }
+
       if (response.data.success) {
         // Reset form and close modal
         setFormData({
@@ -1329,36 +1439,9 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
                 }`}
               >
                   <option value="">Select status</option>
-                  {type === 'email' ? (
-                  <>
-                      <option value="No Reply">No Reply</option>
-                      <option value="Not Interested">Not Interested</option>
-                      <option value="Out of Office">Out of Office</option>
-                      <option value="Meeting Proposed">Meeting Proposed</option>
-                      <option value="Meeting Scheduled">Meeting Scheduled</option>
-                      <option value="Interested">Interested</option>
-                      <option value="Wrong Person">Wrong Person</option>
-                      <option value="Bounce">Bounce</option>
-                      <option value="Opt-Out">Opt-Out</option>
-                      <option value="Meeting Completed">Meeting Completed</option>
-                  </>
-                ) : (
-                  <>
-                      <option value="CIP">CIP</option>
-                      <option value="No Reply">No Reply</option>
-                      <option value="Not Interested">Not Interested</option>
-                      <option value="Meeting Proposed">Meeting Proposed</option>
-                      <option value="Meeting Scheduled">Meeting Scheduled</option>
-                      <option value="In-Person Meeting">In-Person Meeting</option>
-                      <option value="Meeting Completed">Meeting Completed</option>
-                      <option value="SQL">SQL</option>
-                      <option value="Tech Discussion">Tech Discussion</option>
-                      <option value="WON">WON</option>
-                      <option value="Lost">Lost</option>
-                      <option value="Low Potential - Open">Low Potential - Open</option>
-                      <option value="Potential Future">Potential Future</option>
-                  </>
-                )}
+                  {getStatusOptions(activeStatusSchema, type).map((status) => (
+                    <option key={status} value={status}>{status}</option>
+                  ))}
               </select>
                 {errors.status && (
                 <p className="mt-2 text-xs text-red-600 flex items-center gap-1 animate-shake">
@@ -1388,9 +1471,10 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
                     <select
                       value={formData.callNumber}
                       onChange={(e) => handleChange('callNumber', e.target.value)}
-                      className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white hover:border-gray-400"
+                      disabled={loadingPreviousCalls}
+                      className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white hover:border-gray-400 disabled:bg-gray-100 disabled:cursor-wait"
                     >
-                      <option value="">Select call number</option>
+                      <option value="">{loadingPreviousCalls ? 'Loading previous calls...' : 'Select call number'}</option>
                       <option value="1st call">1st call</option>
                       <option value="2nd call">2nd call</option>
                       <option value="3rd call">3rd call</option>
@@ -1435,23 +1519,14 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
                 </label>
                 <select
                   value={formData.callStatus}
-                  onChange={(e) => handleChange('callStatus', e.target.value)}
-                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white hover:border-gray-400"
+                  onChange={(e) => handleCallStatusChange(e.target.value)}
+                  disabled={loadingPreviousCalls}
+                  className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white hover:border-gray-400 disabled:bg-gray-100 disabled:cursor-wait"
                 >
                   <option value="">Select status</option>
-                  <option value="Interested">Interested</option>
-                  <option value="Not Interested">Not Interested</option>
-                  <option value="Ring">Ring</option>
-                  <option value="Busy">Busy</option>
-                  <option value="Call Back">Call Back</option>
-                  <option value="Hang Up">Hang Up</option>
-                  <option value="Switch Off">Switch Off</option>
-                  <option value="Future">Future</option>
-                  <option value="Details Shared">Details Shared</option>
-                  <option value="Demo Booked">Demo Booked</option>
-                  <option value="Invalid">Invalid</option>
-                  <option value="Existing">Existing</option>
-                  <option value="Demo Completed">Demo Completed</option>
+                  {getStatusOptions(activeStatusSchema, 'call').map((status) => (
+                    <option key={status} value={status}>{status}</option>
+                  ))}
                 </select>
                 <p className="mt-2 text-xs text-gray-500 flex items-center gap-1">
                   <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -1459,6 +1534,17 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
                   </svg>
                   Select the status of this call
                 </p>
+                {callRetry && (
+                  <div className={`mt-3 px-3 py-2 rounded-lg border text-xs ${
+                    callRetry.exhausted ? 'bg-gray-50 border-gray-200 text-gray-600' : 'bg-amber-50 border-amber-200 text-amber-800'
+                  }`}>
+                    {callRetry.exhausted
+                      ? `This is call ${callAttempt} of ${callRetry.rule.maxAttempts} for "${callRetry.rule.status}", so no retry is scheduled.`
+                      : callRetry.rule.mode === 'delay'
+                        ? `Retry in ${callRetry.rule.delayHours} ${callRetry.rule.delayHours === 1 ? 'hour' : 'hours'} (call ${callAttempt} of ${callRetry.rule.maxAttempts}). The callback is filled in below; change it if needed.`
+                        : `Enter when to call back below (call ${callAttempt} of ${callRetry.rule.maxAttempts}).`}
+                  </div>
+                )}
               </div>
             )}
 
@@ -1534,7 +1620,18 @@ export default function ActivityLogModal({ isOpen, onClose, type, contactName, c
                     {errors.nextActionDate}
                   </p>
                 )}
-                <p className="mt-2 text-xs text-gray-500">When should this happen?</p>
+                {isScheduledCallback && (
+                  <input
+                    type="time"
+                    value={callbackTime}
+                    onChange={(e) => {
+                      setCallbackTime(e.target.value);
+                      if (errors.nextActionDate) setErrors(prev => ({ ...prev, nextActionDate: '' }));
+                    }}
+                    className="mt-2 w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white hover:border-gray-400"
+                  />
+                )}
+                <p className="mt-2 text-xs text-gray-500">{isScheduledCallback ? 'Day and time of the follow-up call' : 'When should this happen?'}</p>
               </div>
             </div>
 
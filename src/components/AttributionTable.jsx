@@ -0,0 +1,77 @@
+import { Fragment } from 'react';
+import { ATTRIBUTION_CHANNELS, ATTRIBUTION_OUTCOMES } from '../utils/metrics';
+
+const CHANNEL_LABELS = { linkedin: 'LinkedIn', call: 'Cold Calling', email: 'Email' };
+
+const MODELS = [
+  { key: 'firstTouch', label: 'First Touch' },
+  { key: 'lastTouch', label: 'Last Touch' },
+  { key: 'multiTouch', label: 'Multi-Touch' }
+];
+
+// Multi-touch credits are fractions; show them to one decimal
+const formatCredit = (value) => {
+  const rounded = Math.round(value * 10) / 10;
+  return Number.isInteger(rounded) ? rounded.toLocaleString() : rounded.toFixed(1);
+};
+
+// Meetings, SQLs and WONs credited to each channel under the three attribution models.
+// `attribution` is the result of computeAttribution in utils/metrics.
+export default function AttributionTable({ attribution }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Channel</th>
+            {MODELS.map(model => (
+              <th key={model.key} className="px-4 py-3 text-right text-xs font-semibold text-gray-700 uppercase tracking-wider whitespace-nowrap">
+                {model.label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {ATTRIBUTION_OUTCOMES.map(outcome => {
+            const row = attribution[outcome.key];
+            const attributed = row.total - row.unattributed;
+
+            return (
+              <Fragment key={outcome.key}>
+                <tr className="bg-amber-50">
+                  <td colSpan={MODELS.length + 1} className="px-4 py-2 text-sm font-bold text-gray-900">
+                    {outcome.label}
+                    <span className="ml-2 text-xs font-medium text-gray-600">{row.total.toLocaleString()} total</span>
+                  </td>
+                </tr>
+                {ATTRIBUTION_CHANNELS.map(channel => (
+                  <tr key={channel} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">{CHANNEL_LABELS[channel]}</td>
+                    {MODELS.map(model => {
+                      const value = row[model.key][channel];
+                      return (
+                        <td key={model.key} className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-700">
+                          <span className="font-semibold text-gray-900">{formatCredit(value)}</span>
+                          {attributed > 0 && (
+                            <span className="ml-1 text-xs text-gray-500">({((value / attributed) * 100).toFixed(0)}%)</span>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+                {row.unattributed > 0 && (
+                  <tr>
+                    <td colSpan={MODELS.length + 1} className="px-4 py-2 text-xs text-gray-500">
+                      {row.unattributed.toLocaleString()} with no logged activity, not credited to any channel
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
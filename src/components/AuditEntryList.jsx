@@ -0,0 +1,74 @@
+import { useNavigate } from 'react-router-dom';
+import {
+  groupAuditEntriesByDay,
+  getAuditActionLabel,
+  getAuditEntityLabel,
+  getAuditFieldLabel,
+  formatAuditValue
+} from '../utils/auditLog';
+
+const ACTION_BADGE_CLASSES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800',
+  restore: 'bg-amber-100 text-amber-800',
+  merge: 'bg-purple-100 text-purple-800'
+};
+
+// Audit entries grouped by day: who, when, and old → new per field.
+// `showRecord` adds the record name with a link to its contact (used by the admin feed).
+export default function AuditEntryList({ entries, showRecord = false }) {
+  const navigate = useNavigate();
+
+  return (
+    <div className="space-y-6">
+      {groupAuditEntriesByDay(entries).map(group => (
+        <div key={group.day}>
+          <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">{group.day}</h4>
+          <ul className="border border-gray-200 rounded-lg divide-y divide-gray-200 bg-white">
+            {group.entries.map(entry => (
+              <li key={entry._id} className="px-4 py-3">
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${ACTION_BADGE_CLASSES[entry.action] || 'bg-gray-100 text-gray-800'}`}>
+                    {getAuditActionLabel(entry.action)}
+                  </span>
+                  <span className="text-gray-500">{getAuditEntityLabel(entry.entityType)}</span>
+                  {showRecord && entry.entityLabel && (
+                    entry.contactId ? (
+                      <button
+                        onClick={() => navigate(`/contacts/${entry.contactId}`)}
+                        className="font-medium text-blue-600 hover:text-blue-800"
+                      >
+                        {entry.entityLabel}
+                      </button>
+                    ) : (
+                      <span className="font-medium text-gray-900">{entry.entityLabel}</span>
+                    )
+                  )}
+                  {entry.projectName && <span className="text-gray-500">in {entry.projectName}</span>}
+                  <span className="ml-auto text-xs text-gray-500 whitespace-nowrap">
+                    {entry.user?.name || entry.user?.email || 'System'} · {new Date(entry.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </span>
+                </div>
+                {entry.changes?.length > 0 && (
+                  <dl className="mt-2 space-y-1 text-sm">
+                    {entry.changes.map(change => (
+                      <div key={change.field} className="flex flex-wrap gap-x-2">
+                        <dt className="text-gray-500 min-w-[8rem]">{getAuditFieldLabel(change.field)}</dt>
+                        <dd className="text-gray-900 break-all">
+                          <span className="line-through text-gray-400">{formatAuditValue(change.from)}</span>
+                          <span className="mx-1.5 text-gray-400">→</span>
+                          <span>{formatAuditValue(change.to)}</span>
+                        </dd>
+                      </div>
+                    ))}
+                  </dl>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,7 +1,10 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import API from '../api/axios';
+import { DEFAULT_STATUS_SCHEMA, getStatusOptions } from '../utils/statusSchema';
+import { stopSequencesForEmails } from '../utils/emailSequences';
+import { createBulkJob, loadBulkJob, saveBulkJob, clearBulkJob, runBulkJob, summarizeBulkJob, hasUnfinishedItems, resetFailedItems } from '../utils/bulkJobs';
 
-export default function BulkActivityLogModal({ isOpen, onClose, type, selectedContacts, projectId, contacts }) {
+export default function BulkActivityLogModal({ isOpen, onClose, type, selectedContacts, projectId, contacts, statusSchema = DEFAULT_STATUS_SCHEMA }) {
   const [formData, setFormData] = useState({
     template: '',
     outcome: '',
@@ -24,7 +27,10 @@ export default function BulkActivityLogModal({ isOpen, onClose, type, selectedCo
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
   const [isVisible, setIsVisible] = useState(false);
-  const [progress, setProgress] = useState({ current: 0, total: 0, success: 0, failed: 0 });
+  // Current bulk run (also persisted per project and type, see utils/bulkJobs)
+  const [job, setJob] = useState(null);
+  const stopRequestedRef = useRef(false);
+  const [pausing, setPausing] = useState(false);
   const [savingField, setSavingField] = useState({ phone: false, email: false, linkedin: false });
   const [showVariations, setShowVariations] = useState(false);
   const [linkedInAccounts, setLinkedInAccounts] = useState([]);
@@ -49,7 +55,6 @@ export default function BulkActivityLogModal({ isOpen, onClose, type, selectedCo
   useEffect(() => {
     if (isOpen) {
       setTimeout(() => setIsVisible(true), 10);
-      setProgress({ current: 0, total: selectedContacts.size, success: 0, failed: 0 });
       
       // Get current date in YYYY-MM-DD format
       const today = new Date().toISOString().split('T')[0];
@@ -89,6 +94,24 @@ export default function BulkActivityLogModal({ isOpen, onClose, type, selectedCo
     }
   }, [isOpen, selectedContacts.size]);
 
+  // Pick up a run of this type that didn't finish (tab closed, paused, or failures left to retry)
+  useEffect(() => {
+    if (!isOpen) return;
+    const savedJob = loadBulkJob(projectId, type);
+    setJob(savedJob && hasUnfinishedItems(savedJob) ? savedJob : null);
+  }, [isOpen, projectId, type]);
+
+  // Closing the tab mid-run is recoverable, but a request in flight may or may not have landed
+  useEffect(() => {
+    if (!loading) return;
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [loading]);
+
   const handleAddLinkedInAccount = () => {
     if (newAccountName.trim() && !linkedInAccounts.includes(newAccountName.trim())) {
       const updatedAccounts = [...linkedInAccounts, newAccountName.trim()];
@@ -195,120 +218,107 @@ export default function BulkActivityLogModal({ isOpen, onClose, type, selectedCo
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    
-    if (!validate()) {
-      return;
+  // One contact's work: log the activity, then move their stage. If only the stage update failed,
+  // the retry skips the activity so it isn't logged twice.
+  const buildItemTask = (runJob) => async (item) => {
+    const { payload } = runJob;
+    if (!item.activityLogged) {
+      const activityData = {
+        ...payload,
+        projectId: runJob.projectId,
+        type: runJob.type,
+        phoneNumber: payload.phoneNumber || item.phone || null,
+        email: payload.email || item.email || null,
+        linkedInUrl: payload.linkedInUrl || item.linkedInUrl || null
+      };
+      // Only include contactId if it's a valid MongoDB ObjectId
+      if (item.contactId) {
+        activityData.contactId = item.contactId;
+      }
+      try {
+        const response = await API.post('/activities', activityData);
+        if (!response.data.success) {
+          throw new Error(response.data.error || 'The server didn\'t save the activity');
+        }
+      } catch (error) {
+        // Creating the activity twice would double-log it, so a lost response isn't retried automatically
+        error.idempotent = false;
+        error.itemChanges = { failedStep: 'activity' };
+        throw error;
+      }
     }
 
-    setLoading(true);
-    const selectedContactsList = Array.from(selectedContacts);
-    const contactsToProcess = contacts.filter(c => selectedContactsList.includes((c._id || c.name).toString()));
-    
-    setProgress({ current: 0, total: contactsToProcess.length, success: 0, failed: 0 });
+    // If status is provided and contactId exists, update the contact's status in ProjectContact
+    if (payload.status && item.contactId && runJob.projectId) {
+      try {
+        await API.put(`/projects/${runJob.projectId}/project-contacts/${item.contactId}`, {
+          stage: payload.status
+        });
+      } catch (error) {
+        error.itemChanges = { activityLogged: true, failedStep: 'status' };
+        throw error;
+      }
+    }
+    return { activityLogged: true, failedStep: null };
+  };
 
-    let successCount = 0;
-    let failedCount = 0;
+  const startRun = async (runJob) => {
+    stopRequestedRef.current = false;
+    setPausing(false);
+    setErrors({});
+    setJob(runJob);
+    saveBulkJob(runJob);
+    setLoading(true);
 
     try {
-      // Process each contact sequentially
-      for (let i = 0; i < contactsToProcess.length; i++) {
-        const contact = contactsToProcess[i];
-        // Get contactId - ensure we have a valid MongoDB ObjectId string
-        let contactId = null;
-        if (contact._id) {
-          contactId = contact._id.toString ? contact._id.toString() : contact._id;
-          // Only use if it's a valid MongoDB ObjectId (24 hex characters)
-          if (typeof contactId === 'string' && contactId.length !== 24) {
-            contactId = null;
-          }
-        }
-        
-        setProgress(prev => ({ ...prev, current: i + 1 }));
+      const finishedJob = await runBulkJob(runJob, buildItemTask(runJob), {
+        onUpdate: setJob,
+        shouldStop: () => stopRequestedRef.current
+      });
+      setJob(finishedJob);
 
+      // A reply, opt-out or bounce stops these contacts' email sequences now, not when the queue is next opened
+      if (finishedJob.type === 'email' && finishedJob.payload.status) {
+        const logged = finishedJob.items
+          .filter(item => item.activityLogged && item.contactId)
+          .map(item => ({ contactId: item.contactId, status: finishedJob.payload.status }));
         try {
-          // Use conversation notes as-is, without adding contact information
-          const finalEmail = formData.email || contact.email;
-          const finalPhone = formData.phoneNumber || contact.firstPhone;
-          const finalLinkedIn = formData.linkedInUrl || contact.personLinkedinUrl || contact.companyLinkedinUrl;
-          
-          const notesWithContact = formData.conversationNotes.trim() || '';
-
-          const activityData = {
-            projectId,
-            type,
-            template: formData.template,
-            outcome: null, // Outcome is not used for any activity types
-            conversationNotes: notesWithContact,
-            nextAction: formData.nextAction,
-            nextActionDate: formData.nextActionDate,
-            phoneNumber: finalPhone || null,
-            email: finalEmail || null,
-            linkedInUrl: finalLinkedIn || null,
-            status: formData.status || null,
-            linkedInAccountName: formData.linkedInAccountName || null,
-            lnRequestSent: formData.lnRequestSent || null,
-            connected: formData.connected || null,
-            callNumber: formData.callNumber || null,
-            callStatus: formData.callStatus || null,
-            callDate: formData.callDate || null,
-            emailDate: formData.emailDate || null,
-            linkedinDate: formData.linkedinDate || null
-          };
-
-          // Only include contactId if it's a valid MongoDB ObjectId
-          if (contactId) {
-            activityData.contactId = contactId;
-          }
-
-          const response = await API.post('/activities', activityData);
-
-          // If status is provided and contactId exists, update the contact's status in ProjectContact
-          if (response.data.success && formData.status && contactId && projectId) {
-            try {
-              await API.put(`/projects/${projectId}/project-contacts/${contactId}`, {
-                stage: formData.status
-              });
-            } catch (error) {
-              console.error('Error updating contact status:', error);
-              // Don't fail the activity save if status update fails
-            }
-          }
-
-          successCount++;
-          setProgress(prev => ({ ...prev, success: successCount }));
+          await stopSequencesForEmails(finishedJob.projectId, logged, statusSchema);
         } catch (error) {
-          console.error(`Error saving activity for ${contact.name}:`, error);
-          failedCount++;
-          setProgress(prev => ({ ...prev, failed: failedCount }));
+          console.error('Error stopping email sequences:', error);
         }
       }
 
-      // Reset form and close modal
-      setFormData({
-        template: '',
-        outcome: '',
-        conversationNotes: '',
-        nextAction: '',
-        nextActionDate: '',
-        phoneNumber: '',
-        email: '',
-        linkedInUrl: '',
-        status: '',
-        linkedInAccountName: '',
-        callNumber: '',
-        callStatus: '',
-        callDate: '',
-        emailDate: '',
-        linkedinDate: ''
-      });
-      
-      // Show success message
-      setTimeout(() => {
-        onClose();
-        // Refresh activities will be handled by parent component
-      }, 1000);
+      // Failures and paused runs stay saved so they can be retried or resumed
+      if (!hasUnfinishedItems(finishedJob)) {
+        clearBulkJob(finishedJob.projectId, finishedJob.type);
+
+        // Reset form and close modal
+        setFormData({
+          template: '',
+          outcome: '',
+          conversationNotes: '',
+          nextAction: '',
+          nextActionDate: '',
+          phoneNumber: '',
+          email: '',
+          linkedInUrl: '',
+          status: '',
+          linkedInAccountName: '',
+          callNumber: '',
+          callStatus: '',
+          callDate: '',
+          emailDate: '',
+          linkedinDate: ''
+        });
+
+        // Show success message
+        setTimeout(() => {
+          setJob(null);
+          onClose();
+          // Refresh activities will be handled by parent component
+        }, 1000);
+      }
     } catch (error) {
       console.error('Error in bulk activity logging:', error);
       setErrors({ submit: 'Some activities didn\'t save properly. Check what went wrong and try again.' });
@@ -317,6 +327,80 @@ export default function BulkActivityLogModal({ isOpen, onClose, type, selectedCo
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    if (!validate()) {
+      return;
+    }
+
+    const selectedContactsList = Array.from(selectedContacts);
+    const contactsToProcess = contacts.filter(c => selectedContactsList.includes((c._id || c.name).toString()));
+
+    const items = contactsToProcess.map(contact => {
+      // Get contactId - ensure we have a valid MongoDB ObjectId string
+      let contactId = null;
+      if (contact._id) {
+        contactId = contact._id.toString ? contact._id.toString() : contact._id;
+        // Only use if it's a valid MongoDB ObjectId (24 hex characters)
+        if (typeof contactId === 'string' && contactId.length !== 24) {
+          contactId = null;
+        }
+      }
+      return {
+        contactId,
+        name: contact.name || 'N/A',
+        phone: contact.firstPhone || null,
+        email: contact.email || null,
+        linkedInUrl: contact.personLinkedinUrl || contact.companyLinkedinUrl || null,
+        activityLogged: false
+      };
+    });
+
+    // Snapshot of the form so a resumed run logs exactly what was submitted
+    const payload = {
+      template: formData.template,
+      outcome: null, // Outcome is not used for any activity types
+      // Use conversation notes as-is, without adding contact information
+      conversationNotes: formData.conversationNotes.trim() || '',
+      nextAction: formData.nextAction,
+      nextActionDate: formData.nextActionDate,
+      phoneNumber: formData.phoneNumber || null,
+      email: formData.email || null,
+      linkedInUrl: formData.linkedInUrl || null,
+      status: formData.status || null,
+      linkedInAccountName: formData.linkedInAccountName || null,
+      lnRequestSent: formData.lnRequestSent || null,
+      connected: formData.connected || null,
+      callNumber: formData.callNumber || null,
+      callStatus: formData.callStatus || null,
+      callDate: formData.callDate || null,
+      emailDate: formData.emailDate || null,
+      linkedinDate: formData.linkedinDate || null
+    };
+
+    await startRun(createBulkJob({ projectId, type, payload, items }));
+  };
+
+  const handleRetryFailed = () => {
+    startRun(resetFailedItems(job));
+  };
+
+  const handleResume = () => {
+    startRun(job);
+  };
+
+  const handlePause = () => {
+    stopRequestedRef.current = true;
+    setPausing(true);
+  };
+
+  const handleDiscardJob = () => {
+    clearBulkJob(job.projectId, job.type);
+    setJob(null);
+    setErrors({});
+  };
+
   const handleClose = () => {
     if (!loading) {
       setFormData({
@@ -400,6 +484,7 @@ export default function BulkActivityLogModal({ isOpen, onClose, type, selectedCo
 
 
   const selectedContactsList = contacts.filter(c => selectedContacts.has((c._id || c.name).toString()));
+  const jobSummary = summarizeBulkJob(job);
 
   // Check if selected contacts have existing data
   const hasExistingPhone = selectedContactsList.some(c => c.firstPhone);
@@ -475,7 +560,9 @@ export default function BulkActivityLogModal({ isOpen, onClose, type, selectedCo
                 </h2>
                 {!showVariations && (
                   <p className="text-xs text-gray-600 font-medium">
-                    {selectedContactsList.length} {selectedContactsList.length === 1 ? 'contact' : 'contacts'} selected
+                    {job
+                      ? `${jobSummary.total} ${jobSummary.total === 1 ? 'contact' : 'contacts'} in this run`
+                      : `${selectedContactsList.length} ${selectedContactsList.length === 1 ? 'contact' : 'contacts'} selected`}
                   </p>
                 )}
               </div>
@@ -493,26 +580,37 @@ export default function BulkActivityLogModal({ isOpen, onClose, type, selectedCo
         </div>
 
         {/* Progress Bar */}
-        {loading && (
+        {loading && job && (
           <div className="px-4 py-3 bg-blue-50 border-b border-blue-100">
             <div className="flex items-center justify-between mb-2">
               <span className="text-sm font-semibold text-blue-900">
-                Processing {progress.current} of {progress.total} contacts...
-              </span>
-              <span className="text-sm font-semibold text-blue-700">
-                {progress.success} success, {progress.failed} failed
+                Processing {jobSummary.done} of {jobSummary.total} contacts...
               </span>
+              <div className="flex items-center gap-3">
+                <span className="text-sm font-semibold text-blue-700">
+                  {jobSummary.succeeded} success, {jobSummary.failed} failed
+                </span>
+                <button
+                  type="button"
+                  onClick={handlePause}
+                  disabled={pausing}
+                  className="px-2 py-1 text-xs font-semibold text-blue-700 bg-white border border-blue-200 rounded-md hover:bg-blue-100 disabled:opacity-50"
+                >
+                  {pausing ? 'Pausing...' : 'Pause'}
+                </button>
+              </div>
             </div>
             <div className="w-full bg-blue-200 rounded-full h-2">
               <div 
                 className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-                style={{ width: `${(progress.current / progress.total) * 100}%` }}
+                style={{ width: `${jobSummary.total > 0 ? (jobSummary.done / jobSummary.total) * 100 : 0}%` }}
               ></div>
             </div>
           </div>
         )}
 
         {/* Selected Contacts List */}
+        {!job && (
         <div className="px-4 py-3 bg-gray-50 border-b border-gray-200 max-h-32 overflow-y-auto">
           <div className="flex items-center justify-between mb-2">
             <p className="text-xs font-semibold text-gray-700">
@@ -570,9 +668,94 @@ export default function BulkActivityLogModal({ isOpen, onClose, type, selectedCo
             )}
           </div>
         </div>
+        )}
+
+        {/* Run Results, Form or Variations View */}
+        {job ? (
+          <div className="p-4 bg-gray-50 overflow-y-auto flex-1 space-y-3">
+            {!loading && jobSummary.pending > 0 && (
+              <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 text-xs text-amber-800">
+                This run stopped before it finished. {jobSummary.pending} {jobSummary.pending === 1 ? 'contact hasn\'t' : 'contacts haven\'t'} been processed yet.
+              </div>
+            )}
+            {!loading && jobSummary.pending === 0 && jobSummary.failed === 0 && (
+              <div className="bg-green-50 border border-green-200 rounded-lg p-3 text-xs text-green-800">
+                All {jobSummary.total} activities were logged.
+              </div>
+            )}
+
+            <div className="bg-white rounded-xl border border-gray-200 divide-y divide-gray-100 max-h-80 overflow-y-auto">
+              {job.items.map((item, index) => (
+                <div key={item.contactId || index} className="flex items-start justify-between gap-3 px-3 py-2">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">{item.name}</p>
+                    {item.status === 'failed' && (
+                      <p className="text-xs text-red-600 mt-0.5">
+                        {item.failedStep === 'status' ? 'Activity logged, but the status update failed: ' : ''}
+                        {item.error}
+                        {item.attempts > 1 && ` (tried ${item.attempts} times)`}
+                      </p>
+                    )}
+                  </div>
+                  <span className={`px-2 py-0.5 text-xs font-semibold rounded-full flex-shrink-0 ${
+                    item.status === 'succeeded' ? 'bg-green-100 text-green-700' :
+                    item.status === 'failed' ? 'bg-red-100 text-red-700' :
+                    item.status === 'running' ? 'bg-blue-100 text-blue-700' :
+                    'bg-gray-100 text-gray-600'
+                  }`}>
+                    {item.status === 'succeeded' ? 'Logged' :
+                     item.status === 'failed' ? 'Failed' :
+                     item.status === 'running' ? (item.attempts > 0 ? `Retrying (attempt ${item.attempts + 1})` : 'Saving') :
+                     'Waiting'}
+                  </span>
+                </div>
+              ))}
+            </div>
 
-        {/* Form or Variations View */}
-        {showVariations && type === 'linkedin' ? (
+            {errors.submit && (
+              <p className="text-xs font-medium text-red-700">{errors.submit}</p>
+            )}
+
+            {!loading && hasUnfinishedItems(job) && (
+              <div className="flex items-center justify-between gap-2 pt-3 border-t border-gray-200">
+                <button
+                  type="button"
+                  onClick={handleDiscardJob}
+                  className="px-4 py-2 text-xs font-semibold text-red-600 bg-white border-2 border-red-200 rounded-lg hover:bg-red-50"
+                >
+                  Discard Run
+                </button>
+                <div className="flex items-center gap-2">
+                  <button
+                    type="button"
+                    onClick={handleClose}
+                    className="px-4 py-2 text-xs font-semibold text-gray-700 bg-white border-2 border-gray-300 rounded-lg hover:bg-gray-50"
+                  >
+                    Close
+                  </button>
+                  {jobSummary.pending > 0 && (
+                    <button
+                      type="button"
+                      onClick={handleResume}
+                      className="px-4 py-2 text-xs font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+                    >
+                      Resume ({jobSummary.pending})
+                    </button>
+                  )}
+                  {jobSummary.failed > 0 && (
+                    <button
+                      type="button"
+                      onClick={handleRetryFailed}
+                      className="px-4 py-2 text-xs font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+                    >
+                      Retry Failed ({jobSummary.failed})
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        ) : showVariations && type === 'linkedin' ? (
           <div className="p-4 bg-gray-50 overflow-y-auto flex-1">
             <div className="bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
               <div className="overflow-x-auto">
@@ -955,36 +1138,9 @@ export default function BulkActivityLogModal({ isOpen, onClose, type, selectedCo
                   }`}
                 >
                   <option value="">Select status</option>
-                  {type === 'email' ? (
-                    <>
-                      <option value="No Reply">No Reply</option>
-                      <option value="Not Interested">Not Interested</option>
-                      <option value="Out of Office">Out of Office</option>
-                      <option value="Meeting Proposed">Meeting Proposed</option>
-                      <option value="Meeting Scheduled">Meeting Scheduled</option>
-                      <option value="Interested">Interested</option>
-                      <option value="Wrong Person">Wrong Person</option>
-                      <option value="Bounce">Bounce</option>
-                      <option value="Opt-Out">Opt-Out</option>
-                      <option value="Meeting Completed">Meeting Completed</option>
-                    </>
-                  ) : (
-                    <>
-                      <option value="CIP">CIP</option>
-                      <option value="No Reply">No Reply</option>
-                      <option value="Not Interested">Not Interested</option>
-                      <option value="Meeting Proposed">Meeting Proposed</option>
-                      <option value="Meeting Scheduled">Meeting Scheduled</option>
-                      <option value="In-Person Meeting">In-Person Meeting</option>
-                      <option value="Meeting Completed">Meeting Completed</option>
-                      <option value="SQL">SQL</option>
-                      <option value="Tech Discussion">Tech Discussion</option>
-                      <option value="WON">WON</option>
-                      <option value="Lost">Lost</option>
-                      <option value="Low Potential - Open">Low Potential - Open</option>
-                      <option value="Potential Future">Potential Future</option>
-                    </>
-                  )}
+                  {getStatusOptions(statusSchema, type).map((status) => (
+                    <option key={status} value={status}>{status}</option>
+                  ))}
                 </select>
                 {errors.status && (
                   <p className="mt-2 text-xs text-red-600 flex items-center gap-1 animate-shake">
@@ -1068,19 +1224,9 @@ export default function BulkActivityLogModal({ isOpen, onClose, type, selectedCo
                   className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200 bg-white hover:border-gray-400 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <option value="">Select status</option>
-                  <option value="Interested">Interested</option>
-                  <option value="Not Interested">Not Interested</option>
-                  <option value="Ring">Ring</option>
-                  <option value="Busy">Busy</option>
-                  <option value="Call Back">Call Back</option>
-                  <option value="Hang Up">Hang Up</option>
-                  <option value="Switch Off">Switch Off</option>
-                  <option value="Future">Future</option>
-                  <option value="Details Shared">Details Shared</option>
-                  <option value="Demo Booked">Demo Booked</option>
-                  <option value="Invalid">Invalid</option>
-                  <option value="Existing">Existing</option>
-                  <option value="Demo Completed">Demo Completed</option>
+                  {getStatusOptions(statusSchema, 'call').map((status) => (
+                    <option key={status} value={status}>{status}</option>
+                  ))}
                 </select>
                 <p className="mt-2 text-xs text-gray-500 flex items-center gap-1">
                   <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
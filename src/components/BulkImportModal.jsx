@@ -1,5 +1,9 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useMemo } from 'react';
 import API from '../api/axios';
+import ColumnMappingWizard from './ColumnMappingWizard';
+import ImportReviewTable from './ImportReviewTable';
+import { parseImportFile, autoDetectMapping, applyMapping, buildMappedFile, getMissingRequiredFields } from '../utils/importMapping';
+import { fetchExistingContactIndex, validateImportRows, downloadErrorReport } from '../utils/importValidation';
 
 export default function BulkImportModal({ isOpen, onClose, projectId, onImportSuccess }) {
   const [file, setFile] = useState(null);
@@ -9,6 +13,14 @@ export default function BulkImportModal({ isOpen, onClose, projectId, onImportSu
   const [isUploading, setIsUploading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [isParsing, setIsParsing] = useState(false);
+  const [reviewRows, setReviewRows] = useState(null);
+  const [existingIndex, setExistingIndex] = useState(null);
+  const [checkingExisting, setCheckingExisting] = useState(false);
+  const [existingCheckFailed, setExistingCheckFailed] = useState(false);
+  const [skipExisting, setSkipExisting] = useState(true);
   const fileInputRef = useRef(null);
 
   const teamMembers = [
@@ -20,7 +32,13 @@ export default function BulkImportModal({ isOpen, onClose, projectId, onImportSu
 
   const stages = ['New', 'Contacted', 'Qualified', 'Proposal', 'Negotiation'];
 
-  const handleFileSelect = (selectedFile) => {
+  const validation = useMemo(
+    () => (reviewRows ? validateImportRows(reviewRows, existingIndex, { skipExisting }) : []),
+    [reviewRows, existingIndex, skipExisting]
+  );
+  const cleanRows = reviewRows ? reviewRows.filter((_, i) => validation[i]?.errors.length === 0) : [];
+
+  const handleFileSelect = async (selectedFile) => {
     if (selectedFile) {
       const fileName = selectedFile.name.toLowerCase();
       const allowedExtensions = ['.csv', '.xlsx', '.xls'];
@@ -44,6 +62,25 @@ export default function BulkImportModal({ isOpen, onClose, projectId, onImportSu
       // No file size limit - allow any size
       setFile(selectedFile);
       setError('');
+      setParsed(null);
+      setMapping({});
+      setReviewRows(null);
+
+      try {
+        setIsParsing(true);
+        const parsedFile = await parseImportFile(selectedFile);
+        if (parsedFile.headers.length === 0) {
+          setError('That file looks empty. Check it has a header row and try again.');
+          return;
+        }
+        setParsed(parsedFile);
+        setMapping(autoDetectMapping(parsedFile.headers));
+      } catch (err) {
+        console.error('Error parsing import file:', err);
+        setError('Couldn\'t read that file. Make sure it\'s a valid CSV or Excel file and try again.');
+      } finally {
+        setIsParsing(false);
+      }
     }
   };
 
@@ -69,7 +106,7 @@ export default function BulkImportModal({ isOpen, onClose, projectId, onImportSu
     handleFileSelect(selectedFile);
   };
 
-  const handleImport = async () => {
+  const handleReview = async () => {
     if (!file) {
       setError('Please select a file (CSV, XLSX, or XLS)');
       return;
@@ -80,13 +117,55 @@ export default function BulkImportModal({ isOpen, onClose, projectId, onImportSu
       return;
     }
 
+    if (!parsed) {
+      setError('Please wait for the file to finish reading, or pick it again.');
+      return;
+    }
+
+    const missingRequired = getMissingRequiredFields(mapping);
+    if (missingRequired.length > 0) {
+      setError(`Map a column to ${missingRequired.join(', ')} before importing.`);
+      return;
+    }
+
+    setError('');
+    const mappedRows = applyMapping(parsed.rows, mapping);
+    setReviewRows(mappedRows);
+
+    try {
+      setCheckingExisting(true);
+      setExistingCheckFailed(false);
+      setExistingIndex(await fetchExistingContactIndex(mappedRows));
+    } catch (err) {
+      console.error('Error fetching existing contacts:', err);
+      setExistingIndex(null);
+      setExistingCheckFailed(true);
+    } finally {
+      setCheckingExisting(false);
+    }
+  };
+
+  const handleRowChange = (index, field, value) => {
+    setReviewRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleRemoveRow = (index) => {
+    setReviewRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleImport = async () => {
+    if (cleanRows.length === 0) {
+      setError('No clean rows to import. Fix the flagged rows or pick another file.');
+      return;
+    }
+
     setIsUploading(true);
     setError('');
     setSuccess('');
 
     try {
       const formData = new FormData();
-      formData.append('file', file);
+      formData.append('file', buildMappedFile(cleanRows, file.name));
       formData.append('projectId', projectId);
       if (assignTo) {
         formData.append('assignTo', assignTo);
@@ -121,6 +200,12 @@ export default function BulkImportModal({ isOpen, onClose, projectId, onImportSu
     setError('');
     setSuccess('');
     setIsDragging(false);
+    setParsed(null);
+    setMapping({});
+    setReviewRows(null);
+    setExistingIndex(null);
+    setExistingCheckFailed(false);
+    setSkipExisting(true);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
@@ -131,7 +216,7 @@ export default function BulkImportModal({ isOpen, onClose, projectId, onImportSu
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
-      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl mx-4 max-h-[90vh] overflow-y-auto animate-fade-in">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-5xl mx-4 max-h-[90vh] overflow-y-auto animate-fade-in">
         {/* Header */}
         <div className="flex items-center justify-between p-6 border-b border-gray-200">
           <h2 className="text-xl font-bold text-gray-900">Bulk Import Prospects</h2>
@@ -157,7 +242,7 @@ export default function BulkImportModal({ isOpen, onClose, projectId, onImportSu
               </div>
               <div className="flex-1">
                 <p className="text-sm font-medium text-gray-900 mb-2">
-                  Upload a CSV, XLSX, or XLS file with the following columns:
+                  Upload a CSV, XLSX, or XLS file, then map its columns to these fields:
                 </p>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
                   <ul className="text-sm text-gray-700 space-y-1 list-disc list-inside">
@@ -238,6 +323,53 @@ export default function BulkImportModal({ isOpen, onClose, projectId, onImportSu
             </div>
           </div>
 
+          {isParsing && (
+            <p className="text-sm text-gray-500">Reading file...</p>
+          )}
+
+          {/* Column Mapping */}
+          {parsed && !reviewRows && (
+            <div>
+              <label className="block text-sm font-medium text-gray-900 mb-1">
+                Map Columns
+              </label>
+              <p className="text-xs text-gray-500 mb-3">
+                {parsed.headers.length} columns and {parsed.rows.length} rows found
+              </p>
+              <ColumnMappingWizard parsed={parsed} mapping={mapping} onMappingChange={setMapping} />
+            </div>
+          )}
+
+          {/* Validation Review */}
+          {reviewRows && (
+            <div>
+              <div className="flex items-center justify-between mb-3">
+                <label className="block text-sm font-medium text-gray-900">
+                  Review Rows
+                </label>
+                <button
+                  type="button"
+                  onClick={() => setReviewRows(null)}
+                  disabled={isUploading}
+                  className="text-sm text-gray-600 hover:text-gray-900 font-medium"
+                >
+                  ← Back to mapping
+                </button>
+              </div>
+              <ImportReviewTable
+                rows={reviewRows}
+                validation={validation}
+                checkingExisting={checkingExisting}
+                existingCheckFailed={existingCheckFailed}
+                skipExisting={skipExisting}
+                onSkipExistingChange={setSkipExisting}
+                onRowChange={handleRowChange}
+                onRemoveRow={handleRemoveRow}
+                onDownloadReport={() => downloadErrorReport(reviewRows, validation, file.name)}
+              />
+            </div>
+          )}
+
           {/* Assign To */}
           <div>
             <label className="block text-sm font-medium text-gray-900 mb-2">
@@ -313,25 +445,35 @@ export default function BulkImportModal({ isOpen, onClose, projectId, onImportSu
           >
             Cancel
           </button>
-          <button
-            onClick={handleImport}
-            disabled={isUploading || !file}
-            className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            {isUploading ? (
-              <>
-                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
-                Importing...
-              </>
-            ) : (
-              <>
-                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
-                </svg>
-                Import Prospects
-              </>
-            )}
-          </button>
+          {!reviewRows ? (
+            <button
+              onClick={handleReview}
+              disabled={isParsing || !parsed || getMissingRequiredFields(mapping).length > 0}
+              className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Review & Validate
+            </button>
+          ) : (
+            <button
+              onClick={handleImport}
+              disabled={isUploading || checkingExisting || cleanRows.length === 0}
+              className="flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isUploading ? (
+                <>
+                  <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                  Importing...
+                </>
+              ) : (
+                <>
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+                  </svg>
+                  Import {cleanRows.length} Prospect{cleanRows.length === 1 ? '' : 's'}
+                </>
+              )}
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,100 @@
+import { CADENCE_TOUCH_TYPES } from '../utils/cadence';
+
+// Edits a project's touch plan ([{ day, type, label }]). Only channels enabled on the project are offered.
+export default function CadenceEditor({ value, onChange, channels }) {
+  const touches = value || [];
+  const availableTypes = CADENCE_TOUCH_TYPES.filter(t => channels?.[t.channel]);
+
+  const updateTouch = (index, field, fieldValue) => {
+    onChange(touches.map((touch, i) => (i === index ? { ...touch, [field]: fieldValue } : touch)));
+  };
+
+  const addTouch = () => {
+    const lastDay = touches.length > 0 ? Math.max(...touches.map(t => Number(t.day) || 1)) : 0;
+    onChange([...touches, { day: lastDay + (touches.length > 0 ? 2 : 1), type: availableTypes[0]?.key || 'linkedin', label: '' }]);
+  };
+
+  const removeTouch = (index) => {
+    onChange(touches.filter((_, i) => i !== index));
+  };
+
+  if (availableTypes.length === 0) {
+    return (
+      <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-center">
+        <p className="text-sm text-gray-500">Select at least one channel above to plan a cadence.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {touches.length === 0 ? (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-center">
+          <p className="text-sm text-gray-500">No cadence yet. Prospects won't get scheduled touches.</p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-12 gap-2 px-2 text-xs font-semibold text-gray-500 uppercase">
+            <span className="col-span-2">Day</span>
+            <span className="col-span-3">Channel</span>
+            <span className="col-span-6">Label (optional)</span>
+          </div>
+          {touches.map((touch, index) => {
+            const channelDisabled = !availableTypes.some(t => t.key === touch.type);
+            return (
+              <div key={index} className="grid grid-cols-12 gap-2 items-center p-2 border border-gray-200 rounded-lg">
+                <input
+                  type="number"
+                  min={1}
+                  value={touch.day}
+                  onChange={(e) => updateTouch(index, 'day', Math.max(1, parseInt(e.target.value, 10) || 1))}
+                  className="col-span-2 px-2 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <select
+                  value={touch.type}
+                  onChange={(e) => updateTouch(index, 'type', e.target.value)}
+                  className={`col-span-3 px-2 py-1.5 text-sm border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white ${
+                    channelDisabled ? 'border-orange-300' : 'border-gray-300'
+                  }`}
+                >
+                  {CADENCE_TOUCH_TYPES.map((type) => (
+                    <option key={type.key} value={type.key} disabled={!channels?.[type.channel]}>
+                      {type.label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={touch.label || ''}
+                  onChange={(e) => updateTouch(index, 'label', e.target.value)}
+                  placeholder={touch.type === 'linkedin' ? 'e.g. Connection request' : touch.type === 'call' ? 'e.g. Intro call' : 'e.g. Case study email'}
+                  className="col-span-6 px-2 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="button"
+                  onClick={() => removeTouch(index)}
+                  className="col-span-1 text-red-600 hover:text-red-700 text-sm justify-self-end"
+                  title="Remove touch"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+                {channelDisabled && (
+                  <p className="col-span-12 text-xs text-orange-600">This channel is off for the project, so this touch is skipped.</p>
+                )}
+              </div>
+            );
+          })}
+        </>
+      )}
+      <button
+        type="button"
+        onClick={addTouch}
+        className="w-full py-2 text-sm font-medium text-blue-600 border-2 border-dashed border-blue-200 rounded-lg hover:bg-blue-50"
+      >
+        + Add Touch
+      </button>
+    </div>
+  );
+}
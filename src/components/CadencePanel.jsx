@@ -0,0 +1,118 @@
+import { useState, useEffect, useMemo } from 'react';
+import API from '../api/axios';
+import { buildCadenceProgress, getTouchLabel } from '../utils/cadence';
+
+const TYPE_LABELS = { linkedin: 'LinkedIn', call: 'Call', email: 'Email' };
+
+const formatDueDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Touches due across the whole project, not just the current page of prospects.
+// Progress is recomputed from `activities`, so a touch drops off the list as soon as it's logged.
+export default function CadencePanel({ projectId, cadence, activities, getStartDate, onLogTouch }) {
+  const [contacts, setContacts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [expanded, setExpanded] = useState(true);
+
+  useEffect(() => {
+    if (!projectId) return;
+
+    const fetchContacts = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await API.get(`/projects/${projectId}/project-contacts?page=1&limit=10000`);
+        if (response.data.success) {
+          setContacts(response.data.data || []);
+        }
+      } catch (err) {
+        console.error('Error fetching contacts for cadence:', err);
+        setError('Couldn\'t load prospects for the cadence. Refresh the page to try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchContacts();
+  }, [projectId]);
+
+  const { dueTouches, counts } = useMemo(() => {
+    const progress = buildCadenceProgress(cadence, contacts, activities, getStartDate);
+    const summary = { overdue: 0, due: 0, upcoming: 0, done: 0 };
+    const due = [];
+    contacts.forEach(contact => {
+      const entry = progress.get(contact._id?.toString());
+      if (!entry) return;
+      summary[entry.state]++;
+      if (entry.state === 'overdue' || entry.state === 'due') {
+        due.push({ contact, ...entry });
+      }
+    });
+    due.sort((a, b) => a.dueDate - b.dueDate);
+    return { dueTouches: due, counts: summary };
+  }, [cadence, contacts, activities, getStartDate]);
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-4 mb-6">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900">Cadence</h3>
+          <p className="text-xs text-gray-500 mt-0.5">
+            {cadence.map(touch => `Day ${touch.day} ${TYPE_LABELS[touch.type]}`).join(' → ')}
+          </p>
+        </div>
+        <div className="flex items-center gap-2 text-xs font-medium">
+          <span className="px-2 py-1 rounded-full bg-red-50 text-red-700">{counts.overdue} overdue</span>
+          <span className="px-2 py-1 rounded-full bg-orange-50 text-orange-700">{counts.due} due today</span>
+          <span className="px-2 py-1 rounded-full bg-gray-100 text-gray-700">{counts.upcoming} upcoming</span>
+          <span className="px-2 py-1 rounded-full bg-green-50 text-green-700">{counts.done} finished</span>
+          <button
+            onClick={() => setExpanded(prev => !prev)}
+            className="ml-2 text-blue-600 hover:text-blue-800"
+          >
+            {expanded ? 'Hide' : 'Show'}
+          </button>
+        </div>
+      </div>
+
+      {expanded && (
+        <div className="mt-3">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {loading ? (
+            <div className="flex justify-center py-4">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+            </div>
+          ) : dueTouches.length === 0 ? (
+            <p className="text-sm text-gray-500">No touches due today.</p>
+          ) : (
+            <div className="max-h-64 overflow-y-auto divide-y divide-gray-100 border border-gray-100 rounded-lg">
+              {dueTouches.map(({ contact, nextTouch, dueDate, state, completed, total }) => (
+                <div key={contact._id} className="flex items-center justify-between gap-3 px-3 py-2">
+                  <div className="min-w-0">
+                    <div className="text-sm font-medium text-gray-900 truncate">
+                      {contact.name || 'N/A'}
+                      {contact.company && <span className="text-gray-500 font-normal"> · {contact.company}</span>}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      Touch {completed + 1} of {total} · Day {nextTouch.day} {TYPE_LABELS[nextTouch.type]} · {getTouchLabel(nextTouch)}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-3 flex-shrink-0">
+                    <span className={`text-xs font-medium ${state === 'overdue' ? 'text-red-600' : 'text-orange-600'}`}>
+                      {state === 'overdue' ? `Overdue since ${formatDueDate(dueDate)}` : 'Due today'}
+                    </span>
+                    <button
+                      onClick={() => onLogTouch(nextTouch.type, contact)}
+                      className="px-3 py-1 text-xs font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+                    >
+                      Log {TYPE_LABELS[nextTouch.type]}
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import { useState, useMemo } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import ActivityLogModal from './ActivityLogModal';
+import { buildCallQueue } from '../utils/callRetry';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
+
+const STATE_STYLES = {
+  due: { label: 'Due', className: 'bg-red-100 text-red-800' },
+  today: { label: 'Today', className: 'bg-orange-100 text-orange-800' },
+  upcoming: { label: 'Upcoming', className: 'bg-gray-100 text-gray-800' }
+};
+
+// Date-only next actions have no time worth showing
+const formatDue = (date, hasTime) => {
+  return date.toLocaleString('en-US', hasTime
+    ? { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }
+    : { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+const getContactId = (contact) => contact?._id?.toString() || '';
+
+// Prospects waiting on a follow-up call, ordered by when the call is due. Callbacks come from the
+// project's retry rules (see utils/callRetry) or from a rep picking "Follow-up Call" by hand.
+export default function CallQueuePanel({ contacts, activities, projectId, statusSchema, callRetryRules, onActivityLogged }) {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [view, setView] = useState('due'); // 'due' or 'all'
+  const [callingContact, setCallingContact] = useState(null);
+
+  const queue = useMemo(() => buildCallQueue(contacts, activities), [contacts, activities]);
+  const dueCount = queue.filter(item => item.state === 'due').length;
+  const rows = view === 'due' ? queue.filter(item => item.state === 'due') : queue;
+
+  const canViewHistory = hasPermission(PERMISSIONS.VIEW_DATABANK);
+  const canLogActivity = hasPermission(PERMISSIONS.LOG_ACTIVITIES);
+
+  const openHistory = (contactId) => {
+    const params = new URLSearchParams({ returnTo: `${location.pathname}${location.search}`, projectId });
+    navigate(`/contacts/${contactId}/activities?${params.toString()}`);
+  };
+
+  const handleActivityLogClose = (saved = false) => {
+    setCallingContact(null);
+    if (saved) onActivityLogged?.();
+  };
+
+  return (
+    <div className="mt-6 bg-white border border-gray-200 rounded-lg shadow-sm overflow-hidden" data-pdf-exclude>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 px-4 py-3 border-b border-gray-200">
+        <div>
+          <h2 className="text-base font-bold text-gray-800">Calling Queue</h2>
+          <p className="text-xs text-gray-600">
+            {dueCount.toLocaleString()} due now · {queue.length.toLocaleString()} scheduled in total
+          </p>
+        </div>
+        <div className="flex items-center gap-2 bg-gray-100 rounded-lg p-1">
+          <button
+            onClick={() => setView('due')}
+            className={`px-3 py-1.5 text-sm font-medium rounded-md transition-all duration-200 ${
+              view === 'due' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            Due now
+          </button>
+          <button
+            onClick={() => setView('all')}
+            className={`px-3 py-1.5 text-sm font-medium rounded-md transition-all duration-200 ${
+              view === 'all' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            All scheduled
+          </button>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="px-4 py-8 text-center text-sm text-gray-500">
+          {view === 'due' ? 'No calls due right now.' : 'No follow-up calls scheduled.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto max-h-[28rem] overflow-y-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Due</th>
+                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Contact</th>
+                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Phone</th>
+                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Last Call</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {rows.map(({ contact, activity, dueAt, state }) => {
+                const contactId = getContactId(contact);
+                const lastCall = [activity.callNumber, activity.callStatus].filter(Boolean).join(' · ') || 'Logged';
+
+                return (
+                  <tr key={contactId} className="hover:bg-gray-50 align-top">
+                    <td className="px-4 py-3 text-sm whitespace-nowrap">
+                      <span className={`px-2 py-1 text-xs font-semibold rounded-full ${STATE_STYLES[state].className}`}>
+                        {STATE_STYLES[state].label}
+                      </span>
+                      <div className="mt-1 text-xs text-gray-600">{formatDue(dueAt, !!activity.nextActionTimed)}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <div className="font-semibold text-gray-900">{contact.name || 'Unknown'}</div>
+                      <div className="text-xs text-gray-500">{[contact.title, contact.company].filter(Boolean).join(' · ')}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm whitespace-nowrap">
+                      {contact.firstPhone ? (
+                        <a href={`tel:${contact.firstPhone}`} className="text-blue-600 hover:text-blue-800">{contact.firstPhone}</a>
+                      ) : (
+                        <span className="text-gray-400">N/A</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">{lastCall}</td>
+                    <td className="px-4 py-3 text-sm text-right whitespace-nowrap">
+                      {canViewHistory && (
+                        <button onClick={() => openHistory(contactId)} className="font-medium text-blue-600 hover:text-blue-800">
+                          History
+                        </button>
+                      )}
+                      {canLogActivity && (
+                        <button onClick={() => setCallingContact(contact)} className="ml-3 font-medium text-blue-600 hover:text-blue-800">
+                          Log call
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {callingContact && (
+        <ActivityLogModal
+          isOpen
+          onClose={handleActivityLogClose}
+          type="call"
+          contactName={callingContact.name || 'N/A'}
+          companyName={callingContact.company || ''}
+          projectId={projectId}
+          contactId={getContactId(callingContact)}
+          phoneNumber={callingContact.firstPhone || null}
+          email={callingContact.email || null}
+          linkedInProfileUrl={callingContact.personLinkedinUrl || callingContact.companyLinkedinUrl || null}
+          statusSchema={statusSchema}
+          callRetryRules={callRetryRules}
+        />
+      )}
+    </div>
+  );
+}
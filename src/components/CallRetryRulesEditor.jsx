@@ -0,0 +1,107 @@
+import { CALL_RETRY_MODES, MAX_CALL_RETRY_DELAY_HOURS } from '../utils/callRetry';
+
+// Edits a project's call retry rules ([{ status, mode, delayHours, maxAttempts }]). `statuses` are the
+// project's call status labels; each status can have one rule.
+export default function CallRetryRulesEditor({ value, onChange, statuses }) {
+  const rules = value || [];
+  const unusedStatuses = statuses.filter(status => !rules.some(r => r.status === status));
+
+  const updateRule = (index, field, fieldValue) => {
+    onChange(rules.map((r, i) => (i === index ? { ...r, [field]: fieldValue } : r)));
+  };
+
+  const addRule = () => {
+    onChange([...rules, { status: unusedStatuses[0] || '', mode: 'delay', delayHours: 2, maxAttempts: 5 }]);
+  };
+
+  const removeRule = (index) => {
+    onChange(rules.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-2">
+      {rules.length === 0 ? (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-center">
+          <p className="text-sm text-gray-500">No retry rules. Reps schedule every callback by hand.</p>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-12 gap-2 px-2 text-xs font-semibold text-gray-500 uppercase">
+            <span className="col-span-3">Status</span>
+            <span className="col-span-4">Call back</span>
+            <span className="col-span-2">Hours</span>
+            <span className="col-span-2">Max calls</span>
+          </div>
+          {rules.map((r, index) => {
+            const statusMissing = r.status && !statuses.includes(r.status);
+            return (
+              <div key={index} className="grid grid-cols-12 gap-2 items-center p-2 border border-gray-200 rounded-lg">
+                <select
+                  value={r.status}
+                  onChange={(e) => updateRule(index, 'status', e.target.value)}
+                  className={`col-span-3 px-2 py-1.5 text-sm border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white ${
+                    statusMissing ? 'border-orange-300' : 'border-gray-300'
+                  }`}
+                >
+                  {statusMissing && <option value={r.status}>{r.status}</option>}
+                  {statuses.map(status => (
+                    <option key={status} value={status} disabled={status !== r.status && rules.some(other => other.status === status)}>
+                      {status}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  value={r.mode}
+                  onChange={(e) => updateRule(index, 'mode', e.target.value)}
+                  className="col-span-4 px-2 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+                >
+                  {CALL_RETRY_MODES.map(mode => (
+                    <option key={mode.key} value={mode.key}>{mode.label}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min={1}
+                  max={MAX_CALL_RETRY_DELAY_HOURS}
+                  value={r.mode === 'delay' ? r.delayHours : ''}
+                  disabled={r.mode !== 'delay'}
+                  onChange={(e) => updateRule(index, 'delayHours', Math.min(MAX_CALL_RETRY_DELAY_HOURS, Math.max(1, parseInt(e.target.value, 10) || 1)))}
+                  className="col-span-2 px-2 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                />
+                <input
+                  type="number"
+                  min={1}
+                  value={r.maxAttempts}
+                  onChange={(e) => updateRule(index, 'maxAttempts', Math.max(1, parseInt(e.target.value, 10) || 1))}
+                  className="col-span-2 px-2 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="button"
+                  onClick={() => removeRule(index)}
+                  className="col-span-1 text-red-600 hover:text-red-700 text-sm justify-self-end"
+                  title="Remove rule"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+                {statusMissing && (
+                  <p className="col-span-12 text-xs text-orange-600">This status is no longer in the call list, so the rule never applies.</p>
+                )}
+              </div>
+            );
+          })}
+        </>
+      )}
+      {unusedStatuses.length > 0 && (
+        <button
+          type="button"
+          onClick={addRule}
+          className="w-full py-2 text-sm font-medium text-blue-600 border-2 border-dashed border-blue-200 rounded-lg hover:bg-blue-50"
+        >
+          + Add Rule
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react';
+import API from '../api/axios';
+import AuditEntryList from './AuditEntryList';
+import { AUDIT_PAGE_SIZE } from '../utils/auditLog';
+
+// Change history for one contact: its own fields plus its activities and project stages.
+// `refreshKey` changes after the page saves something so the newest entry shows up.
+export default function ChangeHistory({ contactId, refreshKey }) {
+  const [entries, setEntries] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchHistory = async (pageToLoad) => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await API.get(`/contacts/${contactId}/history`, {
+        params: { page: pageToLoad, limit: AUDIT_PAGE_SIZE }
+      });
+      if (response.data.success) {
+        const list = response.data.data || [];
+        setEntries(prev => (pageToLoad === 1 ? list : [...prev, ...list]));
+        setHasMore(pageToLoad < (response.data.totalPages || 0));
+        setPage(pageToLoad);
+      }
+    } catch (err) {
+      console.error('Error fetching change history:', err);
+      setError('Couldn\'t load the change history. Try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (contactId) fetchHistory(1);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [contactId, refreshKey]);
+
+  if (error) {
+    return <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>;
+  }
+
+  if (loading && entries.length === 0) {
+    return (
+      <div className="py-10 flex justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-2 border-gray-200 border-t-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (entries.length === 0) {
+    return <p className="py-10 text-center text-sm text-gray-500">No changes recorded yet.</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <AuditEntryList entries={entries} />
+      {hasMore && (
+        <div className="flex justify-center">
+          <button
+            onClick={() => fetchHistory(page + 1)}
+            disabled={loading}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            {loading ? 'Loading...' : 'Load older changes'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react';
+import API from '../api/axios';
+
+const getInviteLink = (token) => `${window.location.origin}/client/invite/${token}`;
+
+export default function ClientInviteModal({ isOpen, onClose, projectId }) {
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [email, setEmail] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+  const [copiedId, setCopiedId] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !projectId) return;
+
+    const fetchInvites = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await API.get(`/projects/${projectId}/client-invites`);
+        if (response.data.success) {
+          setInvites(response.data.data || []);
+        }
+      } catch (err) {
+        console.error('Error fetching client invites:', err);
+        setError('Couldn\'t load existing invites. Close this window and try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchInvites();
+  }, [isOpen, projectId]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      setError('Enter the stakeholder\'s email address.');
+      return;
+    }
+    try {
+      setCreating(true);
+      setError('');
+      const response = await API.post(`/projects/${projectId}/client-invites`, { email: email.trim() });
+      if (response.data.success) {
+        setInvites([response.data.data, ...invites]);
+        setEmail('');
+      }
+    } catch (err) {
+      console.error('Error creating client invite:', err);
+      setError(err.response?.data?.error || 'Couldn\'t create the invite. Try again.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (inviteId) => {
+    if (!window.confirm('Revoke this invite? The link will stop working immediately.')) return;
+    try {
+      setError('');
+      await API.delete(`/projects/${projectId}/client-invites/${inviteId}`);
+      setInvites(invites.filter(invite => invite._id !== inviteId));
+    } catch (err) {
+      console.error('Error revoking client invite:', err);
+      setError('Couldn\'t revoke the invite. Try again.');
+    }
+  };
+
+  const handleCopy = async (invite) => {
+    try {
+      await navigator.clipboard.writeText(getInviteLink(invite.token));
+      setCopiedId(invite._id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      console.error('Error copying invite link:', err);
+      setError('Couldn\'t copy the link. Select it and copy it manually.');
+    }
+  };
+
+  const handleClose = () => {
+    setEmail('');
+    setError('');
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl mx-4 max-h-[90vh] overflow-y-auto animate-fade-in">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-xl font-bold text-gray-900">Share with Client</h2>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-5">
+          <p className="text-sm text-gray-600">
+            Invited stakeholders get a read-only view of this project: quota progress, funnel counts, meetings booked
+            and the monthly report. Prospect names, internal notes and other projects stay hidden. After opening the link
+            once they can also sign in from the login page with the invited email.
+          </p>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+          )}
+
+          <form onSubmit={handleCreate} className="flex gap-2">
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="stakeholder@client.com"
+              className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+            />
+            <button
+              type="submit"
+              disabled={creating}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {creating ? 'Creating...' : 'Create Invite'}
+            </button>
+          </form>
+
+          {/* Invite List */}
+          {loading ? (
+            <div className="flex justify-center py-6">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : invites.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-4">No one has been invited yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {invites.map((invite) => (
+                <li key={invite._id} className="p-3 space-y-2">
+                  <div className="flex items-center justify-between gap-3">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{invite.email}</p>
+                      <p className="text-xs text-gray-500">
+                        Invited {new Date(invite.createdAt).toLocaleDateString()}
+                        {invite.lastAccessedAt && ` · last viewed ${new Date(invite.lastAccessedAt).toLocaleDateString()}`}
+                        {invite.expiresAt && ` · expires ${new Date(invite.expiresAt).toLocaleDateString()}`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleRevoke(invite._id)}
+                      className="px-3 py-1.5 text-xs font-medium text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition-colors"
+                    >
+                      Revoke
+                    </button>
+                  </div>
+                  {invite.token && (
+                    <div className="flex gap-2">
+                      <input
+                        type="text"
+                        readOnly
+                        value={getInviteLink(invite.token)}
+                        onFocus={(e) => e.target.select()}
+                        className="flex-1 px-2 py-1 text-xs text-gray-600 bg-gray-50 border border-gray-200 rounded"
+                      />
+                      <button
+                        onClick={() => handleCopy(invite)}
+                        className="px-3 py-1 text-xs font-medium text-blue-600 bg-blue-50 rounded hover:bg-blue-100 transition-colors"
+                      >
+                        {copiedId === invite._id ? 'Copied' : 'Copy link'}
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import { useEffect } from 'react';
+import { Outlet, Navigate, Link, useNavigate, useLocation } from 'react-router-dom';
+import SessionExpiryWarning from './SessionExpiryWarning';
+import { getToken, logout, onSessionClearedElsewhere, buildLoginPath } from '../api/session';
+import { getCurrentUser } from '../utils/permissions';
+
+// Shell for client stakeholders: no sidebar, nothing that links into the internal app
+export default function ClientPortalLayout() {
+  const token = getToken();
+  const user = getCurrentUser();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  useEffect(() => {
+    return onSessionClearedElsewhere(() => {
+      navigate(buildLoginPath(`${location.pathname}${location.search}`), { replace: true });
+    });
+  }, [navigate, location.pathname, location.search]);
+
+  if (!token) {
+    return <Navigate to="/login" replace />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <header className="bg-white border-b border-gray-200">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 py-3 flex items-center justify-between gap-4">
+          <Link to="/client" className="flex items-center gap-2">
+            <div className="w-8 h-8 bg-blue-600 rounded flex items-center justify-center flex-shrink-0">
+              <div className="w-5 h-5 bg-white rounded-full flex items-center justify-center">
+                <div className="w-2.5 h-2.5 bg-blue-600 rounded-full"></div>
+              </div>
+            </div>
+            <span className="text-sm font-semibold text-gray-900">Outbound SaaS</span>
+            <span className="px-2 py-0.5 text-xs font-medium text-blue-700 bg-blue-50 rounded-full">Client Portal</span>
+          </Link>
+          <div className="flex items-center gap-3">
+            {user?.email && <span className="hidden sm:inline text-sm text-gray-500">{user.email}</span>}
+            <button
+              onClick={() => logout()}
+              className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              Log out
+            </button>
+          </div>
+        </div>
+      </header>
+      <SessionExpiryWarning />
+      <Outlet />
+    </div>
+  );
+}
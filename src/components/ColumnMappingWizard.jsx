@@ -0,0 +1,217 @@
+import { useState, useMemo } from 'react';
+import {
+  CONTACT_IMPORT_FIELDS,
+  applyPreset,
+  applyMapping,
+  getMissingRequiredFields,
+  loadMappingPresets,
+  saveMappingPreset,
+  deleteMappingPreset
+} from '../utils/importMapping';
+
+const PREVIEW_ROWS = 5;
+
+export default function ColumnMappingWizard({ parsed, mapping, onMappingChange }) {
+  const [presets, setPresets] = useState(() => loadMappingPresets());
+  const [selectedPreset, setSelectedPreset] = useState('');
+  const [presetName, setPresetName] = useState('');
+  const [showSavePreset, setShowSavePreset] = useState(false);
+
+  const headers = parsed?.headers || [];
+  const missingRequired = getMissingRequiredFields(mapping);
+
+  const previewRows = useMemo(
+    () => applyMapping((parsed?.rows || []).slice(0, PREVIEW_ROWS), mapping),
+    [parsed, mapping]
+  );
+
+  const previewColumns = CONTACT_IMPORT_FIELDS
+    .filter(f => !f.virtual && (Object.values(mapping).includes(f.key)
+      || (f.key === 'Name' && Object.values(mapping).some(v => v === 'First Name' || v === 'Last Name'))))
+    .map(f => f.key);
+
+  const duplicateTargets = Object.values(mapping)
+    .filter((field, i, all) => field && all.indexOf(field) !== i);
+
+  const handlePresetChange = (name) => {
+    setSelectedPreset(name);
+    const preset = presets.find(p => p.name === name);
+    if (preset) {
+      onMappingChange(applyPreset(headers, preset));
+    }
+  };
+
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    if (presets.some(p => p.builtIn && p.name === name)) {
+      alert('That name is used by a built-in preset. Pick another one.');
+      return;
+    }
+    setPresets(saveMappingPreset(name, mapping));
+    setSelectedPreset(name);
+    setPresetName('');
+    setShowSavePreset(false);
+  };
+
+  const handleDeletePreset = () => {
+    if (!selectedPreset) return;
+    if (window.confirm(`Delete the "${selectedPreset}" preset?`)) {
+      setPresets(deleteMappingPreset(selectedPreset));
+      setSelectedPreset('');
+    }
+  };
+
+  const selectedIsBuiltIn = presets.find(p => p.name === selectedPreset)?.builtIn;
+
+  return (
+    <div className="space-y-4">
+      {/* Presets */}
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="text-sm font-medium text-gray-700">Preset</label>
+        <select
+          value={selectedPreset}
+          onChange={(e) => handlePresetChange(e.target.value)}
+          className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Auto-detected</option>
+          {presets.map((preset) => (
+            <option key={preset.name} value={preset.name}>
+              {preset.name}{preset.builtIn ? '' : ' (saved)'}
+            </option>
+          ))}
+        </select>
+        {selectedPreset && !selectedIsBuiltIn && (
+          <button
+            type="button"
+            onClick={handleDeletePreset}
+            className="text-xs text-red-600 hover:text-red-700 font-medium"
+          >
+            Delete
+          </button>
+        )}
+        <div className="ml-auto flex items-center gap-2">
+          {showSavePreset ? (
+            <>
+              <input
+                type="text"
+                value={presetName}
+                onChange={(e) => setPresetName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    handleSavePreset();
+                  }
+                }}
+                placeholder="Preset name"
+                className="border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="button"
+                onClick={handleSavePreset}
+                disabled={!presetName.trim()}
+                className="px-3 py-1.5 text-sm font-medium text-white bg-green-600 rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowSavePreset(false)}
+                className="text-sm text-gray-600 hover:text-gray-900"
+              >
+                Cancel
+              </button>
+            </>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setShowSavePreset(true)}
+              className="px-3 py-1.5 text-sm font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
+            >
+              Save as preset
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Header → Field Mapping */}
+      <div className="border border-gray-200 rounded-lg overflow-hidden">
+        <div className="grid grid-cols-12 gap-2 px-3 py-2 bg-gray-50 text-xs font-semibold text-gray-500 uppercase">
+          <span className="col-span-4">File column</span>
+          <span className="col-span-4">Sample</span>
+          <span className="col-span-4">Maps to</span>
+        </div>
+        <div className="max-h-72 overflow-y-auto divide-y divide-gray-100">
+          {headers.map((header) => {
+            const sample = (parsed.rows.find(row => row[header]) || {})[header] || '';
+            const target = mapping[header] || '';
+            return (
+              <div key={header} className="grid grid-cols-12 gap-2 px-3 py-2 items-center">
+                <span className="col-span-4 text-sm font-medium text-gray-900 truncate" title={header}>{header}</span>
+                <span className="col-span-4 text-xs text-gray-500 truncate" title={sample}>{sample || '—'}</span>
+                <select
+                  value={target}
+                  onChange={(e) => onMappingChange({ ...mapping, [header]: e.target.value })}
+                  className={`col-span-4 px-2 py-1.5 text-sm border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                    duplicateTargets.includes(target)
+                      ? 'border-orange-300 bg-orange-50'
+                      : target ? 'border-green-300 bg-green-50' : 'border-gray-300'
+                  }`}
+                >
+                  <option value="">Don't import</option>
+                  {CONTACT_IMPORT_FIELDS.map((field) => (
+                    <option key={field.key} value={field.key}>
+                      {field.key}{field.required ? ' *' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {duplicateTargets.length > 0 && (
+        <p className="text-xs text-orange-600">
+          Several columns map to {[...new Set(duplicateTargets)].join(', ')}. The first non-empty value per row is used.
+        </p>
+      )}
+
+      {missingRequired.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+          <p className="text-sm text-red-700">
+            Map a column to each required field before importing: <span className="font-semibold">{missingRequired.join(', ')}</span>
+          </p>
+        </div>
+      )}
+
+      {/* Preview */}
+      {previewRows.length > 0 && previewColumns.length > 0 && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2">
+            Preview (first {previewRows.length} of {parsed.rows.length} rows)
+          </p>
+          <div className="overflow-x-auto border border-gray-200 rounded-lg">
+            <table className="min-w-full text-xs">
+              <thead className="bg-gray-50">
+                <tr>
+                  {previewColumns.map((column) => (
+                    <th key={column} className="px-3 py-2 text-left font-semibold text-gray-600 whitespace-nowrap">{column}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {previewRows.map((row, idx) => (
+                  <tr key={idx}>
+                    {previewColumns.map((column) => (
+                      <td key={column} className="px-3 py-2 text-gray-700 whitespace-nowrap max-w-xs truncate">{row[column] || ''}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+import { useState, useEffect, useMemo } from 'react';
+import API from '../api/axios';
+import { findCompanyAliases } from '../utils/contactMerge';
+
+// Folds other spellings of a company ("ACME", "Acme Inc.") into one name, so the company view
+// stops splitting the same business. The server rewrites `company` on every contact under an alias.
+export default function CompanyMergeModal({ isOpen, onClose, companyName, category, onMerged }) {
+  const [companies, setCompanies] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState('');
+  const [selectedNames, setSelectedNames] = useState([]);
+  const [canonicalName, setCanonicalName] = useState(companyName);
+  const [merging, setMerging] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const fetchCompanies = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const params = {};
+        if (category && category !== 'All') params.category = category;
+        const response = await API.get('/contacts/companies', { params });
+        const list = response?.data?.data || [];
+        setCompanies(Array.isArray(list) ? list : []);
+        setSelectedNames(findCompanyAliases(companyName, list).map(company => company.name));
+      } catch (err) {
+        console.error('Error fetching companies:', err);
+        setError('Couldn\'t load companies. Try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    setSearch('');
+    setCanonicalName(companyName);
+    fetchCompanies();
+  }, [isOpen, companyName, category]);
+
+  const suggestedNames = useMemo(
+    () => findCompanyAliases(companyName, companies).map(company => company.name),
+    [companyName, companies]
+  );
+
+  const visibleCompanies = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    const others = companies.filter(company => company.name !== companyName && company.name !== 'No Company');
+    if (!term) return others.filter(company => suggestedNames.includes(company.name) || selectedNames.includes(company.name));
+    return others.filter(company => company.name.toLowerCase().includes(term)).slice(0, 50);
+  }, [companies, companyName, search, suggestedNames, selectedNames]);
+
+  if (!isOpen) return null;
+
+  const toggleName = (name) => {
+    setSelectedNames(prev => (prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]));
+    if (canonicalName === name) setCanonicalName(companyName);
+  };
+
+  const handleMerge = async () => {
+    const aliases = [companyName, ...selectedNames].filter(name => name !== canonicalName);
+    try {
+      setMerging(true);
+      setError('');
+      const params = {};
+      if (category && category !== 'All') params.category = category;
+      const response = await API.post('/contacts/companies/merge', { canonicalName, aliases }, { params });
+      if (response.data.success) {
+        onMerged?.(canonicalName, response.data.data);
+        onClose();
+      }
+    } catch (err) {
+      console.error('Error merging companies:', err);
+      setError(err.response?.data?.error || 'Couldn\'t merge these companies. Try again.');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const countFor = (name) => companies.find(company => company.name === name)?.count;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-xl mx-4 max-h-[90vh] overflow-y-auto animate-fade-in">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-xl font-bold text-gray-900">Merge Company Names</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-5">
+          <p className="text-sm text-gray-600">
+            Pick the other spellings of <span className="font-semibold text-gray-900">{companyName}</span>.
+            Every contact under them is moved to the name you keep.
+          </p>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+          )}
+
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search other company names..."
+            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+
+          <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-64 overflow-y-auto">
+            {loading ? (
+              <div className="p-6 flex justify-center">
+                <div className="animate-spin rounded-full h-6 w-6 border-2 border-gray-200 border-t-blue-600"></div>
+              </div>
+            ) : visibleCompanies.length === 0 ? (
+              <p className="p-4 text-sm text-gray-500">
+                {search.trim() ? 'No companies match that search.' : 'No likely aliases found. Search to pick one by hand.'}
+              </p>
+            ) : (
+              visibleCompanies.map(company => (
+                <label key={company.name} className="flex items-center justify-between gap-3 px-4 py-2 text-sm cursor-pointer hover:bg-gray-50">
+                  <span className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={selectedNames.includes(company.name)}
+                      onChange={() => toggleName(company.name)}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span className="text-gray-900">{company.name}</span>
+                    {suggestedNames.includes(company.name) && (
+                      <span className="px-2 py-0.5 text-xs font-medium rounded-full bg-amber-100 text-amber-800">Likely alias</span>
+                    )}
+                  </span>
+                  <span className="text-xs text-gray-500">{company.count} {company.count === 1 ? 'person' : 'people'}</span>
+                </label>
+              ))
+            )}
+          </div>
+
+          {selectedNames.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name to keep</label>
+              <div className="space-y-1">
+                {[companyName, ...selectedNames].map(name => (
+                  <label key={name} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="canonical-company"
+                      checked={canonicalName === name}
+                      onChange={() => setCanonicalName(name)}
+                      className="text-blue-600 focus:ring-blue-500"
+                    />
+                    {name}
+                    {countFor(name) !== undefined && <span className="text-xs text-gray-400">({countFor(name)})</span>}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              onClick={onClose}
+              disabled={merging}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleMerge}
+              disabled={merging || selectedNames.length === 0}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {merging ? 'Merging...' : `Merge ${selectedNames.length + 1} names`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
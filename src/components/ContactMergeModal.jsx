@@ -0,0 +1,171 @@
+import { useState, useEffect } from 'react';
+import API from '../api/axios';
+import {
+  MERGE_FIELDS,
+  pickSurvivor,
+  getDefaultFieldChoices,
+  buildMergedValues
+} from '../utils/contactMerge';
+
+// Side-by-side merge of duplicate contacts. One record survives with the values picked per field;
+// the server moves the others' activities and project memberships onto it and deletes them.
+export default function ContactMergeModal({ isOpen, onClose, contacts = [], onMerged }) {
+  const [survivorId, setSurvivorId] = useState(null);
+  const [fieldChoices, setFieldChoices] = useState({});
+  const [merging, setMerging] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen || contacts.length < 2) return;
+    const survivor = pickSurvivor(contacts);
+    setSurvivorId(survivor._id);
+    setFieldChoices(getDefaultFieldChoices(contacts, survivor._id));
+    setError('');
+    // Reset only when the dialog opens for a new set of contacts
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, contacts.map(contact => contact._id).join(':')]);
+
+  if (!isOpen || contacts.length < 2) return null;
+
+  const handleSurvivorChange = (contactId) => {
+    setSurvivorId(contactId);
+    setFieldChoices(getDefaultFieldChoices(contacts, contactId));
+  };
+
+  const handleMerge = async () => {
+    const duplicateIds = contacts.filter(contact => contact._id !== survivorId).map(contact => contact._id);
+    const confirmMessage = `Merge ${contacts.length} contacts into one? The other ${duplicateIds.length === 1 ? 'record' : `${duplicateIds.length} records`} will be removed.`;
+    if (!window.confirm(confirmMessage)) return;
+
+    try {
+      setMerging(true);
+      setError('');
+      const response = await API.post('/contacts/merge', {
+        survivorId,
+        duplicateIds,
+        values: buildMergedValues(contacts, fieldChoices)
+      });
+      if (response.data.success) {
+        onMerged?.(response.data.data);
+        onClose();
+      }
+    } catch (err) {
+      console.error('Error merging contacts:', err);
+      setError(err.response?.data?.error || 'Couldn\'t merge these contacts. Try again.');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-5xl mx-4 max-h-[90vh] overflow-y-auto animate-fade-in">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Merge Contacts</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              Pick the record to keep and the value to keep for each field.
+              Activities and project memberships from the other records move to it.
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-5">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+          )}
+
+          <div className="overflow-x-auto border border-gray-200 rounded-lg">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-40">Field</th>
+                  {contacts.map((contact, index) => (
+                    <th key={contact._id} className="px-4 py-3 text-left">
+                      <label className="flex items-center gap-2 text-xs font-medium text-gray-700 cursor-pointer">
+                        <input
+                          type="radio"
+                          name="merge-survivor"
+                          checked={survivorId === contact._id}
+                          onChange={() => handleSurvivorChange(contact._id)}
+                          className="text-blue-600 focus:ring-blue-500"
+                        />
+                        <span>
+                          Record {index + 1}
+                          {survivorId === contact._id && <span className="ml-1 text-blue-600">(keep)</span>}
+                        </span>
+                      </label>
+                      {contact.createdAt && (
+                        <div className="text-xs font-normal text-gray-400 mt-0.5 ml-5">
+                          Added {new Date(contact.createdAt).toLocaleDateString()}
+                        </div>
+                      )}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {MERGE_FIELDS.map(field => {
+                  const values = contacts.map(contact => String(contact[field.key] ?? '').trim());
+                  const differs = new Set(values.filter(Boolean)).size > 1;
+                  return (
+                    <tr key={field.key} className={differs ? 'bg-amber-50/40' : ''}>
+                      <td className="px-4 py-2 font-medium text-gray-700">
+                        {field.label}
+                        {differs && <span className="ml-1 text-xs text-amber-600">differs</span>}
+                      </td>
+                      {contacts.map((contact, index) => (
+                        <td key={contact._id} className="px-4 py-2">
+                          <label className={`flex items-start gap-2 ${values[index] ? 'cursor-pointer' : 'cursor-default'}`}>
+                            <input
+                              type="radio"
+                              name={`merge-${field.key}`}
+                              checked={fieldChoices[field.key] === contact._id}
+                              onChange={() => setFieldChoices(prev => ({ ...prev, [field.key]: contact._id }))}
+                              disabled={!values[index]}
+                              className="mt-0.5 text-blue-600 focus:ring-blue-500 disabled:opacity-30"
+                            />
+                            <span className={`break-all ${values[index] ? 'text-gray-900' : 'text-gray-400 italic'}`}>
+                              {values[index] || 'empty'}
+                            </span>
+                          </label>
+                        </td>
+                      ))}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              onClick={onClose}
+              disabled={merging}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleMerge}
+              disabled={merging || !survivorId}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {merging ? 'Merging...' : `Merge ${contacts.length} contacts`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
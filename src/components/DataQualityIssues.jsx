@@ -0,0 +1,330 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import API from '../api/axios';
+import { hasPermission, PERMISSIONS } from '../utils/permissions';
+import {
+  DATA_QUALITY_FIELD_LABELS,
+  getDataQualityCheck,
+  getFieldIssue,
+  validateFieldValue
+} from '../utils/dataQuality';
+
+const PAGE_SIZE = 25;
+
+const ISSUE_CELL_CLASSES = {
+  missing: 'bg-amber-50 text-amber-800',
+  invalid: 'bg-red-50 text-red-700'
+};
+
+// Contacts failing one Data Quality check, with the offending fields highlighted and editable in place.
+// Render with key={checkKey} so switching checks starts again from page 1.
+export default function DataQualityIssues({ checkKey, onClose, onChanged }) {
+  const navigate = useNavigate();
+  const check = getDataQualityCheck(checkKey);
+  const canEdit = hasPermission(PERMISSIONS.EDIT_CONTACTS);
+
+  const [contacts, setContacts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [editing, setEditing] = useState(null); // { contactId, field, value, error }
+  const [saving, setSaving] = useState(false);
+  const [marking, setMarking] = useState(false);
+
+  const fetchIssues = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await API.get('/dashboard/data-quality/issues', {
+        params: { check: checkKey, page, limit: PAGE_SIZE }
+      });
+      const list = response?.data?.data || [];
+      setContacts(Array.isArray(list) ? list : []);
+      setPagination({
+        total: response?.data?.total || 0,
+        totalPages: response?.data?.totalPages || 0
+      });
+    } catch (err) {
+      console.error('Error fetching data quality issues:', err);
+      setError('Couldn\'t load these contacts. Try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setSelectedIds([]);
+    setEditing(null);
+    fetchIssues();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [checkKey, page]);
+
+  if (!check) return null;
+
+  const toggleSelected = (contactId) => {
+    setSelectedIds(prev => (prev.includes(contactId) ? prev.filter(id => id !== contactId) : [...prev, contactId]));
+  };
+
+  const allSelected = contacts.length > 0 && contacts.every(contact => selectedIds.includes(contact._id));
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? [] : contacts.map(contact => contact._id));
+  };
+
+  const startEditing = (contact, field) => {
+    if (!canEdit || saving) return;
+    setEditing({ contactId: contact._id, field, value: contact[field] || '', error: '' });
+  };
+
+  const handleSaveField = async () => {
+    if (!editing) return;
+    const message = validateFieldValue(editing.field, editing.value);
+    if (message) {
+      setEditing(prev => ({ ...prev, error: message }));
+      return;
+    }
+    try {
+      setSaving(true);
+      const value = editing.value.trim();
+      const response = await API.put(`/contacts/${editing.contactId}`, { [editing.field]: value });
+      if (response.data.success) {
+        const updated = response.data.data || {};
+        setContacts(prev => prev.map(contact => {
+          if (contact._id !== editing.contactId) return contact;
+          return {
+            ...contact,
+            ...updated,
+            [editing.field]: value,
+            // A corrected value clears the researcher's invalid flag for that field
+            invalidFields: (contact.invalidFields || []).filter(field => field !== editing.field)
+          };
+        }));
+        setEditing(null);
+        onChanged?.();
+      }
+    } catch (err) {
+      console.error('Error updating contact field:', err);
+      setEditing(prev => ({ ...prev, error: err.response?.data?.error || 'Couldn\'t save that. Try again.' }));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMarkInvalid = async () => {
+    if (selectedIds.length === 0) return;
+    const fieldNames = check.fields.map(field => DATA_QUALITY_FIELD_LABELS[field]).join(', ');
+    const confirmMessage = selectedIds.length === 1
+      ? `Mark the ${fieldNames} of this contact as invalid?`
+      : `Mark the ${fieldNames} of ${selectedIds.length} contacts as invalid?`;
+    if (!window.confirm(confirmMessage)) return;
+
+    try {
+      setMarking(true);
+      const response = await API.post('/dashboard/data-quality/mark-invalid', {
+        contactIds: selectedIds,
+        fields: check.fields
+      });
+      if (response.data.success) {
+        setSelectedIds([]);
+        onChanged?.();
+        await fetchIssues();
+      }
+    } catch (err) {
+      console.error('Error marking contacts invalid:', err);
+      alert('Couldn\'t mark those contacts as invalid. Try again.');
+    } finally {
+      setMarking(false);
+    }
+  };
+
+  const isResolved = (contact) => check.fields.length > 0 && check.fields.every(field => !getFieldIssue(contact, field));
+
+  const renderFieldCell = (contact, field) => {
+    const isEditing = editing?.contactId === contact._id && editing.field === field;
+    if (isEditing) {
+      return (
+        <td key={field} className="px-4 py-2 align-top">
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={editing.value}
+              autoFocus
+              disabled={saving}
+              onChange={(e) => setEditing(prev => ({ ...prev, value: e.target.value, error: '' }))}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleSaveField();
+                if (e.key === 'Escape') setEditing(null);
+              }}
+              className="w-full min-w-[10rem] px-2 py-1 text-sm border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button
+              onClick={handleSaveField}
+              disabled={saving}
+              className="px-2 py-1 text-xs font-medium text-white bg-blue-600 rounded hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button
+              onClick={() => setEditing(null)}
+              disabled={saving}
+              className="px-2 py-1 text-xs font-medium text-gray-600 hover:text-gray-900"
+            >
+              Cancel
+            </button>
+          </div>
+          {editing.error && <p className="text-xs text-red-600 mt-1">{editing.error}</p>}
+        </td>
+      );
+    }
+
+    const issue = getFieldIssue(contact, field);
+    return (
+      <td key={field} className="px-4 py-2 align-top">
+        <button
+          onClick={() => startEditing(contact, field)}
+          disabled={!canEdit}
+          title={issue ? `${issue === 'missing' ? 'Missing' : 'Invalid'} ${DATA_QUALITY_FIELD_LABELS[field]}` : undefined}
+          className={`w-full text-left text-sm px-2 py-1 rounded ${issue ? ISSUE_CELL_CLASSES[issue] : 'text-gray-700'} ${canEdit ? 'hover:ring-1 hover:ring-blue-300 cursor-text' : 'cursor-default'}`}
+        >
+          {contact[field] || <span className="italic">missing</span>}
+        </button>
+      </td>
+    );
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">{check.issueLabel}</h3>
+          <p className="text-sm text-gray-500">
+            {pagination.total.toLocaleString()} {pagination.total === 1 ? 'contact' : 'contacts'}
+            {canEdit && check.fields.length > 0 && ' · Click a highlighted field to fix it'}
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          {canEdit && check.canMarkInvalid && (
+            <button
+              onClick={handleMarkInvalid}
+              disabled={selectedIds.length === 0 || marking}
+              className="px-3 py-1.5 text-sm font-medium text-red-700 bg-red-50 border border-red-200 rounded-lg hover:bg-red-100 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {marking ? 'Marking...' : `Mark invalid${selectedIds.length > 0 ? ` (${selectedIds.length})` : ''}`}
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+            title="Close"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="m-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+      )}
+
+      {loading ? (
+        <div className="h-40 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-2 border-gray-200 border-t-blue-600"></div>
+        </div>
+      ) : contacts.length === 0 ? (
+        !error && (
+          <div className="h-40 flex items-center justify-center text-gray-500">
+            <p className="text-sm">No contacts fail this check.</p>
+          </div>
+        )
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {canEdit && check.canMarkInvalid && (
+                  <th className="px-4 py-3 w-10">
+                    <input
+                      type="checkbox"
+                      checked={allSelected}
+                      onChange={toggleAll}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                  </th>
+                )}
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contact</th>
+                {check.fields.map(field => (
+                  <th key={field} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {DATA_QUALITY_FIELD_LABELS[field]}
+                  </th>
+                ))}
+                {check.fields.length === 0 && (
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Activity</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {contacts.map(contact => (
+                <tr key={contact._id} className={isResolved(contact) ? 'bg-green-50' : ''}>
+                  {canEdit && check.canMarkInvalid && (
+                    <td className="px-4 py-2 align-top">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(contact._id)}
+                        onChange={() => toggleSelected(contact._id)}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                    </td>
+                  )}
+                  <td className="px-4 py-2 align-top">
+                    <button
+                      onClick={() => navigate(`/contacts/${contact._id}`)}
+                      className="text-sm font-medium text-blue-600 hover:text-blue-800 text-left"
+                    >
+                      {contact.name || 'Unnamed contact'}
+                    </button>
+                    <div className="text-xs text-gray-500">
+                      {contact.company || '—'}
+                      {isResolved(contact) && <span className="ml-2 text-green-700 font-medium">Fixed</span>}
+                    </div>
+                  </td>
+                  {check.fields.map(field => renderFieldCell(contact, field))}
+                  {check.fields.length === 0 && (
+                    <td className="px-4 py-2 align-top text-sm text-gray-700">
+                      {contact.lastActivityAt ? new Date(contact.lastActivityAt).toLocaleDateString() : 'Never'}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200 text-sm text-gray-600">
+          <span>Page {page} of {pagination.totalPages}</span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setPage(prev => Math.max(1, prev - 1))}
+              disabled={page <= 1 || loading}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(prev => Math.min(pagination.totalPages, prev + 1))}
+              disabled={page >= pagination.totalPages || loading}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
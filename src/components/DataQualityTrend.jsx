@@ -0,0 +1,83 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Line } from 'react-chartjs-2';
+import API from '../api/axios';
+import { DATA_QUALITY_CHECKS, QUALITY_TREND_DAYS, toQualityTrendPercents } from '../utils/dataQuality';
+
+const TREND_COLORS = ['rgb(59, 130, 246)', 'rgb(34, 197, 94)', 'rgb(249, 115, 22)', 'rgb(168, 85, 247)', 'rgb(156, 163, 175)'];
+
+// Share of contacts passing each Data Quality check, one point per daily snapshot.
+// `refreshKey` changes whenever the drill-down fixes or flags something.
+export default function DataQualityTrend({ refreshKey }) {
+  const [points, setPoints] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchTrend = async () => {
+      try {
+        const response = await API.get('/dashboard/data-quality/trend', { params: { days: QUALITY_TREND_DAYS } });
+        if (response.data.success) {
+          setPoints(Array.isArray(response.data.data) ? response.data.data : []);
+        }
+      } catch (err) {
+        console.error('Error fetching data quality trend:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchTrend();
+  }, [refreshKey]);
+
+  const chartData = useMemo(() => ({
+    labels: points.map(point => new Date(point.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })),
+    datasets: DATA_QUALITY_CHECKS.map((check, index) => ({
+      label: check.label,
+      data: toQualityTrendPercents(points, check.key),
+      borderColor: TREND_COLORS[index],
+      backgroundColor: TREND_COLORS[index],
+      tension: 0.3,
+      pointRadius: 0
+    }))
+  }), [points]);
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1">Quality Trend</h3>
+      <p className="text-sm text-gray-500 mb-4">Share of contacts passing each check over the last {QUALITY_TREND_DAYS} days</p>
+      {loading ? (
+        <div className="h-72 flex items-center justify-center">
+          <div className="animate-spin rounded-full h-8 w-8 border-2 border-gray-200 border-t-blue-600"></div>
+        </div>
+      ) : points.length === 0 ? (
+        <div className="h-72 flex items-center justify-center text-gray-500">
+          <p className="text-sm">No quality history recorded yet</p>
+        </div>
+      ) : (
+        <div className="h-72">
+          <Line
+            data={chartData}
+            options={{
+              responsive: true,
+              maintainAspectRatio: false,
+              interaction: { mode: 'index', intersect: false },
+              plugins: {
+                legend: { position: 'bottom' },
+                tooltip: {
+                  callbacks: {
+                    label: (context) => `${context.dataset.label}: ${context.parsed.y}%`
+                  }
+                }
+              },
+              scales: {
+                y: {
+                  beginAtZero: true,
+                  max: 100,
+                  ticks: { callback: (value) => `${value}%` }
+                }
+              }
+            }}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
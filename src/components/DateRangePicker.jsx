@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { DATE_RANGE_PRESETS, COMPARE_OPTIONS, getDateRangeBounds, formatDateRange } from '../utils/dateRange';
+
+// Preset buttons, a custom from/to pair and a comparison selector. `value` is a range from
+// utils/dateRange; onChange gets the next range. Views that don't compare periods pass showCompare={false}.
+export default function DateRangePicker({ value, onChange, showCompare = true }) {
+  const [showCustom, setShowCustom] = useState(value.preset === 'custom');
+  const [draft, setDraft] = useState(() => getDateRangeBounds(value));
+
+  const handlePreset = (preset) => {
+    if (preset === 'custom') {
+      setDraft(getDateRangeBounds(value));
+      setShowCustom(true);
+      return;
+    }
+    setShowCustom(false);
+    onChange({ ...value, preset, from: '', to: '' });
+  };
+
+  const handleApplyCustom = () => {
+    if (!draft.from || !draft.to) return;
+    onChange({ ...value, preset: 'custom', ...getDateRangeBounds({ preset: 'custom', ...draft }) });
+  };
+
+  return (
+    <div className="flex flex-col items-end gap-2">
+      <div className="flex items-center gap-1 bg-white rounded-lg border border-gray-200 p-1 shadow-sm flex-wrap">
+        {DATE_RANGE_PRESETS.map((preset) => {
+          const active = preset.key === 'custom' ? showCustom || value.preset === 'custom' : !showCustom && value.preset === preset.key;
+          return (
+            <button
+              key={preset.key}
+              onClick={() => handlePreset(preset.key)}
+              className={`px-3 py-2 text-sm font-medium rounded-md transition-all ${
+                active
+                  ? 'bg-blue-600 text-white shadow-sm'
+                  : 'text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {preset.label}
+            </button>
+          );
+        })}
+      </div>
+
+      {showCustom && (
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            value={draft.from}
+            max={draft.to || undefined}
+            onChange={(e) => setDraft(prev => ({ ...prev, from: e.target.value }))}
+            className="px-2 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <span className="text-sm text-gray-500">to</span>
+          <input
+            type="date"
+            value={draft.to}
+            min={draft.from || undefined}
+            onChange={(e) => setDraft(prev => ({ ...prev, to: e.target.value }))}
+            className="px-2 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            onClick={handleApplyCustom}
+            disabled={!draft.from || !draft.to}
+            className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            Apply
+          </button>
+        </div>
+      )}
+
+      <div className="flex items-center gap-2 text-xs text-gray-500">
+        <span>{formatDateRange(value)}</span>
+        {showCompare && (
+          <select
+            value={value.compare}
+            onChange={(e) => onChange({ ...value, compare: e.target.value })}
+            className="px-2 py-1 text-xs border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {COMPARE_OPTIONS.map((option) => (
+              <option key={option.key} value={option.key}>{option.label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,16 @@
+import { computeDelta } from '../utils/dateRange';
+
+// "+12 (+8%)" against the comparison period; renders nothing without a baseline value
+export default function DeltaBadge({ current, previous, className = '' }) {
+  if (previous === null || previous === undefined) return null;
+  const { diff, pct } = computeDelta(current, previous);
+  const color = diff > 0 ? 'text-green-600' : diff < 0 ? 'text-red-600' : 'text-gray-500';
+  const sign = diff > 0 ? '+' : '';
+
+  return (
+    <span className={`text-xs font-semibold ${color} ${className}`} title={`Previous period: ${Number(previous).toLocaleString()}`}>
+      {sign}{diff.toLocaleString()}
+      {pct !== null && ` (${sign}${pct}%)`}
+    </span>
+  );
+}
@@ -0,0 +1,34 @@
+import { useState } from 'react';
+import { exportReportPdf } from '../utils/pdfExport';
+
+// Prints the element behind `targetRef` as a branded PDF (see utils/pdfExport)
+export default function DownloadPdfButton({ targetRef, projectName, reportTitle, dateRange, disabled = false }) {
+  const [exporting, setExporting] = useState(false);
+
+  const handleDownload = async () => {
+    try {
+      setExporting(true);
+      await exportReportPdf(targetRef.current, { projectName, reportTitle, dateRange });
+    } catch (err) {
+      console.error('Error exporting PDF:', err);
+      alert('Couldn\'t create the PDF. Try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleDownload}
+      disabled={disabled || exporting}
+      data-pdf-exclude
+      className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-lg hover:bg-indigo-700 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+      title="Download as PDF"
+    >
+      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+      </svg>
+      {exporting ? 'Preparing...' : 'Download PDF'}
+    </button>
+  );
+}
@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import API from '../api/axios';
+
+export default function EnrollSequenceModal({ isOpen, onClose, projectId, contactIds, onManageSequences }) {
+  const [sequences, setSequences] = useState([]);
+  const [sequenceId, setSequenceId] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [enrolling, setEnrolling] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !projectId) return;
+
+    const fetchSequences = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        setResult(null);
+        const response = await API.get(`/projects/${projectId}/email-sequences`);
+        if (response.data.success) {
+          const list = response.data.data || [];
+          setSequences(list);
+          setSequenceId(list[0]?._id || '');
+        }
+      } catch (err) {
+        console.error('Error fetching email sequences:', err);
+        setError('Couldn\'t load this project\'s sequences. Close this window and try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSequences();
+  }, [isOpen, projectId]);
+
+  const handleEnroll = async () => {
+    if (!sequenceId) return;
+    try {
+      setEnrolling(true);
+      setError('');
+      const response = await API.post(`/projects/${projectId}/email-sequences/${sequenceId}/enrollments`, {
+        contactIds
+      });
+      if (response.data.success) {
+        // The server skips contacts already active in this sequence
+        const enrolled = response.data.data?.enrolled ?? contactIds.length;
+        setResult({ enrolled, skipped: contactIds.length - enrolled });
+      }
+    } catch (err) {
+      console.error('Error enrolling contacts:', err);
+      setError(err.response?.data?.error || 'Couldn\'t enroll these prospects. Try again.');
+    } finally {
+      setEnrolling(false);
+    }
+  };
+
+  const handleClose = () => {
+    setResult(null);
+    setError('');
+    onClose(!!result);
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-md mx-4 animate-fade-in">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-xl font-bold text-gray-900">Enroll in Sequence</h2>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-4">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+          )}
+
+          {loading ? (
+            <div className="flex justify-center py-6">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : result ? (
+            <div className="p-4 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800">
+              Enrolled {result.enrolled} {result.enrolled === 1 ? 'prospect' : 'prospects'}.
+              {result.skipped > 0 && ` ${result.skipped} already in this sequence were skipped.`}
+            </div>
+          ) : sequences.length === 0 ? (
+            <div className="text-center space-y-3">
+              <p className="text-sm text-gray-600">This project has no email sequences yet.</p>
+              <button
+                onClick={onManageSequences}
+                className="text-sm font-medium text-blue-600 hover:text-blue-800"
+              >
+                Set one up
+              </button>
+            </div>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600">
+                {contactIds.length} selected {contactIds.length === 1 ? 'prospect' : 'prospects'} will start at step 1.
+              </p>
+              <select
+                value={sequenceId}
+                onChange={(e) => setSequenceId(e.target.value)}
+                className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+              >
+                {sequences.map((sequence) => (
+                  <option key={sequence._id} value={sequence._id}>
+                    {sequence.name} ({sequence.steps?.length || 0} steps)
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              onClick={handleClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              {result ? 'Done' : 'Cancel'}
+            </button>
+            {!result && sequences.length > 0 && (
+              <button
+                onClick={handleEnroll}
+                disabled={enrolling || !sequenceId}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {enrolling ? 'Enrolling...' : 'Enroll'}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,180 @@
+import { useState, useEffect, useRef } from 'react';
+import { EXPORT_FORMATS, downloadExport, loadExportColumns, saveExportColumns } from '../utils/exportEngine';
+
+// Export dialog shared by every table. `fetchRows({ onProgress, shouldStop })` resolves to all rows
+// matching the table's current filters and sort (see utils/exportEngine).
+export default function ExportModal({ isOpen, onClose, title, columns, fetchRows, fileName, storageKey }) {
+  const [format, setFormat] = useState('csv');
+  const [selectedKeys, setSelectedKeys] = useState([]);
+  const [exporting, setExporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const stopRequestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setSelectedKeys(loadExportColumns(storageKey, columns));
+    setProgress(null);
+    setError('');
+    // Columns are static per table; only reload the saved choice when the dialog opens
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isOpen, storageKey]);
+
+  const toggleColumn = (key) => {
+    setSelectedKeys(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+  };
+
+  const handleExport = async () => {
+    // Keep the table's column order regardless of click order
+    const chosenColumns = columns.filter(column => selectedKeys.includes(column.key));
+    if (chosenColumns.length === 0) {
+      setError('Pick at least one column.');
+      return;
+    }
+    try {
+      setExporting(true);
+      setError('');
+      setProgress({ fetched: 0, total: null });
+      stopRequestedRef.current = false;
+      saveExportColumns(storageKey, selectedKeys);
+
+      const rows = await fetchRows({
+        onProgress: setProgress,
+        shouldStop: () => stopRequestedRef.current
+      });
+      if (stopRequestedRef.current) return;
+      if (rows.length === 0) {
+        setError('Nothing matches the current filters.');
+        return;
+      }
+      downloadExport(rows, chosenColumns, format, fileName);
+      onClose();
+    } catch (err) {
+      if (stopRequestedRef.current) return;
+      console.error('Error exporting rows:', err);
+      setError('Couldn\'t export. Try again.');
+    } finally {
+      setExporting(false);
+      setProgress(null);
+    }
+  };
+
+  const handleClose = () => {
+    if (exporting) {
+      stopRequestedRef.current = true;
+    }
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-lg mx-4 max-h-[90vh] overflow-y-auto animate-fade-in">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-xl font-bold text-gray-900">{title || 'Export'}</h2>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-5">
+          <p className="text-sm text-gray-600">
+            Exports every row that matches the current filters and sort, not just the page on screen.
+          </p>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Format</label>
+            <div className="flex gap-2">
+              {EXPORT_FORMATS.map(option => (
+                <button
+                  key={option.key}
+                  onClick={() => setFormat(option.key)}
+                  disabled={exporting}
+                  className={`px-3 py-1.5 text-sm font-medium rounded-lg border transition-colors ${
+                    format === option.key
+                      ? 'bg-blue-600 text-white border-blue-600'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">Columns</label>
+              <div className="flex gap-3 text-xs">
+                <button
+                  onClick={() => setSelectedKeys(columns.map(column => column.key))}
+                  disabled={exporting}
+                  className="text-blue-600 hover:text-blue-800"
+                >
+                  All
+                </button>
+                <button
+                  onClick={() => setSelectedKeys([])}
+                  disabled={exporting}
+                  className="text-blue-600 hover:text-blue-800"
+                >
+                  None
+                </button>
+              </div>
+            </div>
+            <div className="grid grid-cols-2 gap-2 border border-gray-200 rounded-lg p-3 max-h-60 overflow-y-auto">
+              {columns.map(column => (
+                <label key={column.key} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={selectedKeys.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                    disabled={exporting}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          {progress && (
+            <div className="flex items-center gap-3 text-sm text-gray-600">
+              <div className="animate-spin rounded-full h-4 w-4 border-2 border-blue-600 border-t-transparent"></div>
+              Fetched {progress.fetched.toLocaleString()}
+              {progress.total ? ` of ${progress.total.toLocaleString()}` : ''} rows...
+            </div>
+          )}
+
+          <div className="flex justify-end gap-3 pt-2">
+            <button
+              onClick={handleClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleExport}
+              disabled={exporting}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {exporting ? 'Exporting...' : 'Export'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+import { useState, useMemo } from 'react';
+import { computeFunnelConversion, computeFunnelCohorts } from '../utils/metrics';
+
+const formatPercent = (value) => (value === null ? '—' : `${value.toFixed(1)}%`);
+
+const formatDays = (value) => {
+  if (value === null) return '—';
+  return `${value} ${value === 1 ? 'day' : 'days'}`;
+};
+
+// Stage-to-stage conversion for a channel funnel, plus the same funnel split by the week each
+// prospect was imported. `stages` are the page's funnel rows ({ key, label }) in order.
+export default function FunnelConversionPanel({ channel, stages, contacts, activities, statusSchema }) {
+  const [view, setView] = useState('overall'); // 'overall' or 'cohorts'
+
+  const conversion = useMemo(
+    () => computeFunnelConversion(channel, contacts, activities, statusSchema),
+    [channel, contacts, activities, statusSchema]
+  );
+  const cohorts = useMemo(
+    () => (view === 'cohorts' ? computeFunnelCohorts(channel, contacts, activities, statusSchema) : []),
+    [view, channel, contacts, activities, statusSchema]
+  );
+
+  const labelFor = (key) => stages.find(stage => stage.key === key)?.label || key;
+  const laterStages = stages.slice(1);
+
+  return (
+    <div className="mt-6 bg-white border border-gray-200 rounded-lg shadow-sm overflow-hidden">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 px-4 py-3 border-b border-gray-200">
+        <div>
+          <h2 className="text-base font-bold text-gray-800">Stage Conversion</h2>
+          <p className="text-xs text-gray-600">
+            {view === 'overall'
+              ? 'Share of prospects moving on from the stage above, and the median days it took'
+              : 'Each import week\'s prospects, and the share of them that reached each stage'}
+          </p>
+        </div>
+        <div className="flex items-center gap-2 bg-gray-100 rounded-lg p-1" data-pdf-exclude>
+          <button
+            onClick={() => setView('overall')}
+            className={`px-3 py-1.5 text-sm font-medium rounded-md transition-all duration-200 ${
+              view === 'overall' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            All prospects
+          </button>
+          <button
+            onClick={() => setView('cohorts')}
+            className={`px-3 py-1.5 text-sm font-medium rounded-md transition-all duration-200 ${
+              view === 'cohorts' ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+            }`}
+          >
+            By import week
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        {view === 'overall' ? (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Stage</th>
+                <th className="px-4 py-3 text-right text-xs font-semibold text-gray-700 uppercase tracking-wider">Prospects</th>
+                <th className="px-4 py-3 text-right text-xs font-semibold text-gray-700 uppercase tracking-wider">Conversion</th>
+                <th className="px-4 py-3 text-right text-xs font-semibold text-gray-700 uppercase tracking-wider">Drop-off</th>
+                <th className="px-4 py-3 text-right text-xs font-semibold text-gray-700 uppercase tracking-wider">Median Time</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {conversion.map((row, index) => (
+                <tr key={row.key} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                    {index > 0 && <span className="text-gray-400">{labelFor(conversion[index - 1].key)} → </span>}
+                    {labelFor(row.key)}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-700">{row.count.toLocaleString()}</td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-right font-semibold text-gray-900">
+                    {index > 0 ? formatPercent(row.conversion) : ''}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-red-600">
+                    {index > 0 && row.dropOff > 0 ? `-${row.dropOff.toLocaleString()}` : ''}
+                  </td>
+                  <td
+                    className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-700"
+                    title={index > 0 && row.medianDays === null ? 'No prospect has a date for both stages' : undefined}
+                  >
+                    {index > 0 ? formatDays(row.medianDays) : ''}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : cohorts.length === 0 ? (
+          <p className="px-4 py-8 text-center text-sm text-gray-500">No prospects with an import date yet.</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider whitespace-nowrap">Import Week</th>
+                <th className="px-4 py-3 text-right text-xs font-semibold text-gray-700 uppercase tracking-wider">Prospects</th>
+                {laterStages.map(stage => (
+                  <th key={stage.key} className="px-4 py-3 text-right text-xs font-semibold text-gray-700 uppercase tracking-wider whitespace-nowrap">
+                    {stage.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {cohorts.map(cohort => (
+                <tr key={cohort.weekStart.getTime()} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">
+                    {cohort.weekStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                  </td>
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-700">{cohort.size.toLocaleString()}</td>
+                  {laterStages.map(stage => {
+                    const count = cohort.counts[stage.key] || 0;
+                    return (
+                      <td key={stage.key} className="px-4 py-3 whitespace-nowrap text-sm text-right">
+                        <span className="font-semibold text-gray-900">{formatPercent((count / cohort.size) * 100)}</span>
+                        <span className="ml-1 text-xs text-gray-500">({count})</span>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
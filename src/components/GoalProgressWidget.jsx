@@ -0,0 +1,117 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import API from '../api/axios';
+import { GOAL_PERIODS, GOAL_HISTORY_DAYS, hasAnyTarget, normalizeTargets, getGoalAttainment, getGoalStreak } from '../utils/goals';
+
+const getBarColor = (pct) => {
+  if (pct >= 100) return 'bg-green-500';
+  if (pct >= 60) return 'bg-blue-500';
+  return 'bg-orange-400';
+};
+
+// The signed-in rep's goals for today or this week, with their current streak
+export default function GoalProgressWidget() {
+  const navigate = useNavigate();
+  const [goal, setGoal] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [period, setPeriod] = useState('daily');
+
+  useEffect(() => {
+    const fetchMyGoals = async () => {
+      try {
+        const response = await API.get('/goals/me', { params: { days: GOAL_HISTORY_DAYS } });
+        if (response.data.success) {
+          setGoal(response.data.data || null);
+        }
+      } catch (err) {
+        console.error('Error fetching goal progress:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchMyGoals();
+  }, []);
+
+  const targets = useMemo(() => normalizeTargets(goal?.targets), [goal]);
+  const attainment = useMemo(() => getGoalAttainment(targets, goal?.days, period), [targets, goal, period]);
+  const streak = useMemo(() => getGoalStreak(targets, goal?.days), [targets, goal]);
+
+  if (loading) return null;
+
+  if (!goal || !hasAnyTarget(targets)) {
+    return (
+      <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-5 flex items-center justify-between">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900">My Goals</h3>
+          <p className="text-xs text-gray-500 mt-0.5">No activity goals have been set for you yet.</p>
+        </div>
+        <button
+          onClick={() => navigate('/goals')}
+          className="text-sm font-medium text-blue-600 hover:text-blue-800"
+        >
+          View leaderboard
+        </button>
+      </div>
+    );
+  }
+
+  const metricsWithTargets = attainment.metrics.filter(metric => metric.target > 0);
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-5">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900">My Goals</h3>
+          <p className="text-xs text-gray-500 mt-0.5">
+            {attainment.overall !== null ? `${attainment.overall}% attained` : 'No targets for this period'}
+            {streak > 0 && ` · ${streak}-day streak`}
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          <div className="flex items-center gap-1 bg-gray-100 rounded-lg p-1">
+            {GOAL_PERIODS.map((option) => (
+              <button
+                key={option.key}
+                onClick={() => setPeriod(option.key)}
+                className={`px-3 py-1 text-xs font-medium rounded-md ${
+                  period === option.key ? 'bg-white text-gray-900 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={() => navigate('/goals')}
+            className="text-xs font-medium text-blue-600 hover:text-blue-800"
+          >
+            Leaderboard
+          </button>
+        </div>
+      </div>
+
+      {metricsWithTargets.length === 0 ? (
+        <p className="text-sm text-gray-500">No {period === 'daily' ? 'daily' : 'weekly'} targets set.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {metricsWithTargets.map((metric) => (
+            <div key={metric.key}>
+              <div className="flex items-center justify-between text-sm mb-1">
+                <span className="font-medium text-gray-700">{metric.label}</span>
+                <span className="text-gray-900 font-semibold">
+                  {metric.actual} / {metric.target}
+                </span>
+              </div>
+              <div className="w-full bg-gray-100 rounded-full h-2">
+                <div
+                  className={`h-2 rounded-full transition-all duration-300 ${getBarColor(metric.pct)}`}
+                  style={{ width: `${Math.min(metric.pct, 100)}%` }}
+                ></div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
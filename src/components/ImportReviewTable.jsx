@@ -0,0 +1,188 @@
+import { useState } from 'react';
+import { REQUIRED_IMPORT_FIELDS } from '../utils/importValidation';
+
+const MAX_VISIBLE_ROWS = 200;
+
+const ERROR_TYPE_STYLES = {
+  'missing': 'bg-red-100 text-red-800',
+  'format': 'bg-orange-100 text-orange-800',
+  'duplicate-file': 'bg-yellow-100 text-yellow-800',
+  'duplicate-existing': 'bg-purple-100 text-purple-800'
+};
+
+export default function ImportReviewTable({
+  rows,
+  validation,
+  checkingExisting,
+  existingCheckFailed,
+  skipExisting,
+  onSkipExistingChange,
+  onRowChange,
+  onRemoveRow,
+  onDownloadReport
+}) {
+  const [showAllRows, setShowAllRows] = useState(false);
+  // Rows edited here stay visible after they become valid, so they don't vanish mid-typing
+  const [editedRows, setEditedRows] = useState([]);
+
+  const errorCount = validation.filter(v => v.errors.length > 0).length;
+  const cleanCount = rows.length - errorCount;
+  const countByType = (type) => validation.filter(v => v.errors.some(e => e.type === type)).length;
+
+  // Editable columns: required fields, then any other field with an error somewhere
+  const flaggedFields = [...new Set(validation.flatMap(v => v.errors.map(e => e.field)))];
+  const editableFields = [...REQUIRED_IMPORT_FIELDS, ...flaggedFields.filter(f => !REQUIRED_IMPORT_FIELDS.includes(f))];
+
+  const visibleRows = rows
+    .map((row, index) => ({ row, index, errors: validation[index]?.errors || [] }))
+    .filter(({ row, errors }) => showAllRows || errors.length > 0 || editedRows.includes(row._rowNumber));
+
+  const handleCellChange = (index, field, value) => {
+    const rowNumber = rows[index]._rowNumber;
+    if (!editedRows.includes(rowNumber)) {
+      setEditedRows([...editedRows, rowNumber]);
+    }
+    onRowChange(index, field, value);
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div className="p-3 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-xs font-medium text-green-700">Ready to import</p>
+          <p className="text-xl font-bold text-green-900">{cleanCount}</p>
+        </div>
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-xs font-medium text-red-700">Missing or invalid</p>
+          <p className="text-xl font-bold text-red-900">{countByType('missing') + countByType('format')}</p>
+        </div>
+        <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-xs font-medium text-yellow-700">Duplicates in file</p>
+          <p className="text-xl font-bold text-yellow-900">{countByType('duplicate-file')}</p>
+        </div>
+        <div className="p-3 bg-purple-50 border border-purple-200 rounded-lg">
+          <p className="text-xs font-medium text-purple-700">Already in Contacts</p>
+          <p className="text-xl font-bold text-purple-900">
+            {checkingExisting ? '…' : countByType('duplicate-existing')}
+          </p>
+        </div>
+      </div>
+
+      {existingCheckFailed && (
+        <p className="text-xs text-orange-600">
+          Couldn't check existing contacts, so only in-file duplicates are flagged. The server will still skip duplicate emails.
+        </p>
+      )}
+
+      {/* Controls */}
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showAllRows}
+            onChange={(e) => setShowAllRows(e.target.checked)}
+            className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          Show clean rows too
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={skipExisting}
+            onChange={(e) => onSkipExistingChange(e.target.checked)}
+            className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          Skip rows already in Contacts
+        </label>
+        <button
+          type="button"
+          onClick={onDownloadReport}
+          disabled={errorCount === 0}
+          className="ml-auto px-3 py-1.5 text-sm font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Download error report
+        </button>
+      </div>
+
+      {/* Row Table */}
+      {visibleRows.length === 0 ? (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-center">
+          <p className="text-sm text-green-700">Every row looks good.</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto border border-gray-200 rounded-lg max-h-96 overflow-y-auto">
+          <table className="min-w-full text-xs">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-3 py-2 text-left font-semibold text-gray-600">Row</th>
+                {editableFields.map((field) => (
+                  <th key={field} className="px-3 py-2 text-left font-semibold text-gray-600 whitespace-nowrap">{field}</th>
+                ))}
+                <th className="px-3 py-2 text-left font-semibold text-gray-600">Issues</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {visibleRows.slice(0, MAX_VISIBLE_ROWS).map(({ row, index, errors }) => {
+                const errorFields = errors.map(e => e.field);
+                return (
+                  <tr key={row._rowNumber} className={errors.length > 0 ? 'bg-red-50/40' : ''}>
+                    <td className="px-3 py-2 text-gray-500">{row._rowNumber}</td>
+                    {editableFields.map((field) => (
+                      <td key={field} className="px-2 py-1.5">
+                        <input
+                          type="text"
+                          value={row[field] || ''}
+                          onChange={(e) => handleCellChange(index, field, e.target.value)}
+                          className={`w-40 px-2 py-1 text-xs border rounded focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                            errorFields.includes(field) ? 'border-red-300 bg-white' : 'border-gray-200 bg-white'
+                          }`}
+                        />
+                      </td>
+                    ))}
+                    <td className="px-3 py-2">
+                      <div className="flex flex-wrap gap-1 min-w-[12rem]">
+                        {errors.length === 0 ? (
+                          <span className="text-green-700">OK</span>
+                        ) : errors.map((err, i) => (
+                          <span key={i} className={`px-1.5 py-0.5 rounded ${ERROR_TYPE_STYLES[err.type]}`}>
+                            {err.message}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="px-2 py-1.5">
+                      <button
+                        type="button"
+                        onClick={() => onRemoveRow(index)}
+                        className="p-1 text-red-600 hover:bg-red-50 rounded"
+                        title="Remove row"
+                      >
+                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                        </svg>
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {visibleRows.length > MAX_VISIBLE_ROWS && (
+        <p className="text-xs text-gray-500">
+          Showing the first {MAX_VISIBLE_ROWS} of {visibleRows.length} rows. Download the error report to see them all.
+        </p>
+      )}
+
+      {errorCount > 0 && (
+        <p className="text-sm text-gray-600">
+          Rows with issues are left out of the upload. Fix them above or download the report to fix them in your spreadsheet.
+        </p>
+      )}
+    </div>
+  );
+}
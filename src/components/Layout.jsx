@@ -1,10 +1,21 @@
-import { useState } from 'react';
-import { Outlet, Navigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { Outlet, Navigate, useNavigate, useLocation } from 'react-router-dom';
 import Sidebar from './Sidebar';
+import SessionExpiryWarning from './SessionExpiryWarning';
+import { getToken, onSessionClearedElsewhere, buildLoginPath } from '../api/session';
 
 export default function Layout() {
-  const token = localStorage.getItem('token');
+  const token = getToken();
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  // Logging out in one tab logs out every open tab
+  useEffect(() => {
+    return onSessionClearedElsewhere(() => {
+      navigate(buildLoginPath(`${location.pathname}${location.search}`), { replace: true });
+    });
+  }, [navigate, location.pathname, location.search]);
   
   // If no token, redirect to login (though PrivateRoute should handle this)
   if (!token) {
@@ -46,6 +57,7 @@ export default function Layout() {
             <span className="text-sm font-semibold text-gray-900">Outbound SaaS</span>
           </div>
         </div>
+        <SessionExpiryWarning />
         <Outlet context={{ setSidebarOpen: setIsSidebarOpen }} />
       </main>
     </div>
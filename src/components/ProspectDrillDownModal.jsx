@@ -0,0 +1,140 @@
+import { useState } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import ActivityLogModal from './ActivityLogModal';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' }) : 'N/A';
+
+const getContactId = (contact) => contact?._id?.toString() || '';
+
+// The prospects behind a funnel stage, report cell or KPI, each with the activity that put it
+// there. `rows` come from the drill-down helpers in utils/metrics ({ contact, activity, date, count }).
+// Rows link to the contact's activity history and can log the next `channel` activity; the page
+// passes `onActivityLogged` to reload its numbers after a save.
+export default function ProspectDrillDownModal({ isOpen, onClose, title, subtitle, rows = [], loading = false, channel, projectId, statusSchema = null, onActivityLogged }) {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [loggingFor, setLoggingFor] = useState(null);
+
+  if (!isOpen) return null;
+
+  const canViewHistory = hasPermission(PERMISSIONS.VIEW_DATABANK);
+  const canLogActivity = !!channel && !!projectId && hasPermission(PERMISSIONS.LOG_ACTIVITIES);
+
+  const openHistory = (contactId) => {
+    const params = new URLSearchParams({ returnTo: `${location.pathname}${location.search}` });
+    if (projectId) params.set('projectId', projectId);
+    navigate(`/contacts/${contactId}/activities?${params.toString()}`);
+  };
+
+  const handleActivityLogClose = (saved = false) => {
+    setLoggingFor(null);
+    if (saved) onActivityLogged?.();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-5xl mx-4 max-h-[90vh] flex flex-col animate-fade-in">
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">{title}</h2>
+            {subtitle && <p className="text-sm text-gray-600 mt-1">{subtitle}</p>}
+            {!loading && (
+              <p className="text-xs text-gray-500 mt-1">
+                {rows.length.toLocaleString()} {rows.length === 1 ? 'prospect' : 'prospects'}
+              </p>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600 transition-colors">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6">
+          {loading ? (
+            <div className="py-12 flex justify-center">
+              <div className="animate-spin rounded-full h-8 w-8 border-2 border-gray-200 border-t-blue-600"></div>
+            </div>
+          ) : rows.length === 0 ? (
+            <p className="py-12 text-center text-sm text-gray-500">No prospects behind this number.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Contact</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Company</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Date</th>
+                    <th className="px-4 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Activity</th>
+                    <th className="px-4 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rows.map((row, index) => {
+                    const { contact, activity } = row;
+                    const contactId = getContactId(contact);
+                    const status = activity ? (activity.callStatus || activity.status || activity.callNumber || 'Logged') : (contact.stage || 'New');
+                    const notes = activity?.conversationNotes?.trim();
+
+                    return (
+                      <tr key={contactId || index} className="hover:bg-gray-50 align-top">
+                        <td className="px-4 py-3 text-sm">
+                          <div className="font-semibold text-gray-900">{contact.name || 'Unknown'}</div>
+                          {contact.title && <div className="text-xs text-gray-500">{contact.title}</div>}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-700">{contact.company || 'N/A'}</td>
+                        <td className="px-4 py-3 text-sm text-gray-600 whitespace-nowrap">
+                          {formatDate(row.date)}
+                          {row.count > 1 && (
+                            <span className="ml-1 text-xs text-gray-500" title={`${row.count} matching activities`}>×{row.count}</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm">
+                          <span className={`px-2 py-1 text-xs font-semibold rounded-full ${activity ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-800'}`}>
+                            {status}
+                          </span>
+                          {notes && <p className="mt-1 text-xs text-gray-500 line-clamp-2 max-w-xs">{notes}</p>}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-right whitespace-nowrap">
+                          {contactId && canViewHistory && (
+                            <button onClick={() => openHistory(contactId)} className="font-medium text-blue-600 hover:text-blue-800">
+                              History
+                            </button>
+                          )}
+                          {contactId && canLogActivity && (
+                            <button onClick={() => setLoggingFor(contact)} className="ml-3 font-medium text-blue-600 hover:text-blue-800">
+                              Log activity
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {loggingFor && (
+        <ActivityLogModal
+          isOpen
+          onClose={handleActivityLogClose}
+          type={channel}
+          contactName={loggingFor.name || 'N/A'}
+          companyName={loggingFor.company || ''}
+          projectId={projectId}
+          contactId={getContactId(loggingFor)}
+          phoneNumber={loggingFor.firstPhone || null}
+          email={loggingFor.email || null}
+          linkedInProfileUrl={loggingFor.personLinkedinUrl || loggingFor.companyLinkedinUrl || null}
+          statusSchema={statusSchema}
+        />
+      )}
+    </div>
+  );
+}
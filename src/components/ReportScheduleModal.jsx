@@ -0,0 +1,470 @@
+import { useState, useEffect } from 'react';
+import API from '../api/axios';
+import {
+  REPORT_FREQUENCIES,
+  REPORT_VIEW_MODES,
+  WEEKDAYS,
+  MONTH_DAYS,
+  isValidEmail,
+  getProjectRecipients,
+  createDefaultSchedule,
+  describeSchedule,
+  getNextRunDate
+} from '../utils/reportSchedules';
+
+const REPORT_STATUS_STYLES = {
+  sent: 'bg-green-50 text-green-700',
+  generating: 'bg-blue-50 text-blue-700',
+  failed: 'bg-red-50 text-red-700'
+};
+
+// Schedules that generate the Monthly Report workbook on the server and email it, plus the
+// reports they've already generated for re-download.
+export default function ReportScheduleModal({ isOpen, onClose, project, viewMode }) {
+  const projectId = project?._id;
+  const [schedules, setSchedules] = useState([]);
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  // null when not editing, otherwise the schedule being created or edited
+  const [draft, setDraft] = useState(null);
+  const [recipientInput, setRecipientInput] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !projectId) return;
+
+    const fetchSchedules = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const [schedulesResponse, reportsResponse] = await Promise.all([
+          API.get(`/projects/${projectId}/report-schedules`),
+          API.get(`/projects/${projectId}/generated-reports`)
+        ]);
+        if (schedulesResponse.data.success) {
+          setSchedules(schedulesResponse.data.data || []);
+        }
+        if (reportsResponse.data.success) {
+          setReports(reportsResponse.data.data || []);
+        }
+      } catch (err) {
+        console.error('Error fetching report schedules:', err);
+        setError('Couldn\'t load report schedules. Close this window and try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchSchedules();
+  }, [isOpen, projectId]);
+
+  const updateDraft = (field, value) => {
+    setDraft({ ...draft, [field]: value });
+  };
+
+  const handleAddRecipient = () => {
+    const email = recipientInput.trim();
+    if (!isValidEmail(email)) {
+      setError('Enter a valid email address.');
+      return;
+    }
+    if (draft.recipients.some(r => r.toLowerCase() === email.toLowerCase())) {
+      setRecipientInput('');
+      return;
+    }
+    setError('');
+    updateDraft('recipients', [...draft.recipients, email]);
+    setRecipientInput('');
+  };
+
+  const handleSave = async () => {
+    if (draft.recipients.length === 0) {
+      setError('Add at least one recipient.');
+      return;
+    }
+    const payload = {
+      frequency: draft.frequency,
+      dayOfWeek: Number(draft.dayOfWeek),
+      dayOfMonth: Number(draft.dayOfMonth),
+      viewMode: draft.viewMode,
+      recipients: draft.recipients,
+      enabled: draft.enabled
+    };
+    try {
+      setSaving(true);
+      setError('');
+      const response = draft._id
+        ? await API.put(`/projects/${projectId}/report-schedules/${draft._id}`, payload)
+        : await API.post(`/projects/${projectId}/report-schedules`, payload);
+      if (response.data.success) {
+        const saved = response.data.data;
+        setSchedules(draft._id
+          ? schedules.map(s => (s._id === saved._id ? saved : s))
+          : [...schedules, saved]);
+        setDraft(null);
+      }
+    } catch (err) {
+      console.error('Error saving report schedule:', err);
+      setError(err.response?.data?.error || 'Couldn\'t save the schedule. Try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      setBusyId(schedule._id);
+      setError('');
+      const response = await API.put(`/projects/${projectId}/report-schedules/${schedule._id}`, { enabled: !schedule.enabled });
+      if (response.data.success) {
+        setSchedules(schedules.map(s => (s._id === schedule._id ? response.data.data : s)));
+      }
+    } catch (err) {
+      console.error('Error updating report schedule:', err);
+      setError('Couldn\'t update the schedule. Try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm('Delete this schedule? Reports it already sent stay in the history below.')) return;
+    try {
+      setBusyId(schedule._id);
+      setError('');
+      await API.delete(`/projects/${projectId}/report-schedules/${schedule._id}`);
+      setSchedules(schedules.filter(s => s._id !== schedule._id));
+    } catch (err) {
+      console.error('Error deleting report schedule:', err);
+      setError('Couldn\'t delete the schedule. Try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  // Generates and emails the report right away; the new entry shows up in the history
+  const handleSendNow = async (schedule) => {
+    try {
+      setBusyId(schedule._id);
+      setError('');
+      const response = await API.post(`/projects/${projectId}/report-schedules/${schedule._id}/run`);
+      if (response.data.success && response.data.data) {
+        setReports([response.data.data, ...reports]);
+      }
+    } catch (err) {
+      console.error('Error running report schedule:', err);
+      setError(err.response?.data?.error || 'Couldn\'t send the report. Try again.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDownload = async (report) => {
+    try {
+      setBusyId(report._id);
+      setError('');
+      const response = await API.get(`/projects/${projectId}/generated-reports/${report._id}/download`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = report.fileName || `Monthly_Report_${report._id}.xlsx`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading generated report:', err);
+      setError('Couldn\'t download the report. It may have expired; use Send Now to generate a fresh one.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleClose = () => {
+    setDraft(null);
+    setRecipientInput('');
+    setError('');
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  const projectRecipients = getProjectRecipients(project);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-3xl mx-4 max-h-[90vh] overflow-y-auto animate-fade-in">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <h2 className="text-xl font-bold text-gray-900">Scheduled Reports</h2>
+          <button
+            onClick={handleClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-6">
+          <p className="text-sm text-gray-600">
+            Each schedule emails this project&apos;s Monthly Report as the same Excel workbook you get from Export Excel.
+          </p>
+
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+          )}
+
+          {loading ? (
+            <div className="flex justify-center py-6">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : (
+            <>
+              {/* Schedules */}
+              <div className="space-y-3">
+                <div className="flex items-center justify-between">
+                  <h3 className="text-sm font-semibold text-gray-900">Schedules</h3>
+                  {!draft && (
+                    <button
+                      onClick={() => setDraft(createDefaultSchedule(project, viewMode))}
+                      className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors"
+                    >
+                      New Schedule
+                    </button>
+                  )}
+                </div>
+
+                {schedules.length === 0 && !draft ? (
+                  <p className="text-sm text-gray-500 text-center py-4 border border-dashed border-gray-200 rounded-lg">No schedules yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                    {schedules.map((schedule) => (
+                      <li key={schedule._id} className="p-3 flex items-center justify-between gap-3">
+                        <div className="min-w-0">
+                          <p className={`text-sm font-medium ${schedule.enabled ? 'text-gray-900' : 'text-gray-400'}`}>
+                            {describeSchedule(schedule)}
+                            {!schedule.enabled && ' (paused)'}
+                          </p>
+                          <p className="text-xs text-gray-500 truncate">
+                            To {schedule.recipients.join(', ')}
+                          </p>
+                          {schedule.enabled && (
+                            <p className="text-xs text-gray-500">
+                              Next: {getNextRunDate(schedule).toLocaleDateString()}
+                              {schedule.lastRunAt && ` · last sent ${new Date(schedule.lastRunAt).toLocaleDateString()}`}
+                            </p>
+                          )}
+                        </div>
+                        <div className="flex items-center gap-2 flex-shrink-0">
+                          <button
+                            onClick={() => handleSendNow(schedule)}
+                            disabled={busyId === schedule._id}
+                            className="px-3 py-1.5 text-xs font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors disabled:opacity-50"
+                          >
+                            Send Now
+                          </button>
+                          <button
+                            onClick={() => setDraft({ ...schedule, recipients: [...schedule.recipients] })}
+                            disabled={!!draft}
+                            className="px-3 py-1.5 text-xs font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors disabled:opacity-50"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleToggle(schedule)}
+                            disabled={busyId === schedule._id}
+                            className="px-3 py-1.5 text-xs font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors disabled:opacity-50"
+                          >
+                            {schedule.enabled ? 'Pause' : 'Resume'}
+                          </button>
+                          <button
+                            onClick={() => handleDelete(schedule)}
+                            disabled={busyId === schedule._id}
+                            className="px-3 py-1.5 text-xs font-medium text-red-600 bg-red-50 rounded-lg hover:bg-red-100 transition-colors disabled:opacity-50"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {/* Schedule Form */}
+                {draft && (
+                  <div className="border border-blue-200 bg-blue-50/40 rounded-lg p-4 space-y-4">
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                      <div>
+                        <label className="block text-xs font-medium text-gray-700 mb-1">Frequency</label>
+                        <select
+                          value={draft.frequency}
+                          onChange={(e) => updateDraft('frequency', e.target.value)}
+                          className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+                        >
+                          {REPORT_FREQUENCIES.map(option => (
+                            <option key={option.key} value={option.key}>{option.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className="block text-xs font-medium text-gray-700 mb-1">
+                          {draft.frequency === 'monthly' ? 'Day of month' : 'Day of week'}
+                        </label>
+                        {draft.frequency === 'monthly' ? (
+                          <select
+                            value={draft.dayOfMonth}
+                            onChange={(e) => updateDraft('dayOfMonth', Number(e.target.value))}
+                            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+                          >
+                            {MONTH_DAYS.map(day => (
+                              <option key={day} value={day}>{day}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          <select
+                            value={draft.dayOfWeek}
+                            onChange={(e) => updateDraft('dayOfWeek', Number(e.target.value))}
+                            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+                          >
+                            {WEEKDAYS.map((day, index) => (
+                              <option key={day} value={index}>{day}</option>
+                            ))}
+                          </select>
+                        )}
+                      </div>
+                      <div>
+                        <label className="block text-xs font-medium text-gray-700 mb-1">View</label>
+                        <select
+                          value={draft.viewMode}
+                          onChange={(e) => updateDraft('viewMode', e.target.value)}
+                          className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+                        >
+                          {REPORT_VIEW_MODES.map(option => (
+                            <option key={option.key} value={option.key}>{option.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+
+                    <div>
+                      <label className="block text-xs font-medium text-gray-700 mb-1">Recipients</label>
+                      <div className="flex flex-wrap gap-2 mb-2">
+                        {draft.recipients.map(email => (
+                          <span key={email} className="inline-flex items-center gap-1 px-2 py-1 text-xs bg-white border border-gray-200 rounded-full text-gray-700">
+                            {email}
+                            <button
+                              onClick={() => updateDraft('recipients', draft.recipients.filter(r => r !== email))}
+                              className="text-gray-400 hover:text-red-600"
+                              title="Remove recipient"
+                            >
+                              ×
+                            </button>
+                          </span>
+                        ))}
+                        {draft.recipients.length === 0 && (
+                          <span className="text-xs text-gray-500">No recipients yet.</span>
+                        )}
+                      </div>
+                      <div className="flex gap-2">
+                        <input
+                          type="email"
+                          value={recipientInput}
+                          onChange={(e) => setRecipientInput(e.target.value)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                              e.preventDefault();
+                              handleAddRecipient();
+                            }
+                          }}
+                          placeholder="name@example.com"
+                          className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 outline-none"
+                        />
+                        <button
+                          onClick={handleAddRecipient}
+                          className="px-3 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+                        >
+                          Add
+                        </button>
+                        {projectRecipients.some(email => !draft.recipients.includes(email)) && (
+                          <button
+                            onClick={() => updateDraft('recipients', [...new Set([...draft.recipients, ...projectRecipients])])}
+                            className="px-3 py-2 text-sm font-medium text-blue-600 hover:text-blue-800"
+                          >
+                            Add contact person & team
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    <div className="flex justify-end gap-2">
+                      <button
+                        onClick={() => {
+                          setDraft(null);
+                          setRecipientInput('');
+                          setError('');
+                        }}
+                        className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={handleSave}
+                        disabled={saving}
+                        className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        {saving ? 'Saving...' : draft._id ? 'Save Changes' : 'Create Schedule'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Generated Reports */}
+              <div className="space-y-3">
+                <h3 className="text-sm font-semibold text-gray-900">Past Reports</h3>
+                {reports.length === 0 ? (
+                  <p className="text-sm text-gray-500 text-center py-4 border border-dashed border-gray-200 rounded-lg">No reports have been generated yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg max-h-72 overflow-y-auto">
+                    {reports.map((report) => (
+                      <li key={report._id} className="p-3 flex items-center justify-between gap-3">
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-gray-900">
+                            {new Date(report.generatedAt || report.createdAt).toLocaleString()}
+                            <span className="text-gray-500 font-normal"> · {report.viewMode === 'day' ? 'Day View' : 'Month View'}</span>
+                          </p>
+                          <p className="text-xs text-gray-500 truncate">
+                            {report.recipients?.length ? `Sent to ${report.recipients.join(', ')}` : 'Not emailed'}
+                            {report.error && ` · ${report.error}`}
+                          </p>
+                        </div>
+                        <div className="flex items-center gap-2 flex-shrink-0">
+                          {report.status && (
+                            <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${REPORT_STATUS_STYLES[report.status] || 'bg-gray-100 text-gray-700'}`}>
+                              {report.status}
+                            </span>
+                          )}
+                          <button
+                            onClick={() => handleDownload(report)}
+                            disabled={busyId === report._id || report.status === 'generating' || report.status === 'failed'}
+                            className="px-3 py-1.5 text-xs font-medium text-green-700 bg-green-50 rounded-lg hover:bg-green-100 transition-colors disabled:opacity-50"
+                          >
+                            Download
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,341 @@
+import { useState, useEffect, useRef } from 'react';
+import API from '../api/axios';
+import { getCurrentUser, hasPermission, PERMISSIONS } from '../utils/permissions';
+import { serializeViewParams, hasViewFilters, isViewActive, getViewLink } from '../utils/savedViews';
+import { toIdString } from '../utils/helpers';
+
+// Named filter combinations for a project's prospect table.
+// `pinned` and `isDefault` are stored per user on the server; `shared` makes a view visible to the team.
+// onApply(paramsString) replaces the page's filters with the view's.
+export default function SavedViewTabs({ projectId, searchParams, onApply }) {
+  const [views, setViews] = useState([]);
+  const [showMenu, setShowMenu] = useState(false);
+  const [showSaveForm, setShowSaveForm] = useState(false);
+  const [newView, setNewView] = useState({ name: '', shared: false, pinned: true });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [copiedId, setCopiedId] = useState(null);
+  const menuRef = useRef(null);
+  // URL as the page was opened: decides between a shared ?view= link, the user's default view, or nothing
+  const initialParamsRef = useRef(searchParams);
+
+  const currentUser = getCurrentUser();
+  const currentUserId = toIdString(currentUser._id || currentUser.id);
+  const canManageAll = hasPermission(PERMISSIONS.MANAGE_PROJECTS);
+  const canEditView = (view) => canManageAll || toIdString(view.createdBy) === currentUserId;
+
+  useEffect(() => {
+    const fetchViews = async () => {
+      try {
+        const response = await API.get(`/projects/${projectId}/saved-views`);
+        if (!response.data.success) return;
+        const list = response.data.data || [];
+        setViews(list);
+
+        const initialParams = initialParamsRef.current;
+        const linkedViewId = initialParams.get('view');
+        if (linkedViewId) {
+          const linkedView = list.find(v => v._id === linkedViewId);
+          if (!linkedView) {
+            setError('That saved view was deleted or isn\'t shared with you.');
+          }
+          onApply(linkedView ? linkedView.params : serializeViewParams(initialParams));
+        } else if (!hasViewFilters(initialParams) && !initialParams.get('returnTo')) {
+          const defaultView = list.find(v => v.isDefault);
+          if (defaultView) onApply(defaultView.params);
+        }
+      } catch (err) {
+        console.error('Error fetching saved views:', err);
+      }
+    };
+    fetchViews();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [projectId]);
+
+  // Close views menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setShowMenu(false);
+        setShowSaveForm(false);
+      }
+    };
+
+    if (showMenu || showSaveForm) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [showMenu, showSaveForm]);
+
+  const updateView = async (view, changes) => {
+    try {
+      setError('');
+      const response = await API.put(`/projects/${projectId}/saved-views/${view._id}`, changes);
+      if (response.data.success) {
+        setViews(prev => prev.map(v => (v._id === view._id ? { ...v, ...changes, ...response.data.data } : v)));
+      }
+    } catch (err) {
+      console.error('Error updating saved view:', err);
+      setError('Couldn\'t update the view. Try again.');
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const name = newView.name.trim();
+    if (!name) {
+      setError('Give the view a name.');
+      return;
+    }
+    if (views.some(v => v.name.toLowerCase() === name.toLowerCase() && canEditView(v))) {
+      setError(`You already have a view called "${name}".`);
+      return;
+    }
+    try {
+      setSaving(true);
+      setError('');
+      const response = await API.post(`/projects/${projectId}/saved-views`, {
+        ...newView,
+        name,
+        params: serializeViewParams(searchParams)
+      });
+      if (response.data.success) {
+        setViews(prev => [...prev, response.data.data]);
+        setNewView({ name: '', shared: false, pinned: true });
+        setShowSaveForm(false);
+      }
+    } catch (err) {
+      console.error('Error saving view:', err);
+      setError(err.response?.data?.error || 'Couldn\'t save the view. Try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (view) => {
+    if (!window.confirm(`Delete the view "${view.name}"?${view.shared ? ' Teammates will lose it too.' : ''}`)) return;
+    try {
+      setError('');
+      await API.delete(`/projects/${projectId}/saved-views/${view._id}`);
+      setViews(prev => prev.filter(v => v._id !== view._id));
+    } catch (err) {
+      console.error('Error deleting saved view:', err);
+      setError('Couldn\'t delete the view. Try again.');
+    }
+  };
+
+  const handleSetDefault = async (view) => {
+    const nextDefaultId = view.isDefault ? null : view._id;
+    try {
+      setError('');
+      await API.put(`/projects/${projectId}/saved-views/default`, { viewId: nextDefaultId });
+      setViews(prev => prev.map(v => ({ ...v, isDefault: v._id === nextDefaultId })));
+    } catch (err) {
+      console.error('Error setting default view:', err);
+      setError('Couldn\'t change your default view. Try again.');
+    }
+  };
+
+  const handleCopyLink = async (view) => {
+    try {
+      await navigator.clipboard.writeText(getViewLink(projectId, view));
+      setCopiedId(view._id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      console.error('Error copying view link:', err);
+      setError('Couldn\'t copy the link. Try again.');
+    }
+  };
+
+  const pinnedViews = views.filter(v => v.pinned);
+  const myViews = views.filter(v => toIdString(v.createdBy) === currentUserId);
+  const teamViews = views.filter(v => toIdString(v.createdBy) !== currentUserId);
+  const noFilters = !hasViewFilters(searchParams);
+
+  const renderViewRow = (view) => (
+    <li key={view._id} className="px-3 py-2 hover:bg-gray-50">
+      <div className="flex items-center justify-between gap-2">
+        <button
+          onClick={() => {
+            onApply(view.params);
+            setShowMenu(false);
+          }}
+          className="text-left text-sm font-medium text-gray-900 hover:text-blue-600 truncate"
+        >
+          {view.name}
+          {view.isDefault && <span className="ml-1.5 text-xs font-normal text-blue-600">Default</span>}
+          {view.shared && <span className="ml-1.5 text-xs font-normal text-gray-500">Shared</span>}
+        </button>
+        <div className="flex items-center gap-1 flex-shrink-0">
+          <button
+            onClick={() => updateView(view, { pinned: !view.pinned })}
+            className={`px-1.5 py-0.5 text-xs rounded ${view.pinned ? 'text-blue-700 bg-blue-50' : 'text-gray-500 hover:bg-gray-100'}`}
+            title={view.pinned ? 'Remove from tabs' : 'Show as a tab'}
+          >
+            {view.pinned ? 'Pinned' : 'Pin'}
+          </button>
+          <button
+            onClick={() => handleSetDefault(view)}
+            className="px-1.5 py-0.5 text-xs text-gray-500 rounded hover:bg-gray-100"
+            title="Open this project with this view"
+          >
+            {view.isDefault ? 'Unset default' : 'Set default'}
+          </button>
+          <button
+            onClick={() => handleCopyLink(view)}
+            className="px-1.5 py-0.5 text-xs text-gray-500 rounded hover:bg-gray-100"
+          >
+            {copiedId === view._id ? 'Copied' : 'Link'}
+          </button>
+        </div>
+      </div>
+      {canEditView(view) && (
+        <div className="flex items-center gap-3 mt-1">
+          <button
+            onClick={() => updateView(view, { params: serializeViewParams(searchParams) })}
+            disabled={isViewActive(view, searchParams)}
+            className="text-xs text-gray-500 hover:text-gray-800 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Update to current filters
+          </button>
+          <button
+            onClick={() => updateView(view, { shared: !view.shared })}
+            className="text-xs text-gray-500 hover:text-gray-800"
+          >
+            {view.shared ? 'Stop sharing' : 'Share with team'}
+          </button>
+          <button
+            onClick={() => handleDelete(view)}
+            className="text-xs text-red-600 hover:text-red-700"
+          >
+            Delete
+          </button>
+        </div>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="mb-4">
+      <div className="flex items-center gap-2 flex-wrap border-b border-gray-200">
+        {/* Tabs */}
+        <button
+          onClick={() => onApply('')}
+          className={`px-3 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+            noFilters ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'
+          }`}
+        >
+          All Prospects
+        </button>
+        {pinnedViews.map((view) => {
+          const active = !noFilters && isViewActive(view, searchParams);
+          return (
+            <button
+              key={view._id}
+              onClick={() => onApply(view.params)}
+              className={`px-3 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+                active ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {view.name}
+            </button>
+          );
+        })}
+
+        {/* Menu */}
+        <div className="relative ml-auto flex items-center gap-2 pb-1" ref={menuRef}>
+          <button
+            onClick={() => {
+              setShowMenu(!showMenu);
+              setShowSaveForm(false);
+            }}
+            className="px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            Views ({views.length})
+          </button>
+          <button
+            onClick={() => {
+              setShowSaveForm(!showSaveForm);
+              setShowMenu(false);
+              setError('');
+            }}
+            disabled={noFilters}
+            className="px-3 py-1.5 text-xs font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            title={noFilters ? 'Apply some filters first' : 'Save the current filters as a view'}
+          >
+            Save View
+          </button>
+
+          {showMenu && (
+            <div className="absolute right-0 top-full mt-1 w-96 bg-white border border-gray-200 rounded-lg shadow-lg z-30 max-h-96 overflow-y-auto">
+              {views.length === 0 ? (
+                <p className="px-3 py-4 text-sm text-gray-500 text-center">No saved views yet. Apply some filters and save them.</p>
+              ) : (
+                <>
+                  {myViews.length > 0 && (
+                    <>
+                      <p className="px-3 pt-3 pb-1 text-xs font-semibold text-gray-500 uppercase">My Views</p>
+                      <ul className="divide-y divide-gray-100">{myViews.map(renderViewRow)}</ul>
+                    </>
+                  )}
+                  {teamViews.length > 0 && (
+                    <>
+                      <p className="px-3 pt-3 pb-1 text-xs font-semibold text-gray-500 uppercase">Shared by Team</p>
+                      <ul className="divide-y divide-gray-100">{teamViews.map(renderViewRow)}</ul>
+                    </>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+
+          {showSaveForm && (
+            <form
+              onSubmit={handleSave}
+              className="absolute right-0 top-full mt-1 w-72 bg-white border border-gray-200 rounded-lg shadow-lg z-30 p-3 space-y-3"
+            >
+              <input
+                type="text"
+                value={newView.name}
+                onChange={(e) => setNewView({ ...newView, name: e.target.value })}
+                placeholder="View name, e.g. Due this week"
+                autoFocus
+                className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={newView.pinned}
+                  onChange={(e) => setNewView({ ...newView, pinned: e.target.checked })}
+                  className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                Show as a tab
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={newView.shared}
+                  onChange={(e) => setNewView({ ...newView, shared: e.target.checked })}
+                  className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                Share with team
+              </label>
+              <button
+                type="submit"
+                disabled={saving}
+                className="w-full px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,206 @@
+import { useState } from 'react';
+import { SEQUENCE_VARIABLES, STOP_RULES, createEmptyStep, validateSequence } from '../utils/emailSequences';
+
+// Edits a sequence draft; the parent owns saving. readOnly shows the steps without inputs.
+export default function SequenceEditor({ sequence, onChange, onSave, onDelete, saving, readOnly }) {
+  const [error, setError] = useState('');
+  // Step + field the next variable chip inserts into
+  const [activeField, setActiveField] = useState({ index: 0, field: 'body' });
+
+  const updateStep = (index, changes) => {
+    onChange({
+      ...sequence,
+      steps: sequence.steps.map((step, i) => (i === index ? { ...step, ...changes } : step))
+    });
+  };
+
+  const moveStep = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= sequence.steps.length) return;
+    const steps = [...sequence.steps];
+    [steps[index], steps[target]] = [steps[target], steps[index]];
+    onChange({ ...sequence, steps });
+  };
+
+  const removeStep = (index) => {
+    onChange({ ...sequence, steps: sequence.steps.filter((_, i) => i !== index) });
+  };
+
+  const insertVariable = (key) => {
+    const { index, field } = activeField;
+    const step = sequence.steps[index];
+    if (!step) return;
+    updateStep(index, { [field]: `${step[field] || ''}{{${key}}}` });
+  };
+
+  const handleSave = () => {
+    const validationError = validateSequence(sequence);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    setError('');
+    onSave();
+  };
+
+  return (
+    <div className="space-y-5">
+      <div>
+        <label className="block text-xs font-semibold text-gray-700 mb-1">Sequence Name</label>
+        <input
+          type="text"
+          value={sequence.name}
+          onChange={(e) => onChange({ ...sequence, name: e.target.value })}
+          disabled={readOnly}
+          placeholder="e.g. Q3 founder outreach"
+          className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+        />
+      </div>
+
+      {/* Stop Rules */}
+      <div>
+        <p className="text-xs font-semibold text-gray-700 mb-2">Stop Rules</p>
+        <div className="flex flex-wrap gap-4">
+          {STOP_RULES.map((rule) => (
+            <label key={rule.key} className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={!!sequence.stopRules?.[rule.key]}
+                disabled={readOnly}
+                onChange={(e) => onChange({ ...sequence, stopRules: { ...sequence.stopRules, [rule.key]: e.target.checked } })}
+                className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              />
+              {rule.label}
+            </label>
+          ))}
+        </div>
+        <p className="mt-1 text-xs text-gray-500">
+          Checked against the email statuses logged for each contact. Any status other than No Reply or Out of Office counts as a reply.
+        </p>
+      </div>
+
+      {/* Variables */}
+      {!readOnly && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-xs font-medium text-gray-500">Insert variable:</span>
+          {SEQUENCE_VARIABLES.map((variable) => (
+            <button
+              key={variable.key}
+              type="button"
+              onClick={() => insertVariable(variable.key)}
+              className="px-2 py-1 text-xs font-mono text-blue-700 bg-blue-50 rounded hover:bg-blue-100"
+              title={variable.label}
+            >
+              {`{{${variable.key}}}`}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Steps */}
+      <div className="space-y-3">
+        {sequence.steps.map((step, index) => (
+          <div key={index} className="border border-gray-200 rounded-lg p-4 bg-gray-50">
+            <div className="flex items-center justify-between gap-3 mb-3">
+              <div className="flex items-center gap-2 text-sm">
+                <span className="font-semibold text-gray-900">Step {index + 1}</span>
+                <span className="text-gray-500">· send</span>
+                <input
+                  type="number"
+                  min={0}
+                  value={step.waitDays}
+                  disabled={readOnly}
+                  onChange={(e) => updateStep(index, { waitDays: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                  className="w-16 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-white"
+                />
+                <span className="text-gray-500">days after {index === 0 ? 'enrollment' : 'the previous step'}</span>
+              </div>
+              {!readOnly && (
+                <div className="flex items-center gap-1">
+                  <button
+                    type="button"
+                    onClick={() => moveStep(index, -1)}
+                    disabled={index === 0}
+                    className="px-2 py-1 text-xs text-gray-600 rounded hover:bg-gray-200 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveStep(index, 1)}
+                    disabled={index === sequence.steps.length - 1}
+                    className="px-2 py-1 text-xs text-gray-600 rounded hover:bg-gray-200 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeStep(index)}
+                    disabled={sequence.steps.length === 1}
+                    className="px-2 py-1 text-xs text-red-600 rounded hover:bg-red-50 disabled:opacity-30"
+                  >
+                    Remove
+                  </button>
+                </div>
+              )}
+            </div>
+            <input
+              type="text"
+              value={step.subject}
+              disabled={readOnly}
+              onFocus={() => setActiveField({ index, field: 'subject' })}
+              onChange={(e) => updateStep(index, { subject: e.target.value })}
+              placeholder="Subject"
+              className="w-full mb-2 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+            />
+            <textarea
+              value={step.body}
+              disabled={readOnly}
+              onFocus={() => setActiveField({ index, field: 'body' })}
+              onChange={(e) => updateStep(index, { body: e.target.value })}
+              rows={5}
+              placeholder={'Hi {{firstName}},\n\n...'}
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+            />
+          </div>
+        ))}
+      </div>
+
+      {!readOnly && (
+        <>
+          <button
+            type="button"
+            onClick={() => onChange({ ...sequence, steps: [...sequence.steps, createEmptyStep()] })}
+            className="w-full py-2 text-sm font-medium text-blue-600 border-2 border-dashed border-blue-200 rounded-lg hover:bg-blue-50"
+          >
+            + Add Step
+          </button>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <div className="flex items-center justify-between">
+            {onDelete ? (
+              <button
+                type="button"
+                onClick={onDelete}
+                className="px-4 py-2 text-sm font-medium text-red-600 bg-red-50 rounded-lg hover:bg-red-100"
+              >
+                Delete Sequence
+              </button>
+            ) : <span />}
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Sequence'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
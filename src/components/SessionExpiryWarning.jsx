@@ -0,0 +1,89 @@
+import { useState, useEffect } from 'react';
+import { refreshSession } from '../api/axios';
+import { getRefreshToken, getTokenExpiry, logout } from '../api/session';
+
+const WARNING_WINDOW_MS = 5 * 60 * 1000;
+const TICK_MS = 15 * 1000;
+
+export default function SessionExpiryWarning() {
+  const [now, setNow] = useState(() => Date.now());
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Read the token on every tick so a refresh in another tab pushes the warning back
+  const expiresAt = getTokenExpiry();
+  const remaining = expiresAt ? expiresAt - now : null;
+
+  // An expired token is refreshed before giving up. refreshSession shares the interceptor's
+  // in-flight refresh, so a 401 retry running at the same moment doesn't spend the refresh token twice.
+  useEffect(() => {
+    if (remaining === null || remaining > 0) return;
+    if (!getRefreshToken()) {
+      logout({ reason: 'expired' });
+      return;
+    }
+    refreshSession()
+      .then(() => setNow(Date.now()))
+      .catch((err) => {
+        console.error('Error refreshing expired session:', err);
+        logout({ reason: 'expired' });
+      });
+  }, [remaining]);
+
+  if (remaining === null || remaining > WARNING_WINDOW_MS || remaining <= 0) {
+    return null;
+  }
+
+  const canRefresh = !!getRefreshToken();
+  const minutesLeft = Math.max(1, Math.ceil(remaining / 60000));
+
+  const handleStaySignedIn = async () => {
+    try {
+      setRefreshing(true);
+      setError('');
+      await refreshSession();
+      setNow(Date.now());
+    } catch (err) {
+      console.error('Error refreshing session:', err);
+      setError('Couldn\'t extend your session. Save your work and log in again.');
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  return (
+    <div className="sticky top-0 z-30 bg-amber-50 border-b border-amber-200 px-4 py-2.5 flex flex-wrap items-center justify-between gap-3">
+      <div className="flex items-center gap-2 text-sm text-amber-800">
+        <svg className="w-5 h-5 text-amber-600 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+        </svg>
+        <span>
+          Your session expires in {minutesLeft} minute{minutesLeft === 1 ? '' : 's'}.
+          {error && <span className="ml-1 text-red-700">{error}</span>}
+        </span>
+      </div>
+      <div className="flex items-center gap-2">
+        {canRefresh && (
+          <button
+            onClick={handleStaySignedIn}
+            disabled={refreshing}
+            className="px-3 py-1.5 text-sm font-medium text-white bg-amber-600 rounded-lg hover:bg-amber-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {refreshing ? 'Extending...' : 'Stay signed in'}
+          </button>
+        )}
+        <button
+          onClick={() => logout({ reason: canRefresh ? undefined : 'expired' })}
+          className="px-3 py-1.5 text-sm font-medium text-amber-800 bg-white border border-amber-300 rounded-lg hover:bg-amber-100 transition-colors"
+        >
+          {canRefresh ? 'Log out' : 'Log in again'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,11 +1,14 @@
 import { useState, useEffect } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
+import { PERMISSIONS, ROLE_LABELS, hasPermission, getUserRole } from '../utils/permissions';
+import { logout } from '../api/session';
 
 const projectsItems = [
   {
     id: 'analytical-dashboard',
     label: 'Dashboard',
     path: '/projects/dashboard',
+    permission: PERMISSIONS.VIEW_ANALYTICS,
     icon: (
       <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
@@ -16,6 +19,7 @@ const projectsItems = [
     id: 'project-management',
     label: 'Project Management',
     path: '/projects',
+    permission: PERMISSIONS.VIEW_PROJECTS,
     icon: (
       <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
@@ -33,6 +37,7 @@ export default function Sidebar({ isOpen = false, onClose }) {
       id: 'dashboard',
       label: 'Dashboard',
       path: '/dashboard',
+      permission: PERMISSIONS.VIEW_DATABANK,
       icon: (
         <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2V6zM14 6a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2V6zM4 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2H6a2 2 0 01-2-2v-2zM14 16a2 2 0 012-2h2a2 2 0 012 2v2a2 2 0 01-2 2h-2a2 2 0 01-2-2v-2z" />
@@ -43,6 +48,7 @@ export default function Sidebar({ isOpen = false, onClose }) {
       id: 'contacts',
       label: 'Contacts',
       path: '/contacts',
+      permission: PERMISSIONS.VIEW_DATABANK,
       icon: (
         <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
@@ -53,6 +59,7 @@ export default function Sidebar({ isOpen = false, onClose }) {
       id: 'import',
       label: 'Import',
       path: '/import',
+      permission: PERMISSIONS.IMPORT_CONTACTS,
       icon: (
         <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
@@ -75,6 +82,10 @@ export default function Sidebar({ isOpen = false, onClose }) {
 
   const menuItems = [];
 
+  // Only show what the signed-in user's role can open
+  const visibleDatabankItems = databankItems.filter(item => hasPermission(item.permission));
+  const visibleProjectsItems = projectsItems.filter(item => hasPermission(item.permission));
+
   const isActive = (path) => {
     if (path === '/dashboard' || path === '/') {
       return location.pathname === '/dashboard' || location.pathname === '/';
@@ -165,145 +176,220 @@ export default function Sidebar({ isOpen = false, onClose }) {
       {/* Navigation Items */}
       <nav className="flex-1 px-4 py-4 overflow-y-auto">
         <div className="space-y-1">
+          {/* My Day - follow-up queue */}
+          {hasPermission(PERMISSIONS.VIEW_TASKS) && (
+            <div className="mb-2">
+              <button
+                onClick={() => handleNavigation('/tasks')}
+                className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-lg transition-colors ${
+                  isActive('/tasks')
+                    ? 'bg-blue-50 text-blue-600'
+                    : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
+                }`}
+              >
+                <span className={isActive('/tasks') ? 'text-blue-600' : 'text-gray-500'}>
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" />
+                  </svg>
+                </span>
+                <span className={`text-sm font-medium ${isActive('/tasks') ? 'text-blue-600' : 'text-gray-700'}`}>
+                  My Day
+                </span>
+              </button>
+            </div>
+          )}
+
           {/* Databank Folder */}
-          <div>
-            <button
-              onClick={() => setIsDatabankOpen(!isDatabankOpen)}
-              className="w-full flex items-center justify-between px-3 py-2.5 rounded-lg text-gray-700 hover:bg-gray-50 hover:text-gray-900 transition-colors"
-            >
-              <div className="flex items-center gap-3">
-                <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z" />
-                </svg>
-                <span className="text-sm font-medium">Databank</span>
-              </div>
-              <svg
-                className={`w-4 h-4 text-gray-500 transition-transform ${isDatabankOpen ? 'rotate-90' : ''}`}
-                fill="none"
-                stroke="currentColor"
-                viewBox="0 0 24 24"
+          {visibleDatabankItems.length > 0 && (
+            <div>
+              <button
+                onClick={() => setIsDatabankOpen(!isDatabankOpen)}
+                className="w-full flex items-center justify-between px-3 py-2.5 rounded-lg text-gray-700 hover:bg-gray-50 hover:text-gray-900 transition-colors"
               >
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
-              </svg>
-            </button>
+                <div className="flex items-center gap-3">
+                  <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z" />
+                  </svg>
+                  <span className="text-sm font-medium">Databank</span>
+                </div>
+                <svg
+                  className={`w-4 h-4 text-gray-500 transition-transform ${isDatabankOpen ? 'rotate-90' : ''}`}
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                </svg>
+              </button>
             
-            {/* Databank Sub-items */}
-            {isDatabankOpen && (
-              <div className="ml-4 mt-1 space-y-1 border-l-2 border-gray-200 pl-2">
-                {databankItems.map((item) => {
-                  const active = isActive(item.path);
-                  return (
-                    <button
-                      key={item.id}
-                      onClick={() => handleNavigation(item.path === '/dashboard' ? '/' : item.path)}
-                      className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-lg transition-colors ${
-                        active
-                          ? 'bg-blue-50 text-blue-600'
-                          : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
-                      }`}
-                    >
-                      <span className={active ? 'text-blue-600' : 'text-gray-500'}>
-                        {item.icon}
-                      </span>
-                      <span className={`text-sm font-medium ${active ? 'text-blue-600' : 'text-gray-700'}`}>
-                        {item.label}
-                      </span>
-                    </button>
-                  );
-                })}
-              </div>
-            )}
-          </div>
+              {/* Databank Sub-items */}
+              {isDatabankOpen && (
+                <div className="ml-4 mt-1 space-y-1 border-l-2 border-gray-200 pl-2">
+                  {visibleDatabankItems.map((item) => {
+                    const active = isActive(item.path);
+                    return (
+                      <button
+                        key={item.id}
+                        onClick={() => handleNavigation(item.path === '/dashboard' ? '/' : item.path)}
+                        className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-lg transition-colors ${
+                          active
+                            ? 'bg-blue-50 text-blue-600'
+                            : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
+                        }`}
+                      >
+                        <span className={active ? 'text-blue-600' : 'text-gray-500'}>
+                          {item.icon}
+                        </span>
+                        <span className={`text-sm font-medium ${active ? 'text-blue-600' : 'text-gray-700'}`}>
+                          {item.label}
+                        </span>
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          )}
 
           {/* Projects Folder */}
-          <div className="mt-2">
-            <button
-              onClick={() => setIsProjectsOpen(!isProjectsOpen)}
-              className="w-full flex items-center justify-between px-3 py-2.5 rounded-lg text-gray-700 hover:bg-gray-50 hover:text-gray-900 transition-colors"
-            >
-              <div className="flex items-center gap-3">
-                <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z" />
-                </svg>
-                <span className="text-sm font-medium">Projects</span>
-              </div>
-              <svg
-                className={`w-4 h-4 text-gray-500 transition-transform ${isProjectsOpen ? 'rotate-90' : ''}`}
-                fill="none"
-                stroke="currentColor"
-                viewBox="0 0 24 24"
+          {visibleProjectsItems.length > 0 && (
+            <div className="mt-2">
+              <button
+                onClick={() => setIsProjectsOpen(!isProjectsOpen)}
+                className="w-full flex items-center justify-between px-3 py-2.5 rounded-lg text-gray-700 hover:bg-gray-50 hover:text-gray-900 transition-colors"
               >
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
-              </svg>
-            </button>
+                <div className="flex items-center gap-3">
+                  <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z" />
+                  </svg>
+                  <span className="text-sm font-medium">Projects</span>
+                </div>
+                <svg
+                  className={`w-4 h-4 text-gray-500 transition-transform ${isProjectsOpen ? 'rotate-90' : ''}`}
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                >
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+                </svg>
+              </button>
             
-            {/* Projects Sub-items */}
-            {isProjectsOpen && (
-              <div className="ml-4 mt-1 space-y-1 border-l-2 border-gray-200 pl-2">
-                {projectsItems.map((item) => {
-                  const active = isActive(item.path);
-                  return (
-                    <button
-                      key={item.id}
-                      onClick={() => handleNavigation(item.path)}
-                      className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-lg transition-colors ${
-                        active
-                          ? 'bg-blue-50 text-blue-600'
-                          : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
-                      }`}
-                    >
-                      <span className={active ? 'text-blue-600' : 'text-gray-500'}>
-                        {item.icon}
-                      </span>
-                      <span className={`text-sm font-medium ${active ? 'text-blue-600' : 'text-gray-700'}`}>
-                        {item.label}
-                      </span>
-                    </button>
-                  );
-                })}
-              </div>
-            )}
-          </div>
+              {/* Projects Sub-items */}
+              {isProjectsOpen && (
+                <div className="ml-4 mt-1 space-y-1 border-l-2 border-gray-200 pl-2">
+                  {visibleProjectsItems.map((item) => {
+                    const active = isActive(item.path);
+                    return (
+                      <button
+                        key={item.id}
+                        onClick={() => handleNavigation(item.path)}
+                        className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-lg transition-colors ${
+                          active
+                            ? 'bg-blue-50 text-blue-600'
+                            : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
+                        }`}
+                      >
+                        <span className={active ? 'text-blue-600' : 'text-gray-500'}>
+                          {item.icon}
+                        </span>
+                        <span className={`text-sm font-medium ${active ? 'text-blue-600' : 'text-gray-700'}`}>
+                          {item.label}
+                        </span>
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+            </div>
+          )}
 
           {/* Master Dashboard - After Projects */}
-          <div className="mt-2">
-            <button
-              onClick={() => handleNavigation(masterDashboardItem.path)}
-              className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-lg transition-colors ${
-                isActive(masterDashboardItem.path)
-                  ? 'bg-blue-50 text-blue-600'
-                  : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
-              }`}
-            >
-              <span className={isActive(masterDashboardItem.path) ? 'text-blue-600' : 'text-gray-500'}>
-                {masterDashboardItem.icon}
-              </span>
-              <span className={`text-sm font-medium ${isActive(masterDashboardItem.path) ? 'text-blue-600' : 'text-gray-700'}`}>
-                {masterDashboardItem.label}
-              </span>
-            </button>
-          </div>
+          {hasPermission(PERMISSIONS.VIEW_MASTER_DASHBOARD) && (
+            <div className="mt-2">
+              <button
+                onClick={() => handleNavigation(masterDashboardItem.path)}
+                className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-lg transition-colors ${
+                  isActive(masterDashboardItem.path)
+                    ? 'bg-blue-50 text-blue-600'
+                    : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
+                }`}
+              >
+                <span className={isActive(masterDashboardItem.path) ? 'text-blue-600' : 'text-gray-500'}>
+                  {masterDashboardItem.icon}
+                </span>
+                <span className={`text-sm font-medium ${isActive(masterDashboardItem.path) ? 'text-blue-600' : 'text-gray-700'}`}>
+                  {masterDashboardItem.label}
+                </span>
+              </button>
+            </div>
+          )}
 
           {/* Employee Performance */}
-          <div className="mt-2">
-            <button
-              onClick={() => handleNavigation('/employee-performance')}
-              className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-lg transition-colors ${
-                isActive('/employee-performance')
-                  ? 'bg-blue-50 text-blue-600'
-                  : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
-              }`}
-            >
-              <span className={isActive('/employee-performance') ? 'text-blue-600' : 'text-gray-500'}>
-                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
-                </svg>
-              </span>
-              <span className={`text-sm font-medium ${isActive('/employee-performance') ? 'text-blue-600' : 'text-gray-700'}`}>
-                Employee Performance
-              </span>
-            </button>
-          </div>
+          {hasPermission(PERMISSIONS.VIEW_EMPLOYEE_PERFORMANCE) && (
+            <div className="mt-2">
+              <button
+                onClick={() => handleNavigation('/employee-performance')}
+                className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-lg transition-colors ${
+                  isActive('/employee-performance')
+                    ? 'bg-blue-50 text-blue-600'
+                    : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
+                }`}
+              >
+                <span className={isActive('/employee-performance') ? 'text-blue-600' : 'text-gray-500'}>
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
+                  </svg>
+                </span>
+                <span className={`text-sm font-medium ${isActive('/employee-performance') ? 'text-blue-600' : 'text-gray-700'}`}>
+                  Employee Performance
+                </span>
+              </button>
+            </div>
+          )}
+
+          {hasPermission(PERMISSIONS.VIEW_LEADERBOARD) && (
+            <div className="mt-2">
+              <button
+                onClick={() => handleNavigation('/goals')}
+                className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-lg transition-colors ${
+                  isActive('/goals')
+                    ? 'bg-blue-50 text-blue-600'
+                    : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
+                }`}
+              >
+                <span className={isActive('/goals') ? 'text-blue-600' : 'text-gray-500'}>
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+                  </svg>
+                </span>
+                <span className={`text-sm font-medium ${isActive('/goals') ? 'text-blue-600' : 'text-gray-700'}`}>
+                  Goals & Leaderboard
+                </span>
+              </button>
+            </div>
+          )}
+
+          {hasPermission(PERMISSIONS.VIEW_AUDIT_LOG) && (
+            <div className="mt-2">
+              <button
+                onClick={() => handleNavigation('/audit-log')}
+                className={`w-full flex items-center gap-3 px-3 py-2.5 rounded-lg transition-colors ${
+                  isActive('/audit-log')
+                    ? 'bg-blue-50 text-blue-600'
+                    : 'text-gray-700 hover:bg-gray-50 hover:text-gray-900'
+                }`}
+              >
+                <span className={isActive('/audit-log') ? 'text-blue-600' : 'text-gray-500'}>
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                  </svg>
+                </span>
+                <span className={`text-sm font-medium ${isActive('/audit-log') ? 'text-blue-600' : 'text-gray-700'}`}>
+                  Audit Log
+                </span>
+              </button>
+            </div>
+          )}
 
         </div>
       </nav>
@@ -332,14 +418,11 @@ export default function Sidebar({ isOpen = false, onClose }) {
                 return user.email || '';
               })()}
             </p>
+            <p className="text-xs text-gray-400 truncate">{ROLE_LABELS[getUserRole()]}</p>
           </div>
         </div>
         <button
-          onClick={() => {
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
-            navigate('/login');
-          }}
+          onClick={() => logout()}
           className="w-full flex items-center gap-2 px-3 py-2 text-sm font-medium text-red-600 hover:bg-red-50 rounded-lg transition-colors"
         >
           <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -0,0 +1,176 @@
+import { useState } from 'react';
+import { STATUS_CHANNELS, STATUS_FLAGS, STATUS_COLORS, DEFAULT_STATUS_SCHEMA, getChannelFlags } from '../utils/statusSchema';
+
+export default function StatusSchemaEditor({ value, onChange }) {
+  const [activeChannel, setActiveChannel] = useState('linkedin');
+  const statuses = value?.[activeChannel] || [];
+  const channelFlags = getChannelFlags(activeChannel);
+
+  const updateChannel = (nextStatuses) => {
+    onChange({ ...value, [activeChannel]: nextStatuses });
+  };
+
+  const updateStatus = (index, field, fieldValue) => {
+    updateChannel(statuses.map((s, i) => (i === index ? { ...s, [field]: fieldValue } : s)));
+  };
+
+  const moveStatus = (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= statuses.length) return;
+    const next = [...statuses];
+    [next[index], next[target]] = [next[target], next[index]];
+    updateChannel(next);
+  };
+
+  const removeStatus = (index) => {
+    updateChannel(statuses.filter((_, i) => i !== index));
+  };
+
+  const addStatus = () => {
+    updateChannel([...statuses, { label: '', color: 'gray', ...Object.fromEntries(STATUS_FLAGS.map(flag => [flag.key, false])) }]);
+  };
+
+  const resetChannel = () => {
+    if (window.confirm('Replace this channel\'s statuses with the defaults?')) {
+      updateChannel(DEFAULT_STATUS_SCHEMA[activeChannel].map(s => ({ ...s })));
+    }
+  };
+
+  const duplicateLabels = statuses
+    .map(s => s.label.trim())
+    .filter((label, i, all) => label && all.indexOf(label) !== i);
+
+  return (
+    <div>
+      {/* Channel Tabs */}
+      <div className="flex items-center gap-2 border-b border-gray-200 mb-4">
+        {STATUS_CHANNELS.map((channel) => (
+          <button
+            key={channel.key}
+            type="button"
+            onClick={() => setActiveChannel(channel.key)}
+            className={`px-4 py-2 text-sm font-medium border-b-2 -mb-px transition-colors ${
+              activeChannel === channel.key
+                ? 'border-blue-600 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {channel.label}
+            <span className="ml-2 text-xs text-gray-400">{(value?.[channel.key] || []).length}</span>
+          </button>
+        ))}
+      </div>
+
+      {statuses.length === 0 ? (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-center">
+          <p className="text-sm text-gray-500">No statuses defined. The default list will be used.</p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <div className="grid grid-cols-12 gap-2 px-2 text-xs font-semibold text-gray-500 uppercase">
+            <span className="col-span-4">Label</span>
+            <span className="col-span-2">Color</span>
+            <span className="col-span-4">Counts as</span>
+            <span className="col-span-2 text-right">Order</span>
+          </div>
+          {statuses.map((s, index) => {
+            const colors = STATUS_COLORS[s.color] || STATUS_COLORS.gray;
+            return (
+              <div key={index} className="grid grid-cols-12 gap-2 items-center p-2 border border-gray-200 rounded-lg">
+                <div className="col-span-4 flex items-center gap-2">
+                  <span className={`w-3 h-3 rounded-full flex-shrink-0 ${colors.bg} ${colors.border || ''}`}></span>
+                  <input
+                    type="text"
+                    value={s.label}
+                    onChange={(e) => updateStatus(index, 'label', e.target.value)}
+                    className={`w-full px-3 py-1.5 text-sm border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                      duplicateLabels.includes(s.label.trim()) ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                    }`}
+                    placeholder="Status label"
+                  />
+                </div>
+                <select
+                  value={s.color}
+                  onChange={(e) => updateStatus(index, 'color', e.target.value)}
+                  className="col-span-2 px-2 py-1.5 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {Object.keys(STATUS_COLORS).map((color) => (
+                    <option key={color} value={color}>{color}</option>
+                  ))}
+                </select>
+                <div className="col-span-4 flex flex-wrap items-center gap-x-3 gap-y-1">
+                  {channelFlags.map((flag) => (
+                    <label key={flag.key} className="flex items-center gap-1 text-xs text-gray-700 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={!!s[flag.key]}
+                        onChange={(e) => updateStatus(index, flag.key, e.target.checked)}
+                        className="w-3.5 h-3.5 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                      />
+                      {flag.label}
+                    </label>
+                  ))}
+                </div>
+                <div className="col-span-2 flex items-center justify-end gap-1">
+                  <button
+                    type="button"
+                    onClick={() => moveStatus(index, -1)}
+                    disabled={index === 0}
+                    className="p-1 text-gray-500 hover:text-gray-900 hover:bg-gray-100 rounded disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 15l7-7 7 7" />
+                    </svg>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveStatus(index, 1)}
+                    disabled={index === statuses.length - 1}
+                    className="p-1 text-gray-500 hover:text-gray-900 hover:bg-gray-100 rounded disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+                    </svg>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => removeStatus(index)}
+                    className="p-1 text-red-600 hover:bg-red-50 rounded"
+                    title="Remove status"
+                  >
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {duplicateLabels.length > 0 && (
+        <p className="mt-2 text-xs text-red-600">Duplicate labels: {[...new Set(duplicateLabels)].join(', ')}</p>
+      )}
+
+      <div className="flex items-center justify-between mt-4">
+        <button
+          type="button"
+          onClick={addStatus}
+          className="px-3 py-1.5 text-sm font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100 transition-colors"
+        >
+          + Add Status
+        </button>
+        <button
+          type="button"
+          onClick={resetChannel}
+          className="text-sm text-gray-600 hover:text-gray-900 font-medium"
+        >
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import { useState, useEffect } from 'react';
+import API from '../api/axios';
+
+const formatDeletedAt = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+};
+
+// Soft-deleted records for one scope (all contacts, or one project's prospects).
+// `endpoint` lists them (GET), `${endpoint}/restore` brings them back (POST { contactIds }) and
+// DELETE `${endpoint}` with { contactIds } removes them for good.
+export default function TrashModal({ isOpen, onClose, title, endpoint, onRestored }) {
+  const [items, setItems] = useState([]);
+  const [selected, setSelected] = useState(new Set());
+  const [loading, setLoading] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!isOpen || !endpoint) return;
+
+    const fetchTrash = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        setSelected(new Set());
+        const response = await API.get(endpoint);
+        if (response.data.success) {
+          setItems(response.data.data || []);
+        }
+      } catch (err) {
+        console.error('Error fetching trash:', err);
+        setError('Couldn\'t load the trash. Close this window and try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchTrash();
+  }, [isOpen, endpoint]);
+
+  const toggleSelected = (itemId) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(itemId)) next.delete(itemId);
+      else next.add(itemId);
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(selected.size === items.length ? new Set() : new Set(items.map(item => item._id)));
+  };
+
+  const handleRestore = async () => {
+    const contactIds = Array.from(selected);
+    try {
+      setWorking(true);
+      setError('');
+      const response = await API.post(`${endpoint}/restore`, { contactIds });
+      if (response.data.success) {
+        setItems(items.filter(item => !selected.has(item._id)));
+        setSelected(new Set());
+        onRestored?.(contactIds);
+      }
+    } catch (err) {
+      console.error('Error restoring from trash:', err);
+      setError(err.response?.data?.error || 'Couldn\'t restore those records. Try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handlePurge = async () => {
+    const count = selected.size;
+    if (!window.confirm(`Permanently delete ${count} ${count === 1 ? 'record' : 'records'}? This can't be undone.`)) return;
+    try {
+      setWorking(true);
+      setError('');
+      await API.delete(endpoint, { data: { contactIds: Array.from(selected) } });
+      setItems(items.filter(item => !selected.has(item._id)));
+      setSelected(new Set());
+    } catch (err) {
+      console.error('Error emptying trash:', err);
+      setError(err.response?.data?.error || 'Couldn\'t delete those records. Try again.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 animate-fade-in">
+      <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl mx-4 max-h-[85vh] flex flex-col animate-fade-in">
+        {/* Header */}
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">{title}</h2>
+            <p className="text-sm text-gray-500 mt-0.5">Deleted records stay here until they're restored or deleted for good.</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 transition-colors"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 overflow-y-auto flex-1">
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+          )}
+
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+          ) : items.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-8">The trash is empty.</p>
+          ) : (
+            <div className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+              <label className="flex items-center gap-3 px-4 py-2 bg-gray-50 text-xs font-semibold text-gray-600 uppercase">
+                <input
+                  type="checkbox"
+                  checked={selected.size === items.length}
+                  onChange={toggleAll}
+                  className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                Select all ({items.length})
+              </label>
+              {items.map((item) => (
+                <label key={item._id} className="flex items-center gap-3 px-4 py-2 hover:bg-gray-50 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={selected.has(item._id)}
+                    onChange={() => toggleSelected(item._id)}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  <div className="flex-1 min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">
+                      {item.name || 'N/A'}
+                      {item.company && <span className="text-gray-500 font-normal"> · {item.company}</span>}
+                    </p>
+                    {item.email && <p className="text-xs text-gray-500 truncate">{item.email}</p>}
+                  </div>
+                  <div className="text-right flex-shrink-0">
+                    <p className="text-xs text-gray-500">{formatDeletedAt(item.deletedAt)}</p>
+                    {item.deletedBy?.name && <p className="text-xs text-gray-400">by {item.deletedBy.name}</p>}
+                  </div>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between gap-3 p-6 border-t border-gray-200">
+          <button
+            onClick={handlePurge}
+            disabled={working || selected.size === 0}
+            className="px-4 py-2 text-sm font-medium text-red-600 bg-red-50 rounded-lg hover:bg-red-100 disabled:opacity-50"
+          >
+            Delete Forever
+          </button>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200"
+            >
+              Close
+            </button>
+            <button
+              onClick={handleRestore}
+              disabled={working || selected.size === 0}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {working ? 'Working...' : `Restore${selected.size > 0 ? ` (${selected.size})` : ''}`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
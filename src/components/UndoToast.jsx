@@ -0,0 +1,67 @@
+import { useState, useEffect, useRef } from 'react';
+
+// Bottom-of-screen notice after a soft delete. Counts down, then calls onDismiss; Undo calls onUndo
+// (which may be async) and then dismisses. Give it a new `key` for each delete to restart the timer.
+export default function UndoToast({ message, onUndo, onDismiss, duration = 10000 }) {
+  const [secondsLeft, setSecondsLeft] = useState(Math.ceil(duration / 1000));
+  const [undoing, setUndoing] = useState(false);
+  const [error, setError] = useState('');
+  // Parents pass inline handlers; keep the latest without restarting the countdown
+  const onDismissRef = useRef(onDismiss);
+
+  useEffect(() => {
+    onDismissRef.current = onDismiss;
+  }, [onDismiss]);
+
+  useEffect(() => {
+    if (undoing) return;
+    const interval = setInterval(() => setSecondsLeft(prev => Math.max(0, prev - 1)), 1000);
+    const timeout = setTimeout(() => onDismissRef.current(), duration);
+    return () => {
+      clearInterval(interval);
+      clearTimeout(timeout);
+    };
+  }, [duration, undoing]);
+
+  const handleUndo = async () => {
+    try {
+      setUndoing(true);
+      setError('');
+      await onUndo();
+      onDismissRef.current();
+    } catch (err) {
+      console.error('Error undoing delete:', err);
+      setError('Couldn\'t undo. Restore them from the trash instead.');
+      setSecondsLeft(Math.ceil(duration / 1000));
+      setUndoing(false);
+    }
+  };
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 animate-fade-in">
+      <div className="flex items-center gap-4 px-4 py-3 bg-gray-900 text-white rounded-lg shadow-xl">
+        <div>
+          <p className="text-sm font-medium">{message}</p>
+          {error && <p className="text-xs text-red-300 mt-0.5">{error}</p>}
+        </div>
+        <button
+          onClick={handleUndo}
+          disabled={undoing}
+          className="px-3 py-1 text-sm font-semibold text-blue-300 hover:text-blue-200 disabled:opacity-50"
+        >
+          {undoing ? 'Restoring...' : `Undo (${secondsLeft}s)`}
+        </button>
+        <button
+          onClick={() => onDismissRef.current()}
+          disabled={undoing}
+          className="text-gray-400 hover:text-gray-200"
+          title="Dismiss"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+    </div>
+  );
+}
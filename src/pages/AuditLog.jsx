@@ -0,0 +1,183 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import API from '../api/axios';
+import AuditEntryList from '../components/AuditEntryList';
+import DateRangePicker from '../components/DateRangePicker';
+import { readDateRange, writeDateRange, getDateRangeRequestParams } from '../utils/dateRange';
+import { AUDIT_ENTITY_TYPES, AUDIT_ACTIONS, AUDIT_PAGE_SIZE } from '../utils/auditLog';
+
+const FILTER_KEYS = ['entityType', 'action', 'userId', 'q'];
+
+// Admin-wide feed of every recorded change, filterable by record type, action, user, text and date.
+// Filters live in the URL so a search can be shared.
+export default function AuditLog() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const dateRange = useMemo(() => readDateRange(searchParams, 'last7days'), [searchParams]);
+  const filters = useMemo(
+    () => FILTER_KEYS.reduce((acc, key) => ({ ...acc, [key]: searchParams.get(key) || '' }), {}),
+    [searchParams]
+  );
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1);
+
+  const [entries, setEntries] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 0 });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [searchDraft, setSearchDraft] = useState(filters.q);
+
+  useEffect(() => {
+    const fetchAuditLog = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const params = { ...getDateRangeRequestParams(dateRange), page, limit: AUDIT_PAGE_SIZE };
+        FILTER_KEYS.forEach(key => {
+          if (filters[key]) params[key] = filters[key];
+        });
+        const response = await API.get('/audit-log', { params });
+        if (response.data.success) {
+          setEntries(response.data.data || []);
+          setPagination({
+            total: response.data.total || 0,
+            totalPages: response.data.totalPages || 0
+          });
+          // The API lists everyone who appears in the log so the user filter stays complete
+          if (Array.isArray(response.data.users)) setUsers(response.data.users);
+        }
+      } catch (err) {
+        console.error('Error fetching audit log:', err);
+        setError('Couldn\'t load the audit log. Refresh the page to try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchAuditLog();
+  }, [dateRange, filters, page]);
+
+  // Any filter change starts again from page 1
+  const updateParams = (changes) => {
+    const params = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+      else params.delete(key);
+    });
+    if (!('page' in changes)) params.delete('page');
+    setSearchParams(params, { replace: true });
+  };
+
+  const handleDateRangeChange = (range) => {
+    const params = writeDateRange(searchParams, range);
+    params.delete('page');
+    setSearchParams(params, { replace: true });
+  };
+
+  const hasFilters = FILTER_KEYS.some(key => filters[key]);
+
+  const selectClassName = 'px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+  return (
+    <div className="bg-gray-50 min-h-screen">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="flex flex-col lg:flex-row lg:items-start lg:justify-between gap-4 mb-6">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Audit Log</h1>
+            <p className="text-gray-600 text-sm">Every change to contacts, activities and prospect stages, with who made it</p>
+          </div>
+          <DateRangePicker value={dateRange} onChange={handleDateRangeChange} showCompare={false} />
+        </div>
+
+        {/* Filters */}
+        <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-4 mb-6 flex flex-wrap items-center gap-3">
+          <select value={filters.entityType} onChange={(e) => updateParams({ entityType: e.target.value })} className={selectClassName}>
+            <option value="">All records</option>
+            {AUDIT_ENTITY_TYPES.map(type => (
+              <option key={type.key} value={type.key}>{type.label}</option>
+            ))}
+          </select>
+          <select value={filters.action} onChange={(e) => updateParams({ action: e.target.value })} className={selectClassName}>
+            <option value="">All actions</option>
+            {AUDIT_ACTIONS.map(action => (
+              <option key={action.key} value={action.key}>{action.label}</option>
+            ))}
+          </select>
+          <select value={filters.userId} onChange={(e) => updateParams({ userId: e.target.value })} className={selectClassName}>
+            <option value="">All users</option>
+            {users.map(user => (
+              <option key={user._id} value={user._id}>{user.name || user.email}</option>
+            ))}
+          </select>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              updateParams({ q: searchDraft.trim() });
+            }}
+            className="flex-1 min-w-[12rem]"
+          >
+            <input
+              type="search"
+              value={searchDraft}
+              onChange={(e) => setSearchDraft(e.target.value)}
+              placeholder="Search record name or field value..."
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </form>
+          {hasFilters && (
+            <button
+              onClick={() => {
+                setSearchDraft('');
+                updateParams({ entityType: '', action: '', userId: '', q: '' });
+              }}
+              className="text-sm font-medium text-blue-600 hover:text-blue-800"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-6 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="py-16 flex justify-center">
+            <div className="animate-spin rounded-full h-10 w-10 border-4 border-gray-200 border-t-blue-600"></div>
+          </div>
+        ) : entries.length === 0 ? (
+          !error && (
+            <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-12 text-center text-sm text-gray-500">
+              No changes match these filters.
+            </div>
+          )
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 mb-4">{pagination.total.toLocaleString()} {pagination.total === 1 ? 'change' : 'changes'}</p>
+            <AuditEntryList entries={entries} showRecord />
+            {pagination.totalPages > 1 && (
+              <div className="flex items-center justify-between mt-6 text-sm text-gray-600">
+                <span>Page {page} of {pagination.totalPages}</span>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => updateParams({ page: page > 2 ? String(page - 1) : '' })}
+                    disabled={page <= 1}
+                    className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => updateParams({ page: String(page + 1) })}
+                    disabled={page >= pagination.totalPages}
+                    className="px-3 py-1.5 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Next
+                  </button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import API from '../api/axios';
+import { clearSession, saveSession } from '../api/session';
+
+const INVALID_INVITE_MESSAGE = 'This invite link is invalid or has expired. Ask your account manager for a new one.';
+
+// Landing page for invite links. The server swaps the invite token for a client-viewer
+// session scoped to the invited project.
+export default function ClientInvite() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  // Invite tokens may be single-use; don't send a second accept when the effect re-runs
+  const acceptedRef = useRef(false);
+
+  useEffect(() => {
+    if (acceptedRef.current) return;
+    acceptedRef.current = true;
+
+    const acceptInvite = async () => {
+      try {
+        const response = await API.post('/auth/client-invites/accept', { token });
+        if (response.data.success) {
+          const { token: sessionToken, refreshToken, user, projectId } = response.data.data;
+          // Whoever was signed in on this browser is replaced by the invited client
+          clearSession();
+          saveSession({ token: sessionToken, refreshToken, user });
+          navigate(projectId ? `/client/projects/${projectId}` : '/client', { replace: true });
+        } else {
+          setError(response.data.error || INVALID_INVITE_MESSAGE);
+        }
+      } catch (err) {
+        console.error('Error accepting client invite:', err);
+        setError(err.response?.data?.error || INVALID_INVITE_MESSAGE);
+      }
+    };
+    acceptInvite();
+  }, [token, navigate]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-indigo-50 flex items-center justify-center px-4">
+      <div className="w-full max-w-md bg-white rounded-2xl shadow-xl p-8 border border-gray-100 text-center">
+        {error ? (
+          <>
+            <p className="text-gray-700 mb-4">{error}</p>
+            <Link to="/login" className="text-sm font-medium text-blue-600 hover:text-blue-800">
+              Go to login
+            </Link>
+          </>
+        ) : (
+          <>
+            <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600 mx-auto mb-4"></div>
+            <p className="text-gray-600">Opening your campaign report...</p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
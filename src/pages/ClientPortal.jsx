@@ -0,0 +1,71 @@
+import { useState, useEffect } from 'react';
+import { Link, Navigate } from 'react-router-dom';
+import API from '../api/axios';
+
+export default function ClientPortal() {
+  const [projects, setProjects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchProjects();
+  }, []);
+
+  const fetchProjects = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await API.get('/client-portal/projects');
+      if (response.data.success) {
+        setProjects(response.data.data || []);
+      }
+    } catch (err) {
+      console.error('Error fetching client projects:', err);
+      setError('Couldn\'t load your campaigns. Refresh the page to try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Most clients have a single campaign; skip the list and open it
+  if (!loading && !error && projects.length === 1) {
+    return <Navigate to={`/client/projects/${projects[0]._id}`} replace />;
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 py-8">
+      <h1 className="text-2xl font-bold text-gray-900 mb-1">Your Campaigns</h1>
+      <p className="text-sm text-gray-600 mb-6">Pick a campaign to see its progress and monthly report.</p>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-16">
+          <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+        </div>
+      ) : error ? (
+        <div className="p-4 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+      ) : projects.length === 0 ? (
+        <div className="bg-white rounded-xl border border-gray-200 p-8 text-center">
+          <p className="text-gray-600">No campaigns have been shared with you yet.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {projects.map((project) => (
+            <Link
+              key={project._id}
+              to={`/client/projects/${project._id}`}
+              className="block bg-white rounded-xl border border-gray-200 p-5 hover:border-blue-300 hover:shadow-md transition-all"
+            >
+              <h2 className="text-lg font-semibold text-gray-900">{project.companyName}</h2>
+              {project.campaignDetails?.startDate && (
+                <p className="text-sm text-gray-500 mt-1">
+                  {new Date(project.campaignDetails.startDate).toLocaleDateString()}
+                  {project.campaignDetails.endDate && ` – ${new Date(project.campaignDetails.endDate).toLocaleDateString()}`}
+                </p>
+              )}
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import API from '../api/axios';
+import MonthlyReport from './MonthlyReport';
+import { sanitizeClientReport, computeClientFunnels, computeQuotaProgress } from '../utils/clientPortal';
+
+export default function ClientProjectReport() {
+  const { id } = useParams();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const response = await API.get(`/client-portal/projects/${id}`);
+        if (response.data.success) {
+          setReport(sanitizeClientReport(response.data.data));
+        }
+      } catch (err) {
+        console.error('Error fetching client report:', err);
+        setError(err.response?.status === 404 || err.response?.status === 403
+          ? 'This campaign isn\'t shared with you.'
+          : 'Couldn\'t load this campaign. Refresh the page to try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchReport();
+  }, [id]);
+
+  const quota = useMemo(() => (report ? computeQuotaProgress(report.project, report.activities) : null), [report]);
+  const funnels = useMemo(() => (report ? computeClientFunnels(report.project, report.contacts, report.activities) : []), [report]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-24">
+        <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error || !report) {
+    return (
+      <div className="max-w-md mx-auto px-4 py-16 text-center">
+        <p className="text-gray-600 mb-4">{error || 'Campaign not found.'}</p>
+        <Link to="/client" className="text-sm font-medium text-blue-600 hover:text-blue-800">
+          Back to your campaigns
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 pt-6 space-y-6">
+        {/* Quota Progress */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-2 bg-white rounded-xl border border-gray-200 p-5">
+            <div className="flex items-baseline justify-between mb-3">
+              <h2 className="text-sm font-semibold text-gray-700">Lead Quota</h2>
+              <span className="text-sm text-gray-500">
+                {quota.committed > 0 ? `${quota.delivered} of ${quota.committed} leads` : `${quota.delivered} leads`}
+              </span>
+            </div>
+            <div className="w-full h-3 bg-gray-100 rounded-full overflow-hidden">
+              <div className="h-full bg-blue-600 rounded-full transition-all" style={{ width: `${quota.percent}%` }}></div>
+            </div>
+            <div className="flex flex-wrap justify-between gap-2 mt-3 text-xs text-gray-500">
+              <span>{quota.committed > 0 ? `${quota.percent}% delivered` : 'No quota committed'}</span>
+              {quota.startDate && (
+                <span>
+                  {quota.startDate.toLocaleDateString()}
+                  {quota.endDate && ` – ${quota.endDate.toLocaleDateString()}`}
+                  {quota.totalDays !== null && ` · day ${quota.elapsedDays} of ${quota.totalDays}`}
+                </span>
+              )}
+            </div>
+          </div>
+          <div className="bg-white rounded-xl border border-gray-200 p-5">
+            <h2 className="text-sm font-semibold text-gray-700 mb-2">Meetings Booked</h2>
+            <p className="text-3xl font-bold text-gray-900">{quota.meetingsBooked}</p>
+          </div>
+        </div>
+
+        {/* Funnels */}
+        {funnels.length > 0 && (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+            {funnels.map((funnel) => (
+              <div key={funnel.key} className="bg-white rounded-xl border border-gray-200 p-5">
+                <h2 className="text-sm font-semibold text-gray-700 mb-3">{funnel.label} Funnel</h2>
+                <ul className="space-y-2">
+                  {funnel.stages.map((stage) => (
+                    <li key={stage.label} className="flex items-center justify-between text-sm">
+                      <span className="text-gray-600">{stage.label}</span>
+                      <span className="font-semibold text-gray-900">{stage.count}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <MonthlyReport portalData={report} />
+    </div>
+  );
+}
@@ -1,27 +1,25 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import API from '../api/axios';
+import DownloadPdfButton from '../components/DownloadPdfButton';
+import FunnelConversionPanel from '../components/FunnelConversionPanel';
+import ProspectDrillDownModal from '../components/ProspectDrillDownModal';
+import CallQueuePanel from '../components/CallQueuePanel';
+import { getActivityDateRangeLabel } from '../utils/pdfExport';
+import { computeFunnel, getFunnelStageProspects } from '../utils/metrics';
+import { resolveStatusSchema } from '../utils/statusSchema';
+import { resolveCallRetryRules } from '../utils/callRetry';
 
 // Version: 2.0 - Updated funnel stages (10 stages)
 export default function ColdCallingFunnelDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const reportRef = useRef(null);
   const [project, setProject] = useState(null);
   const [contacts, setContacts] = useState([]);
   const [activities, setActivities] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [funnelData, setFunnelData] = useState({
-    prospectData: 0,
-    callsAttempted: 0,
-    callsConnected: 0,
-    decisionMakerReached: 0,
-    interested: 0,
-    detailsShared: 0,
-    demoBooked: 0,
-    demoCompleted: 0,
-    sql: 0,
-    won: 0
-  });
+  const [drillDownStage, setDrillDownStage] = useState(null);
 
   useEffect(() => {
     if (id) {
@@ -29,26 +27,6 @@ export default function ColdCallingFunnelDetail() {
     }
   }, [id]);
 
-  useEffect(() => {
-    if (id && (contacts.length > 0 || activities.length > 0)) {
-      calculateFunnelData();
-    } else if (id && contacts.length === 0 && activities.length === 0) {
-      // Initialize with zero values if no data
-      setFunnelData({
-        prospectData: 0,
-        callsAttempted: 0,
-        callsConnected: 0,
-        decisionMakerReached: 0,
-        interested: 0,
-        detailsShared: 0,
-        demoBooked: 0,
-        demoCompleted: 0,
-        sql: 0,
-        won: 0
-      });
-    }
-  }, [id, contacts, activities]);
-
   const fetchData = async () => {
     try {
       setLoading(true);
@@ -79,124 +57,19 @@ export default function ColdCallingFunnelDetail() {
     }
   };
 
-  const calculateFunnelData = () => {
-    console.log('Calculating funnel data...', { contactsCount: contacts.length, activitiesCount: activities.length });
-    
-    const data = {
-      prospectData: contacts.length, // Total prospects from project
-      callsAttempted: 0,
-      callsConnected: 0,
-      decisionMakerReached: 0,
-      interested: 0,
-      detailsShared: 0,
-      demoBooked: 0,
-      demoCompleted: 0,
-      sql: 0,
-      won: 0
-    };
-
-    if (activities.length === 0) {
-      console.log('No activities found, setting default data');
-      setFunnelData(data);
-      return;
-    }
-
-    // Calculate metrics using Sets to track unique contacts at each stage
-    const callsAttemptedSet = new Set();
-    const callsConnectedSet = new Set();
-    const decisionMakerReachedSet = new Set();
-    const interestedSet = new Set();
-    const detailsSharedSet = new Set();
-    const demoBookedSet = new Set();
-    const demoCompletedSet = new Set();
-    const sqlSet = new Set();
-    const wonSet = new Set();
-
-    activities.forEach(activity => {
-      const contactId = activity.contactId?.toString();
-      if (!contactId) return;
-
-      // Calls Attempted - if callDate exists, it means a call was attempted
-      if (activity.callDate) {
-        callsAttemptedSet.add(contactId);
-      }
-
-      // Calls Connected - if callStatus indicates a connection (not Ring, Busy, Hang Up, Switch Off, Invalid)
-      const connectedStatuses = ['Interested', 'Not Interested', 'Call Back', 'Future', 'Details Shared', 'Demo Booked', 'Demo Completed', 'Existing'];
-      if (activity.callStatus && connectedStatuses.includes(activity.callStatus)) {
-        callsConnectedSet.add(contactId);
-      }
-
-      // Decision Maker Reached - if callStatus indicates decision maker engagement
-      const decisionMakerStatuses = ['Interested', 'Details Shared', 'Demo Booked', 'Demo Completed'];
-      if (activity.callStatus && decisionMakerStatuses.includes(activity.callStatus)) {
-        decisionMakerReachedSet.add(contactId);
-      }
-
-      // Interested - if callStatus is 'Interested'
-      if (activity.callStatus === 'Interested') {
-        interestedSet.add(contactId);
-      }
-
-      // Details Shared - if callStatus is 'Details Shared'
-      if (activity.callStatus === 'Details Shared') {
-        detailsSharedSet.add(contactId);
-      }
-
-      // Demo Booked - if callStatus is 'Demo Booked'
-      if (activity.callStatus === 'Demo Booked') {
-        demoBookedSet.add(contactId);
-      }
-
-      // Demo Completed - if callStatus is 'Demo Completed'
-      if (activity.callStatus === 'Demo Completed') {
-        demoCompletedSet.add(contactId);
-      }
-
-      // SQL (Sales Qualified Lead) - if callStatus is 'Demo Completed' or 'Interested' with high engagement
-      if (activity.callStatus === 'Demo Completed' || 
-          (activity.callStatus === 'Interested' && activity.conversationNotes && activity.conversationNotes.length > 50) ||
-          activity.status === 'SQL') {
-        sqlSet.add(contactId);
-      }
-
-      // WON - if status is 'WON'
-      if (activity.status === 'WON') {
-        wonSet.add(contactId);
-      }
-    });
-
-    // Set final counts
-    data.callsAttempted = callsAttemptedSet.size;
-    data.callsConnected = callsConnectedSet.size;
-    data.decisionMakerReached = decisionMakerReachedSet.size;
-    data.interested = interestedSet.size;
-    data.detailsShared = detailsSharedSet.size;
-    data.demoBooked = demoBookedSet.size;
-    data.demoCompleted = demoCompletedSet.size;
-    data.sql = sqlSet.size;
-    data.won = wonSet.size;
-
-    console.log('Funnel data calculated:', data);
-    console.log('Stage breakdown:', {
-      callsAttempted: data.callsAttempted,
-      callsConnected: data.callsConnected,
-      decisionMakerReached: data.decisionMakerReached,
-      interested: data.interested,
-      detailsShared: data.detailsShared,
-      demoBooked: data.demoBooked,
-      demoCompleted: data.demoCompleted,
-      sql: data.sql,
-      won: data.won
-    });
-    setFunnelData(data);
-  };
+  const statusSchema = useMemo(() => resolveStatusSchema(project), [project]);
+  const callRetryRules = useMemo(() => resolveCallRetryRules(project), [project]);
+  const funnelData = useMemo(() => computeFunnel('call', contacts, activities, statusSchema), [contacts, activities, statusSchema]);
+  const drillDownRows = useMemo(
+    () => (drillDownStage ? getFunnelStageProspects('call', drillDownStage.key, contacts, activities, statusSchema) : []),
+    [drillDownStage, contacts, activities, statusSchema]
+  );
 
   // Updated 10-stage funnel configuration
   const funnelRows = [
     { key: 'prospectData', label: 'Prospect Data', description: 'Total prospects from this project' },
-    { key: 'callsAttempted', label: 'Calls Attempted', description: 'Total calls made to prospects' },
-    { key: 'callsConnected', label: 'Calls Connected', description: 'Calls where contact answered' },
+    { key: 'callsAttempted', label: 'Calls Attempted', description: 'Prospects called at least once' },
+    { key: 'callsConnected', label: 'Calls Connected', description: 'Prospects who picked up' },
     { key: 'decisionMakerReached', label: 'Decision Maker Reached', description: 'Reached decision maker' },
     { key: 'interested', label: 'Interested', description: 'Prospects showing interest' },
     { key: 'detailsShared', label: 'Details Shared', description: 'Product/service details shared' },
@@ -206,12 +79,6 @@ export default function ColdCallingFunnelDetail() {
     { key: 'won', label: 'WON', description: 'Deals closed successfully' }
   ];
 
-  // Debug: Log funnel rows to verify they're correct
-  useEffect(() => {
-    console.log('Funnel rows configured:', funnelRows.length, 'stages');
-    console.log('Stage labels:', funnelRows.map(r => r.label));
-  }, []);
-
   if (loading) {
     return (
       <div className="min-h-screen bg-white flex items-center justify-center">
@@ -225,18 +92,26 @@ export default function ColdCallingFunnelDetail() {
 
   return (
     <div className="min-h-screen bg-white">
-      <div className="max-w-5xl mx-auto px-4 lg:px-6 py-4">
+      <div ref={reportRef} className="max-w-5xl mx-auto px-4 lg:px-6 py-4">
         {/* Header */}
-        <div className="mb-4">
-          <button
-            onClick={() => navigate(`/projects/${id}`)}
-            className="inline-flex items-center gap-2 text-sm font-medium text-gray-500 hover:text-gray-700 transition-colors duration-200 mb-6"
-          >
-            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
-            </svg>
-            Back to Prospect Management
-          </button>
+        <div className="mb-4" data-pdf-exclude>
+          <div className="flex items-center justify-between mb-6">
+            <button
+              onClick={() => navigate(`/projects/${id}`)}
+              className="inline-flex items-center gap-2 text-sm font-medium text-gray-500 hover:text-gray-700 transition-colors duration-200"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              Back to Prospect Management
+            </button>
+            <DownloadPdfButton
+              targetRef={reportRef}
+              projectName={project?.companyName}
+              reportTitle="Cold Calling Funnel"
+              dateRange={getActivityDateRangeLabel(activities)}
+            />
+          </div>
 
           <div className="mb-4">
             <div className="flex items-center gap-2 mb-1">
@@ -357,7 +232,9 @@ export default function ColdCallingFunnelDetail() {
                   }}
                 >
                   <div
-                    className={`relative bg-gradient-to-r ${bgGradient} ${borderColor} border rounded-md shadow-md ${shadowColor} hover:shadow-lg transition-all duration-500 transform hover:scale-[1.01] hover:-translate-y-0.5 group overflow-hidden`}
+                    onClick={() => setDrillDownStage(row)}
+                    title={`View the ${value.toLocaleString()} ${value === 1 ? 'prospect' : 'prospects'} in this stage`}
+                    className={`relative bg-gradient-to-r ${bgGradient} ${borderColor} border rounded-md shadow-md ${shadowColor} hover:shadow-lg transition-all duration-500 transform hover:scale-[1.01] hover:-translate-y-0.5 group overflow-hidden cursor-pointer`}
                     style={{
                       width: `${actualWidth}%`,
                       minWidth: '150px',
@@ -507,7 +384,30 @@ export default function ColdCallingFunnelDetail() {
             <div className="absolute bottom-0 left-0 right-0 h-0.5 bg-white/30"></div>
           </div>
         </div>
+
+        <FunnelConversionPanel channel="call" stages={funnelRows} contacts={contacts} activities={activities} statusSchema={statusSchema} />
+
+        <CallQueuePanel
+          contacts={contacts}
+          activities={activities}
+          projectId={id}
+          statusSchema={statusSchema}
+          callRetryRules={callRetryRules}
+          onActivityLogged={fetchData}
+        />
       </div>
+
+      <ProspectDrillDownModal
+        isOpen={!!drillDownStage}
+        onClose={() => setDrillDownStage(null)}
+        title={drillDownStage?.label}
+        subtitle={`Cold Calling Funnel - ${project?.companyName || 'Project'}`}
+        rows={drillDownRows}
+        channel="call"
+        projectId={id}
+        statusSchema={statusSchema}
+        onActivityLogged={fetchData}
+      />
     </div>
   );
 }
@@ -1,6 +1,11 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import API from '../api/axios';
+import DownloadPdfButton from '../components/DownloadPdfButton';
+import ProspectDrillDownModal from '../components/ProspectDrillDownModal';
+import { getActivityDateRangeLabel } from '../utils/pdfExport';
+import { getReportPeriods, computeChannelReport, getReportCellProspects } from '../utils/metrics';
+import { resolveStatusSchema } from '../utils/statusSchema';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -27,16 +32,20 @@ ChartJS.register(
   Filler
 );
 
+// Derived rows (drillDownKey) list the prospects of the row they're built from
+const getDrillDownKey = (metric) => metric.drillDownKey || metric.key;
+
 export default function ColdCallingReport() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const reportRef = useRef(null);
   const [project, setProject] = useState(null);
   const [activities, setActivities] = useState([]);
   const [contacts, setContacts] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [reportData, setReportData] = useState({});
   const [lastUpdated, setLastUpdated] = useState(null);
   const [viewMode, setViewMode] = useState('day'); // 'day' or 'month'
+  const [drillDownCell, setDrillDownCell] = useState(null); // { metric, period }
 
   useEffect(() => {
     if (id) {
@@ -87,232 +96,6 @@ export default function ColdCallingReport() {
     }
   };
 
-  useEffect(() => {
-    if (activities.length > 0 || contacts.length > 0) {
-      calculateReportData();
-    }
-  }, [activities, contacts, viewMode]);
-
-  const getDayKey = (date) => {
-    const d = new Date(date);
-    const day = d.getDate();
-    const month = d.toLocaleString('default', { month: 'short' });
-    const year = d.getFullYear().toString().slice(-2);
-    return `${day} ${month} '${year}`;
-  };
-
-  const getMonthKey = (date) => {
-    const d = new Date(date);
-    const month = d.toLocaleString('default', { month: 'short' });
-    const year = d.getFullYear().toString().slice(-2);
-    return `${month} '${year}`;
-  };
-
-  const getDays = () => {
-    const days = new Set();
-    
-    // Add days from activities (use callDate if available, otherwise createdAt)
-    activities.forEach(activity => {
-      const date = activity.callDate ? new Date(activity.callDate) : new Date(activity.createdAt);
-      if (date) {
-        days.add(getDayKey(date));
-      }
-    });
-
-    // Add days from contacts
-    contacts.forEach(contact => {
-      if (contact.createdAt) {
-        days.add(getDayKey(new Date(contact.createdAt)));
-      }
-    });
-
-    // Sort days chronologically
-    const sortedDays = Array.from(days).sort((a, b) => {
-      const dateA = new Date(a.replace(/(\d+) (\w+) '(\d+)/, '$2 $1, 20$3'));
-      const dateB = new Date(b.replace(/(\d+) (\w+) '(\d+)/, '$2 $1, 20$3'));
-      return dateA - dateB;
-    });
-
-    return sortedDays;
-  };
-
-  const getMonths = () => {
-    const months = new Set();
-    
-    activities.forEach(activity => {
-      const date = activity.callDate ? new Date(activity.callDate) : new Date(activity.createdAt);
-      if (date) {
-        months.add(getMonthKey(date));
-      }
-    });
-
-    contacts.forEach(contact => {
-      if (contact.createdAt) {
-        months.add(getMonthKey(new Date(contact.createdAt)));
-      }
-    });
-
-    const sortedMonths = Array.from(months).sort((a, b) => {
-      const [monthA, yearA] = a.split(" '");
-      const [monthB, yearB] = b.split(" '");
-      const monthOrder = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-      const monthIndexA = monthOrder.indexOf(monthA);
-      const monthIndexB = monthOrder.indexOf(monthB);
-      
-      if (yearA !== yearB) {
-        return parseInt(yearA) - parseInt(yearB);
-      }
-      return monthIndexA - monthIndexB;
-    });
-
-    return sortedMonths;
-  };
-
-  const calculateReportData = () => {
-    const periods = viewMode === 'day' ? getDays() : getMonths();
-    const data = {};
-
-    periods.forEach(period => {
-      data[period] = {
-        // DRA Section
-        dataAllocated: 0,
-        interested: 0,
-        notInterested: 0,
-        ring: 0,
-        busy: 0,
-        hangUp: 0,
-        callBack: 0,
-        switchOff: 0,
-        // Cold Calling Section
-        detailsShared: 0,
-        future: 0,
-        invalid: 0,
-        demoBooked: 0,
-        followUps: 0,
-        totalCalls: 0,
-        freshCalls: 0
-      };
-    });
-
-    // Calculate Data Allocated (contacts added in that period)
-    contacts.forEach(contact => {
-      if (contact.createdAt) {
-        const period = viewMode === 'day' 
-          ? getDayKey(new Date(contact.createdAt)) 
-          : getMonthKey(new Date(contact.createdAt));
-        if (data[period]) {
-          data[period].dataAllocated++;
-        }
-      }
-    });
-
-    // Group activities by contact to track first calls vs follow-ups
-    const contactFirstCalls = new Map();
-    const contactActivitiesByPeriod = {};
-
-    activities.forEach(activity => {
-      const date = activity.callDate ? new Date(activity.callDate) : new Date(activity.createdAt);
-      if (!date) return;
-
-      const period = viewMode === 'day' ? getDayKey(date) : getMonthKey(date);
-      if (!data[period]) return;
-
-      const contactId = activity.contactId?.toString() || 'unknown';
-
-      // Track first call per contact
-      if (activity.callNumber === '1st call' && !contactFirstCalls.has(contactId)) {
-        contactFirstCalls.set(contactId, period);
-      }
-
-      // Group activities by period and contact
-      if (!contactActivitiesByPeriod[period]) {
-        contactActivitiesByPeriod[period] = {};
-      }
-      if (!contactActivitiesByPeriod[period][contactId]) {
-        contactActivitiesByPeriod[period][contactId] = [];
-      }
-      contactActivitiesByPeriod[period][contactId].push(activity);
-    });
-
-    // Calculate metrics per period
-    activities.forEach(activity => {
-      const date = activity.callDate ? new Date(activity.callDate) : new Date(activity.createdAt);
-      if (!date) return;
-
-      const period = viewMode === 'day' ? getDayKey(date) : getMonthKey(date);
-      if (!data[period]) return;
-
-      // Count by callStatus for DRA section
-      if (activity.callStatus) {
-        switch (activity.callStatus) {
-          case 'Interested':
-            data[period].interested++;
-            break;
-          case 'Not Interested':
-            data[period].notInterested++;
-            break;
-          case 'Ring':
-            data[period].ring++;
-            break;
-          case 'Busy':
-            data[period].busy++;
-            break;
-          case 'Hang Up':
-            data[period].hangUp++;
-            break;
-          case 'Call Back':
-            data[period].callBack++;
-            break;
-          case 'Switch Off':
-            data[period].switchOff++;
-            break;
-          case 'Details Shared':
-            data[period].detailsShared++;
-            break;
-          case 'Future':
-            data[period].future++;
-            break;
-          case 'Invalid':
-            data[period].invalid++;
-            break;
-          case 'Demo Booked':
-            data[period].demoBooked++;
-            break;
-        }
-      }
-
-      // Count total calls
-      data[period].totalCalls++;
-    });
-
-    // Calculate Fresh Calls and Follow Ups
-    Object.keys(contactActivitiesByPeriod).forEach(period => {
-      const periodData = contactActivitiesByPeriod[period];
-      let freshCalls = 0;
-      let followUps = 0;
-
-      Object.keys(periodData).forEach(contactId => {
-        const contactActs = periodData[contactId];
-        const firstCallPeriod = contactFirstCalls.get(contactId);
-
-        contactActs.forEach(activity => {
-          if (activity.callNumber === '1st call' || (firstCallPeriod === period && !activity.callNumber)) {
-            freshCalls++;
-          } else {
-            followUps++;
-          }
-        });
-      });
-
-      if (data[period]) {
-        data[period].freshCalls = freshCalls;
-        data[period].followUps = followUps;
-      }
-    });
-
-    setReportData(data);
-  };
-
   const metrics = [
     // DRA Section
     { key: 'dataAllocated', label: 'Data Allocated', section: 'DRA', bold: false },
@@ -330,10 +113,25 @@ export default function ColdCallingReport() {
     { key: 'demoBooked', label: 'Demo Booked', section: 'Cold Calling', bold: true, highlight: true, highlightDark: true },
     { key: 'followUps', label: 'Follow Ups', section: 'Cold Calling', bold: true },
     { key: 'totalCalls', label: 'Total Calls', section: 'Cold Calling', bold: true },
-    { key: 'freshCalls', label: '(Fresh Calls + FollowUpS)', section: 'Cold Calling', bold: false, isFormula: true }
+    { key: 'freshCalls', label: '(Fresh Calls + FollowUpS)', section: 'Cold Calling', bold: false, isFormula: true, drillDownKey: 'totalCalls' }
   ];
 
-  const periods = viewMode === 'day' ? getDays() : getMonths();
+  const statusSchema = useMemo(() => resolveStatusSchema(project), [project]);
+  const periods = useMemo(
+    () => getReportPeriods(activities, contacts, viewMode),
+    [activities, contacts, viewMode]
+  );
+  const reportData = useMemo(
+    () => computeChannelReport('call', activities, contacts, periods, viewMode, statusSchema),
+    [activities, contacts, periods, viewMode, statusSchema]
+  );
+
+  const drillDownRows = useMemo(
+    () => (drillDownCell
+      ? getReportCellProspects('call', getDrillDownKey(drillDownCell.metric), drillDownCell.period, viewMode, contacts, activities, statusSchema)
+      : []),
+    [drillDownCell, viewMode, contacts, activities, statusSchema]
+  );
 
   // Prepare chart data
   const chartData = useMemo(() => {
@@ -511,9 +309,9 @@ export default function ColdCallingReport() {
 
   return (
     <div className="min-h-screen bg-white">
-      <div className="max-w-7xl mx-auto px-6 lg:px-8 py-8">
+      <div ref={reportRef} className="max-w-7xl mx-auto px-6 lg:px-8 py-8">
         {/* Header */}
-        <div className="mb-8">
+        <div className="mb-8" data-pdf-exclude>
           <div className="flex items-center justify-between mb-6">
             <button
               onClick={() => navigate(`/projects/${id}/funnel`)}
@@ -525,22 +323,31 @@ export default function ColdCallingReport() {
               Back to Sales Report
             </button>
             
-            <button
-              onClick={fetchData}
-              disabled={loading}
-              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-              title="Refresh data"
-            >
-              <svg 
-                className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} 
-                fill="none" 
-                stroke="currentColor" 
-                viewBox="0 0 24 24"
+            <div className="flex items-center gap-3">
+              <DownloadPdfButton
+                targetRef={reportRef}
+                projectName={project?.companyName}
+                reportTitle={`${viewMode === 'day' ? 'Daily' : 'Monthly'} Cold Calling Report`}
+                dateRange={getActivityDateRangeLabel(activities)}
+                disabled={loading}
+              />
+              <button
+                onClick={fetchData}
+                disabled={loading}
+                className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Refresh data"
               >
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-              </svg>
-              Refresh
-            </button>
+                <svg 
+                  className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} 
+                  fill="none" 
+                  stroke="currentColor" 
+                  viewBox="0 0 24 24"
+                >
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                </svg>
+                Refresh
+              </button>
+            </div>
           </div>
 
           <div className="mb-6">
@@ -679,10 +486,17 @@ export default function ColdCallingReport() {
                               : 'text-gray-700'
                           }`}
                         >
-                          {metric.isFormula 
-                            ? `(${reportData[period]?.freshCalls || 0} + ${reportData[period]?.followUps || 0})`
-                            : (reportData[period]?.[metric.key] || 0)
-                          }
+                          <button
+                            onClick={() => setDrillDownCell({ metric, period })}
+                            disabled={!reportData[period]?.[getDrillDownKey(metric)]}
+                            title="View the prospects behind this number"
+                            className="enabled:hover:text-blue-600 enabled:hover:underline"
+                          >
+                            {metric.isFormula 
+                              ? `(${reportData[period]?.freshCalls || 0} + ${reportData[period]?.followUps || 0})`
+                              : (reportData[period]?.[metric.key] || 0)
+                            }
+                          </button>
                         </td>
                       ))}
                     </tr>
@@ -719,10 +533,17 @@ export default function ColdCallingReport() {
                               : 'text-gray-700'
                           }`}
                         >
-                          {metric.isFormula 
-                            ? `(${reportData[period]?.freshCalls || 0} + ${reportData[period]?.followUps || 0})`
-                            : (reportData[period]?.[metric.key] || 0)
-                          }
+                          <button
+                            onClick={() => setDrillDownCell({ metric, period })}
+                            disabled={!reportData[period]?.[getDrillDownKey(metric)]}
+                            title="View the prospects behind this number"
+                            className="enabled:hover:text-blue-600 enabled:hover:underline"
+                          >
+                            {metric.isFormula 
+                              ? `(${reportData[period]?.freshCalls || 0} + ${reportData[period]?.followUps || 0})`
+                              : (reportData[period]?.[metric.key] || 0)
+                            }
+                          </button>
                         </td>
                       ))}
                     </tr>
@@ -739,6 +560,18 @@ export default function ColdCallingReport() {
           </div>
         )}
       </div>
+
+      <ProspectDrillDownModal
+        isOpen={!!drillDownCell}
+        onClose={() => setDrillDownCell(null)}
+        title={drillDownCell?.metric.label}
+        subtitle={`Period: ${drillDownCell?.period}`}
+        rows={drillDownRows}
+        channel="call"
+        projectId={id}
+        statusSchema={statusSchema}
+        onActivityLogged={fetchData}
+      />
     </div>
   );
 }
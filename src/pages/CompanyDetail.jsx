@@ -1,6 +1,10 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import API from '../api/axios';
+import ExportModal from '../components/ExportModal';
+import CompanyMergeModal from '../components/CompanyMergeModal';
+import { CONTACT_EXPORT_COLUMNS, fetchAllPages } from '../utils/exportEngine';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 
 export default function CompanyDetail() {
   const { companyName } = useParams();
@@ -14,6 +18,10 @@ export default function CompanyDetail() {
   const [analysis, setAnalysis] = useState(null);
   const [analyzing, setAnalyzing] = useState(false);
   const [analysisError, setAnalysisError] = useState(null);
+  const [showExport, setShowExport] = useState(false);
+  const [showCompanyMerge, setShowCompanyMerge] = useState(false);
+  const canExport = hasPermission(PERMISSIONS.EXPORT_DATA);
+  const canMergeCompanies = hasPermission(PERMISSIONS.MERGE_CONTACTS);
   
   const decodedCompanyName = decodeURIComponent(companyName);
 
@@ -48,6 +56,16 @@ export default function CompanyDetail() {
     }
   };
 
+  // The page itself only looks at the first 1000 contacts in the category; the export pages through all of them
+  const fetchContactsForExport = ({ onProgress, shouldStop }) => fetchAllPages(async (page, limit) => {
+    const response = await API.get('/contacts', { params: { category, page, limit } });
+    const list = response?.data?.data || [];
+    return {
+      rows: Array.isArray(list) ? list.filter(contact => (contact.company || 'No Company') === decodedCompanyName) : [],
+      totalPages: response?.data?.totalPages
+    };
+  }, { onProgress, shouldStop });
+
   const getCompanyInitials = (companyName) => {
     if (!companyName) return '?';
     const words = companyName.trim().split(/\s+/);
@@ -499,9 +517,36 @@ export default function CompanyDetail() {
           {/* People List - Right Side */}
           <div className="lg:col-span-2">
             <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
-              <h2 className="text-xl font-semibold text-gray-900 mb-4">
-                People at {decodedCompanyName}
-              </h2>
+              <div className="flex items-center justify-between mb-4">
+                <h2 className="text-xl font-semibold text-gray-900">
+                  People at {decodedCompanyName}
+                </h2>
+                <div className="flex items-center gap-2">
+                  {canMergeCompanies && decodedCompanyName !== 'No Company' && (
+                    <button
+                      onClick={() => setShowCompanyMerge(true)}
+                      className="inline-flex items-center gap-2 px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                      title="Merge other spellings of this company"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+                      </svg>
+                      Merge Aliases
+                    </button>
+                  )}
+                  {canExport && contacts.length > 0 && (
+                    <button
+                      onClick={() => setShowExport(true)}
+                      className="inline-flex items-center gap-2 px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                      </svg>
+                      Export
+                    </button>
+                  )}
+                </div>
+              </div>
               
               {contacts.length === 0 ? (
                 <div className="text-center py-12">
@@ -585,6 +630,34 @@ export default function CompanyDetail() {
           </div>
         </div>
       </div>
+
+      {canExport && (
+        <ExportModal
+          isOpen={showExport}
+          onClose={() => setShowExport(false)}
+          title={`Export People at ${decodedCompanyName}`}
+          columns={CONTACT_EXPORT_COLUMNS}
+          fetchRows={fetchContactsForExport}
+          fileName={`${decodedCompanyName}_Contacts`}
+          storageKey="company-contacts"
+        />
+      )}
+
+      {canMergeCompanies && (
+        <CompanyMergeModal
+          isOpen={showCompanyMerge}
+          onClose={() => setShowCompanyMerge(false)}
+          companyName={decodedCompanyName}
+          category={category}
+          onMerged={(canonicalName) => {
+            if (canonicalName !== decodedCompanyName) {
+              navigate(`/contacts/company/${encodeURIComponent(canonicalName)}?category=${encodeURIComponent(category)}`, { replace: true });
+            } else {
+              fetchCompanyContacts();
+            }
+          }}
+        />
+      )}
     </div>
   );
 }
@@ -2,6 +2,9 @@ import { useState, useEffect } from 'react';
 import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import API from '../api/axios';
 import ActivityLogModal from '../components/ActivityLogModal';
+import ExportModal from '../components/ExportModal';
+import ChangeHistory from '../components/ChangeHistory';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 
 // Helper function to get the activity date (prioritize activity-specific dates over createdAt)
 const getActivityDate = (activity) => {
@@ -18,6 +21,23 @@ const getActivityDate = (activity) => {
   return new Date(activity.createdAt);
 };
 
+const ACTIVITY_TYPE_LABELS = { call: 'Call', email: 'Email', linkedin: 'LinkedIn' };
+
+const ACTIVITY_EXPORT_COLUMNS = [
+  { key: 'date', label: 'Date', value: a => getActivityDate(a) },
+  { key: 'type', label: 'Type', value: a => ACTIVITY_TYPE_LABELS[a.type] || 'Activity' },
+  { key: 'project', label: 'Project', value: a => a.projectId?.companyName },
+  { key: 'status', label: 'Status', value: a => a.status },
+  { key: 'callNumber', label: 'Call Number', value: a => a.callNumber },
+  { key: 'callStatus', label: 'Call Status', value: a => a.callStatus },
+  { key: 'linkedInAccountName', label: 'LinkedIn Account', value: a => a.linkedInAccountName },
+  { key: 'lnRequestSent', label: 'LN Request Sent', value: a => a.lnRequestSent },
+  { key: 'connected', label: 'Connected', value: a => a.connected },
+  { key: 'conversationNotes', label: 'Conversation Notes', value: a => a.conversationNotes },
+  { key: 'nextAction', label: 'Next Action', value: a => a.nextAction },
+  { key: 'nextActionDate', label: 'Next Action Date', value: a => (a.nextActionDate ? new Date(a.nextActionDate) : null) }
+];
+
 export default function ContactActivityHistory() {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -28,7 +48,10 @@ export default function ContactActivityHistory() {
   const [activities, setActivities] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [activeFilter, setActiveFilter] = useState('all'); // 'all', 'call', 'email', 'linkedin'
+  const [activeFilter, setActiveFilter] = useState('all'); // 'all', 'call', 'email', 'linkedin', 'history'
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
+  const [showExport, setShowExport] = useState(false);
+  const canExport = hasPermission(PERMISSIONS.EXPORT_DATA);
   const [isEditing, setIsEditing] = useState(false);
   const [editFormData, setEditFormData] = useState({
     name: '',
@@ -114,6 +137,7 @@ export default function ContactActivityHistory() {
       if (response.data.success) {
         setContact(response.data.data);
         setIsEditing(false);
+        setHistoryRefreshKey(prev => prev + 1);
         // Refresh activities to get updated contact info
         fetchActivities();
       }
@@ -189,6 +213,7 @@ export default function ContactActivityHistory() {
     } else {
       // Refresh activities if not navigating back
       fetchActivities();
+      setHistoryRefreshKey(prev => prev + 1);
     }
   };
 
@@ -790,7 +815,7 @@ export default function ContactActivityHistory() {
         )}
 
         {/* Activity Type Filter Tabs */}
-        {activities.length > 0 && (
+        {(activities.length > 0 || activeFilter === 'history') && (
           <div className="mb-6 bg-white rounded-2xl border border-gray-200 shadow-lg p-2">
             <div className="flex flex-wrap gap-2">
               <button
@@ -845,12 +870,46 @@ export default function ContactActivityHistory() {
                 </svg>
                 LinkedIn ({linkedInActivities.length})
               </button>
+              <button
+                onClick={() => setActiveFilter('history')}
+                className={`px-6 py-3 rounded-xl font-semibold text-sm transition-all duration-200 flex items-center gap-2 ${
+                  activeFilter === 'history'
+                    ? 'bg-gradient-to-r from-gray-700 to-gray-800 text-white shadow-lg transform scale-105'
+                    : 'bg-gray-50 text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                Change History
+              </button>
+              {canExport && activeFilter !== 'history' && (
+                <button
+                  onClick={() => setShowExport(true)}
+                  className="ml-auto px-6 py-3 rounded-xl font-semibold text-sm transition-all duration-200 flex items-center gap-2 bg-gray-50 text-gray-700 hover:bg-gray-100"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                  </svg>
+                  Export
+                </button>
+              )}
             </div>
           </div>
         )}
 
         {/* Activities List */}
-        {activities.length === 0 ? (
+        {activeFilter === 'history' ? (
+          <div className="bg-white rounded-2xl border border-gray-200 shadow-lg overflow-hidden">
+            <div className="px-6 lg:px-8 py-5 bg-gradient-to-r from-gray-50 to-white border-b border-gray-200">
+              <h2 className="text-xl font-bold text-gray-900">Change History</h2>
+              <p className="text-sm text-gray-500 mt-1">Who changed what on {contact?.name}, its activities and project stages</p>
+            </div>
+            <div className="px-6 lg:px-8 py-5">
+              <ChangeHistory contactId={id} refreshKey={historyRefreshKey} />
+            </div>
+          </div>
+        ) : activities.length === 0 ? (
           <div className="text-center py-20 bg-gradient-to-br from-white to-gray-50 rounded-2xl shadow-lg border border-gray-200 animate-fade-in">
             <div className="inline-flex items-center justify-center w-24 h-24 rounded-2xl bg-gradient-to-br from-gray-100 to-gray-200 mb-6 shadow-inner">
               <svg className="w-12 h-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -871,6 +930,12 @@ export default function ContactActivityHistory() {
                 </svg>
                 Log First Activity
               </button>
+              <button
+                onClick={() => setActiveFilter('history')}
+                className="inline-flex items-center gap-2 px-6 py-3.5 bg-white border border-gray-300 text-gray-700 font-semibold rounded-xl hover:bg-gray-50 transition-all duration-200"
+              >
+                Change History
+              </button>
             </div>
           </div>
         ) : (
@@ -1211,6 +1276,19 @@ export default function ContactActivityHistory() {
         activityId={activityModal.activityId}
         editMode={activityModal.editMode}
       />
+
+      {canExport && (
+        <ExportModal
+          isOpen={showExport}
+          onClose={() => setShowExport(false)}
+          title="Export Activity History"
+          columns={ACTIVITY_EXPORT_COLUMNS}
+          // The whole history is already loaded; export what the active tab shows
+          fetchRows={async () => filteredActivities}
+          fileName={`${contact?.name || 'Contact'}_Activities`}
+          storageKey="contact-activities"
+        />
+      )}
     </div>
   );
 }
@@ -1,6 +1,7 @@
 import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import API from '../api/axios';
+import ChangeHistory from '../components/ChangeHistory';
 
 export default function ContactDetail() {
   const { id } = useParams();
@@ -417,12 +418,26 @@ export default function ContactDetail() {
                           <span className="absolute bottom-0 left-0 right-0 h-0.5 bg-blue-600 rounded-full animate-slide-in"></span>
                         )}
                       </button>
+                      <button
+                        onClick={() => setActiveInsightTab('history')}
+                        className={`pb-2 sm:pb-3 px-1 text-xs sm:text-sm font-semibold transition-all duration-200 whitespace-nowrap relative flex-shrink-0 ${
+                          activeInsightTab === 'history'
+                            ? 'text-blue-600'
+                            : 'text-gray-500 hover:text-gray-700'
+                        }`}
+                      >
+                        History
+                        {activeInsightTab === 'history' && (
+                          <span className="absolute bottom-0 left-0 right-0 h-0.5 bg-blue-600 rounded-full animate-slide-in"></span>
+                        )}
+                      </button>
                     </div>
                   </div>
 
                   {/* Company Info */}
                   <div className="px-4 sm:px-6 py-4 sm:py-6">
-                    {contact.company && (
+                    {activeInsightTab === 'history' && <ChangeHistory contactId={id} />}
+                    {activeInsightTab !== 'history' && contact.company && (
                       <div className="mb-4 sm:mb-6">
                         {/* Company Header (clickable to open company page) */}
                         <button
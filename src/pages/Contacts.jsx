@@ -2,6 +2,12 @@ import { useState, useEffect } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import API from '../api/axios';
 import ContactFilter from '../components/ContactFilter';
+import UndoToast from '../components/UndoToast';
+import TrashModal from '../components/TrashModal';
+import ExportModal from '../components/ExportModal';
+import ContactMergeModal from '../components/ContactMergeModal';
+import { CONTACT_EXPORT_COLUMNS, fetchAllPages } from '../utils/exportEngine';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 
 export default function Contacts() {
   const [contacts, setContacts] = useState([]);
@@ -23,6 +29,11 @@ export default function Contacts() {
   const [expandedCompanies, setExpandedCompanies] = useState(new Set());
   const [allCompaniesData, setAllCompaniesData] = useState([]);
   const [loadingCompanies, setLoadingCompanies] = useState(false);
+  // Last delete that can still be undone: { key, contactIds, message }
+  const [undoDelete, setUndoDelete] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showMerge, setShowMerge] = useState(false);
   const navigate = useNavigate();
   
   // Get category, page, and search from URL params or use default
@@ -158,29 +169,36 @@ export default function Contacts() {
     }
   };
 
+  // Category, search and filter params from the URL, shared by the table and the export
+  const getContactQueryParams = () => {
+    const params = {};
+    // Only add category param if it's not "All"
+    if (category && category !== 'All') {
+      params.category = category;
+    }
+    // Only add search param if it's not empty
+    if (searchParam && searchParam.trim()) {
+      params.search = searchParam.trim();
+    }
+    // Add filter params
+    if (filterKeywords) params.filterKeywords = filterKeywords;
+    if (filterCity) params.filterCity = filterCity;
+    if (filterState) params.filterState = filterState;
+    if (filterCountry) params.filterCountry = filterCountry;
+    if (filterHasLinkedIn) params.filterHasLinkedIn = filterHasLinkedIn;
+    if (filterHasEmail) params.filterHasEmail = filterHasEmail;
+    if (filterHasPhone) params.filterHasPhone = filterHasPhone;
+    return params;
+  };
+
   const fetchContacts = async () => {
     try {
       setLoading(true);
       const params = { 
+        ...getContactQueryParams(),
         page: currentPage,
         limit: 50
       };
-      // Only add category param if it's not "All"
-      if (category && category !== 'All') {
-        params.category = category;
-      }
-      // Only add search param if it's not empty
-      if (searchParam && searchParam.trim()) {
-        params.search = searchParam.trim();
-      }
-      // Add filter params
-      if (filterKeywords) params.filterKeywords = filterKeywords;
-      if (filterCity) params.filterCity = filterCity;
-      if (filterState) params.filterState = filterState;
-      if (filterCountry) params.filterCountry = filterCountry;
-      if (filterHasLinkedIn) params.filterHasLinkedIn = filterHasLinkedIn;
-      if (filterHasEmail) params.filterHasEmail = filterHasEmail;
-      if (filterHasPhone) params.filterHasPhone = filterHasPhone;
       
       const response = await API.get('/contacts', { params });
       
@@ -231,8 +249,12 @@ export default function Contacts() {
     );
   };
 
+  const canDeleteContacts = hasPermission(PERMISSIONS.DELETE_CONTACTS);
+  const canExportContacts = hasPermission(PERMISSIONS.EXPORT_DATA);
+  const canMergeContacts = hasPermission(PERMISSIONS.MERGE_CONTACTS);
+
   const handleDeleteSelected = async () => {
-    if (selectedContacts.length === 0) return;
+    if (selectedContacts.length === 0 || !canDeleteContacts) return;
 
     const confirmMessage = selectedContacts.length === 1
       ? 'Are you sure you want to delete this contact?'
@@ -244,18 +266,35 @@ export default function Contacts() {
 
     try {
       setLoading(true);
-      // Delete contacts one by one (or you can create a bulk delete endpoint)
-      const deletePromises = selectedContacts.map(contactId =>
+      // Delete contacts one by one (or you can create a bulk delete endpoint). Each delete settles on
+      // its own, so one failure doesn't hide the contacts that were deleted.
+      const contactIds = [...selectedContacts];
+      const results = await Promise.allSettled(contactIds.map(contactId =>
         API.delete(`/contacts/${contactId}`)
-      );
+      ));
+      const deletedIds = contactIds.filter((_, index) => results[index].status === 'fulfilled');
+      const failures = results.filter(result => result.status === 'rejected');
 
-      await Promise.all(deletePromises);
+      // Deletes are soft, so offer an undo (and the trash after that) for the ones that went through
+      if (deletedIds.length > 0) {
+        setUndoDelete({
+          key: Date.now(),
+          contactIds: deletedIds,
+          message: deletedIds.length === 1 ? 'Contact deleted.' : `${deletedIds.length} contacts deleted.`
+        });
+      }
 
-      // Clear selection
-      setSelectedContacts([]);
+      // Keep the failed ones selected so they can be retried
+      setSelectedContacts(contactIds.filter(contactId => !deletedIds.includes(contactId)));
+
+      if (failures.length > 0) {
+        failures.forEach(({ reason }) => console.error('Error deleting contact:', reason));
+        const detail = failures[0].reason?.response?.data?.error;
+        alert(`Couldn't delete ${failures.length} of ${contactIds.length} contact${contactIds.length === 1 ? '' : 's'}. They're still selected, so you can try again.${detail ? `\n\n${detail}` : ''}`);
+      }
 
       // Refresh contacts list
-      await fetchContacts();
+      if (deletedIds.length > 0) await fetchContacts();
     } catch (err) {
       console.error('Error deleting contacts:', err);
       alert(err.response?.data?.error || 'Failed to delete contacts');
@@ -264,6 +303,11 @@ export default function Contacts() {
     }
   };
 
+  const handleUndoDelete = async () => {
+    await API.post('/contacts/trash/restore', { contactIds: undoDelete.contactIds });
+    await fetchContacts();
+  };
+
   const handleSort = (column) => {
     if (sortColumn === column) {
       setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
@@ -378,7 +422,7 @@ export default function Contacts() {
     setSearchParams(params, { replace: true });
   };
 
-  const sortedContacts = [...contacts].sort((a, b) => {
+  const compareContacts = (a, b) => {
     let aValue = a[sortColumn] || '';
     let bValue = b[sortColumn] || '';
     
@@ -392,7 +436,23 @@ export default function Contacts() {
     } else {
       return aValue < bValue ? 1 : aValue > bValue ? -1 : 0;
     }
-  });
+  };
+
+  const sortedContacts = [...contacts].sort(compareContacts);
+
+  // Every page of contacts matching the current filters, in the table's sort order
+  const fetchContactsForExport = async ({ onProgress, shouldStop }) => {
+    const rows = await fetchAllPages(async (page, limit) => {
+      const response = await API.get('/contacts', { params: { ...getContactQueryParams(), page, limit } });
+      const list = response?.data?.data || [];
+      return {
+        rows: Array.isArray(list) ? list : [],
+        total: response?.data?.total,
+        totalPages: response?.data?.totalPages
+      };
+    }, { onProgress, shouldStop });
+    return rows.sort(compareContacts);
+  };
 
   const getCompanyInitials = (companyName) => {
     if (!companyName) return '?';
@@ -650,7 +710,7 @@ export default function Contacts() {
 
               {/* Action Buttons */}
               <div className="flex gap-2 sm:gap-3 w-full sm:w-auto flex-wrap sm:flex-nowrap">
-                {selectedContacts.length > 0 && (
+                {selectedContacts.length > 0 && canDeleteContacts && (
                   <button
                     onClick={handleDeleteSelected}
                     disabled={loading}
@@ -665,6 +725,52 @@ export default function Contacts() {
                     <span className="sm:hidden">Remove</span>
                   </button>
                 )}
+                {selectedContacts.length > 1 && canMergeContacts && (
+                  <button
+                    onClick={() => setShowMerge(true)}
+                    disabled={loading}
+                    className="inline-flex items-center justify-center gap-2 px-5 py-3 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 hover:border-gray-400 active:bg-gray-100 transition-all duration-200 font-semibold text-sm shadow-sm hover:shadow-md focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 flex-1 sm:flex-none disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+                    </svg>
+                    <span className="hidden sm:inline">Merge ({selectedContacts.length})</span>
+                    <span className="sm:hidden">Merge</span>
+                  </button>
+                )}
+                {canMergeContacts && (
+                  <button
+                    onClick={() => navigate(category && category !== 'All' ? `/contacts/duplicates?category=${encodeURIComponent(category)}` : '/contacts/duplicates')}
+                    className="inline-flex items-center justify-center gap-2 px-5 py-3 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 hover:border-gray-400 active:bg-gray-100 transition-all duration-200 font-semibold text-sm shadow-sm hover:shadow-md focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 flex-1 sm:flex-none"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+                    </svg>
+                    <span className="hidden sm:inline">Duplicates</span>
+                  </button>
+                )}
+                {canExportContacts && (
+                  <button
+                    onClick={() => setShowExport(true)}
+                    className="inline-flex items-center justify-center gap-2 px-5 py-3 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 hover:border-gray-400 active:bg-gray-100 transition-all duration-200 font-semibold text-sm shadow-sm hover:shadow-md focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 flex-1 sm:flex-none"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                    </svg>
+                    <span className="hidden sm:inline">Export</span>
+                  </button>
+                )}
+                {canDeleteContacts && (
+                  <button
+                    onClick={() => setShowTrash(true)}
+                    className="inline-flex items-center justify-center gap-2 px-5 py-3 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 hover:border-gray-400 active:bg-gray-100 transition-all duration-200 font-semibold text-sm shadow-sm hover:shadow-md focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 flex-1 sm:flex-none"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                    </svg>
+                    <span className="hidden sm:inline">Trash</span>
+                  </button>
+                )}
                 <button
                   onClick={() => navigate('/import')}
                   className="inline-flex items-center justify-center gap-2 px-5 py-3 bg-white border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 hover:border-gray-400 active:bg-gray-100 transition-all duration-200 font-semibold text-sm shadow-sm hover:shadow-md focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2 flex-1 sm:flex-none"
@@ -1222,6 +1328,47 @@ export default function Contacts() {
           </div>
         )}
       </div>
+
+      {undoDelete && (
+        <UndoToast
+          key={undoDelete.key}
+          message={undoDelete.message}
+          onUndo={handleUndoDelete}
+          onDismiss={() => setUndoDelete(null)}
+        />
+      )}
+
+      <TrashModal
+        isOpen={showTrash}
+        onClose={() => setShowTrash(false)}
+        title="Deleted Contacts"
+        endpoint="/contacts/trash"
+        onRestored={() => fetchContacts()}
+      />
+
+      {canMergeContacts && (
+        <ContactMergeModal
+          isOpen={showMerge}
+          onClose={() => setShowMerge(false)}
+          contacts={contacts.filter(contact => selectedContacts.includes(contact._id))}
+          onMerged={() => {
+            setSelectedContacts([]);
+            fetchContacts();
+          }}
+        />
+      )}
+
+      {canExportContacts && (
+        <ExportModal
+          isOpen={showExport}
+          onClose={() => setShowExport(false)}
+          title="Export Contacts"
+          columns={CONTACT_EXPORT_COLUMNS}
+          fetchRows={fetchContactsForExport}
+          fileName={category && category !== 'All' ? `Contacts_${category}` : 'Contacts'}
+          storageKey="contacts"
+        />
+      )}
     </div>
   );
 }
@@ -1,14 +1,20 @@
 import { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import API from '../api/axios';
+import StatusSchemaEditor from '../components/StatusSchemaEditor';
+import CadenceEditor from '../components/CadenceEditor';
+import CallRetryRulesEditor from '../components/CallRetryRulesEditor';
+import { DEFAULT_STATUS_SCHEMA, resolveStatusSchema } from '../utils/statusSchema';
+import { DEFAULT_CALL_RETRY_RULES, resolveCallRetryRules } from '../utils/callRetry';
 
 const STEPS = [
   { id: 1, label: 'Company Details' },
   { id: 2, label: 'Contact Person' },
   { id: 3, label: 'Campaign Details' },
   { id: 4, label: 'Channels' },
-  { id: 5, label: 'ICP Definition' },
-  { id: 6, label: 'Team Allocation' }
+  { id: 5, label: 'Statuses' },
+  { id: 6, label: 'ICP Definition' },
+  { id: 7, label: 'Team Allocation' }
 ];
 
 export default function CreateProject() {
@@ -60,8 +66,17 @@ export default function CreateProject() {
       coldEmail: false,
       coldCalling: false
     },
+    cadence: [],
 
-    // Step 5: ICP Definition
+    // Step 5: Statuses
+    statusSchema: {
+      linkedin: DEFAULT_STATUS_SCHEMA.linkedin.map(s => ({ ...s })),
+      email: DEFAULT_STATUS_SCHEMA.email.map(s => ({ ...s })),
+      call: DEFAULT_STATUS_SCHEMA.call.map(s => ({ ...s }))
+    },
+    callRetryRules: DEFAULT_CALL_RETRY_RULES.map(r => ({ ...r })),
+
+    // Step 6: ICP Definition
     icpDefinition: {
       targetIndustries: '',
       targetJobTitles: '',
@@ -72,7 +87,7 @@ export default function CreateProject() {
       exclusionCriteria: ''
     },
 
-    // Step 6: Team Allocation
+    // Step 7: Team Allocation
     assignedTo: '',
     teamMembers: [] // Array of email addresses
   });
@@ -174,6 +189,9 @@ export default function CreateProject() {
               coldEmail: project.channels?.coldEmail || false,
               coldCalling: project.channels?.coldCalling || false
             },
+            cadence: Array.isArray(project.cadence) ? project.cadence : [],
+            statusSchema: resolveStatusSchema(project),
+            callRetryRules: resolveCallRetryRules(project).map(r => ({ ...r })),
             icpDefinition: {
               targetIndustries: arrayToString(project.icpDefinition?.targetIndustries),
               targetJobTitles: arrayToString(project.icpDefinition?.targetJobTitles),
@@ -214,6 +232,17 @@ export default function CreateProject() {
           return false;
         }
         return true;
+      case 5: {
+        const duplicateChannel = Object.entries(formData.statusSchema).find(([, statuses]) => {
+          const labels = statuses.map((s) => (s.label || '').trim()).filter(Boolean);
+          return new Set(labels).size !== labels.length;
+        });
+        if (duplicateChannel) {
+          setError(`Status labels must be unique within the ${duplicateChannel[0]} list`);
+          return false;
+        }
+        return true;
+      }
       default:
         return true;
     }
@@ -291,6 +320,18 @@ export default function CreateProject() {
           ...formData.campaignDetails,
           leadQuotaCommitted: Number(formData.campaignDetails.leadQuotaCommitted) || 0
         },
+        cadence: formData.cadence
+          .map((touch) => ({ ...touch, day: Number(touch.day) || 1, label: (touch.label || '').trim() }))
+          .sort((a, b) => a.day - b.day),
+        statusSchema: Object.fromEntries(
+          Object.entries(formData.statusSchema).map(([channel, statuses]) => [
+            channel,
+            statuses
+              .map((s) => ({ ...s, label: (s.label || '').trim() }))
+              .filter((s) => s.label)
+          ])
+        ),
+        callRetryRules: formData.callRetryRules.filter((r) => r.status),
         teamMembers: Array.isArray(formData.teamMembers)
           ? formData.teamMembers.map((m) => (m || '').trim()).filter(Boolean)
           : []
@@ -617,10 +658,50 @@ export default function CreateProject() {
                 </label>
               </div>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Cadence</label>
+              <p className="text-sm text-gray-500 mb-3">
+                The order of touches each prospect gets, counted from the day they're added to the project. Logging the matching activity moves a prospect to their next touch.
+              </p>
+              <CadenceEditor
+                value={formData.cadence}
+                onChange={(value) => updateFormData('cadence', value)}
+                channels={formData.channels}
+              />
+            </div>
           </div>
         );
 
       case 5:
+        return (
+          <div className="space-y-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-6">Statuses</h2>
+            <p className="text-sm text-gray-500">
+              Define the dispositions your team logs for this client. Order controls the dropdowns; flags decide which statuses count as positive replies, meetings or closed outcomes in reports.
+            </p>
+            <StatusSchemaEditor
+              value={formData.statusSchema}
+              onChange={(value) => updateFormData('statusSchema', value)}
+            />
+
+            {formData.channels.coldCalling && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Call Retry Rules</label>
+                <p className="text-sm text-gray-500 mb-3">
+                  Logging a call with one of these statuses schedules the next call automatically, until the prospect has had the maximum number of calls.
+                </p>
+                <CallRetryRulesEditor
+                  value={formData.callRetryRules}
+                  onChange={(value) => updateFormData('callRetryRules', value)}
+                  statuses={formData.statusSchema.call.map((s) => (s.label || '').trim()).filter(Boolean)}
+                />
+              </div>
+            )}
+          </div>
+        );
+
+      case 6:
         return (
           <div className="space-y-6">
             <h2 className="text-xl font-semibold text-gray-900 mb-6">ICP Definition</h2>
@@ -707,7 +788,7 @@ export default function CreateProject() {
           </div>
         );
 
-      case 6:
+      case 7:
         return (
           <div className="space-y-6">
             <h2 className="text-xl font-semibold text-gray-900 mb-6">Team Allocation</h2>
@@ -1,6 +1,10 @@
 import { useState, useEffect, useMemo, memo, lazy, Suspense } from 'react';
 import { useNavigate } from 'react-router-dom';
 import API from '../api/axios';
+import GoalProgressWidget from '../components/GoalProgressWidget';
+import DataQualityIssues from '../components/DataQualityIssues';
+import DataQualityTrend from '../components/DataQualityTrend';
+import { DATA_QUALITY_CHECKS } from '../utils/dataQuality';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -43,6 +47,8 @@ export default function Dashboard() {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
+  const [qualityCheck, setQualityCheck] = useState(null);
+  const [qualityRefreshKey, setQualityRefreshKey] = useState(0);
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -406,6 +412,9 @@ export default function Dashboard() {
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {activeTab === 'overview' && (
           <div className="space-y-6">
+            {/* Goal Progress */}
+            <GoalProgressWidget />
+
             {/* Key Metrics */}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
               <MetricCard
@@ -980,30 +989,35 @@ export default function Dashboard() {
         {activeTab === 'data-quality' && (
           <div className="space-y-6">
             <div className="bg-white border border-gray-200 rounded-lg p-6">
-              <h3 className="text-lg font-semibold text-gray-900 mb-4">Data Quality Metrics</h3>
+              <h3 className="text-lg font-semibold text-gray-900 mb-1">Data Quality Metrics</h3>
+              <p className="text-sm text-gray-500 mb-4">Click a bar to see the contacts failing that check</p>
               {stats.dataQualityMetrics ? (
                 <div className="h-80">
                   <Suspense fallback={<div className="h-80 flex items-center justify-center"><div className="animate-spin rounded-full h-8 w-8 border-2 border-gray-200 border-t-blue-600"></div></div>}>
                     <Bar
                     data={{
-                      labels: ['Email Valid', 'Phone Valid', 'Complete Profile', 'LinkedIn Connected', 'Recent Activity'],
+                      labels: DATA_QUALITY_CHECKS.map(check => check.label),
                       datasets: [
                         {
                           label: 'Count',
-                          data: [
-                            stats.dataQualityMetrics.emailValid || 0,
-                            stats.dataQualityMetrics.phoneValid || 0,
-                            stats.dataQualityMetrics.completeProfile || 0,
-                            stats.dataQualityMetrics.linkedinConnected || 0,
-                            stats.dataQualityMetrics.recentActivity || 0,
-                          ],
-                          backgroundColor: 'rgba(59, 130, 246, 0.8)',
+                          data: DATA_QUALITY_CHECKS.map(check => stats.dataQualityMetrics[check.key] || 0),
+                          backgroundColor: DATA_QUALITY_CHECKS.map(check => (
+                            check.key === qualityCheck ? 'rgba(37, 99, 235, 1)' : 'rgba(59, 130, 246, 0.8)'
+                          )),
                         },
                       ],
                     }}
                     options={{
                       responsive: true,
                       maintainAspectRatio: false,
+                      onClick: (event, elements) => {
+                        if (elements.length > 0) {
+                          setQualityCheck(DATA_QUALITY_CHECKS[elements[0].index].key);
+                        }
+                      },
+                      onHover: (event, elements) => {
+                        event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+                      },
                       plugins: {
                         legend: {
                           display: false,
@@ -1023,7 +1037,37 @@ export default function Dashboard() {
                   <p className="text-sm">No data quality metrics available</p>
                 </div>
               )}
+              <div className="flex flex-wrap gap-2 mt-4">
+                {DATA_QUALITY_CHECKS.map(check => (
+                  <button
+                    key={check.key}
+                    onClick={() => setQualityCheck(check.key)}
+                    className={`px-3 py-1.5 text-xs font-medium rounded-full border transition-colors ${
+                      qualityCheck === check.key
+                        ? 'bg-blue-600 text-white border-blue-600'
+                        : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                    }`}
+                  >
+                    {check.issueLabel}
+                  </button>
+                ))}
+              </div>
             </div>
+
+            {qualityCheck && (
+              <DataQualityIssues
+                key={qualityCheck}
+                checkKey={qualityCheck}
+                onClose={() => setQualityCheck(null)}
+                onChanged={() => {
+                  // Counts on the cached stats are stale once a contact is fixed or flagged
+                  cachedDashboardStats = null;
+                  setQualityRefreshKey(prev => prev + 1);
+                }}
+              />
+            )}
+
+            <DataQualityTrend refreshKey={qualityRefreshKey} />
           </div>
         )}
       </div>
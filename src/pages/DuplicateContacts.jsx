@@ -0,0 +1,205 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import API from '../api/axios';
+import ContactMergeModal from '../components/ContactMergeModal';
+import { fetchAllPages } from '../utils/exportEngine';
+import { findDuplicateGroups, DUPLICATE_REASON_LABELS } from '../utils/contactMerge';
+
+// Every group of contacts in a category that looks like the same person, ready to merge
+export default function DuplicateContacts() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const category = searchParams.get('category') || 'All';
+
+  const [categories, setCategories] = useState(['All']);
+  const [contacts, setContacts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const [skippedGroupIds, setSkippedGroupIds] = useState([]);
+  const [mergingGroup, setMergingGroup] = useState(null);
+  const [mergeMessage, setMergeMessage] = useState('');
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await API.get('/categories');
+        setCategories(['All', ...(response.data?.data || [])]);
+      } catch (err) {
+        console.error('Error fetching categories:', err);
+      }
+    };
+    fetchCategories();
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchContacts = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        setSkippedGroupIds([]);
+        const rows = await fetchAllPages(async (page, limit) => {
+          const params = { page, limit };
+          if (category !== 'All') params.category = category;
+          const response = await API.get('/contacts', { params });
+          const list = response?.data?.data || [];
+          return {
+            rows: Array.isArray(list) ? list : [],
+            total: response?.data?.total,
+            totalPages: response?.data?.totalPages
+          };
+        }, { onProgress: setProgress, shouldStop: () => cancelled });
+        if (!cancelled) setContacts(rows);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Error fetching contacts for duplicate check:', err);
+        setError('Couldn\'t load contacts. Refresh the page to try again.');
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+          setProgress(null);
+        }
+      }
+    };
+    fetchContacts();
+    return () => {
+      cancelled = true;
+    };
+  }, [category]);
+
+  const groups = useMemo(
+    () => findDuplicateGroups(contacts).filter(group => !skippedGroupIds.includes(group.id)),
+    [contacts, skippedGroupIds]
+  );
+
+  const handleMerged = (result) => {
+    const mergedIds = mergingGroup.contacts.map(contact => contact._id);
+    const survivor = result?.contact;
+    setContacts(prev => {
+      const remaining = prev.filter(contact => !mergedIds.includes(contact._id));
+      return survivor ? [survivor, ...remaining] : remaining;
+    });
+    const moved = [];
+    if (result?.activitiesMoved) moved.push(`${result.activitiesMoved} ${result.activitiesMoved === 1 ? 'activity' : 'activities'}`);
+    if (result?.projectsMoved) moved.push(`${result.projectsMoved} project ${result.projectsMoved === 1 ? 'membership' : 'memberships'}`);
+    setMergeMessage(`Merged ${mergedIds.length} contacts${moved.length > 0 ? `, moved ${moved.join(' and ')}` : ''}.`);
+  };
+
+  return (
+    <div className="bg-gray-50 min-h-screen">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <button
+          onClick={() => navigate(category !== 'All' ? `/contacts?category=${encodeURIComponent(category)}` : '/contacts')}
+          className="mb-6 flex items-center gap-2 text-sm font-medium text-gray-700 hover:text-gray-900 transition-colors"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          Back to Contacts
+        </button>
+
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Duplicate Contacts</h1>
+            <p className="text-gray-600 text-sm">Contacts sharing an email, a LinkedIn profile, or a name at the same company</p>
+          </div>
+          <select
+            value={category}
+            onChange={(e) => setSearchParams(e.target.value !== 'All' ? { category: e.target.value } : {})}
+            disabled={loading}
+            className="px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {categories.map(c => (
+              <option key={c} value={c}>{c}</option>
+            ))}
+          </select>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+        )}
+        {mergeMessage && (
+          <div className="mb-6 p-3 bg-green-50 border border-green-200 text-green-700 rounded-lg text-sm flex items-center justify-between">
+            <span>{mergeMessage}</span>
+            <button onClick={() => setMergeMessage('')} className="text-green-700 hover:text-green-900 text-xs font-medium">Dismiss</button>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-12 flex flex-col items-center gap-3 text-sm text-gray-600">
+            <div className="animate-spin rounded-full h-10 w-10 border-4 border-gray-200 border-t-blue-600"></div>
+            {progress
+              ? `Checking ${progress.fetched.toLocaleString()}${progress.total ? ` of ${progress.total.toLocaleString()}` : ''} contacts...`
+              : 'Loading contacts...'}
+          </div>
+        ) : groups.length === 0 ? (
+          !error && (
+            <div className="bg-white border border-gray-200 rounded-xl shadow-sm p-12 text-center text-sm text-gray-500">
+              No duplicates found among {contacts.length.toLocaleString()} contacts.
+            </div>
+          )
+        ) : (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              {groups.length} {groups.length === 1 ? 'group' : 'groups'} of possible duplicates among {contacts.length.toLocaleString()} contacts
+            </p>
+            {groups.map(group => (
+              <div key={group.id} className="bg-white border border-gray-200 rounded-xl shadow-sm p-5">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className="text-sm font-semibold text-gray-900">{group.contacts.length} contacts</span>
+                    {group.reasons.map(reason => (
+                      <span key={reason} className="px-2 py-0.5 text-xs font-medium rounded-full bg-amber-100 text-amber-800">
+                        {DUPLICATE_REASON_LABELS[reason]}
+                      </span>
+                    ))}
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setSkippedGroupIds(prev => [...prev, group.id])}
+                      className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+                    >
+                      Not duplicates
+                    </button>
+                    <button
+                      onClick={() => setMergingGroup(group)}
+                      className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+                    >
+                      Review & Merge
+                    </button>
+                  </div>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+                  {group.contacts.map(contact => (
+                    <div key={contact._id} className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-sm">
+                      <button
+                        onClick={() => navigate(`/contacts/${contact._id}`)}
+                        className="font-semibold text-blue-600 hover:text-blue-800 text-left"
+                      >
+                        {contact.name || 'Unnamed contact'}
+                      </button>
+                      <div className="text-gray-600 truncate">{[contact.title, contact.company].filter(Boolean).join(' · ') || '—'}</div>
+                      <div className="text-gray-500 truncate">{contact.email || 'No email'}</div>
+                      {contact.personLinkedinUrl && (
+                        <div className="text-gray-500 truncate">{contact.personLinkedinUrl}</div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <ContactMergeModal
+        isOpen={!!mergingGroup}
+        onClose={() => setMergingGroup(null)}
+        contacts={mergingGroup?.contacts || []}
+        onMerged={handleMerged}
+      />
+    </div>
+  );
+}
@@ -1,25 +1,22 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import API from '../api/axios';
+import DownloadPdfButton from '../components/DownloadPdfButton';
+import FunnelConversionPanel from '../components/FunnelConversionPanel';
+import ProspectDrillDownModal from '../components/ProspectDrillDownModal';
+import { getActivityDateRangeLabel } from '../utils/pdfExport';
+import { computeFunnel, getFunnelStageProspects } from '../utils/metrics';
+import { resolveStatusSchema } from '../utils/statusSchema';
 
 export default function EmailFunnelDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const reportRef = useRef(null);
   const [project, setProject] = useState(null);
   const [contacts, setContacts] = useState([]);
   const [activities, setActivities] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [funnelData, setFunnelData] = useState({
-    prospectData: 0,
-    emailSent: 0,
-    accepted: 0,
-    followups: 0,
-    cip: 0,
-    meetingProposed: 0,
-    scheduled: 0,
-    completed: 0,
-    sql: 0
-  });
+  const [drillDownStage, setDrillDownStage] = useState(null);
 
   useEffect(() => {
     if (id) {
@@ -27,12 +24,6 @@ export default function EmailFunnelDetail() {
     }
   }, [id]);
 
-  useEffect(() => {
-    if (contacts.length > 0 || activities.length > 0) {
-      calculateFunnelData();
-    }
-  }, [contacts, activities]);
-
   const fetchData = async () => {
     try {
       setLoading(true);
@@ -63,106 +54,17 @@ export default function EmailFunnelDetail() {
     }
   };
 
-  const calculateFunnelData = () => {
-    const data = {
-      prospectData: contacts.length, // Total prospects from project
-      emailSent: 0,
-      accepted: 0,
-      followups: 0,
-      cip: 0,
-      meetingProposed: 0,
-      scheduled: 0,
-      completed: 0,
-      sql: 0
-    };
-
-    // Group activities by contact
-    const contactActivities = {};
-    activities.forEach(activity => {
-      if (!activity.contactId) return;
-      const contactId = activity.contactId.toString();
-      if (!contactActivities[contactId]) {
-        contactActivities[contactId] = [];
-      }
-      contactActivities[contactId].push(activity);
-    });
-
-    // Calculate metrics
-    const emailSentSet = new Set();
-    const acceptedSet = new Set();
-    const cipSet = new Set();
-    const meetingProposedSet = new Set();
-    const scheduledSet = new Set();
-    const completedSet = new Set();
-    const sqlSet = new Set();
-
-    activities.forEach(activity => {
-      const contactId = activity.contactId?.toString();
-      if (!contactId) return;
-
-      // Email Sent - if emailDate exists, it means an email was sent
-      if (activity.emailDate) {
-        emailSentSet.add(contactId);
-      }
-
-      // Accepted - if status is 'Interested' or 'Meeting Proposed' or 'Meeting Scheduled'
-      if (activity.status === 'Interested' || 
-          activity.status === 'Meeting Proposed' || 
-          activity.status === 'Meeting Scheduled') {
-        acceptedSet.add(contactId);
-      }
-
-      // Conversations in Progress (CIP) - if status indicates ongoing conversation
-      if (activity.status === 'Interested' || activity.status === 'Out of Office') {
-        cipSet.add(contactId);
-      }
-
-      // Meeting Proposed - if status is 'Meeting Proposed'
-      if (activity.status === 'Meeting Proposed') {
-        meetingProposedSet.add(contactId);
-      }
-
-      // Meeting Scheduled - if status is 'Meeting Scheduled' or nextActionDate is set
-      if (activity.status === 'Meeting Scheduled' || activity.nextActionDate) {
-        scheduledSet.add(contactId);
-      }
-
-      // Meeting Completed - if status is 'Meeting Completed'
-      if (activity.status === 'Meeting Completed') {
-        completedSet.add(contactId);
-      }
-
-      // SQL (Sales Qualified Lead) - if status is 'Meeting Completed' or 'Interested' with high engagement
-      if (activity.status === 'Meeting Completed' || 
-          (activity.status === 'Interested' && activity.conversationNotes && activity.conversationNotes.length > 50)) {
-        sqlSet.add(contactId);
-      }
-    });
-
-    // Calculate followups (contacts with more than one email)
-    Object.keys(contactActivities).forEach(contactId => {
-      const contactActs = contactActivities[contactId];
-      const emailsWithNotes = contactActs.filter(a => a.conversationNotes && a.conversationNotes.trim() !== '');
-      if (emailsWithNotes.length > 1 || contactActs.length > 1) {
-        data.followups++;
-      }
-    });
-
-    data.emailSent = emailSentSet.size;
-    data.accepted = acceptedSet.size;
-    data.cip = cipSet.size;
-    data.meetingProposed = meetingProposedSet.size;
-    data.scheduled = scheduledSet.size;
-    data.completed = completedSet.size;
-    data.sql = sqlSet.size;
-
-    setFunnelData(data);
-  };
+  const statusSchema = useMemo(() => resolveStatusSchema(project), [project]);
+  const funnelData = useMemo(() => computeFunnel('email', contacts, activities, statusSchema), [contacts, activities, statusSchema]);
+  const drillDownRows = useMemo(
+    () => (drillDownStage ? getFunnelStageProspects('email', drillDownStage.key, contacts, activities, statusSchema) : []),
+    [drillDownStage, contacts, activities, statusSchema]
+  );
 
   const funnelRows = [
     { key: 'prospectData', label: 'Prospect Data', description: 'Total prospects from this project' },
     { key: 'emailSent', label: 'Email Sent', description: 'Emails sent to prospects' },
-    { key: 'accepted', label: 'Accepted', description: 'Emails accepted/responded' },
+    { key: 'accepted', label: 'Accepted', description: 'Prospects who replied' },
     { key: 'followups', label: 'Followups', description: 'Contacts with multiple emails' },
     { key: 'cip', label: 'CIP', description: 'Conversations in Progress' },
     { key: 'meetingProposed', label: 'Meeting Proposed', description: 'Meetings proposed' },
@@ -184,18 +86,26 @@ export default function EmailFunnelDetail() {
 
   return (
     <div className="min-h-screen bg-white">
-      <div className="max-w-5xl mx-auto px-4 lg:px-6 py-4">
+      <div ref={reportRef} className="max-w-5xl mx-auto px-4 lg:px-6 py-4">
         {/* Header */}
-        <div className="mb-4">
-          <button
-            onClick={() => navigate(`/projects/${id}`)}
-            className="inline-flex items-center gap-2 text-sm font-medium text-gray-500 hover:text-gray-700 transition-colors duration-200 mb-6"
-          >
-            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
-            </svg>
-            Back to Prospect Management
-          </button>
+        <div className="mb-4" data-pdf-exclude>
+          <div className="flex items-center justify-between mb-6">
+            <button
+              onClick={() => navigate(`/projects/${id}`)}
+              className="inline-flex items-center gap-2 text-sm font-medium text-gray-500 hover:text-gray-700 transition-colors duration-200"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              Back to Prospect Management
+            </button>
+            <DownloadPdfButton
+              targetRef={reportRef}
+              projectName={project?.companyName}
+              reportTitle="Email Funnel"
+              dateRange={getActivityDateRangeLabel(activities)}
+            />
+          </div>
 
           <div className="mb-4">
             <div className="flex items-center gap-2 mb-1">
@@ -272,7 +182,9 @@ export default function EmailFunnelDetail() {
                   }}
                 >
                   <div
-                    className={`relative bg-gradient-to-r ${bgGradient} ${borderColor} border rounded-md shadow-md ${shadowColor} hover:shadow-lg transition-all duration-500 transform hover:scale-[1.01] hover:-translate-y-0.5 group overflow-hidden`}
+                    onClick={() => setDrillDownStage(row)}
+                    title={`View the ${value.toLocaleString()} ${value === 1 ? 'prospect' : 'prospects'} in this stage`}
+                    className={`relative bg-gradient-to-r ${bgGradient} ${borderColor} border rounded-md shadow-md ${shadowColor} hover:shadow-lg transition-all duration-500 transform hover:scale-[1.01] hover:-translate-y-0.5 group overflow-hidden cursor-pointer`}
                     style={{
                       width: `${actualWidth}%`,
                       minWidth: '150px',
@@ -422,7 +334,21 @@ export default function EmailFunnelDetail() {
             <div className="absolute bottom-0 left-0 right-0 h-0.5 bg-white/30"></div>
           </div>
         </div>
+
+        <FunnelConversionPanel channel="email" stages={funnelRows} contacts={contacts} activities={activities} statusSchema={statusSchema} />
       </div>
+
+      <ProspectDrillDownModal
+        isOpen={!!drillDownStage}
+        onClose={() => setDrillDownStage(null)}
+        title={drillDownStage?.label}
+        subtitle={`Email Funnel - ${project?.companyName || 'Project'}`}
+        rows={drillDownRows}
+        channel="email"
+        projectId={id}
+        statusSchema={statusSchema}
+        onActivityLogged={fetchData}
+      />
     </div>
   );
 }
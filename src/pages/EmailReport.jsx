@@ -1,6 +1,11 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import API from '../api/axios';
+import DownloadPdfButton from '../components/DownloadPdfButton';
+import ProspectDrillDownModal from '../components/ProspectDrillDownModal';
+import { getActivityDateRangeLabel } from '../utils/pdfExport';
+import { getReportPeriods, computeChannelReport, getReportCellProspects } from '../utils/metrics';
+import { resolveStatusSchema } from '../utils/statusSchema';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -27,16 +32,20 @@ ChartJS.register(
   Filler
 );
 
+// Derived rows (drillDownKey) list the prospects of the row they're built from
+const getDrillDownKey = (metric) => metric.drillDownKey || metric.key;
+
 export default function EmailReport() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const reportRef = useRef(null);
   const [project, setProject] = useState(null);
   const [activities, setActivities] = useState([]);
   const [contacts, setContacts] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [reportData, setReportData] = useState({});
   const [lastUpdated, setLastUpdated] = useState(null);
   const [viewMode, setViewMode] = useState('month'); // 'month' or 'year'
+  const [drillDownCell, setDrillDownCell] = useState(null); // { metric, period }
 
   useEffect(() => {
     if (id) {
@@ -87,171 +96,6 @@ export default function EmailReport() {
     }
   };
 
-  useEffect(() => {
-    if (activities.length > 0 || contacts.length > 0) {
-      calculateReportData();
-    }
-  }, [activities, contacts, viewMode]);
-
-  const getMonthKey = (date) => {
-    const d = new Date(date);
-    const month = d.toLocaleString('default', { month: 'short' });
-    const year = d.getFullYear().toString().slice(-2);
-    return `${month} '${year}`;
-  };
-
-  const getYearKey = (date) => {
-    const d = new Date(date);
-    return d.getFullYear().toString();
-  };
-
-  const getMonths = () => {
-    const months = new Set();
-    
-    activities.forEach(activity => {
-      if (activity.createdAt) {
-        months.add(getMonthKey(activity.createdAt));
-      }
-    });
-
-    contacts.forEach(contact => {
-      if (contact.createdAt) {
-        months.add(getMonthKey(new Date(contact.createdAt)));
-      }
-    });
-
-    const sortedMonths = Array.from(months).sort((a, b) => {
-      const [monthA, yearA] = a.split(" '");
-      const [monthB, yearB] = b.split(" '");
-      const monthOrder = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-      const monthIndexA = monthOrder.indexOf(monthA);
-      const monthIndexB = monthOrder.indexOf(monthB);
-      
-      if (yearA !== yearB) {
-        return parseInt(yearA) - parseInt(yearB);
-      }
-      return monthIndexA - monthIndexB;
-    });
-
-    return sortedMonths;
-  };
-
-  const getYears = () => {
-    const years = new Set();
-    
-    activities.forEach(activity => {
-      if (activity.createdAt) {
-        years.add(getYearKey(activity.createdAt));
-      }
-    });
-
-    contacts.forEach(contact => {
-      if (contact.createdAt) {
-        years.add(getYearKey(new Date(contact.createdAt)));
-      }
-    });
-
-    const sortedYears = Array.from(years).sort((a, b) => parseInt(a) - parseInt(b));
-    return sortedYears;
-  };
-
-  const calculateReportData = () => {
-    const periods = viewMode === 'month' ? getMonths() : getYears();
-    const data = {};
-
-    periods.forEach(period => {
-      data[period] = {
-        emailsSent: 0,
-        noReply: 0,
-        notInterested: 0,
-        outOfOffice: 0,
-        meetingProposed: 0,
-        meetingScheduled: 0,
-        interested: 0,
-        wrongPerson: 0,
-        bounce: 0,
-        optOut: 0,
-        meetingCompleted: 0,
-        totalResponses: 0,
-        responseRate: 0,
-        openRate: 0,
-        clickRate: 0
-      };
-    });
-
-    // Calculate emails sent (total email activities)
-    activities.forEach(activity => {
-      if (activity.createdAt) {
-        const period = viewMode === 'month' 
-          ? getMonthKey(activity.createdAt) 
-          : getYearKey(activity.createdAt);
-        if (data[period]) {
-          data[period].emailsSent++;
-        }
-      }
-    });
-
-    // Calculate metrics by status
-    activities.forEach(activity => {
-      if (activity.createdAt && activity.status) {
-        const period = viewMode === 'month' 
-          ? getMonthKey(activity.createdAt) 
-          : getYearKey(activity.createdAt);
-        if (!data[period]) return;
-
-        switch (activity.status) {
-          case 'No Reply':
-            data[period].noReply++;
-            break;
-          case 'Not Interested':
-            data[period].notInterested++;
-            data[period].totalResponses++;
-            break;
-          case 'Out of Office':
-            data[period].outOfOffice++;
-            data[period].totalResponses++;
-            break;
-          case 'Meeting Proposed':
-            data[period].meetingProposed++;
-            data[period].totalResponses++;
-            break;
-          case 'Meeting Scheduled':
-            data[period].meetingScheduled++;
-            data[period].totalResponses++;
-            break;
-          case 'Interested':
-            data[period].interested++;
-            data[period].totalResponses++;
-            break;
-          case 'Wrong Person':
-            data[period].wrongPerson++;
-            data[period].totalResponses++;
-            break;
-          case 'Bounce':
-            data[period].bounce++;
-            break;
-          case 'Opt-Out':
-            data[period].optOut++;
-            data[period].totalResponses++;
-            break;
-          case 'Meeting Completed':
-            data[period].meetingCompleted++;
-            data[period].totalResponses++;
-            break;
-        }
-      }
-    });
-
-    // Calculate response rate and other metrics
-    periods.forEach(period => {
-      if (data[period].emailsSent > 0) {
-        data[period].responseRate = ((data[period].totalResponses / data[period].emailsSent) * 100).toFixed(1);
-      }
-    });
-
-    setReportData(data);
-  };
-
   const metrics = [
     { key: 'emailsSent', label: 'Emails Sent', section: 'Email Activity', bold: true },
     { key: 'noReply', label: 'No Reply', section: 'Email Activity', bold: false },
@@ -265,10 +109,25 @@ export default function EmailReport() {
     { key: 'optOut', label: 'Opt-Out', section: 'Email Activity', bold: false },
     { key: 'meetingCompleted', label: 'Meeting Completed', section: 'Email Activity', bold: true, highlight: true, highlightDark: true },
     { key: 'totalResponses', label: 'Total Responses', section: 'Email Activity', bold: true },
-    { key: 'responseRate', label: 'Response Rate (%)', section: 'Email Activity', bold: true, isPercentage: true }
+    { key: 'responseRate', label: 'Response Rate (%)', section: 'Email Activity', bold: true, isPercentage: true, drillDownKey: 'totalResponses' }
   ];
 
-  const periods = viewMode === 'month' ? getMonths() : getYears();
+  const statusSchema = useMemo(() => resolveStatusSchema(project), [project]);
+  const periods = useMemo(
+    () => getReportPeriods(activities, contacts, viewMode),
+    [activities, contacts, viewMode]
+  );
+  const reportData = useMemo(
+    () => computeChannelReport('email', activities, contacts, periods, viewMode, statusSchema),
+    [activities, contacts, periods, viewMode, statusSchema]
+  );
+
+  const drillDownRows = useMemo(
+    () => (drillDownCell
+      ? getReportCellProspects('email', getDrillDownKey(drillDownCell.metric), drillDownCell.period, viewMode, contacts, activities, statusSchema)
+      : []),
+    [drillDownCell, viewMode, contacts, activities, statusSchema]
+  );
 
   // Prepare chart data
   const chartData = useMemo(() => {
@@ -447,9 +306,9 @@ export default function EmailReport() {
 
   return (
     <div className="min-h-screen bg-white">
-      <div className="max-w-7xl mx-auto px-6 lg:px-8 py-8">
+      <div ref={reportRef} className="max-w-7xl mx-auto px-6 lg:px-8 py-8">
         {/* Header */}
-        <div className="mb-8">
+        <div className="mb-8" data-pdf-exclude>
           <div className="flex items-center justify-between mb-6">
             <button
               onClick={() => navigate(`/projects/${id}/funnel`)}
@@ -461,22 +320,31 @@ export default function EmailReport() {
               Back to Sales Report
             </button>
             
-            <button
-              onClick={fetchData}
-              disabled={loading}
-              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-              title="Refresh data"
-            >
-              <svg 
-                className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} 
-                fill="none" 
-                stroke="currentColor" 
-                viewBox="0 0 24 24"
+            <div className="flex items-center gap-3">
+              <DownloadPdfButton
+                targetRef={reportRef}
+                projectName={project?.companyName}
+                reportTitle={`${viewMode === 'month' ? 'Monthly' : 'Yearly'} Email Report`}
+                dateRange={getActivityDateRangeLabel(activities)}
+                disabled={loading}
+              />
+              <button
+                onClick={fetchData}
+                disabled={loading}
+                className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Refresh data"
               >
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-              </svg>
-              Refresh
-            </button>
+                <svg 
+                  className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} 
+                  fill="none" 
+                  stroke="currentColor" 
+                  viewBox="0 0 24 24"
+                >
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                </svg>
+                Refresh
+              </button>
+            </div>
           </div>
 
           <div className="mb-6">
@@ -617,10 +485,17 @@ export default function EmailReport() {
                               : 'text-gray-700'
                           }`}
                         >
-                          {metric.isPercentage 
-                            ? `${reportData[period]?.[metric.key] || 0}%`
-                            : (reportData[period]?.[metric.key] || 0)
-                          }
+                          <button
+                            onClick={() => setDrillDownCell({ metric, period })}
+                            disabled={!reportData[period]?.[getDrillDownKey(metric)]}
+                            title="View the prospects behind this number"
+                            className="enabled:hover:text-blue-600 enabled:hover:underline"
+                          >
+                            {metric.isPercentage 
+                              ? `${reportData[period]?.[metric.key] || 0}%`
+                              : (reportData[period]?.[metric.key] || 0)
+                            }
+                          </button>
                         </td>
                       ))}
                     </tr>
@@ -637,6 +512,18 @@ export default function EmailReport() {
           </div>
         )}
       </div>
+
+      <ProspectDrillDownModal
+        isOpen={!!drillDownCell}
+        onClose={() => setDrillDownCell(null)}
+        title={drillDownCell?.metric.label}
+        subtitle={`Period: ${drillDownCell?.period}`}
+        rows={drillDownRows}
+        channel="email"
+        projectId={id}
+        statusSchema={statusSchema}
+        onActivityLogged={fetchData}
+      />
     </div>
   );
 }
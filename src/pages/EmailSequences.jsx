@@ -0,0 +1,490 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import API from '../api/axios';
+import SequenceEditor from '../components/SequenceEditor';
+import { hasPermission, PERMISSIONS, getCurrentUser } from '../utils/permissions';
+import { resolveStatusSchema } from '../utils/statusSchema';
+import { startOfDay, toDateKey, toIdString } from '../utils/helpers';
+import {
+  createEmptySequence,
+  renderSequenceTemplate,
+  findStopReason,
+  getStepDueDate,
+  STOP_REASON_LABELS
+} from '../utils/emailSequences';
+
+export default function EmailSequences() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const canEdit = hasPermission(PERMISSIONS.MANAGE_PROJECTS);
+  const sender = getCurrentUser();
+
+  const [project, setProject] = useState(null);
+  const [sequences, setSequences] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [tab, setTab] = useState('queue'); // 'queue' | 'steps'
+  const [enrollments, setEnrollments] = useState([]);
+  const [contactsById, setContactsById] = useState(new Map());
+  const [loading, setLoading] = useState(true);
+  const [loadingQueue, setLoadingQueue] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [queueFilter, setQueueFilter] = useState('due'); // 'due' | 'active' | 'finished'
+  const [previewId, setPreviewId] = useState(null);
+  const [sendingId, setSendingId] = useState(null);
+  // Activity ids of sends logged whose enrollment update hasn't gone through yet, by enrollment and step
+  const loggedSends = useRef(new Map());
+
+  const selectedSequence = sequences.find(s => s._id === selectedId) || null;
+  const statusSchema = useMemo(() => resolveStatusSchema(project), [project]);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const [projectResponse, sequencesResponse, contactsResponse] = await Promise.all([
+          API.get(`/projects/${id}`),
+          API.get(`/projects/${id}/email-sequences`),
+          API.get(`/projects/${id}/project-contacts?limit=10000`)
+        ]);
+        if (projectResponse.data.success) {
+          setProject(projectResponse.data.data);
+        }
+        if (sequencesResponse.data.success) {
+          const list = sequencesResponse.data.data || [];
+          setSequences(list);
+          if (list.length > 0) {
+            setSelectedId(list[0]._id);
+            setDraft(list[0]);
+          }
+        }
+        if (contactsResponse.data.success) {
+          setContactsById(new Map((contactsResponse.data.data || []).map(contact => [toIdString(contact._id), contact])));
+        }
+      } catch (err) {
+        console.error('Error fetching email sequences:', err);
+        setError('Couldn\'t load sequences for this project. Try refreshing the page.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchData();
+  }, [id]);
+
+  // Load the queue for the selected sequence and stop anyone who replied, opted out or bounced
+  useEffect(() => {
+    if (!selectedSequence?._id || !project) {
+      setEnrollments([]);
+      return;
+    }
+
+    const fetchQueue = async () => {
+      try {
+        setLoadingQueue(true);
+        const [enrollmentsResponse, activitiesResponse] = await Promise.all([
+          API.get(`/projects/${id}/email-sequences/${selectedSequence._id}/enrollments`),
+          API.get(`/activities/project/${id}?limit=10000`)
+        ]);
+        const list = enrollmentsResponse.data.success ? (enrollmentsResponse.data.data || []) : [];
+        const activities = activitiesResponse.data.success ? (activitiesResponse.data.data || []) : [];
+
+        const updated = await Promise.all(list.map(async (enrollment) => {
+          if (enrollment.status !== 'active') return enrollment;
+          const stopReason = findStopReason(selectedSequence, enrollment, activities, statusSchema);
+          if (!stopReason) return enrollment;
+          try {
+            await API.put(`/projects/${id}/email-sequences/${selectedSequence._id}/enrollments/${enrollment._id}`, {
+              status: 'stopped',
+              stopReason
+            });
+          } catch (err) {
+            console.error('Error stopping enrollment:', err);
+          }
+          return { ...enrollment, status: 'stopped', stopReason };
+        }));
+        setEnrollments(updated);
+      } catch (err) {
+        console.error('Error fetching sequence enrollments:', err);
+        setError('Couldn\'t load who is enrolled in this sequence. Try refreshing the page.');
+      } finally {
+        setLoadingQueue(false);
+      }
+    };
+    fetchQueue();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [id, selectedSequence?._id, project]);
+
+  const handleSelect = (sequence) => {
+    setSelectedId(sequence._id);
+    setDraft(sequence);
+    setPreviewId(null);
+  };
+
+  const handleNew = () => {
+    setSelectedId(null);
+    setDraft(createEmptySequence());
+    setTab('steps');
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const payload = { name: draft.name.trim(), steps: draft.steps, stopRules: draft.stopRules };
+      const response = draft._id
+        ? await API.put(`/projects/${id}/email-sequences/${draft._id}`, payload)
+        : await API.post(`/projects/${id}/email-sequences`, payload);
+      if (response.data.success) {
+        const saved = response.data.data;
+        setSequences(prev => (draft._id ? prev.map(s => (s._id === saved._id ? saved : s)) : [...prev, saved]));
+        setSelectedId(saved._id);
+        setDraft(saved);
+      }
+    } catch (err) {
+      console.error('Error saving email sequence:', err);
+      setError(err.response?.data?.error || 'Couldn\'t save the sequence. Try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!draft?._id) return;
+    if (!window.confirm(`Delete "${draft.name}"? Everyone enrolled in it stops receiving steps.`)) return;
+    try {
+      setError('');
+      await API.delete(`/projects/${id}/email-sequences/${draft._id}`);
+      const remaining = sequences.filter(s => s._id !== draft._id);
+      setSequences(remaining);
+      setSelectedId(remaining[0]?._id || null);
+      setDraft(remaining[0] || null);
+    } catch (err) {
+      console.error('Error deleting email sequence:', err);
+      setError('Couldn\'t delete the sequence. Try again.');
+    }
+  };
+
+  const updateEnrollment = async (enrollment, changes) => {
+    const response = await API.put(
+      `/projects/${id}/email-sequences/${selectedSequence._id}/enrollments/${enrollment._id}`,
+      changes
+    );
+    const saved = response.data.success ? { ...enrollment, ...changes, ...response.data.data } : { ...enrollment, ...changes };
+    setEnrollments(prev => prev.map(e => (e._id === enrollment._id ? saved : e)));
+  };
+
+  const renderStep = (enrollment) => {
+    const step = selectedSequence.steps[enrollment.currentStep];
+    const contact = contactsById.get(toIdString(enrollment.contactId)) || {};
+    return {
+      subject: renderSequenceTemplate(step?.subject, contact, sender),
+      body: renderSequenceTemplate(step?.body, contact, sender)
+    };
+  };
+
+  // Sending is done outside the app; marking a step sent logs it as an email activity and moves
+  // the contact to the next step, with a send-email follow-up for when that step is due
+  const handleMarkSent = async (enrollment) => {
+    const contactId = toIdString(enrollment.contactId);
+    const contact = contactsById.get(contactId) || {};
+    const stepIndex = enrollment.currentStep;
+    const totalSteps = selectedSequence.steps.length;
+    const nextStep = selectedSequence.steps[stepIndex + 1];
+    const { subject, body } = renderStep(enrollment);
+    const now = new Date();
+    let nextDueDate = null;
+    if (nextStep) {
+      nextDueDate = startOfDay(new Date());
+      nextDueDate.setDate(nextDueDate.getDate() + (Number(nextStep.waitDays) || 0));
+    }
+
+    setSendingId(enrollment._id);
+    const sentKey = `${enrollment._id}:${stepIndex}`;
+    try {
+      setError('');
+      // A retry after the enrollment update failed skips the activity, which was already logged
+      if (!loggedSends.current.has(sentKey)) {
+        const response = await API.post('/activities', {
+          projectId: id,
+          contactId,
+          type: 'email',
+          template: `Subject: ${subject}\n\n${body}`,
+          conversationNotes: `Sequence "${selectedSequence.name}" · step ${stepIndex + 1} of ${totalSteps}`,
+          nextAction: nextStep ? 'send-email' : '',
+          nextActionDate: nextDueDate ? toDateKey(nextDueDate) : '',
+          email: contact.email || null,
+          emailDate: toDateKey(now)
+        });
+        loggedSends.current.set(sentKey, response.data.data?._id);
+      }
+      await updateEnrollment(enrollment, {
+        currentStep: stepIndex + 1,
+        lastSentAt: now.toISOString(),
+        status: nextStep ? 'active' : 'completed'
+      });
+      loggedSends.current.delete(sentKey);
+      setPreviewId(null);
+    } catch (err) {
+      console.error('Error marking sequence step sent:', err);
+      setError(`Couldn't log step ${stepIndex + 1} for ${contact.name || 'this contact'}. Try again.`);
+    } finally {
+      setSendingId(null);
+    }
+  };
+
+  const handleStop = async (enrollment) => {
+    try {
+      setError('');
+      await updateEnrollment(enrollment, { status: 'stopped', stopReason: 'manual' });
+    } catch (err) {
+      console.error('Error stopping enrollment:', err);
+      setError('Couldn\'t stop the sequence for this contact. Try again.');
+    }
+  };
+
+  const handleCopy = async (enrollment) => {
+    const { subject, body } = renderStep(enrollment);
+    try {
+      await navigator.clipboard.writeText(`${subject}\n\n${body}`);
+    } catch (err) {
+      console.error('Error copying email:', err);
+    }
+  };
+
+  const queue = useMemo(() => {
+    if (!selectedSequence) return [];
+    const todayEnd = startOfDay(new Date());
+    todayEnd.setDate(todayEnd.getDate() + 1);
+    return enrollments
+      .map(enrollment => ({ enrollment, dueDate: enrollment.status === 'active' ? getStepDueDate(selectedSequence, enrollment) : null }))
+      .filter(({ enrollment, dueDate }) => {
+        if (queueFilter === 'finished') return enrollment.status !== 'active';
+        if (enrollment.status !== 'active') return false;
+        return queueFilter === 'active' || (dueDate && dueDate < todayEnd);
+      })
+      .sort((a, b) => (a.dueDate || 0) - (b.dueDate || 0));
+  }, [enrollments, selectedSequence, queueFilter]);
+
+  const counts = useMemo(() => ({
+    active: enrollments.filter(e => e.status === 'active').length,
+    completed: enrollments.filter(e => e.status === 'completed').length,
+    stopped: enrollments.filter(e => e.status === 'stopped').length
+  }), [enrollments]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 max-w-7xl mx-auto">
+      {/* Header */}
+      <div className="mb-6">
+        <button
+          onClick={() => navigate(`/projects/${id}`)}
+          className="inline-flex items-center gap-2 text-sm font-medium text-gray-600 hover:text-gray-900 mb-3"
+        >
+          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+          </svg>
+          Back to Prospect Management
+        </button>
+        <h1 className="text-2xl font-bold text-gray-900">Email Sequences</h1>
+        <p className="text-sm text-gray-500 mt-1">{project?.companyName}</p>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Sequence List */}
+        <div className="bg-white border border-gray-200 rounded-lg p-3 h-fit">
+          <div className="space-y-1">
+            {sequences.map((sequence) => (
+              <button
+                key={sequence._id}
+                onClick={() => handleSelect(sequence)}
+                className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors ${
+                  sequence._id === selectedId ? 'bg-blue-50 text-blue-700 font-semibold' : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {sequence.name}
+                <span className="block text-xs font-normal text-gray-500">{sequence.steps?.length || 0} steps</span>
+              </button>
+            ))}
+            {sequences.length === 0 && !draft && (
+              <p className="px-3 py-2 text-sm text-gray-500">No sequences yet.</p>
+            )}
+          </div>
+          {canEdit && (
+            <button
+              onClick={handleNew}
+              className="mt-3 w-full px-3 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+            >
+              New Sequence
+            </button>
+          )}
+        </div>
+
+        {/* Sequence Detail */}
+        <div className="lg:col-span-3 bg-white border border-gray-200 rounded-lg">
+          {!draft ? (
+            <div className="p-12 text-center text-sm text-gray-500">
+              {canEdit ? 'Create a sequence to start enrolling prospects.' : 'No sequences have been set up for this project yet.'}
+            </div>
+          ) : (
+            <>
+              <div className="flex border-b border-gray-200">
+                {[
+                  { key: 'queue', label: `Enrolled (${enrollments.length})`, disabled: !selectedSequence },
+                  { key: 'steps', label: 'Steps' }
+                ].map((option) => (
+                  <button
+                    key={option.key}
+                    onClick={() => setTab(option.key)}
+                    disabled={option.disabled}
+                    className={`px-4 py-3 text-sm font-medium border-b-2 -mb-px disabled:opacity-40 ${
+                      tab === option.key ? 'border-blue-600 text-blue-600' : 'border-transparent text-gray-600 hover:text-gray-900'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+
+              <div className="p-5">
+                {tab === 'steps' || !selectedSequence ? (
+                  <SequenceEditor
+                    sequence={draft}
+                    onChange={setDraft}
+                    onSave={handleSave}
+                    onDelete={draft._id ? handleDelete : null}
+                    saving={saving}
+                    readOnly={!canEdit}
+                  />
+                ) : (
+                  <div className="space-y-4">
+                    <div className="flex flex-wrap items-center justify-between gap-3">
+                      <div className="flex gap-4 text-xs text-gray-600">
+                        <span><span className="font-semibold text-gray-900">{counts.active}</span> active</span>
+                        <span><span className="font-semibold text-gray-900">{counts.completed}</span> completed</span>
+                        <span><span className="font-semibold text-gray-900">{counts.stopped}</span> stopped</span>
+                      </div>
+                      <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+                        {[{ key: 'due', label: 'Due now' }, { key: 'active', label: 'All active' }, { key: 'finished', label: 'Finished' }].map(option => (
+                          <button
+                            key={option.key}
+                            onClick={() => setQueueFilter(option.key)}
+                            className={`px-3 py-1.5 text-xs font-medium transition-colors ${
+                              queueFilter === option.key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                            }`}
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+
+                    {loadingQueue ? (
+                      <div className="flex justify-center py-10">
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                      </div>
+                    ) : queue.length === 0 ? (
+                      <p className="py-10 text-center text-sm text-gray-500">
+                        {enrollments.length === 0
+                          ? 'Nobody is enrolled yet. Select prospects in Prospect Management and choose Enroll in Sequence.'
+                          : 'Nothing here right now.'}
+                      </p>
+                    ) : (
+                      <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                        {queue.map(({ enrollment, dueDate }) => {
+                          const contact = contactsById.get(toIdString(enrollment.contactId)) || {};
+                          const overdue = dueDate && dueDate < startOfDay(new Date());
+                          const preview = previewId === enrollment._id ? renderStep(enrollment) : null;
+                          return (
+                            <div key={enrollment._id} className="p-3">
+                              <div className="flex flex-col md:flex-row md:items-center gap-3">
+                                <div className="flex-1 min-w-0">
+                                  <p className="text-sm font-semibold text-gray-900 truncate">{contact.name || 'Unknown contact'}</p>
+                                  <p className="text-xs text-gray-500 truncate">{contact.email || 'No email'} · {contact.company || ''}</p>
+                                </div>
+                                <div className="text-xs text-gray-600 whitespace-nowrap">
+                                  {enrollment.status === 'active' && `Step ${enrollment.currentStep + 1} of ${selectedSequence.steps.length}`}
+                                  {enrollment.status === 'completed' && 'Completed'}
+                                  {enrollment.status === 'stopped' && (STOP_REASON_LABELS[enrollment.stopReason] || 'Stopped')}
+                                </div>
+                                {dueDate && (
+                                  <div className={`text-xs font-medium whitespace-nowrap ${overdue ? 'text-red-600' : 'text-gray-600'}`}>
+                                    {dueDate.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                                  </div>
+                                )}
+                                {enrollment.status === 'active' && (
+                                  <div className="flex items-center gap-2">
+                                    <button
+                                      onClick={() => setPreviewId(preview ? null : enrollment._id)}
+                                      className="px-3 py-1.5 text-xs font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+                                    >
+                                      {preview ? 'Hide' : 'Open Step'}
+                                    </button>
+                                    <button
+                                      onClick={() => handleStop(enrollment)}
+                                      className="px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50"
+                                    >
+                                      Stop
+                                    </button>
+                                  </div>
+                                )}
+                              </div>
+
+                              {preview && (
+                                <div className="mt-3 p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-2">
+                                  <p className="text-sm font-semibold text-gray-900">{preview.subject}</p>
+                                  <p className="text-sm text-gray-700 whitespace-pre-wrap">{preview.body}</p>
+                                  <div className="flex justify-end gap-2 pt-1">
+                                    <button
+                                      onClick={() => handleCopy(enrollment)}
+                                      className="px-3 py-1.5 text-xs font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100"
+                                    >
+                                      Copy
+                                    </button>
+                                    {contact.email && (
+                                      <a
+                                        href={`mailto:${contact.email}?subject=${encodeURIComponent(preview.subject)}&body=${encodeURIComponent(preview.body)}`}
+                                        className="px-3 py-1.5 text-xs font-medium text-blue-600 bg-blue-50 rounded-lg hover:bg-blue-100"
+                                      >
+                                        Open in Mail
+                                      </a>
+                                    )}
+                                    <button
+                                      onClick={() => handleMarkSent(enrollment)}
+                                      disabled={sendingId === enrollment._id}
+                                      className="px-3 py-1.5 text-xs font-semibold text-green-700 bg-green-50 border border-green-200 rounded-lg hover:bg-green-100 disabled:opacity-50"
+                                    >
+                                      {sendingId === enrollment._id ? 'Logging...' : 'Mark Sent'}
+                                    </button>
+                                  </div>
+                                </div>
+                              )}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
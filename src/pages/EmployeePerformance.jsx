@@ -1,6 +1,9 @@
 import React, { useState, useEffect, lazy, Suspense, useMemo } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import API from '../api/axios';
+import DateRangePicker from '../components/DateRangePicker';
+import DeltaBadge from '../components/DeltaBadge';
+import { readDateRange, writeDateRange, getComparisonRange, getDateRangeRequestParams, getDateRangeCacheKey } from '../utils/dateRange';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -35,24 +38,35 @@ ChartJS.register(
 );
 
 // Simple in-memory cache for employee performance (per browser tab)
-// Cached by timeFilter so switching away and back is instant for the same period.
+// Cached by date range (see getDateRangeCacheKey) so switching away and back is instant for the same
+// period, and a comparison period that was viewed before doesn't refetch.
 const employeePerformanceCache = {};
 const EMP_PERF_CACHE_TTL_MS = 60 * 1000; // 60 seconds
 
+const getCachedPerformance = (key) => {
+  const entry = employeePerformanceCache[key];
+  return entry && (Date.now() - entry.timestamp) < EMP_PERF_CACHE_TTL_MS ? entry.data : null;
+};
+
 export default function EmployeePerformance() {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(true);
   const [data, setData] = useState(null);
   const [selectedEmployee, setSelectedEmployee] = useState(null);
   const [activeSection, setActiveSection] = useState('overview');
-  const [timeFilter, setTimeFilter] = useState('last7days');
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Selected period lives in the URL (?range=&from=&to=&compare=)
+  const dateRange = useMemo(() => readDateRange(searchParams, 'last7days'), [searchParams]);
+  const rangeKey = getDateRangeCacheKey(dateRange);
+  const comparisonRange = useMemo(() => getComparisonRange(dateRange), [dateRange]);
+  const comparisonKey = comparisonRange ? getDateRangeCacheKey(comparisonRange) : null;
+  const [comparisonData, setComparisonData] = useState(null);
 
   useEffect(() => {
     const load = async () => {
-      const key = timeFilter || 'all';
-      const entry = employeePerformanceCache[key];
-      if (entry && (Date.now() - entry.timestamp) < EMP_PERF_CACHE_TTL_MS) {
-        const perfData = entry.data;
+      const cachedData = getCachedPerformance(rangeKey);
+      if (cachedData) {
+        const perfData = cachedData;
         setData(perfData);
         if (perfData.employees.length > 0 && !selectedEmployee) {
           setSelectedEmployee(perfData.employees[0].userId);
@@ -65,18 +79,59 @@ export default function EmployeePerformance() {
 
     load();
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [timeFilter]);
+  }, [rangeKey]);
+
+  // Comparison period (week or month before), fetched alongside and cached the same way
+  useEffect(() => {
+    if (!comparisonKey) {
+      setComparisonData(null);
+      return;
+    }
+    const cachedData = getCachedPerformance(comparisonKey);
+    if (cachedData) {
+      setComparisonData(cachedData);
+      return;
+    }
+
+    let cancelled = false;
+    const fetchComparison = async () => {
+      try {
+        setComparisonData(null);
+        const response = await API.get('/projects/employee-performance', {
+          params: getDateRangeRequestParams(comparisonRange)
+        });
+        if (response.data.success && !cancelled) {
+          employeePerformanceCache[comparisonKey] = {
+            data: response.data.data,
+            timestamp: Date.now(),
+          };
+          setComparisonData(response.data.data);
+        }
+      } catch (error) {
+        console.error('Error fetching comparison performance:', error);
+      }
+    };
+    fetchComparison();
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [comparisonKey]);
+
+  const handleDateRangeChange = (range) => {
+    setSearchParams(writeDateRange(searchParams, range), { replace: true });
+  };
 
   const fetchEmployeePerformance = async () => {
     try {
       setLoading(true);
       const response = await API.get('/projects/employee-performance', {
-        params: { timeFilter }
+        params: getDateRangeRequestParams(dateRange)
       });
       if (response.data.success) {
         const perfData = response.data.data;
         setData(perfData);
-        employeePerformanceCache[timeFilter || 'all'] = {
+        employeePerformanceCache[rangeKey] = {
           data: perfData,
           timestamp: Date.now(),
         };
@@ -261,11 +316,19 @@ export default function EmployeePerformance() {
     );
   }
 
-  const timeFilterLabels = {
-    today: 'Today',
-    last7days: 'Last 7 Days',
-    lastMonth: 'Last Month'
+  const previousSummary = comparisonData?.summary || null;
+  const previousAverage = previousSummary
+    ? (previousSummary.totalEmployees > 0 ? Math.round(previousSummary.totalActivities / previousSummary.totalEmployees) : 0)
+    : null;
+  // An employee missing from the comparison period had no activity then
+  const getPreviousEmployee = (userId) => {
+    if (!comparisonData) return null;
+    return comparisonData.employees.find(emp => emp.userId === userId) || {
+      totalActivities: 0,
+      byChannel: { email: { total: 0 }, call: { total: 0 }, linkedin: { total: 0 } }
+    };
   };
+  const previousEmployee = currentEmployee ? getPreviousEmployee(currentEmployee.userId) : null;
 
   return (
     <div className="bg-gray-50 min-h-screen">
@@ -278,21 +341,7 @@ export default function EmployeePerformance() {
               <p className="text-gray-600 text-sm">Comprehensive analytics and insights for team performance tracking</p>
             </div>
             {/* Time Filter */}
-            <div className="flex items-center gap-2 bg-white rounded-lg border border-gray-200 p-1 shadow-sm">
-              {['today', 'last7days', 'lastMonth'].map((filter) => (
-                <button
-                  key={filter}
-                  onClick={() => setTimeFilter(filter)}
-                  className={`px-4 py-2 text-sm font-medium rounded-md transition-all ${
-                    timeFilter === filter
-                      ? 'bg-blue-600 text-white shadow-sm'
-                      : 'text-gray-700 hover:bg-gray-50'
-                  }`}
-                >
-                  {timeFilterLabels[filter]}
-                </button>
-              ))}
-            </div>
+            <DateRangePicker value={dateRange} onChange={handleDateRangeChange} />
           </div>
 
           {/* Key Metrics Cards */}
@@ -307,6 +356,7 @@ export default function EmployeePerformance() {
                 </div>
               </div>
               <div className="text-3xl font-bold text-gray-900">{data.summary.totalEmployees}</div>
+              <DeltaBadge current={data.summary.totalEmployees} previous={previousSummary?.totalEmployees} />
             </div>
             <div className="bg-gradient-to-br from-green-50 to-green-100 border border-green-200 rounded-xl p-6 shadow-sm">
               <div className="flex items-center justify-between mb-2">
@@ -318,6 +368,7 @@ export default function EmployeePerformance() {
                 </div>
               </div>
               <div className="text-3xl font-bold text-gray-900">{data.summary.totalActivities.toLocaleString()}</div>
+              <DeltaBadge current={data.summary.totalActivities} previous={previousSummary?.totalActivities} />
             </div>
             <div className="bg-gradient-to-br from-purple-50 to-purple-100 border border-purple-200 rounded-xl p-6 shadow-sm">
               <div className="flex items-center justify-between mb-2">
@@ -329,6 +380,7 @@ export default function EmployeePerformance() {
                 </div>
               </div>
               <div className="text-3xl font-bold text-gray-900">{data.summary.totalProjects}</div>
+              <DeltaBadge current={data.summary.totalProjects} previous={previousSummary?.totalProjects} />
             </div>
             <div className="bg-gradient-to-br from-amber-50 to-amber-100 border border-amber-200 rounded-xl p-6 shadow-sm">
               <div className="flex items-center justify-between mb-2">
@@ -344,6 +396,10 @@ export default function EmployeePerformance() {
                   ? Math.round(data.summary.totalActivities / data.summary.totalEmployees)
                   : 0}
               </div>
+              <DeltaBadge
+                current={data.summary.totalEmployees > 0 ? Math.round(data.summary.totalActivities / data.summary.totalEmployees) : 0}
+                previous={previousAverage}
+              />
             </div>
           </div>
         </div>
@@ -393,6 +449,7 @@ export default function EmployeePerformance() {
                 <div className="text-3xl font-bold text-blue-600 mb-2">{data.summary.byChannel.email.toLocaleString()}</div>
                 <div className="text-xs text-gray-500">
                   {((data.summary.byChannel.email / data.summary.totalActivities) * 100).toFixed(1)}% of total
+                  <DeltaBadge current={data.summary.byChannel.email} previous={previousSummary?.byChannel?.email} className="ml-2" />
                 </div>
               </div>
               <div className="bg-white border border-gray-200 rounded-xl p-6 shadow-sm">
@@ -407,6 +464,7 @@ export default function EmployeePerformance() {
                 <div className="text-3xl font-bold text-green-600 mb-2">{data.summary.byChannel.call.toLocaleString()}</div>
                 <div className="text-xs text-gray-500">
                   {((data.summary.byChannel.call / data.summary.totalActivities) * 100).toFixed(1)}% of total
+                  <DeltaBadge current={data.summary.byChannel.call} previous={previousSummary?.byChannel?.call} className="ml-2" />
                 </div>
               </div>
               <div className="bg-white border border-gray-200 rounded-xl p-6 shadow-sm">
@@ -421,6 +479,7 @@ export default function EmployeePerformance() {
                 <div className="text-3xl font-bold text-purple-600 mb-2">{data.summary.byChannel.linkedin.toLocaleString()}</div>
                 <div className="text-xs text-gray-500">
                   {((data.summary.byChannel.linkedin / data.summary.totalActivities) * 100).toFixed(1)}% of total
+                  <DeltaBadge current={data.summary.byChannel.linkedin} previous={previousSummary?.byChannel?.linkedin} className="ml-2" />
                 </div>
               </div>
             </div>
@@ -520,6 +579,7 @@ export default function EmployeePerformance() {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span className="text-sm font-semibold text-gray-900">{emp.totalActivities.toLocaleString()}</span>
+                          <DeltaBadge current={emp.totalActivities} previous={getPreviousEmployee(emp.userId)?.totalActivities} className="ml-2" />
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span className="text-sm font-medium text-blue-600">{emp.byChannel.email.total.toLocaleString()}</span>
@@ -566,18 +626,22 @@ export default function EmployeePerformance() {
               <div className="bg-gradient-to-br from-blue-50 to-blue-100 border border-blue-200 rounded-xl p-6 shadow-sm">
                 <div className="text-sm font-medium text-blue-700 mb-2">Total Activities</div>
                 <div className="text-3xl font-bold text-gray-900">{currentEmployee.totalActivities.toLocaleString()}</div>
+                <DeltaBadge current={currentEmployee.totalActivities} previous={previousEmployee?.totalActivities} />
               </div>
               <div className="bg-gradient-to-br from-blue-50 to-blue-100 border border-blue-200 rounded-xl p-6 shadow-sm">
                 <div className="text-sm font-medium text-blue-700 mb-2">Email Activities</div>
                 <div className="text-3xl font-bold text-blue-600">{currentEmployee.byChannel.email.total.toLocaleString()}</div>
+                <DeltaBadge current={currentEmployee.byChannel.email.total} previous={previousEmployee?.byChannel.email.total} />
               </div>
               <div className="bg-gradient-to-br from-green-50 to-green-100 border border-green-200 rounded-xl p-6 shadow-sm">
                 <div className="text-sm font-medium text-green-700 mb-2">Call Activities</div>
                 <div className="text-3xl font-bold text-green-600">{currentEmployee.byChannel.call.total.toLocaleString()}</div>
+                <DeltaBadge current={currentEmployee.byChannel.call.total} previous={previousEmployee?.byChannel.call.total} />
               </div>
               <div className="bg-gradient-to-br from-purple-50 to-purple-100 border border-purple-200 rounded-xl p-6 shadow-sm">
                 <div className="text-sm font-medium text-purple-700 mb-2">LinkedIn Activities</div>
                 <div className="text-3xl font-bold text-purple-600">{currentEmployee.byChannel.linkedin.total.toLocaleString()}</div>
+                <DeltaBadge current={currentEmployee.byChannel.linkedin.total} previous={previousEmployee?.byChannel.linkedin.total} />
               </div>
             </div>
 
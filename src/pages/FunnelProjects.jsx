@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import API from '../api/axios';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 
 export default function FunnelProjects() {
   const navigate = useNavigate();
@@ -259,6 +260,7 @@ export default function FunnelProjects() {
               </div>
               <h3 className="text-sm font-semibold text-slate-900 mb-1">No projects found</h3>
               <p className="text-sm text-slate-500 mb-4">Get started by creating your first project</p>
+              {hasPermission(PERMISSIONS.MANAGE_PROJECTS) && (
               <button
                 onClick={() => navigate('/projects/new')}
                 className="inline-flex items-center gap-2 px-4 py-2 bg-slate-900 text-white text-sm font-medium rounded-lg hover:bg-slate-800 transition-colors"
@@ -268,6 +270,7 @@ export default function FunnelProjects() {
                 </svg>
                 Create Project
               </button>
+              )}
             </div>
           </div>
         )}
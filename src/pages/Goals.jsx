@@ -0,0 +1,283 @@
+import { useState, useEffect, useMemo } from 'react';
+import API from '../api/axios';
+import { GOAL_METRICS, GOAL_PERIODS, GOAL_HISTORY_DAYS, normalizeTargets, buildGoalLeaderboard } from '../utils/goals';
+import { PERMISSIONS, hasPermission, getCurrentUser } from '../utils/permissions';
+
+const getAttainmentColor = (pct) => {
+  if (pct === null) return 'text-gray-400';
+  if (pct >= 100) return 'text-green-600';
+  if (pct >= 60) return 'text-blue-600';
+  return 'text-orange-600';
+};
+
+export default function Goals() {
+  const [goals, setGoals] = useState([]);
+  const [progress, setProgress] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [activeTab, setActiveTab] = useState('leaderboard');
+  const [period, setPeriod] = useState('daily');
+  // Unsaved target edits keyed by userId
+  const [drafts, setDrafts] = useState({});
+  const [savingUserId, setSavingUserId] = useState(null);
+  const [saveError, setSaveError] = useState('');
+
+  const canManageGoals = hasPermission(PERMISSIONS.MANAGE_GOALS);
+  const currentUser = getCurrentUser();
+  const currentUserId = String(currentUser._id || currentUser.id || '');
+
+  useEffect(() => {
+    const fetchGoals = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        const [goalsResponse, progressResponse] = await Promise.all([
+          API.get('/goals'),
+          API.get('/goals/progress', { params: { days: GOAL_HISTORY_DAYS } })
+        ]);
+        if (goalsResponse.data.success) {
+          setGoals(goalsResponse.data.data || []);
+        }
+        if (progressResponse.data.success) {
+          setProgress(progressResponse.data.data || []);
+        }
+      } catch (err) {
+        console.error('Error fetching goals:', err);
+        setError('Couldn\'t load goals. Refresh the page to try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchGoals();
+  }, []);
+
+  const leaderboard = useMemo(() => buildGoalLeaderboard(goals, progress, period), [goals, progress, period]);
+
+  const getDraft = (goal) => drafts[goal.userId] || normalizeTargets(goal.targets);
+
+  const handleTargetChange = (goal, metricKey, field, value) => {
+    const draft = getDraft(goal);
+    setDrafts({
+      ...drafts,
+      [goal.userId]: {
+        ...draft,
+        [metricKey]: { ...draft[metricKey], [field]: Math.max(0, parseInt(value, 10) || 0) }
+      }
+    });
+  };
+
+  const handleSave = async (goal) => {
+    const targets = drafts[goal.userId];
+    if (!targets) return;
+    try {
+      setSavingUserId(goal.userId);
+      setSaveError('');
+      const response = await API.put(`/goals/${goal.userId}`, { targets });
+      if (response.data.success) {
+        setGoals(goals.map(g => (g.userId === goal.userId ? { ...g, targets } : g)));
+        const { [goal.userId]: _saved, ...rest } = drafts;
+        setDrafts(rest);
+      }
+    } catch (err) {
+      console.error('Error saving goals:', err);
+      setSaveError(err.response?.data?.error || `Couldn't save goals for ${goal.name}. Try again.`);
+    } finally {
+      setSavingUserId(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-screen bg-gray-50">
+        <div className="animate-spin rounded-full h-12 w-12 border-4 border-gray-200 border-t-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-gray-50 min-h-screen">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Header */}
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Goals & Leaderboard</h1>
+            <p className="text-gray-600 text-sm">Daily and weekly activity targets per rep, with attainment and streaks</p>
+          </div>
+          {activeTab === 'leaderboard' && (
+            <div className="flex items-center gap-2 bg-white rounded-lg border border-gray-200 p-1 shadow-sm">
+              {GOAL_PERIODS.map((option) => (
+                <button
+                  key={option.key}
+                  onClick={() => setPeriod(option.key)}
+                  className={`px-4 py-2 text-sm font-medium rounded-md transition-all ${
+                    period === option.key
+                      ? 'bg-blue-600 text-white shadow-sm'
+                      : 'text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-6 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{error}</div>
+        )}
+
+        {/* Tabs */}
+        {canManageGoals && (
+          <div className="bg-white rounded-xl border border-gray-200 shadow-sm mb-6">
+            <nav className="flex -mb-px border-b border-gray-200">
+              {[{ id: 'leaderboard', label: 'Leaderboard' }, { id: 'targets', label: 'Set Goals' }].map((tab) => (
+                <button
+                  key={tab.id}
+                  onClick={() => setActiveTab(tab.id)}
+                  className={`px-6 py-4 text-sm font-semibold border-b-2 transition-colors ${
+                    activeTab === tab.id
+                      ? 'border-blue-600 text-blue-600'
+                      : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </nav>
+          </div>
+        )}
+
+        {/* Leaderboard */}
+        {activeTab === 'leaderboard' && (
+          <div className="bg-white border border-gray-200 rounded-xl shadow-sm overflow-hidden">
+            {leaderboard.length === 0 ? (
+              <p className="p-8 text-center text-sm text-gray-500">No reps to rank yet.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Rank</th>
+                      <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Rep</th>
+                      {GOAL_METRICS.map((metric) => (
+                        <th key={metric.key} className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                          {metric.shortLabel}
+                        </th>
+                      ))}
+                      <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Attainment</th>
+                      <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Streak</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {leaderboard.map((row, index) => (
+                      <tr key={row.userId} className={String(row.userId) === currentUserId ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-500">#{index + 1}</td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-semibold text-gray-900">{row.name}</div>
+                          {row.email && <div className="text-xs text-gray-500">{row.email}</div>}
+                        </td>
+                        {row.metrics.map((metric) => (
+                          <td key={metric.key} className="px-6 py-4 whitespace-nowrap text-sm">
+                            <span className="font-semibold text-gray-900">{metric.actual}</span>
+                            {metric.target > 0 ? (
+                              <span className="text-gray-500"> / {metric.target}</span>
+                            ) : (
+                              <span className="text-gray-400"> · no target</span>
+                            )}
+                          </td>
+                        ))}
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`text-sm font-bold ${getAttainmentColor(row.attainment)}`}>
+                            {row.attainment !== null ? `${row.attainment}%` : '-'}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                          {row.streak > 0 ? `${row.streak} ${row.streak === 1 ? 'day' : 'days'}` : '-'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            <p className="px-6 py-3 text-xs text-gray-500 border-t border-gray-100">
+              Attainment averages each target, capped at 100% per target. Streaks count consecutive weekdays with every daily target met.
+            </p>
+          </div>
+        )}
+
+        {/* Set Goals */}
+        {activeTab === 'targets' && canManageGoals && (
+          <div className="bg-white border border-gray-200 rounded-xl shadow-sm overflow-hidden">
+            {saveError && (
+              <div className="m-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{saveError}</div>
+            )}
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">Rep</th>
+                    {GOAL_METRICS.map((metric) => (
+                      <th key={metric.key} className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                        {metric.label}
+                        <div className="font-normal normal-case text-gray-400">daily / weekly</div>
+                      </th>
+                    ))}
+                    <th className="px-6 py-3"></th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {goals.map((goal) => {
+                    const draft = getDraft(goal);
+                    const dirty = !!drafts[goal.userId];
+                    return (
+                      <tr key={goal.userId}>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-semibold text-gray-900">{goal.name}</div>
+                          {goal.email && <div className="text-xs text-gray-500">{goal.email}</div>}
+                        </td>
+                        {GOAL_METRICS.map((metric) => (
+                          <td key={metric.key} className="px-4 py-4 whitespace-nowrap">
+                            <div className="flex items-center gap-1">
+                              <input
+                                type="number"
+                                min={0}
+                                value={draft[metric.key].daily}
+                                onChange={(e) => handleTargetChange(goal, metric.key, 'daily', e.target.value)}
+                                className="w-16 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              />
+                              <span className="text-gray-400">/</span>
+                              <input
+                                type="number"
+                                min={0}
+                                value={draft[metric.key].weekly}
+                                onChange={(e) => handleTargetChange(goal, metric.key, 'weekly', e.target.value)}
+                                className="w-16 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+                              />
+                            </div>
+                          </td>
+                        ))}
+                        <td className="px-6 py-4 whitespace-nowrap text-right">
+                          <button
+                            onClick={() => handleSave(goal)}
+                            disabled={!dirty || savingUserId === goal.userId}
+                            className="px-3 py-1.5 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                          >
+                            {savingUserId === goal.userId ? 'Saving...' : 'Save'}
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <p className="px-6 py-3 text-xs text-gray-500 border-t border-gray-100">
+              Leave a target at 0 to skip it. Weeks run Monday to Sunday.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,9 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import API from '../api/axios';
+import ColumnMappingWizard from '../components/ColumnMappingWizard';
+import ImportReviewTable from '../components/ImportReviewTable';
+import { parseImportFile, autoDetectMapping, applyMapping, buildMappedFile, getMissingRequiredFields } from '../utils/importMapping';
+import { fetchExistingContactIndex, validateImportRows, downloadErrorReport } from '../utils/importValidation';
 
 export default function Import() {
   const [file, setFile] = useState(null);
@@ -13,6 +17,20 @@ export default function Import() {
   const [showAddCategory, setShowAddCategory] = useState(false);
   const [newCategoryName, setNewCategoryName] = useState('');
   const [addingCategory, setAddingCategory] = useState(false);
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [parsing, setParsing] = useState(false);
+  const [reviewRows, setReviewRows] = useState(null);
+  const [existingIndex, setExistingIndex] = useState(null);
+  const [checkingExisting, setCheckingExisting] = useState(false);
+  const [existingCheckFailed, setExistingCheckFailed] = useState(false);
+  const [skipExisting, setSkipExisting] = useState(true);
+
+  const validation = useMemo(
+    () => (reviewRows ? validateImportRows(reviewRows, existingIndex, { skipExisting }) : []),
+    [reviewRows, existingIndex, skipExisting]
+  );
+  const cleanRows = reviewRows ? reviewRows.filter((_, i) => validation[i]?.errors.length === 0) : [];
 
   // Fetch categories from API
   useEffect(() => {
@@ -91,21 +109,84 @@ export default function Import() {
     }
   };
 
-  const handleFileChange = (e) => {
-    setFile(e.target.files?.[0] || null);
+  const handleFileChange = async (e) => {
+    const selectedFile = e.target.files?.[0] || null;
+    setFile(selectedFile);
     setMessage('');
     setError('');
     setResult(null);
+    setParsed(null);
+    setMapping({});
+    setReviewRows(null);
+    if (!selectedFile) return;
+
+    try {
+      setParsing(true);
+      const parsedFile = await parseImportFile(selectedFile);
+      if (parsedFile.headers.length === 0) {
+        setError('That file looks empty. Check it has a header row and try again.');
+        return;
+      }
+      setParsed(parsedFile);
+      setMapping(autoDetectMapping(parsedFile.headers));
+    } catch (err) {
+      console.error('Error parsing import file:', err);
+      setError('Couldn\'t read that file. Make sure it\'s a valid CSV or Excel file and try again.');
+    } finally {
+      setParsing(false);
+    }
   };
 
-  const handleUpload = async () => {
+  const handleReview = async () => {
     if (!file) {
       setError('Please select a CSV or Excel file.');
       return;
     }
 
+    if (!parsed) {
+      setError('Please wait for the file to finish reading, or pick it again.');
+      return;
+    }
+
+    const missingRequired = getMissingRequiredFields(mapping);
+    if (missingRequired.length > 0) {
+      setError(`Map a column to ${missingRequired.join(', ')} before importing.`);
+      return;
+    }
+
+    setError('');
+    const mappedRows = applyMapping(parsed.rows, mapping);
+    setReviewRows(mappedRows);
+
+    try {
+      setCheckingExisting(true);
+      setExistingCheckFailed(false);
+      setExistingIndex(await fetchExistingContactIndex(mappedRows));
+    } catch (err) {
+      console.error('Error fetching existing contacts:', err);
+      setExistingIndex(null);
+      setExistingCheckFailed(true);
+    } finally {
+      setCheckingExisting(false);
+    }
+  };
+
+  const handleRowChange = (index, field, value) => {
+    setReviewRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const handleRemoveRow = (index) => {
+    setReviewRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleUpload = async () => {
+    if (cleanRows.length === 0) {
+      setError('No clean rows to import. Fix the flagged rows or pick another file.');
+      return;
+    }
+
     const formData = new FormData();
-    formData.append('file', file);
+    formData.append('file', buildMappedFile(cleanRows, file.name));
     formData.append('category', category);
 
     try {
@@ -122,6 +203,7 @@ export default function Import() {
 
       setResult(response.data.data);
       setMessage('Import completed successfully');
+      setReviewRows(null);
     } catch (err) {
       const msg = err?.response?.data?.error || 'Upload failed. Please try again.';
       setError(msg);
@@ -132,10 +214,10 @@ export default function Import() {
 
   return (
     <div className="min-h-screen bg-gray-50 py-10">
-      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8">
         <h1 className="text-3xl font-bold text-gray-900 mb-4">Import Contacts</h1>
         <p className="text-gray-600 mb-6">
-          Upload a CSV or Excel file with the following columns:
+          Upload a CSV or Excel file, then map its columns to these contact fields:
           Name (required), Company (required), Email (required), Person Linkedin Url (required), Title, First Phone, # Employees, Category,
           Industry, Keywords, Website, Company Linkedin Url,
           Facebook Url, Twitter Url, City, State, Country, Company Address,
@@ -220,13 +302,66 @@ export default function Import() {
             className="block w-full text-sm text-gray-700 border border-gray-300 rounded-lg p-2 mb-4"
           />
 
-          <button
-            onClick={handleUpload}
-            disabled={uploading}
-            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-400 disabled:cursor-not-allowed"
-          >
-            {uploading ? 'Uploading...' : 'Upload & Import'}
-          </button>
+          {parsing && (
+            <p className="text-sm text-gray-500 mb-4">Reading file...</p>
+          )}
+
+          {/* Column Mapping */}
+          {parsed && !reviewRows && (
+            <div className="mb-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-1">Map columns</h2>
+              <p className="text-sm text-gray-500 mb-3">
+                {parsed.headers.length} columns and {parsed.rows.length} rows found. Check each column goes to the right contact field.
+              </p>
+              <ColumnMappingWizard parsed={parsed} mapping={mapping} onMappingChange={setMapping} />
+            </div>
+          )}
+
+          {/* Validation Review */}
+          {reviewRows && (
+            <div className="mb-6">
+              <div className="flex items-center justify-between mb-3">
+                <h2 className="text-lg font-semibold text-gray-900">Review rows</h2>
+                <button
+                  type="button"
+                  onClick={() => setReviewRows(null)}
+                  disabled={uploading}
+                  className="text-sm text-gray-600 hover:text-gray-900 font-medium"
+                >
+                  ← Back to mapping
+                </button>
+              </div>
+              <ImportReviewTable
+                rows={reviewRows}
+                validation={validation}
+                checkingExisting={checkingExisting}
+                existingCheckFailed={existingCheckFailed}
+                skipExisting={skipExisting}
+                onSkipExistingChange={setSkipExisting}
+                onRowChange={handleRowChange}
+                onRemoveRow={handleRemoveRow}
+                onDownloadReport={() => downloadErrorReport(reviewRows, validation, file.name)}
+              />
+            </div>
+          )}
+
+          {reviewRows ? (
+            <button
+              onClick={handleUpload}
+              disabled={uploading || checkingExisting || cleanRows.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-400 disabled:cursor-not-allowed"
+            >
+              {uploading ? 'Uploading...' : `Import ${cleanRows.length} clean row${cleanRows.length === 1 ? '' : 's'}`}
+            </button>
+          ) : (
+            <button
+              onClick={handleReview}
+              disabled={parsing || !parsed || getMissingRequiredFields(mapping).length > 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-400 disabled:cursor-not-allowed"
+            >
+              Review & Validate
+            </button>
+          )}
 
           {message && (
             <div className="mt-4 p-3 bg-green-50 text-green-700 border border-green-200 rounded">
@@ -1,6 +1,11 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import API from '../api/axios';
+import DownloadPdfButton from '../components/DownloadPdfButton';
+import ProspectDrillDownModal from '../components/ProspectDrillDownModal';
+import { getActivityDateRangeLabel } from '../utils/pdfExport';
+import { getReportPeriods, computeChannelReport, getReportCellProspects } from '../utils/metrics';
+import { resolveStatusSchema } from '../utils/statusSchema';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -30,13 +35,14 @@ ChartJS.register(
 export default function LinkedInReport() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const reportRef = useRef(null);
   const [project, setProject] = useState(null);
   const [activities, setActivities] = useState([]);
   const [contacts, setContacts] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [reportData, setReportData] = useState({});
   const [lastUpdated, setLastUpdated] = useState(null);
   const [viewMode, setViewMode] = useState('month'); // 'month' or 'year'
+  const [drillDownCell, setDrillDownCell] = useState(null); // { metric, period }
 
   useEffect(() => {
     if (id) {
@@ -87,216 +93,6 @@ export default function LinkedInReport() {
     }
   };
 
-  useEffect(() => {
-    if (activities.length > 0 || contacts.length > 0) {
-      calculateReportData();
-    }
-  }, [activities, contacts, viewMode]);
-
-  const getMonthKey = (date) => {
-    const d = new Date(date);
-    const month = d.toLocaleString('default', { month: 'short' });
-    const year = d.getFullYear().toString().slice(-2);
-    return `${month} '${year}`;
-  };
-
-  const getYearKey = (date) => {
-    const d = new Date(date);
-    return d.getFullYear().toString();
-  };
-
-  const getMonths = () => {
-    const months = new Set();
-    
-    // Add months from activities
-    activities.forEach(activity => {
-      if (activity.createdAt) {
-        months.add(getMonthKey(activity.createdAt));
-      }
-    });
-
-    // Add months from contacts
-    contacts.forEach(contact => {
-      if (contact.createdAt) {
-        months.add(getMonthKey(contact.createdAt));
-      }
-    });
-
-    // Always include the current month in the month-wise view (even if there is no data yet)
-    months.add(getMonthKey(new Date()));
-
-    // Sort months chronologically
-    const sortedMonths = Array.from(months).sort((a, b) => {
-      const [monthA, yearA] = a.split(" '");
-      const [monthB, yearB] = b.split(" '");
-      const monthOrder = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-      const monthIndexA = monthOrder.indexOf(monthA);
-      const monthIndexB = monthOrder.indexOf(monthB);
-      
-      if (yearA !== yearB) {
-        return parseInt(yearA) - parseInt(yearB);
-      }
-      return monthIndexA - monthIndexB;
-    });
-
-    return sortedMonths;
-  };
-
-  const getYears = () => {
-    const years = new Set();
-    
-    // Add years from activities
-    activities.forEach(activity => {
-      if (activity.createdAt) {
-        years.add(getYearKey(activity.createdAt));
-      }
-    });
-
-    // Add years from contacts
-    contacts.forEach(contact => {
-      if (contact.createdAt) {
-        years.add(getYearKey(contact.createdAt));
-      }
-    });
-
-    // Always include the current year in the year-wise view (even if there is no data yet)
-    years.add(getYearKey(new Date()));
-
-    // Sort years chronologically
-    return Array.from(years).sort((a, b) => parseInt(a) - parseInt(b));
-  };
-
-  const calculateReportData = () => {
-    const periods = viewMode === 'month' ? getMonths() : getYears();
-    const data = {};
-
-    periods.forEach(period => {
-      data[period] = {
-        dataResearch: 0,
-        connectionRequestSent: 0,
-        connectionAccepted: 0,
-        firstMessageSent: 0,
-        followupMessagesSent: 0,
-        existingConnection: 0,
-        conversationsInProgress: 0,
-        meetingProposed: 0,
-        meetingScheduled: 0,
-        meetingCompleted: 0
-      };
-    });
-
-    // Calculate Data Research manually (contacts added in that period)
-    contacts.forEach(contact => {
-      if (contact.createdAt) {
-        const period = viewMode === 'month' ? getMonthKey(contact.createdAt) : getYearKey(contact.createdAt);
-        if (data[period]) {
-          data[period].dataResearch++;
-        }
-      }
-    });
-
-    // Group activities by contact
-    const contactActivities = {};
-    activities.forEach(activity => {
-      if (!activity.createdAt) return;
-      const contactId = activity.contactId?.toString() || 'unknown';
-
-      if (!contactActivities[contactId]) {
-        contactActivities[contactId] = [];
-      }
-      contactActivities[contactId].push(activity);
-    });
-
-    // Calculate metrics per period
-    activities.forEach(activity => {
-      // Use activity-specific date (linkedinDate) if available, otherwise use createdAt
-      const activityDate = activity.linkedinDate ? new Date(activity.linkedinDate) : 
-                          (activity.createdAt ? new Date(activity.createdAt) : null);
-      if (!activityDate) return;
-      
-      const period = viewMode === 'month' ? getMonthKey(activityDate) : getYearKey(activityDate);
-      if (!data[period]) return;
-
-      // Connection Request Sent
-      // Include activities with lnRequestSent === 'Yes' OR introduction-message template
-      const template = activity.template?.trim() || '';
-      if (activity.lnRequestSent === 'Yes' || template === 'introduction-message') {
-        data[period].connectionRequestSent++;
-      }
-
-      // Existing Connection
-      if (activity.lnRequestSent === 'Existing Connect') {
-        data[period].existingConnection++;
-      }
-
-      // Connection Accepted
-      if (activity.connected === 'Yes') {
-        data[period].connectionAccepted++;
-      }
-
-      // Status-based metrics (count activities with these statuses)
-      if (activity.status === 'CIP') {
-        data[period].conversationsInProgress++;
-      } else if (activity.status === 'Meeting Proposed') {
-        data[period].meetingProposed++;
-      } else if (activity.status === 'Meeting Scheduled') {
-        data[period].meetingScheduled++;
-      } else if (activity.status === 'Meeting Completed') {
-        data[period].meetingCompleted++;
-      }
-    });
-
-    // Calculate First Message Sent and Followup Messages based on template
-    // Count unique prospects (contacts) per period, not total activities
-    const firstMessageSentByPeriod = {};
-    const followupMessagesSentByPeriod = {};
-    
-    activities.forEach(activity => {
-      // Use activity-specific date (linkedinDate) if available, otherwise use createdAt
-      const activityDate = activity.linkedinDate ? new Date(activity.linkedinDate) : 
-                          (activity.createdAt ? new Date(activity.createdAt) : null);
-      if (!activityDate) return;
-      
-      const period = viewMode === 'month' ? getMonthKey(activityDate) : getYearKey(activityDate);
-      if (!data[period]) return;
-
-      // Initialize Sets for this period if not exists
-      if (!firstMessageSentByPeriod[period]) {
-        firstMessageSentByPeriod[period] = new Set();
-      }
-      if (!followupMessagesSentByPeriod[period]) {
-        followupMessagesSentByPeriod[period] = new Set();
-      }
-
-      // Get contactId for unique prospect counting
-      const contactId = activity.contactId?.toString() || 'unknown';
-      
-      // First Message Sent - count unique prospects with introduction-message template
-      // Check template field (handle empty string, null, undefined)
-      const template = activity.template?.trim() || '';
-      if (template === 'introduction-message') {
-        firstMessageSentByPeriod[period].add(contactId);
-      }
-      
-      // Followup Messages Sent - count unique prospects with follow-up-message template
-      if (template === 'follow-up-message') {
-        followupMessagesSentByPeriod[period].add(contactId);
-      }
-    });
-    
-    // Update data with unique prospect counts
-    Object.keys(data).forEach(period => {
-      if (firstMessageSentByPeriod[period]) {
-        data[period].firstMessageSent = firstMessageSentByPeriod[period].size;
-      }
-      if (followupMessagesSentByPeriod[period]) {
-        data[period].followupMessagesSent = followupMessagesSentByPeriod[period].size;
-      }
-    });
-
-    setReportData(data);
-  };
-
   const metrics = [
     { key: 'dataResearch', label: 'Data Research manually', section: 'DRA' },
     { key: 'connectionRequestSent', label: 'Connection Request Sent', section: 'DRA' },
@@ -310,7 +106,22 @@ export default function LinkedInReport() {
     { key: 'meetingCompleted', label: 'Meeting Completed', section: 'Linked IN', highlight: true }
   ];
 
-  const periods = viewMode === 'month' ? getMonths() : getYears();
+  const statusSchema = useMemo(() => resolveStatusSchema(project), [project]);
+  const periods = useMemo(
+    () => getReportPeriods(activities, contacts, viewMode, { includeCurrent: true }),
+    [activities, contacts, viewMode]
+  );
+  const reportData = useMemo(
+    () => computeChannelReport('linkedin', activities, contacts, periods, viewMode, statusSchema),
+    [activities, contacts, periods, viewMode, statusSchema]
+  );
+
+  const drillDownRows = useMemo(
+    () => (drillDownCell
+      ? getReportCellProspects('linkedin', drillDownCell.metric.key, drillDownCell.period, viewMode, contacts, activities, statusSchema)
+      : []),
+    [drillDownCell, viewMode, contacts, activities, statusSchema]
+  );
 
   // Prepare chart data
   const chartData = useMemo(() => {
@@ -474,9 +285,9 @@ export default function LinkedInReport() {
 
   return (
     <div className="min-h-screen bg-white">
-      <div className="max-w-7xl mx-auto px-6 lg:px-8 py-8">
+      <div ref={reportRef} className="max-w-7xl mx-auto px-6 lg:px-8 py-8">
         {/* Header */}
-        <div className="mb-8">
+        <div className="mb-8" data-pdf-exclude>
           <div className="flex items-center justify-between mb-6">
             <button
               onClick={() => navigate(`/projects/${id}/funnel`)}
@@ -488,22 +299,31 @@ export default function LinkedInReport() {
               Back to Sales Report
             </button>
             
-            <button
-              onClick={fetchData}
-              disabled={loading}
-              className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
-              title="Refresh data"
-            >
-              <svg 
-                className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} 
-                fill="none" 
-                stroke="currentColor" 
-                viewBox="0 0 24 24"
+            <div className="flex items-center gap-3">
+              <DownloadPdfButton
+                targetRef={reportRef}
+                projectName={project?.companyName}
+                reportTitle={`${viewMode === 'month' ? 'Monthly' : 'Yearly'} LinkedIn Report`}
+                dateRange={getActivityDateRangeLabel(activities)}
+                disabled={loading}
+              />
+              <button
+                onClick={fetchData}
+                disabled={loading}
+                className="inline-flex items-center gap-2 px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Refresh data"
               >
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-              </svg>
-              Refresh
-            </button>
+                <svg 
+                  className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} 
+                  fill="none" 
+                  stroke="currentColor" 
+                  viewBox="0 0 24 24"
+                >
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                </svg>
+                Refresh
+              </button>
+            </div>
           </div>
 
           <div className="mb-6">
@@ -635,7 +455,14 @@ export default function LinkedInReport() {
                                   : 'text-gray-700'
                               }`}
                             >
-                              {reportData[period]?.[metric.key] || 0}
+                              <button
+                                onClick={() => setDrillDownCell({ metric, period })}
+                                disabled={!reportData[period]?.[metric.key]}
+                                title="View the prospects behind this number"
+                                className="enabled:hover:text-blue-600 enabled:hover:underline"
+                              >
+                                {reportData[period]?.[metric.key] || 0}
+                              </button>
                             </td>
                           ))}
                         </tr>
@@ -647,6 +474,18 @@ export default function LinkedInReport() {
           </div>
         </div>
       </div>
+
+      <ProspectDrillDownModal
+        isOpen={!!drillDownCell}
+        onClose={() => setDrillDownCell(null)}
+        title={drillDownCell?.metric.label}
+        subtitle={`Period: ${drillDownCell?.period}`}
+        rows={drillDownRows}
+        channel="linkedin"
+        projectId={id}
+        statusSchema={statusSchema}
+        onActivityLogged={fetchData}
+      />
     </div>
   );
 }
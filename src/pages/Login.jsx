@@ -1,17 +1,23 @@
 import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import API from '../api/axios';
+import { getHomePath } from '../utils/permissions';
+import { getToken, saveSession, getSafeReturnTo } from '../api/session';
 
 export default function Login() {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // Page to go back to after signing in (set when a session expires or a protected link is opened)
+  const returnTo = getSafeReturnTo(searchParams.get('returnTo'));
+  const sessionExpired = searchParams.get('reason') === 'expired';
   
   // Redirect if already logged in
   useEffect(() => {
-    const token = localStorage.getItem('token');
+    const token = getToken();
     if (token) {
-      navigate('/dashboard', { replace: true });
+      navigate(returnTo || getHomePath(), { replace: true });
     }
-  }, [navigate]);
+  }, [navigate, returnTo]);
   const [isLogin, setIsLogin] = useState(true);
   const [formData, setFormData] = useState({
     email: '',
@@ -85,12 +91,15 @@ export default function Login() {
       const response = await API.post(endpoint, payload);
 
       if (response.data.success) {
-        // Store token
-        localStorage.setItem('token', response.data.data.token);
-        localStorage.setItem('user', JSON.stringify(response.data.data.user));
+        // Store token (and refresh token, when the server issues one)
+        saveSession({
+          token: response.data.data.token,
+          refreshToken: response.data.data.refreshToken,
+          user: response.data.data.user
+        });
         
-        // Redirect to dashboard
-        navigate('/dashboard');
+        // Back to where the user was, or the role's home page
+        navigate(returnTo || getHomePath());
       }
     } catch (err) {
       // Handle network errors (backend not running)
@@ -161,6 +170,13 @@ export default function Login() {
             </button>
           </div>
 
+          {/* Session Expired Notice */}
+          {sessionExpired && !error && (
+            <div className="mb-4 p-3 bg-amber-50 border border-amber-200 text-amber-800 rounded-lg text-sm">
+              Your session expired. Log in again to pick up where you left off.
+            </div>
+          )}
+
           {/* Error Message */}
           {error && (
             <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">
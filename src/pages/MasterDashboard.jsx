@@ -1,5 +1,7 @@
 import { useState, useEffect, useRef, lazy, Suspense } from 'react';
 import API from '../api/axios';
+import ExportModal from '../components/ExportModal';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -35,10 +37,64 @@ let cachedMasterDashboard = null;
 let cachedMasterDashboardTimestamp = 0;
 const MASTER_DASHBOARD_CACHE_TTL_MS = 60 * 1000; // 60 seconds
 
+// Lists on the rankings and alerts tabs that can be exported in full (the cards only show the top 10)
+const EXPORT_TABLES = {
+  bestProjects: {
+    title: 'Best Performing Projects',
+    getRows: ({ rankings }) => rankings?.bestPerformingProjects || [],
+    columns: [
+      { key: 'projectName', label: 'Project', value: p => p.projectName },
+      { key: 'totalProspects', label: 'Prospects', value: p => p.totalProspects },
+      { key: 'meetingsPer100Leads', label: 'Meetings per 100 Leads', value: p => Number(p.meetingsPer100Leads?.toFixed(1)) }
+    ]
+  },
+  teamLeaderboard: {
+    title: 'Team Leaderboard',
+    getRows: ({ rankings }) => rankings?.teamLeaderboard || [],
+    columns: [
+      { key: 'name', label: 'Name', value: m => m.name || 'Unknown' },
+      { key: 'totalActivities', label: 'Total Activities', value: m => m.totalActivities },
+      { key: 'calls', label: 'Calls', value: m => m.calls },
+      { key: 'emails', label: 'Emails', value: m => m.emails },
+      { key: 'linkedin', label: 'LinkedIn', value: m => m.linkedin }
+    ]
+  },
+  lowActivity: {
+    title: 'Low Activity Projects',
+    getRows: ({ alerts }) => alerts?.lowActivityProjects || [],
+    columns: [
+      { key: 'projectName', label: 'Project', value: p => p.projectName },
+      { key: 'activityCount', label: 'Activities (Last 3 Days)', value: p => p.activityCount },
+      { key: 'totalContacts', label: 'Contacts', value: p => p.totalContacts }
+    ]
+  },
+  highBounce: {
+    title: 'High Bounce/Wrong Data Projects',
+    getRows: ({ alerts }) => alerts?.highBounceProjects || [],
+    columns: [
+      { key: 'projectName', label: 'Project', value: p => p.projectName },
+      { key: 'errorRate', label: 'Error Rate %', value: p => Number(p.errorRate?.toFixed(1)) },
+      { key: 'bounceCount', label: 'Bounces', value: p => p.bounceCount },
+      { key: 'wrongPersonCount', label: 'Wrong Person', value: p => p.wrongPersonCount }
+    ]
+  },
+  missingFollowUps: {
+    title: 'Missing Follow-ups',
+    getRows: ({ alerts }) => alerts?.missingFollowUps || [],
+    columns: [
+      { key: 'projectName', label: 'Project', value: p => p.projectName },
+      { key: 'overdueCount', label: 'Overdue Follow-ups', value: p => p.overdueCount }
+    ]
+  }
+};
+
 export default function MasterDashboard() {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [activeSection, setActiveSection] = useState('executive');
+  // Key into EXPORT_TABLES while the export dialog is open
+  const [exportTable, setExportTable] = useState(null);
+  const canExport = hasPermission(PERMISSIONS.EXPORT_DATA);
   const isMountedRef = useRef(true);
 
   useEffect(() => {
@@ -133,6 +189,15 @@ export default function MasterDashboard() {
     highBounceProjects: [],
     missingFollowUps: []
   };
+
+  const renderExportButton = (tableKey) => canExport && EXPORT_TABLES[tableKey].getRows({ rankings, alerts }).length > 0 && (
+    <button
+      onClick={() => setExportTable(tableKey)}
+      className="text-sm font-medium text-blue-600 hover:text-blue-800"
+    >
+      Export
+    </button>
+  );
   const dataQuality = data?.dataQuality || {
     leadsAddedDaily: 0,
     leadsAddedWeekly: 0,
@@ -857,7 +922,10 @@ export default function MasterDashboard() {
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               {/* Best Performing Projects */}
               <div className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm">
-                <h3 className="text-lg font-semibold text-gray-900 mb-6">Best Performing Projects</h3>
+                <div className="flex items-center justify-between mb-6">
+                  <h3 className="text-lg font-semibold text-gray-900">Best Performing Projects</h3>
+                  {renderExportButton('bestProjects')}
+                </div>
                 <div className="space-y-3">
                   {(rankings?.bestPerformingProjects || []).slice(0, 10).map((project, index) => (
                     <div key={index} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
@@ -966,7 +1034,10 @@ export default function MasterDashboard() {
 
               {/* Team Leaderboard */}
               <div className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm lg:col-span-2">
-                <h3 className="text-lg font-semibold text-gray-900 mb-6">Team Leaderboard</h3>
+                <div className="flex items-center justify-between mb-6">
+                  <h3 className="text-lg font-semibold text-gray-900">Team Leaderboard</h3>
+                  {renderExportButton('teamLeaderboard')}
+                </div>
                 <Suspense fallback={<div className="h-64 flex items-center justify-center">Loading chart...</div>}>
                   <div className="h-64">
                     <Bar
@@ -1052,7 +1123,10 @@ export default function MasterDashboard() {
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
               {/* Low Activity Projects */}
               <div className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Low Activity (Last 3 Days)</h3>
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Low Activity (Last 3 Days)</h3>
+                  {renderExportButton('lowActivity')}
+                </div>
                 <div className="space-y-2">
                   {(alerts?.lowActivityProjects || []).length > 0 ? (
                     (alerts?.lowActivityProjects || []).map((project, index) => (
@@ -1078,6 +1152,7 @@ export default function MasterDashboard() {
                     </svg>
                   </div>
                   <h3 className="text-lg font-semibold text-gray-900">High Bounce/Wrong Data</h3>
+                  <div className="ml-auto">{renderExportButton('highBounce')}</div>
                 </div>
                 <div className="space-y-2">
                   {(alerts?.highBounceProjects || []).length > 0 ? (
@@ -1097,7 +1172,10 @@ export default function MasterDashboard() {
 
               {/* Missing Follow-ups */}
               <div className="bg-white border border-gray-200 rounded-lg p-6 shadow-sm">
-                <h3 className="text-lg font-semibold text-gray-900 mb-4">Missing Follow-ups</h3>
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-lg font-semibold text-gray-900">Missing Follow-ups</h3>
+                  {renderExportButton('missingFollowUps')}
+                </div>
                 <div className="space-y-2">
                   {(alerts?.missingFollowUps || []).length > 0 ? (
                     (alerts?.missingFollowUps || []).map((project, index) => (
@@ -1987,6 +2065,18 @@ export default function MasterDashboard() {
           </div>
         )}
       </div>
+
+      {canExport && exportTable && (
+        <ExportModal
+          isOpen
+          onClose={() => setExportTable(null)}
+          title={`Export ${EXPORT_TABLES[exportTable].title}`}
+          columns={EXPORT_TABLES[exportTable].columns}
+          fetchRows={async () => EXPORT_TABLES[exportTable].getRows({ rankings, alerts })}
+          fileName={EXPORT_TABLES[exportTable].title}
+          storageKey={`master-dashboard:${exportTable}`}
+        />
+      )}
     </div>
   );
 }
@@ -2,9 +2,26 @@ import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import API from '../api/axios';
 import * as XLSX from 'xlsx-js-style';
-
-export default function MonthlyReport() {
-  const { id } = useParams();
+import ReportScheduleModal from '../components/ReportScheduleModal';
+import ProspectDrillDownModal from '../components/ProspectDrillDownModal';
+import AttributionTable from '../components/AttributionTable';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
+import { resolveStatusSchema } from '../utils/statusSchema';
+import {
+  getActivityDate,
+  getPeriodKey,
+  getPeriodStart,
+  getReportPeriods,
+  computeChannelReport,
+  computeAttribution,
+  activityMatchesMetric
+} from '../utils/metrics';
+
+// portalData ({ project, activities, contacts }, already scoped and stripped for the client) renders
+// the report read-only inside the client portal: no fetching, no prospect drill-down, no internal links.
+export default function MonthlyReport({ portalData = null }) {
+  const { id: routeId } = useParams();
+  const id = portalData?.project?._id || routeId;
   const navigate = useNavigate();
   const [project, setProject] = useState(null);
   const [activities, setActivities] = useState([]);
@@ -23,6 +40,11 @@ export default function MonthlyReport() {
   });
   const [allContactsForModal, setAllContactsForModal] = useState([]);
   const [loadingProspects, setLoadingProspects] = useState(false);
+  const [showSchedules, setShowSchedules] = useState(false);
+  const canScheduleReports = !portalData && hasPermission(PERMISSIONS.MANAGE_PROJECTS);
+  // Where "back" goes: the client's campaign list in the portal, the project list otherwise
+  const backPath = portalData ? '/client' : '/projects';
+  const backLabel = portalData ? 'Back to Campaigns' : 'Back to Projects';
 
   // Simple in-memory cache for monthly report data (per browser tab)
   // Keyed by projectId so reopening the report is much faster.
@@ -38,8 +60,17 @@ export default function MonthlyReport() {
       email: project.channels?.coldEmail || false
     };
   }, [project]);
+  const statusSchema = useMemo(() => resolveStatusSchema(project), [project]);
 
   useEffect(() => {
+    if (portalData) {
+      setProject(portalData.project);
+      setActivities(portalData.activities || []);
+      setContacts(portalData.contacts || []);
+      setLoading(false);
+      return;
+    }
+
     if (!id) return;
 
     // If we have a cached entry for this project, use it for instant render
@@ -54,7 +85,7 @@ export default function MonthlyReport() {
       fetchData();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [id]);
+  }, [id, portalData]);
 
   const fetchData = async () => {
     try {
@@ -104,20 +135,9 @@ export default function MonthlyReport() {
   };
 
   // Memoize date key functions
-  const getDayKey = useCallback((date) => {
-    const d = new Date(date);
-    const day = d.getDate();
-    const month = d.toLocaleString('default', { month: 'short' });
-    const year = d.getFullYear().toString().slice(-2);
-    return `${day} ${month} '${year}`;
-  }, []);
+  const getDayKey = useCallback((date) => getPeriodKey(date, 'day'), []);
 
-  const getMonthKey = useCallback((date) => {
-    const d = new Date(date);
-    const month = d.toLocaleString('default', { month: 'short' });
-    const year = d.getFullYear().toString().slice(-2);
-    return `${month} '${year}`;
-  }, []);
+  const getMonthKey = useCallback((date) => getPeriodKey(date, 'month'), []);
 
   const getMonthName = useCallback((date) => {
     const d = new Date(date);
@@ -126,132 +146,26 @@ export default function MonthlyReport() {
 
   // Group periods by month for day view
   const groupedPeriods = useMemo(() => {
+    // Today's date/month is always listed, even before anything is logged
+    const periods = getReportPeriods(activities, contacts, viewMode, { includeCurrent: true });
     if (viewMode === 'month') {
-      // For month view, just return periods as-is
-      const periodSet = new Set();
-      
-      activities.forEach(activity => {
-        const date = activity.callDate ? new Date(activity.callDate) : 
-                     activity.emailDate ? new Date(activity.emailDate) : 
-                     activity.linkedinDate ? new Date(activity.linkedinDate) :
-                     (activity.createdAt ? new Date(activity.createdAt) : null);
-        if (date && !isNaN(date.getTime())) {
-          periodSet.add(getMonthKey(date));
-        }
-      });
-
-      contacts.forEach(contact => {
-        if (contact.createdAt) {
-          periodSet.add(getMonthKey(new Date(contact.createdAt)));
-        }
-      });
-
-      // Always include the current month in the month-wise view (even if there is no data yet)
-      const today = new Date();
-      periodSet.add(getMonthKey(today));
-
-      const sorted = Array.from(periodSet).sort((a, b) => {
-        const [monthA, yearA] = a.split(" '");
-        const [monthB, yearB] = b.split(" '");
-        const monthOrder = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const monthIndexA = monthOrder.indexOf(monthA);
-        const monthIndexB = monthOrder.indexOf(monthB);
-        
-        if (yearA !== yearB) {
-          return parseInt(yearA) - parseInt(yearB);
-        }
-        return monthIndexA - monthIndexB;
-      });
-
-      return [{ month: null, periods: sorted }];
-    } else {
-      // For day view, group by month
-      const monthGroups = {};
-      
-      activities.forEach(activity => {
-        const date = activity.callDate ? new Date(activity.callDate) : 
-                     activity.emailDate ? new Date(activity.emailDate) : 
-                     new Date(activity.createdAt);
-        if (date && !isNaN(date.getTime())) {
-          const dayKey = getDayKey(date);
-          const monthKey = getMonthKey(date);
-          const monthName = getMonthName(date);
-          
-          if (!monthGroups[monthKey]) {
-            monthGroups[monthKey] = {
-              month: monthName,
-              monthKey: monthKey,
-              periods: []
-            };
-          }
-          if (!monthGroups[monthKey].periods.includes(dayKey)) {
-            monthGroups[monthKey].periods.push(dayKey);
-          }
-        }
-      });
-
-      contacts.forEach(contact => {
-        if (contact.createdAt) {
-          const date = new Date(contact.createdAt);
-          const dayKey = getDayKey(date);
-          const monthKey = getMonthKey(date);
-          const monthName = getMonthName(date);
-          
-          if (!monthGroups[monthKey]) {
-            monthGroups[monthKey] = {
-              month: monthName,
-              monthKey: monthKey,
-              periods: []
-            };
-          }
-          if (!monthGroups[monthKey].periods.includes(dayKey)) {
-            monthGroups[monthKey].periods.push(dayKey);
-          }
-        }
-      });
+      return [{ month: null, periods }];
+    }
 
-      // Always include today's date in the day-wise view (even if there is no data yet)
-      const today = new Date();
-      const todayDayKey = getDayKey(today);
-      const todayMonthKey = getMonthKey(today);
-      const todayMonthName = getMonthName(today);
-
-      if (!monthGroups[todayMonthKey]) {
-        monthGroups[todayMonthKey] = {
-          month: todayMonthName,
-          monthKey: todayMonthKey,
-          periods: []
-        };
-      }
-      if (!monthGroups[todayMonthKey].periods.includes(todayDayKey)) {
-        monthGroups[todayMonthKey].periods.push(todayDayKey);
+    // For day view, group by month (periods are already in date order)
+    const monthGroups = [];
+    periods.forEach(dayKey => {
+      const date = getPeriodStart(dayKey, 'day');
+      const monthKey = getMonthKey(date);
+      let group = monthGroups[monthGroups.length - 1];
+      if (!group || group.monthKey !== monthKey) {
+        group = { month: getMonthName(date), monthKey, periods: [] };
+        monthGroups.push(group);
       }
-
-      // Sort periods within each month and sort months
-      Object.keys(monthGroups).forEach(monthKey => {
-        monthGroups[monthKey].periods.sort((a, b) => {
-          const dateA = new Date(a.replace(/(\d+) (\w+) '(\d+)/, '$2 $1, 20$3'));
-          const dateB = new Date(b.replace(/(\d+) (\w+) '(\d+)/, '$2 $1, 20$3'));
-          return dateA - dateB;
-        });
-      });
-
-      const sortedMonths = Object.values(monthGroups).sort((a, b) => {
-        const [monthA, yearA] = a.monthKey.split(" '");
-        const [monthB, yearB] = b.monthKey.split(" '");
-        const monthOrder = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-        const monthIndexA = monthOrder.indexOf(monthA);
-        const monthIndexB = monthOrder.indexOf(monthB);
-        
-        if (yearA !== yearB) {
-          return parseInt(yearA) - parseInt(yearB);
-        }
-        return monthIndexA - monthIndexB;
-      });
-
-      return sortedMonths;
-    }
-  }, [activities, contacts, viewMode, getDayKey, getMonthKey, getMonthName]);
+      group.periods.push(dayKey);
+    });
+    return monthGroups;
+  }, [activities, contacts, viewMode, getMonthKey, getMonthName]);
 
   // Get all periods flattened
   const allPeriods = useMemo(() => {
@@ -268,272 +182,30 @@ export default function MonthlyReport() {
     setCalculating(true);
     
     const calculate = () => {
-      const data = {};
+      // Each enabled channel's rows from the shared definitions, kept per channel ({ [period]: { call,
+      // linkedin, email } }) because channels share keys like interested and meetingScheduled
+      const channels = ['email', 'linkedin', 'call'].filter(channel => enabledChannels[channel]);
+      const channelReports = channels.map(channel => computeChannelReport(channel, activities, contacts, allPeriods, viewMode, statusSchema));
 
+      const data = {};
       allPeriods.forEach(period => {
-        data[period] = {
-          dataAllocated: 0,
-          dataResearch: 0,
-          interested: 0,
-          notInterested: 0,
-          ring: 0,
-          busy: 0,
-          hangUp: 0,
-          callBack: 0,
-          switchOff: 0,
-          detailsShared: 0,
-          future: 0,
-          invalid: 0,
-          demoBooked: 0,
-          followUps: 0,
-          totalCalls: 0,
-          freshCalls: 0,
-          connectionRequestSent: 0,
-          connectionAccepted: 0,
-          firstMessageSent: 0,
-          followupMessagesSent: 0,
-          existingConnection: 0,
-          conversationsInProgress: 0,
-          meetingProposed: 0,
-          meetingScheduled: 0,
-          meetingCompleted: 0,
-          emailsSent: 0,
-          noReply: 0,
-          outOfOffice: 0,
-          wrongPerson: 0,
-          bounce: 0,
-          optOut: 0,
-          totalResponses: 0,
-          responseRate: 0
-        };
+        data[period] = Object.fromEntries(channels.map((channel, index) => [channel, channelReports[index][period]]));
       });
 
-      // Calculate Data Allocated / Data Research
-      contacts.forEach(contact => {
-        if (contact.createdAt) {
-          const period = viewMode === 'day' 
-            ? getDayKey(new Date(contact.createdAt)) 
-            : getMonthKey(new Date(contact.createdAt));
-          if (data[period]) {
-            data[period].dataAllocated++;
-            data[period].dataResearch++;
-          }
-        }
-      });
-
-      // Filter activities by enabled channels
-      const callActivities = enabledChannels.call ? activities.filter(a => a.type === 'call') : [];
-      const linkedInActivities = enabledChannels.linkedin ? activities.filter(a => a.type === 'linkedin') : [];
-      const emailActivities = enabledChannels.email ? activities.filter(a => a.type === 'email') : [];
-
-      // Calculate Cold Calling metrics
-      if (enabledChannels.call && callActivities.length > 0) {
-        const contactFirstCalls = new Map();
-        const contactActivitiesByPeriod = {};
-
-        callActivities.forEach(activity => {
-          const date = activity.callDate ? new Date(activity.callDate) : new Date(activity.createdAt);
-          if (!date || isNaN(date.getTime())) return;
-
-          const period = viewMode === 'day' ? getDayKey(date) : getMonthKey(date);
-          if (!data[period]) return;
-
-          const contactId = activity.contactId?.toString() || 'unknown';
-
-          if (activity.callNumber === '1st call' && !contactFirstCalls.has(contactId)) {
-            contactFirstCalls.set(contactId, period);
-          }
-
-          if (!contactActivitiesByPeriod[period]) {
-            contactActivitiesByPeriod[period] = {};
-          }
-          if (!contactActivitiesByPeriod[period][contactId]) {
-            contactActivitiesByPeriod[period][contactId] = [];
-          }
-          contactActivitiesByPeriod[period][contactId].push(activity);
-        });
-
-        callActivities.forEach(activity => {
-          const date = activity.callDate ? new Date(activity.callDate) : new Date(activity.createdAt);
-          if (!date || isNaN(date.getTime())) return;
-
-          const period = viewMode === 'day' ? getDayKey(date) : getMonthKey(date);
-          if (!data[period]) return;
-
-          if (activity.callStatus) {
-            switch (activity.callStatus) {
-              case 'Interested': data[period].interested++; break;
-              case 'Not Interested': data[period].notInterested++; break;
-              case 'Ring': data[period].ring++; break;
-              case 'Busy': data[period].busy++; break;
-              case 'Hang Up': data[period].hangUp++; break;
-              case 'Call Back': data[period].callBack++; break;
-              case 'Switch Off': data[period].switchOff++; break;
-              case 'Details Shared': data[period].detailsShared++; break;
-              case 'Future': data[period].future++; break;
-              case 'Invalid': data[period].invalid++; break;
-              case 'Demo Booked': data[period].demoBooked++; break;
-            }
-          }
-
-          data[period].totalCalls++;
-        });
-
-        // Calculate Fresh Calls and Follow Ups
-        Object.keys(contactActivitiesByPeriod).forEach(period => {
-          const periodData = contactActivitiesByPeriod[period];
-          let freshCalls = 0;
-          let followUps = 0;
-
-          Object.keys(periodData).forEach(contactId => {
-            const contactActs = periodData[contactId];
-            const firstCallPeriod = contactFirstCalls.get(contactId);
-
-            contactActs.forEach(activity => {
-              if (activity.callNumber === '1st call' || (firstCallPeriod === period && !activity.callNumber)) {
-                freshCalls++;
-              } else {
-                followUps++;
-              }
-            });
-          });
-
-          if (data[period]) {
-            data[period].freshCalls = freshCalls;
-            data[period].followUps = followUps;
-          }
-        });
-      }
-
-      // Calculate LinkedIn metrics
-      if (enabledChannels.linkedin && linkedInActivities.length > 0) {
-        // Count unique contacts per period for each metric
-        const periodMetrics = {};
-        allPeriods.forEach(period => {
-          periodMetrics[period] = {
-            connectionRequestSent: new Set(),
-            connectionAccepted: new Set(),
-            existingConnection: new Set(),
-            conversationsInProgress: new Set(),
-            meetingProposed: new Set(),
-            meetingScheduled: new Set(),
-            meetingCompleted: new Set(),
-            firstMessageSent: new Set(),
-            followupMessagesSent: new Set()
-          };
-        });
-
-        // Process each LinkedIn activity once and classify by template + status
-        linkedInActivities.forEach(activity => {
-          // Use activity-specific date (linkedinDate) if available, otherwise use createdAt
-          const activityDate = activity.linkedinDate ? new Date(activity.linkedinDate) : 
-                              (activity.createdAt ? new Date(activity.createdAt) : null);
-          if (!activityDate) return;
-          
-          const contactId = activity.contactId?.toString() || 'unknown';
-          const period = viewMode === 'day'
-            ? getDayKey(activityDate)
-            : getMonthKey(activityDate);
-          if (!periodMetrics[period]) return;
-
-          // Connection Request Sent - count unique contacts per period
-          // Include activities with lnRequestSent === 'Yes' OR introduction-message template
-          // Check template field (handle empty string, null, undefined)
-          const template = activity.template?.trim() || '';
-          if (activity.lnRequestSent === 'Yes' || template === 'introduction-message') {
-            periodMetrics[period].connectionRequestSent.add(contactId);
-          }
-
-          // Existing Connection - count unique contacts per period
-          if (activity.lnRequestSent === 'Existing Connect') {
-            periodMetrics[period].existingConnection.add(contactId);
-          }
-
-          // Connection Accepted - count unique contacts per period
-          if (activity.connected === 'Yes') {
-            periodMetrics[period].connectionAccepted.add(contactId);
-          }
-
-          // Status-based metrics - count unique contacts per period
-          if (activity.status === 'CIP') {
-            periodMetrics[period].conversationsInProgress.add(contactId);
-          } else if (activity.status === 'Meeting Proposed') {
-            periodMetrics[period].meetingProposed.add(contactId);
-          } else if (activity.status === 'Meeting Scheduled') {
-            periodMetrics[period].meetingScheduled.add(contactId);
-          } else if (activity.status === 'Meeting Completed') {
-            periodMetrics[period].meetingCompleted.add(contactId);
-          }
-
-          // Template-based metrics:
-          // - Introduction Message template → First Message Sent
-          // - Follow-up Message template   → Follow-up Messages Sent
-          if (template === 'introduction-message') {
-            periodMetrics[period].firstMessageSent.add(contactId);
-          } else if (template === 'follow-up-message') {
-            periodMetrics[period].followupMessagesSent.add(contactId);
-          }
-        });
-
-        // Convert Sets to counts in data object
-        allPeriods.forEach(period => {
-          if (data[period] && periodMetrics[period]) {
-            data[period].connectionRequestSent = periodMetrics[period].connectionRequestSent.size;
-            data[period].connectionAccepted = periodMetrics[period].connectionAccepted.size;
-            data[period].existingConnection = periodMetrics[period].existingConnection.size;
-            data[period].conversationsInProgress = periodMetrics[period].conversationsInProgress.size;
-            data[period].meetingProposed = periodMetrics[period].meetingProposed.size;
-            data[period].meetingScheduled = periodMetrics[period].meetingScheduled.size;
-            data[period].meetingCompleted = periodMetrics[period].meetingCompleted.size;
-            data[period].firstMessageSent = periodMetrics[period].firstMessageSent.size;
-            data[period].followupMessagesSent = periodMetrics[period].followupMessagesSent.size;
-          }
-        });
-      }
-
-      // Calculate Email metrics
-      if (enabledChannels.email && emailActivities.length > 0) {
-        emailActivities.forEach(activity => {
-          if (!activity.createdAt) return;
-          const period = viewMode === 'day' ? getDayKey(new Date(activity.createdAt)) : getMonthKey(new Date(activity.createdAt));
-          if (!data[period]) return;
-
-          data[period].emailsSent++;
-
-          if (activity.status) {
-            switch (activity.status) {
-              case 'No Reply': data[period].noReply++; break;
-              case 'Out of Office': data[period].outOfOffice++; break;
-              case 'Wrong Person': data[period].wrongPerson++; break;
-              case 'Bounce': data[period].bounce++; break;
-              case 'Opt Out': data[period].optOut++; break;
-            }
-          }
-
-          if (activity.status && activity.status !== 'No Reply' && activity.status !== 'Bounce' && activity.status !== 'Opt Out') {
-            data[period].totalResponses++;
-          }
-        });
-
-        allPeriods.forEach(period => {
-          if (data[period] && data[period].emailsSent > 0) {
-            data[period].responseRate = parseFloat(((data[period].totalResponses / data[period].emailsSent) * 100).toFixed(2));
-          }
-        });
-      }
-
       setReportData(data);
       setCalculating(false);
     };
 
     const timeoutId = setTimeout(calculate, 0);
     return () => clearTimeout(timeoutId);
-  }, [activities, contacts, viewMode, enabledChannels, allPeriods, getDayKey, getMonthKey]);
+  }, [activities, contacts, viewMode, enabledChannels, allPeriods, statusSchema]);
 
   useEffect(() => {
     calculateReportData();
   }, [calculateReportData]);
 
+  const attribution = useMemo(() => computeAttribution(contacts, activities, statusSchema), [contacts, activities, statusSchema]);
+
   // Build metrics array based on enabled channels
   const metrics = useMemo(() => {
     const allMetrics = [];
@@ -637,6 +309,11 @@ export default function MonthlyReport() {
     return null;
   }, []);
 
+  // A metric's number in one period, read from its section's channel
+  const getReportValue = useCallback((period, metric, key = metric.key) =>
+    reportData[period]?.[getChannelFromSection(metric.section)]?.[key] || 0,
+  [reportData, getChannelFromSection]);
+
   // Pre-index activities by period and contactId for faster lookups
   const activitiesIndex = useMemo(() => {
     const index = {
@@ -649,11 +326,8 @@ export default function MonthlyReport() {
       const activityProjectId = a.projectId?.toString ? a.projectId.toString() : a.projectId;
       if (activityProjectId !== id) return;
 
-      const activityDate = a.callDate ? new Date(a.callDate) : 
-                          a.emailDate ? new Date(a.emailDate) : 
-                          a.linkedinDate ? new Date(a.linkedinDate) :
-                          (a.createdAt ? new Date(a.createdAt) : null);
-      if (!activityDate || isNaN(activityDate.getTime())) return;
+      const activityDate = getActivityDate(a);
+      if (isNaN(activityDate.getTime())) return;
 
       const activityPeriod = viewMode === 'day' ? getDayKey(activityDate) : getMonthKey(activityDate);
       const activityType = a.type;
@@ -750,115 +424,15 @@ export default function MonthlyReport() {
         return true;
       });
       
-      // Check if activity matches the metric
-      if (channel === 'call') {
-        switch (metric) {
-          case 'interested':
-            return channelActivities.some(a => a.callStatus === 'Interested');
-          case 'notInterested':
-            return channelActivities.some(a => a.callStatus === 'Not Interested');
-          case 'ring':
-            return channelActivities.some(a => a.callStatus === 'Ring');
-          case 'busy':
-            return channelActivities.some(a => a.callStatus === 'Busy');
-          case 'hangUp':
-            return channelActivities.some(a => a.callStatus === 'Hang Up');
-          case 'callBack':
-            return channelActivities.some(a => a.callStatus === 'Call Back');
-          case 'switchOff':
-            return channelActivities.some(a => a.callStatus === 'Switch Off');
-          case 'detailsShared':
-            return channelActivities.some(a => a.callStatus === 'Details Shared');
-          case 'future':
-            return channelActivities.some(a => a.callStatus === 'Future');
-          case 'invalid':
-            return channelActivities.some(a => a.callStatus === 'Invalid');
-          case 'demoBooked':
-            return channelActivities.some(a => a.callStatus === 'Demo Booked');
-          case 'dataAllocated':
-            // For data allocated, check if contact was created in this period
-            if (contact.createdAt) {
-              const contactPeriod = viewMode === 'day' ? getDayKey(new Date(contact.createdAt)) : getMonthKey(new Date(contact.createdAt));
-              return contactPeriod === period;
-            }
-            return false;
-          default:
-            return false;
-        }
-      } else if (channel === 'linkedin') {
-        // Filter activities to only those in this period
-        const periodActivities = channelActivities.filter(a => {
-          if (!a.createdAt) return false;
-          const activityPeriod = viewMode === 'day' ? getDayKey(new Date(a.createdAt)) : getMonthKey(new Date(a.createdAt));
-          return activityPeriod === period;
-        });
-
-        if (periodActivities.length === 0) return false;
-
-        switch (metric) {
-          case 'dataResearch':
-            if (contact.createdAt) {
-              const contactPeriod = viewMode === 'day' ? getDayKey(new Date(contact.createdAt)) : getMonthKey(new Date(contact.createdAt));
-              return contactPeriod === period;
-            }
-            return false;
-          case 'connectionRequestSent':
-            // Include activities with lnRequestSent === 'Yes' OR introduction-message template
-            return periodActivities.some(a => {
-              const template = a.template?.trim() || '';
-              return a.lnRequestSent === 'Yes' || template === 'introduction-message';
-            });
-          case 'connectionAccepted':
-            return periodActivities.some(a => a.connected === 'Yes');
-          case 'firstMessageSent':
-            // Count contacts that had an Introduction Message template in this period
-            return periodActivities.some(a => {
-              const template = a.template?.trim() || '';
-              return template === 'introduction-message';
-            });
-          case 'followupMessagesSent':
-            // Count contacts that had a Follow-up Message template in this period
-            return periodActivities.some(a => {
-              const template = a.template?.trim() || '';
-              return template === 'follow-up-message';
-            });
-          case 'existingConnection':
-            return periodActivities.some(a => a.lnRequestSent === 'Existing Connect');
-          case 'conversationsInProgress':
-            return periodActivities.some(a => a.status === 'CIP');
-          case 'meetingProposed':
-            return periodActivities.some(a => a.status === 'Meeting Proposed');
-          case 'meetingScheduled':
-            return periodActivities.some(a => a.status === 'Meeting Scheduled');
-          case 'meetingCompleted':
-            return periodActivities.some(a => a.status === 'Meeting Completed');
-          default:
-            return false;
-        }
-      } else if (channel === 'email') {
-        switch (metric) {
-          case 'emailsSent':
-            return channelActivities.length > 0;
-          case 'noReply':
-            return channelActivities.some(a => a.status === 'No Reply');
-          case 'outOfOffice':
-            return channelActivities.some(a => a.status === 'Out of Office');
-          case 'wrongPerson':
-            return channelActivities.some(a => a.status === 'Wrong Person');
-          case 'bounce':
-            return channelActivities.some(a => a.status === 'Bounce');
-          case 'optOut':
-            return channelActivities.some(a => a.status === 'Opt Out');
-          case 'totalResponses':
-            return channelActivities.some(a => a.status && a.status !== 'No Reply' && a.status !== 'Bounce' && a.status !== 'Opt Out');
-          default:
-            return false;
-        }
+      // Prospects added in this period
+      if (metric === 'dataAllocated' || metric === 'dataResearch') {
+        return !!contact.createdAt && getPeriodKey(contact.createdAt, viewMode) === period;
       }
-      
-      return false;
+
+      // Same per-activity definitions the report counted with
+      return channelActivities.some(a => activityMatchesMetric(channel, metric, a, statusSchema));
     });
-  }, [allContactsForModal, contacts, activitiesIndex, activities, viewMode, getDayKey, getMonthKey]);
+  }, [allContactsForModal, contacts, activitiesIndex, activities, viewMode, statusSchema, getDayKey, getMonthKey]);
 
   // Fetch all contacts when modal opens - use existing contacts if available
   useEffect(() => {
@@ -917,12 +491,24 @@ export default function MonthlyReport() {
     }
   }, [prospectModal.isOpen, prospectModal.metric, prospectModal.period, prospectModal.channel, getFilteredProspects]);
 
+  // Each listed prospect with the activity behind the clicked number
+  const prospectModalRows = useMemo(() => filteredProspectsForModal.map(contact => {
+    const contactIdStr = (contact._id?.toString ? contact._id.toString() : contact._id) || '';
+    const periodActivities = activitiesIndex.byPeriodAndContact.get(prospectModal.period)?.get(contactIdStr) || [];
+    const activity = periodActivities.find(a => activityMatchesMetric(prospectModal.channel, prospectModal.metric, a, statusSchema))
+      || periodActivities[0] // Fallback to first activity if no exact match
+      || null;
+    const date = activity ? getActivityDate(activity) : (contact.createdAt ? new Date(contact.createdAt) : null);
+    return { contact, activity, date, count: 1 };
+  }), [filteredProspectsForModal, activitiesIndex, prospectModal.period, prospectModal.channel, prospectModal.metric, statusSchema]);
+
   // Handle number click
   const handleNumberClick = useCallback((metric, period, section) => {
+    if (portalData) return; // Prospect lists stay internal
     const channel = getChannelFromSection(section);
     if (!channel) return;
     
-    const value = reportData[period]?.[metric.key] || 0;
+    const value = reportData[period]?.[channel]?.[metric.key] || 0;
     if (value === 0 || metric.isFormula) return; // Don't open modal for zero values or formulas
     
     setProspectModal({
@@ -932,13 +518,14 @@ export default function MonthlyReport() {
       channel: channel,
       section: section
     });
-  }, [reportData, getChannelFromSection]);
+  }, [reportData, getChannelFromSection, portalData]);
 
   // Handle date header click - show all prospects for that period
   const handleDateHeaderClick = useCallback((period) => {
+    if (portalData) return;
     // If there is no data for this period, do nothing
     const periodData = reportData[period];
-    if (!periodData || Object.values(periodData).every(value => !value || value === 0)) {
+    if (!periodData || Object.values(periodData).every(row => Object.values(row || {}).every(value => !value))) {
       return;
     }
     
@@ -949,7 +536,7 @@ export default function MonthlyReport() {
       channel: 'all',
       section: 'All Channels'
     });
-  }, [reportData]);
+  }, [reportData, portalData]);
 
   // Export to Excel with enhanced formatting
   const exportToExcel = useCallback(() => {
@@ -1139,11 +726,11 @@ export default function MonthlyReport() {
                 allPeriods.forEach((period) => {
                   let value = '';
                   if (metric.isFormula) {
-                    value = `(${reportData[period]?.freshCalls || 0} + ${reportData[period]?.followUps || 0})`;
+                    value = `(${getReportValue(period, metric, 'freshCalls')} + ${getReportValue(period, metric, 'followUps')})`;
                   } else if (metric.key === 'responseRate') {
-                    value = `${reportData[period]?.[metric.key] || 0}%`;
+                    value = `${getReportValue(period, metric)}%`;
                   } else {
-                    value = reportData[period]?.[metric.key] || 0;
+                    value = getReportValue(period, metric);
                   }
                   metricRow.push(value);
                 });
@@ -1241,11 +828,11 @@ export default function MonthlyReport() {
               allPeriods.forEach((period) => {
                 let value = '';
                 if (metric.isFormula) {
-                  value = `(${reportData[period]?.freshCalls || 0} + ${reportData[period]?.followUps || 0})`;
+                  value = `(${getReportValue(period, metric, 'freshCalls')} + ${getReportValue(period, metric, 'followUps')})`;
                 } else if (metric.key === 'responseRate') {
-                  value = `${reportData[period]?.[metric.key] || 0}%`;
+                  value = `${getReportValue(period, metric)}%`;
                 } else {
-                  value = reportData[period]?.[metric.key] || 0;
+                  value = getReportValue(period, metric);
                 }
                 metricRow.push(value);
               });
@@ -1343,7 +930,7 @@ export default function MonthlyReport() {
       console.error('Error exporting to Excel:', error);
       alert('Failed to export report. Please try again.');
     }
-  }, [allPeriods, reportData, groupedPeriods, groupedMetrics, viewMode, project]);
+  }, [allPeriods, reportData, groupedPeriods, groupedMetrics, viewMode, project, getReportValue]);
 
   if (loading) {
     return (
@@ -1375,10 +962,10 @@ export default function MonthlyReport() {
           <p className="text-gray-600 mb-6">{error}</p>
           <div className="flex gap-3 justify-center">
             <button
-              onClick={() => navigate('/projects')}
+              onClick={() => navigate(backPath)}
               className="px-4 py-2 text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors font-medium"
             >
-              Back to Projects
+              {backLabel}
             </button>
             <button
               onClick={fetchData}
@@ -1398,10 +985,10 @@ export default function MonthlyReport() {
         <div className="bg-white rounded-xl shadow-xl p-8 text-center max-w-md">
           <p className="text-gray-600 mb-4">Project not found</p>
           <button
-            onClick={() => navigate('/projects')}
+            onClick={() => navigate(backPath)}
             className="px-6 py-3 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors font-medium"
           >
-            Back to Projects
+            {backLabel}
           </button>
         </div>
       </div>
@@ -1413,6 +1000,7 @@ export default function MonthlyReport() {
       {/* Header Section */}
       <div className="bg-white border-b border-gray-200 shadow-sm sticky top-0 z-40 lg:top-0">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 py-4 sm:py-6">
+          {!portalData && (
           <button
             onClick={() => navigate(`/projects/${id}`)}
             className="inline-flex items-center gap-2 text-sm font-medium text-gray-600 hover:text-gray-900 transition-colors duration-200 mb-4 group"
@@ -1422,6 +1010,7 @@ export default function MonthlyReport() {
             </svg>
             Back to Prospect Management
           </button>
+          )}
 
           <div className="flex items-center justify-between flex-wrap gap-4">
             <div>
@@ -1469,6 +1058,18 @@ export default function MonthlyReport() {
                 </button>
               </div>
               
+              {canScheduleReports && (
+              <button
+                onClick={() => setShowSchedules(true)}
+                className="px-4 py-2.5 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors duration-200 font-semibold text-sm flex items-center gap-2 shadow-sm"
+              >
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                </svg>
+                Schedule
+              </button>
+              )}
+
               {/* Export Button */}
               <button
                 onClick={exportToExcel}
@@ -1525,7 +1126,7 @@ export default function MonthlyReport() {
                       <th
                         key={period}
                         onClick={() => handleDateHeaderClick(period)}
-                        className="px-3 sm:px-4 py-3 text-center text-xs font-bold text-gray-900 uppercase tracking-wider border-r border-gray-300 last:border-r-0 bg-blue-50 cursor-pointer hover:underline"
+                        className={`px-3 sm:px-4 py-3 text-center text-xs font-bold text-gray-900 uppercase tracking-wider border-r border-gray-300 last:border-r-0 bg-blue-50 ${portalData ? '' : 'cursor-pointer hover:underline'}`}
                       >
                         {period}
                       </th>
@@ -1581,11 +1182,11 @@ export default function MonthlyReport() {
                                 </td>
                                 {allPeriods.map((period) => {
                                   const value = metric.isFormula 
-                                    ? `(${reportData[period]?.freshCalls || 0} + ${reportData[period]?.followUps || 0})`
+                                    ? `(${getReportValue(period, metric, 'freshCalls')} + ${getReportValue(period, metric, 'followUps')})`
                                     : (metric.key === 'responseRate' 
-                                        ? `${reportData[period]?.[metric.key] || 0}%`
-                                        : (reportData[period]?.[metric.key] || 0));
-                                  const isClickable = !metric.isFormula && value !== 0 && value !== '0%';
+                                        ? `${getReportValue(period, metric)}%`
+                                        : getReportValue(period, metric));
+                                  const isClickable = !portalData && !metric.isFormula && value !== 0 && value !== '0%';
                                   
                                   return (
                                     <td
@@ -1639,7 +1240,7 @@ export default function MonthlyReport() {
                             <th
                               key={period}
                               onClick={() => handleDateHeaderClick(period)}
-                              className="px-3 sm:px-4 py-3 text-center text-xs font-bold text-gray-900 uppercase tracking-wider border-r border-gray-300 last:border-r-0 bg-blue-50 cursor-pointer hover:underline"
+                              className={`px-3 sm:px-4 py-3 text-center text-xs font-bold text-gray-900 uppercase tracking-wider border-r border-gray-300 last:border-r-0 bg-blue-50 ${portalData ? '' : 'cursor-pointer hover:underline'}`}
                             >
                               {period}
                             </th>
@@ -1694,11 +1295,11 @@ export default function MonthlyReport() {
                                     </td>
                                     {allPeriods.map((period) => {
                                       const value = metric.isFormula 
-                                        ? `(${reportData[period]?.freshCalls || 0} + ${reportData[period]?.followUps || 0})`
+                                        ? `(${getReportValue(period, metric, 'freshCalls')} + ${getReportValue(period, metric, 'followUps')})`
                                         : (metric.key === 'responseRate' 
-                                            ? `${reportData[period]?.[metric.key] || 0}%`
-                                            : (reportData[period]?.[metric.key] || 0));
-                                      const isClickable = !metric.isFormula && value !== 0 && value !== '0%';
+                                            ? `${getReportValue(period, metric)}%`
+                                            : getReportValue(period, metric));
+                                      const isClickable = !portalData && !metric.isFormula && value !== 0 && value !== '0%';
                                       
                                       return (
                                         <td
@@ -1736,154 +1337,40 @@ export default function MonthlyReport() {
             </div>
           );
         })()}
-      </div>
 
-      {/* Prospect Modal */}
-      {prospectModal.isOpen && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white rounded-lg shadow-xl max-w-6xl w-full max-h-[90vh] flex flex-col">
-            {/* Modal Header */}
-            <div className="flex items-center justify-between p-6 border-b border-gray-200">
-              <div className="flex-1">
-                <h2 className="text-xl font-bold text-gray-900">
-                  {(() => {
-                    if (!prospectModal.metric) return '';
-                    if (prospectModal.metric === 'allForPeriod') {
-                      return `All Prospects - ${prospectModal.section}`;
-                    }
-                    const metricDef = metrics.find(m => m.key === prospectModal.metric);
-                    return `${metricDef?.label || prospectModal.metric} - ${prospectModal.section}`;
-                  })()}
-                </h2>
-                <p className="text-sm text-gray-600 mt-1">
-                  Period: {prospectModal.period}
-                </p>
-                {!loadingProspects && (
-                  <p className="text-xs text-gray-500 mt-1">
-                    Showing {getFilteredProspects(prospectModal.metric, prospectModal.period, prospectModal.channel).length} prospects
-                  </p>
-                )}
-              </div>
-              <button
-                onClick={() => setProspectModal({ isOpen: false, metric: null, period: null, channel: null, section: null })}
-                className="text-gray-400 hover:text-gray-600 transition-colors"
-              >
-                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                </svg>
-              </button>
-            </div>
-
-            {/* Modal Body */}
-            <div className="flex-1 overflow-y-auto p-6">
-              {loadingProspects ? (
-                <div className="text-center py-12 text-gray-500">
-                  <svg className="animate-spin h-8 w-8 mx-auto mb-4 text-gray-400" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  <p className="text-sm font-medium">Loading prospects...</p>
-                </div>
-              ) : (() => {
-                if (filteredProspectsForModal.length === 0) {
-                  return (
-                    <div className="text-center py-12 text-gray-500">
-                      <svg className="w-16 h-16 mx-auto mb-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                      </svg>
-                      <p className="text-sm font-medium">No prospects found for this metric</p>
-                    </div>
-                  );
-                }
-
-                return (
-                  <div className="overflow-x-auto">
-                    <table className="min-w-full divide-y divide-gray-200">
-                      <thead className="bg-gray-50">
-                        <tr>
-                          <th className="px-4 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">CONTACT</th>
-                          <th className="px-4 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">COMPANY</th>
-                          <th className="px-4 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">DATE</th>
-                          <th className="px-4 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">STATUS</th>
-                        </tr>
-                      </thead>
-                      <tbody className="bg-white divide-y divide-gray-200">
-                        {filteredProspectsForModal.map((contact) => {
-                          const contactIdStr = (contact._id?.toString ? contact._id.toString() : contact._id) || '';
-                          
-                          // Find the matching activity for this period using index (much faster)
-                          const periodActivities = activitiesIndex.byPeriodAndContact.get(prospectModal.period)?.get(contactIdStr) || [];
-                          const matchingActivity = periodActivities.find(a => {
-                            // Filter by channel
-                            if (prospectModal.channel === 'call' && a.type !== 'call') return false;
-                            if (prospectModal.channel === 'linkedin' && a.type !== 'linkedin') return false;
-                            if (prospectModal.channel === 'email' && a.type !== 'email') return false;
-                            
-                            // Check if it matches the metric
-                            if (prospectModal.channel === 'call') {
-                              const statusMap = {
-                                'interested': 'Interested',
-                                'notInterested': 'Not Interested',
-                                'ring': 'Ring',
-                                'busy': 'Busy',
-                                'hangUp': 'Hang Up',
-                                'callBack': 'Call Back',
-                                'switchOff': 'Switch Off',
-                                'detailsShared': 'Details Shared',
-                                'future': 'Future',
-                                'invalid': 'Invalid',
-                                'demoBooked': 'Demo Booked'
-                              };
-                              return a.callStatus === statusMap[prospectModal.metric];
-                            }
-                            // For LinkedIn and Email, return first matching activity
-                            return true;
-                          }) || periodActivities[0]; // Fallback to first activity if no exact match
-                          
-                          const activityDate = matchingActivity 
-                            ? (matchingActivity.callDate ? new Date(matchingActivity.callDate) : 
-                               matchingActivity.emailDate ? new Date(matchingActivity.emailDate) : 
-                               new Date(matchingActivity.createdAt))
-                            : (contact.createdAt ? new Date(contact.createdAt) : null);
-                          
-                          const formattedDate = activityDate ? activityDate.toLocaleDateString('en-US', {
-                            year: 'numeric',
-                            month: 'short',
-                            day: 'numeric'
-                          }) : 'N/A';
-                          
-                          const status = matchingActivity?.callStatus || matchingActivity?.status || contact.stage || 'New';
-
-                          return (
-                            <tr 
-                              key={contact._id || contact.name} 
-                              className="hover:bg-gray-50 transition-colors"
-                            >
-                              <td className="px-4 py-3 text-sm font-semibold text-gray-900">
-                                {contact.name || 'Unknown'}
-                              </td>
-                              <td className="px-4 py-3 text-sm text-gray-700 font-medium">
-                                {contact.company || 'N/A'}
-                              </td>
-                              <td className="px-4 py-3 text-sm text-gray-600">
-                                {formattedDate}
-                              </td>
-                              <td className="px-4 py-3 text-sm">
-                                <span className="px-2 py-1 text-xs font-semibold bg-green-100 text-green-800 rounded-full border border-green-200">
-                                  {status}
-                                </span>
-                              </td>
-                            </tr>
-                          );
-                        })}
-                      </tbody>
-                    </table>
-                  </div>
-                );
-              })()}
+        {/* Cross-channel attribution of the project's outcomes */}
+        {allPeriods.length > 0 && (
+          <div className="mt-6 bg-white rounded-xl shadow-xl border border-gray-200 overflow-hidden">
+            <div className="px-4 sm:px-6 py-3 bg-blue-50 border-b border-gray-200">
+              <h2 className="text-xs font-bold text-gray-900 uppercase tracking-wider">Attribution</h2>
+              <p className="text-xs text-gray-600 mt-0.5">Meetings, SQLs and WONs credited to the LinkedIn, call and email touches that led to them</p>
             </div>
+            <AttributionTable attribution={attribution} />
           </div>
-        </div>
+        )}
+      </div>
+
+      <ProspectDrillDownModal
+        isOpen={prospectModal.isOpen}
+        onClose={() => setProspectModal({ isOpen: false, metric: null, period: null, channel: null, section: null })}
+        title={prospectModal.metric === 'allForPeriod'
+          ? `All Prospects - ${prospectModal.section}`
+          : `${metrics.find(m => m.key === prospectModal.metric)?.label || prospectModal.metric} - ${prospectModal.section}`}
+        subtitle={`Period: ${prospectModal.period}`}
+        rows={prospectModalRows}
+        loading={loadingProspects}
+        channel={prospectModal.channel === 'all' ? null : prospectModal.channel}
+        projectId={id}
+        onActivityLogged={fetchData}
+      />
+
+      {canScheduleReports && (
+        <ReportScheduleModal
+          isOpen={showSchedules}
+          onClose={() => setShowSchedules(false)}
+          project={project}
+          viewMode={viewMode}
+        />
       )}
     </div>
   );
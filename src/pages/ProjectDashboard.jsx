@@ -1,6 +1,9 @@
 import { useState, useEffect, useMemo, lazy, Suspense } from 'react';
 import { useNavigate } from 'react-router-dom';
 import API from '../api/axios';
+import AttributionTable from '../components/AttributionTable';
+import { computeAttribution } from '../utils/metrics';
+import { resolveStatusSchema } from '../utils/statusSchema';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -38,11 +41,64 @@ export default function ProjectDashboard() {
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
   const [dateRange, setDateRange] = useState('30d');
+  const [projects, setProjects] = useState([]);
+  const [attributionProjectId, setAttributionProjectId] = useState('');
+  const [attributionInputs, setAttributionInputs] = useState({ contacts: [], activities: [], statusSchema: null });
+  const [loadingAttribution, setLoadingAttribution] = useState(false);
+  const [attributionError, setAttributionError] = useState('');
 
   useEffect(() => {
     fetchAnalytics();
   }, [dateRange]);
 
+  // Attribution works from one project's raw prospects and activities, loaded when the tab is opened
+  useEffect(() => {
+    if (activeTab !== 'attribution' || projects.length > 0) return;
+    API.get('/projects')
+      .then(response => {
+        if (response.data.success) setProjects(response.data.data || []);
+      })
+      .catch(error => {
+        console.error('Error fetching projects:', error);
+      });
+  }, [activeTab, projects.length]);
+
+  useEffect(() => {
+    if (!attributionProjectId) return;
+    let cancelled = false;
+    const fetchAttributionInputs = async () => {
+      try {
+        setLoadingAttribution(true);
+        setAttributionError('');
+        const [projectResponse, contactsResponse, activitiesResponse] = await Promise.all([
+          API.get(`/projects/${attributionProjectId}`),
+          API.get(`/projects/${attributionProjectId}/project-contacts?limit=10000`),
+          API.get(`/activities/project/${attributionProjectId}?limit=10000`)
+        ]);
+        if (cancelled) return;
+        setAttributionInputs({
+          contacts: contactsResponse.data.success ? (contactsResponse.data.data || []) : [],
+          activities: activitiesResponse.data.success ? (activitiesResponse.data.data || []) : [],
+          statusSchema: resolveStatusSchema(projectResponse.data.success ? projectResponse.data.data : null)
+        });
+      } catch (error) {
+        console.error('Error fetching attribution data:', error);
+        if (!cancelled) setAttributionError('Couldn\'t load this project\'s activities. Try again.');
+      } finally {
+        if (!cancelled) setLoadingAttribution(false);
+      }
+    };
+    fetchAttributionInputs();
+    return () => {
+      cancelled = true;
+    };
+  }, [attributionProjectId]);
+
+  const attribution = useMemo(
+    () => computeAttribution(attributionInputs.contacts, attributionInputs.activities, attributionInputs.statusSchema),
+    [attributionInputs]
+  );
+
   const fetchAnalytics = async () => {
     try {
       setLoading(true);
@@ -61,7 +117,8 @@ export default function ProjectDashboard() {
     { id: 'overview', label: 'Overview', icon: 'grid' },
     { id: 'pipeline', label: 'Pipeline', icon: 'funnel' },
     { id: 'channels', label: 'Channels', icon: 'megaphone' },
-    { id: 'team', label: 'Team Performance', icon: 'users' }
+    { id: 'team', label: 'Team Performance', icon: 'users' },
+    { id: 'attribution', label: 'Attribution', icon: 'target' }
   ];
 
   // Skeleton loader
@@ -646,6 +703,48 @@ export default function ProjectDashboard() {
           </div>
         )}
 
+        {activeTab === 'attribution' && (
+          <div className="space-y-6">
+            <div className="bg-white border border-gray-200 rounded-lg p-6">
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4 mb-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900">Meeting, SQL and WON Attribution</h3>
+                  <p className="text-sm text-gray-600 mt-1">
+                    Which channels led to each outcome. First touch credits the prospect&apos;s earliest activity, last touch the one
+                    before the outcome, and multi-touch shares the credit across every LinkedIn, call and email touch.
+                  </p>
+                </div>
+                <select
+                  value={attributionProjectId}
+                  onChange={(e) => setAttributionProjectId(e.target.value)}
+                  className="px-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Select a project</option>
+                  {projects.map(project => (
+                    <option key={project._id} value={project._id}>{project.companyName}</option>
+                  ))}
+                </select>
+              </div>
+
+              {attributionError && (
+                <div className="mb-4 p-3 bg-red-50 border border-red-200 text-red-700 rounded-lg text-sm">{attributionError}</div>
+              )}
+
+              {!attributionProjectId ? (
+                <div className="text-center py-12 text-gray-500">
+                  <p className="text-sm">Pick a project to see how its meetings, SQLs and WONs are attributed</p>
+                </div>
+              ) : loadingAttribution ? (
+                <div className="py-12 flex justify-center">
+                  <div className="animate-spin rounded-full h-8 w-8 border-2 border-gray-200 border-t-blue-600"></div>
+                </div>
+              ) : (
+                <AttributionTable attribution={attribution} />
+              )}
+            </div>
+          </div>
+        )}
+
       </div>
     </div>
   );
@@ -3,21 +3,57 @@ import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import API from '../api/axios';
 import ActivityLogModal from '../components/ActivityLogModal';
 import BulkImportModal from '../components/BulkImportModal';
+import ClientInviteModal from '../components/ClientInviteModal';
+import UndoToast from '../components/UndoToast';
+import TrashModal from '../components/TrashModal';
+import SavedViewTabs from '../components/SavedViewTabs';
+import EnrollSequenceModal from '../components/EnrollSequenceModal';
 import BulkActivityLogModal from '../components/BulkActivityLogModal';
+import CadencePanel from '../components/CadencePanel';
+import ExportModal from '../components/ExportModal';
+import { resolveStatusSchema, getStatusOptions, getAllStatusLabels, getStatusStyle } from '../utils/statusSchema';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
+import { resolveCadence, buildCadenceProgress, getTouchLabel } from '../utils/cadence';
+import { resolveCallRetryRules } from '../utils/callRetry';
+import { loadBulkJob, hasUnfinishedItems, summarizeBulkJob } from '../utils/bulkJobs';
+import { CONTACT_EXPORT_COLUMNS, fetchAllPages } from '../utils/exportEngine';
+import { getActivityDate, matchesKpiMetric } from '../utils/metrics';
+
+// Next-action KPIs (any, due today, due tomorrow, missed) over one channel's activities
+const FOLLOW_UP_KPI_METRICS = ['followups', 'todayFollowups', 'tomorrowFollowups', 'missedFollowups'];
+
+const matchesFollowUpKpi = (metric, activities) => {
+  if (!FOLLOW_UP_KPI_METRICS.includes(metric) || activities.length === 0) return false;
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const tomorrow = new Date(today);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const dayAfterTomorrow = new Date(tomorrow);
+  dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 1);
+
+  const getDueDay = (activity) => {
+    if (!activity?.nextActionDate) return null;
+    const d = new Date(activity.nextActionDate);
+    if (isNaN(d.getTime())) return null;
+    d.setHours(0, 0, 0, 0);
+    return d;
+  };
 
-// Helper function to get the activity date (prioritize activity-specific dates over createdAt)
-const getActivityDate = (activity) => {
-  if (activity.type === 'call' && activity.callDate) {
-    return new Date(activity.callDate);
-  }
-  if (activity.type === 'email' && activity.emailDate) {
-    return new Date(activity.emailDate);
+  // Missed only looks at the latest touch: logging a newer activity replaces an overdue next action
+  if (metric === 'missedFollowups') {
+    const mostRecent = [...activities].sort((a, b) => getActivityDate(b) - getActivityDate(a))[0];
+    const due = getDueDay(mostRecent);
+    return !!due && due < today;
   }
-  if (activity.type === 'linkedin' && activity.linkedinDate) {
-    return new Date(activity.linkedinDate);
-  }
-  // Fallback to createdAt if activity-specific date is not available
-  return new Date(activity.createdAt);
+
+  return activities.some(activity => {
+    const due = getDueDay(activity);
+    if (!due) return false;
+    if (metric === 'todayFollowups') return due >= today && due < tomorrow;
+    if (metric === 'tomorrowFollowups') return due >= tomorrow && due < dayAfterTomorrow;
+    return true;
+  });
 };
 
 // Normalize to start-of-day (local) for date-only comparison — avoids timezone issues
@@ -142,6 +178,8 @@ export default function ProjectDetail() {
     lastActivity: null
   });
   const [bulkImportModal, setBulkImportModal] = useState(false);
+  const [clientInviteModal, setClientInviteModal] = useState(false);
+  const [enrollSequenceModal, setEnrollSequenceModal] = useState(false);
   const [allProjectActivities, setAllProjectActivities] = useState([]);
   const [selectedContacts, setSelectedContacts] = useState(new Set());
   const [showProspectSuggestions, setShowProspectSuggestions] = useState(false);
@@ -153,6 +191,12 @@ export default function ProjectDetail() {
   const [savingContactInfo, setSavingContactInfo] = useState({});
   const [showRemoveConfirmation, setShowRemoveConfirmation] = useState(false);
   const [removing, setRemoving] = useState(false);
+  // Last removal that can still be undone: { key, contactIds, message }
+  const [undoRemove, setUndoRemove] = useState(null);
+  const [showTrash, setShowTrash] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  // Bumped when prospects come back from the trash (see the refetch effect below)
+  const [prospectsRestoredAt, setProspectsRestoredAt] = useState(0);
   const [deletedContactIds, setDeletedContactIds] = useState(new Set()); // Track deleted contact IDs to prevent reappearance
   const [kpiMetrics, setKpiMetrics] = useState(null);
   const [loadingKpi, setLoadingKpi] = useState(false);
@@ -161,6 +205,18 @@ export default function ProjectDetail() {
   const [showStatusFilter, setShowStatusFilter] = useState(false);
   const statusFilterRef = useRef(null);
 
+  // Project-specific status vocabulary (falls back to the default lists per channel)
+  const statusSchema = useMemo(() => resolveStatusSchema(project), [project]);
+  // Touch plan for this project (only touches on enabled channels)
+  const cadence = useMemo(() => resolveCadence(project), [project]);
+  // When Ring, Busy etc. schedule the next call
+  const callRetryRules = useMemo(() => resolveCallRetryRules(project), [project]);
+  // Actions the signed-in role is allowed to take on this project
+  const canRemoveProspects = hasPermission(PERMISSIONS.REMOVE_PROSPECTS);
+  const canImport = hasPermission(PERMISSIONS.IMPORT_CONTACTS);
+  const canShareWithClient = hasPermission(PERMISSIONS.MANAGE_PROJECTS);
+  const canExportProspects = hasPermission(PERMISSIONS.EXPORT_DATA);
+
   // Determine enabled activity types based on project channels
   const enabledActivityTypes = useMemo(() => {
     if (!project?.channels) return ['call', 'email', 'linkedin']; // Default to all if no channels defined
@@ -174,6 +230,14 @@ export default function ProjectDetail() {
     return enabled.length > 0 ? enabled : ['call', 'email', 'linkedin'];
   }, [project?.channels]);
 
+  // A bulk log that didn't finish (tab closed, paused or failures left to retry). Re-read whenever the bulk modal closes.
+  const interruptedBulkJob = useMemo(() => {
+    if (bulkActivityModal.isOpen) return null;
+    return ['call', 'email', 'linkedin']
+      .map(activityType => loadBulkJob(id, activityType))
+      .find(job => job && hasUnfinishedItems(job)) || null;
+  }, [id, bulkActivityModal.isOpen]);
+
   // Calculate follow-up counts for LinkedIn and Email (backend provides for calls via KPI).
   // Use one next action per contact per type (earliest nextActionDate) so each contact is counted at most once.
   // Bucket by next action date: today, tomorrow, missed (based on nextActionDate).
@@ -246,6 +310,114 @@ export default function ProjectDetail() {
     };
   }, [showStatusFilter]);
 
+  // Replace every filter (state and URL) with the ones in `sourceParams`.
+  // Used when coming back from Activity History (returnTo) and when a saved view is applied.
+  const applyFilterParams = (sourceParams) => {
+    // Restore search query
+    const restoredSearch = sourceParams.get('search') || '';
+    
+    // Restore filter states
+    const restoredQuickFilter = sourceParams.get('quickFilter') || '';
+    const restoredFilterStatus = sourceParams.get('filterStatus') || '';
+    const restoredFilterActionDate = sourceParams.get('filterActionDate') || '';
+    const restoredFilterActionDateFrom = sourceParams.get('filterActionDateFrom') || '';
+    const restoredFilterActionDateTo = sourceParams.get('filterActionDateTo') || '';
+    const restoredFilterLastInteraction = sourceParams.get('filterLastInteraction') || '';
+    const restoredFilterLastInteractionFrom = sourceParams.get('filterLastInteractionFrom') || '';
+    const restoredFilterLastInteractionTo = sourceParams.get('filterLastInteractionTo') || '';
+    const restoredFilterImportDate = sourceParams.get('filterImportDate') || '';
+    const restoredFilterImportDateFrom = sourceParams.get('filterImportDateFrom') || '';
+    const restoredFilterImportDateTo = sourceParams.get('filterImportDateTo') || '';
+    const restoredFilterNoActivity = sourceParams.get('filterNoActivity') === 'true';
+    const restoredFilterMatchType = sourceParams.get('filterMatchType') || '';
+    const restoredPage = sourceParams.get('page') || '1';
+    const restoredKpiChannel = sourceParams.get('kpiChannel');
+    const restoredKpiMetric = sourceParams.get('kpiMetric');
+    const restoredKpiOpen = sourceParams.get('kpiOpen') === '1';
+    
+    // Restore ContactFilter params (filterKeywords, filterCity, etc.)
+    const restoredFilterKeywords = sourceParams.get('filterKeywords') || '';
+    const restoredFilterCity = sourceParams.get('filterCity') || '';
+    const restoredFilterState = sourceParams.get('filterState') || '';
+    const restoredFilterCountry = sourceParams.get('filterCountry') || '';
+    const restoredFilterHasLinkedIn = sourceParams.get('filterHasLinkedIn') || '';
+    const restoredFilterHasEmail = sourceParams.get('filterHasEmail') || '';
+    const restoredFilterHasPhone = sourceParams.get('filterHasPhone') || '';
+    
+    // Build new URL params with restored filters FIRST (before updating state)
+    // This ensures URL params are set before any useEffect runs that might check them
+    const newParams = new URLSearchParams();
+    if (restoredSearch) newParams.set('search', restoredSearch);
+    if (restoredQuickFilter) newParams.set('quickFilter', restoredQuickFilter);
+    if (restoredFilterStatus) newParams.set('filterStatus', restoredFilterStatus);
+    if (restoredFilterActionDate) newParams.set('filterActionDate', restoredFilterActionDate);
+    if (restoredFilterActionDateFrom) newParams.set('filterActionDateFrom', restoredFilterActionDateFrom);
+    if (restoredFilterActionDateTo) newParams.set('filterActionDateTo', restoredFilterActionDateTo);
+    if (restoredFilterLastInteraction) newParams.set('filterLastInteraction', restoredFilterLastInteraction);
+    if (restoredFilterLastInteractionFrom) newParams.set('filterLastInteractionFrom', restoredFilterLastInteractionFrom);
+    if (restoredFilterLastInteractionTo) newParams.set('filterLastInteractionTo', restoredFilterLastInteractionTo);
+    if (restoredFilterImportDate) newParams.set('filterImportDate', restoredFilterImportDate);
+    if (restoredFilterImportDateFrom) newParams.set('filterImportDateFrom', restoredFilterImportDateFrom);
+    if (restoredFilterImportDateTo) newParams.set('filterImportDateTo', restoredFilterImportDateTo);
+    if (restoredFilterNoActivity) newParams.set('filterNoActivity', 'true');
+    if (restoredFilterMatchType) newParams.set('filterMatchType', restoredFilterMatchType);
+    if (restoredPage) newParams.set('page', restoredPage);
+    if (restoredKpiChannel) newParams.set('kpiChannel', restoredKpiChannel);
+    if (restoredKpiMetric) newParams.set('kpiMetric', restoredKpiMetric);
+    if (restoredKpiOpen) newParams.set('kpiOpen', '1');
+    
+    // Restore ContactFilter params
+    if (restoredFilterKeywords) newParams.set('filterKeywords', restoredFilterKeywords);
+    if (restoredFilterCity) newParams.set('filterCity', restoredFilterCity);
+    if (restoredFilterState) newParams.set('filterState', restoredFilterState);
+    if (restoredFilterCountry) newParams.set('filterCountry', restoredFilterCountry);
+    if (restoredFilterHasLinkedIn) newParams.set('filterHasLinkedIn', restoredFilterHasLinkedIn);
+    if (restoredFilterHasEmail) newParams.set('filterHasEmail', restoredFilterHasEmail);
+    if (restoredFilterHasPhone) newParams.set('filterHasPhone', restoredFilterHasPhone);
+    
+    // Update URL with restored filters FIRST - this prevents other useEffects from resetting
+    setSearchParams(newParams, { replace: true });
+    
+    // Then update filter states - this will trigger the sync useEffect but URL is already set
+    setSearchQuery(restoredSearch);
+    setDebouncedSearchQuery(restoredSearch);
+    setQuickFilter(restoredQuickFilter);
+    setFilterStatus(restoredFilterStatus);
+    setFilterActionDate(restoredFilterActionDate);
+    setFilterActionDateFrom(restoredFilterActionDateFrom);
+    setFilterActionDateTo(restoredFilterActionDateTo);
+    setFilterLastInteraction(restoredFilterLastInteraction);
+    setFilterLastInteractionFrom(restoredFilterLastInteractionFrom);
+    setFilterLastInteractionTo(restoredFilterLastInteractionTo);
+    setFilterImportDate(restoredFilterImportDate);
+    setFilterImportDateFrom(restoredFilterImportDateFrom);
+    setFilterImportDateTo(restoredFilterImportDateTo);
+    setFilterNoActivity(restoredFilterNoActivity);
+    setFilterMatchType(restoredFilterMatchType);
+    
+    // Restore page number
+    const pageNum = parseInt(restoredPage, 10);
+    if (pageNum >= 1 && pageNum !== contactsPage) {
+      setContactsPage(pageNum);
+    }
+    
+    // Restore KPI filter if present
+    if (restoredKpiChannel && restoredKpiMetric) {
+      setFilterKpi({ channel: restoredKpiChannel, metric: restoredKpiMetric });
+      if (restoredKpiOpen) {
+        setKpiProspectModal({ isOpen: true, filter: { channel: restoredKpiChannel, metric: restoredKpiMetric } });
+      }
+    }
+  };
+
+  // Saved views only carry filter params; drop open modals and start from page 1
+  const handleApplyView = (viewParams) => {
+    const params = new URLSearchParams(viewParams || '');
+    params.delete('kpiOpen');
+    params.delete('page');
+    applyFilterParams(params);
+  };
+
   // Track if we're returning from Activity History to clear search
   const returningFromActivityHistoryRef = useRef(false);
 
@@ -272,101 +444,7 @@ export default function ProjectDetail() {
         const returnToUrlObj = new URL(returnToUrl, window.location.origin);
         const returnToParams = new URLSearchParams(returnToUrlObj.search);
         
-        // Restore search query from returnTo URL
-        const restoredSearch = returnToParams.get('search') || '';
-        
-        // Restore filter states from returnTo URL params
-        const restoredQuickFilter = returnToParams.get('quickFilter') || '';
-        const restoredFilterStatus = returnToParams.get('filterStatus') || '';
-        const restoredFilterActionDate = returnToParams.get('filterActionDate') || '';
-        const restoredFilterActionDateFrom = returnToParams.get('filterActionDateFrom') || '';
-        const restoredFilterActionDateTo = returnToParams.get('filterActionDateTo') || '';
-        const restoredFilterLastInteraction = returnToParams.get('filterLastInteraction') || '';
-        const restoredFilterLastInteractionFrom = returnToParams.get('filterLastInteractionFrom') || '';
-        const restoredFilterLastInteractionTo = returnToParams.get('filterLastInteractionTo') || '';
-        const restoredFilterImportDate = returnToParams.get('filterImportDate') || '';
-        const restoredFilterImportDateFrom = returnToParams.get('filterImportDateFrom') || '';
-        const restoredFilterImportDateTo = returnToParams.get('filterImportDateTo') || '';
-        const restoredFilterNoActivity = returnToParams.get('filterNoActivity') === 'true';
-        const restoredFilterMatchType = returnToParams.get('filterMatchType') || '';
-        const restoredPage = returnToParams.get('page') || '1';
-        const restoredKpiChannel = returnToParams.get('kpiChannel');
-        const restoredKpiMetric = returnToParams.get('kpiMetric');
-        const restoredKpiOpen = returnToParams.get('kpiOpen') === '1';
-        
-        // Restore ContactFilter params (filterKeywords, filterCity, etc.)
-        const restoredFilterKeywords = returnToParams.get('filterKeywords') || '';
-        const restoredFilterCity = returnToParams.get('filterCity') || '';
-        const restoredFilterState = returnToParams.get('filterState') || '';
-        const restoredFilterCountry = returnToParams.get('filterCountry') || '';
-        const restoredFilterHasLinkedIn = returnToParams.get('filterHasLinkedIn') || '';
-        const restoredFilterHasEmail = returnToParams.get('filterHasEmail') || '';
-        const restoredFilterHasPhone = returnToParams.get('filterHasPhone') || '';
-        
-        // Build new URL params with restored filters FIRST (before updating state)
-        // This ensures URL params are set before any useEffect runs that might check them
-        const newParams = new URLSearchParams();
-        if (restoredSearch) newParams.set('search', restoredSearch);
-        if (restoredQuickFilter) newParams.set('quickFilter', restoredQuickFilter);
-        if (restoredFilterStatus) newParams.set('filterStatus', restoredFilterStatus);
-        if (restoredFilterActionDate) newParams.set('filterActionDate', restoredFilterActionDate);
-        if (restoredFilterActionDateFrom) newParams.set('filterActionDateFrom', restoredFilterActionDateFrom);
-        if (restoredFilterActionDateTo) newParams.set('filterActionDateTo', restoredFilterActionDateTo);
-        if (restoredFilterLastInteraction) newParams.set('filterLastInteraction', restoredFilterLastInteraction);
-        if (restoredFilterLastInteractionFrom) newParams.set('filterLastInteractionFrom', restoredFilterLastInteractionFrom);
-        if (restoredFilterLastInteractionTo) newParams.set('filterLastInteractionTo', restoredFilterLastInteractionTo);
-        if (restoredFilterImportDate) newParams.set('filterImportDate', restoredFilterImportDate);
-        if (restoredFilterImportDateFrom) newParams.set('filterImportDateFrom', restoredFilterImportDateFrom);
-        if (restoredFilterImportDateTo) newParams.set('filterImportDateTo', restoredFilterImportDateTo);
-        if (restoredFilterNoActivity) newParams.set('filterNoActivity', 'true');
-        if (restoredFilterMatchType) newParams.set('filterMatchType', restoredFilterMatchType);
-        if (restoredPage) newParams.set('page', restoredPage);
-        if (restoredKpiChannel) newParams.set('kpiChannel', restoredKpiChannel);
-        if (restoredKpiMetric) newParams.set('kpiMetric', restoredKpiMetric);
-        if (restoredKpiOpen) newParams.set('kpiOpen', '1');
-        
-        // Restore ContactFilter params
-        if (restoredFilterKeywords) newParams.set('filterKeywords', restoredFilterKeywords);
-        if (restoredFilterCity) newParams.set('filterCity', restoredFilterCity);
-        if (restoredFilterState) newParams.set('filterState', restoredFilterState);
-        if (restoredFilterCountry) newParams.set('filterCountry', restoredFilterCountry);
-        if (restoredFilterHasLinkedIn) newParams.set('filterHasLinkedIn', restoredFilterHasLinkedIn);
-        if (restoredFilterHasEmail) newParams.set('filterHasEmail', restoredFilterHasEmail);
-        if (restoredFilterHasPhone) newParams.set('filterHasPhone', restoredFilterHasPhone);
-        
-        // Update URL with restored filters FIRST - this prevents other useEffects from resetting
-        setSearchParams(newParams, { replace: true });
-        
-        // Then update filter states - this will trigger the sync useEffect but URL is already set
-        setSearchQuery(restoredSearch);
-        setDebouncedSearchQuery(restoredSearch);
-        setQuickFilter(restoredQuickFilter);
-        setFilterStatus(restoredFilterStatus);
-        setFilterActionDate(restoredFilterActionDate);
-        setFilterActionDateFrom(restoredFilterActionDateFrom);
-        setFilterActionDateTo(restoredFilterActionDateTo);
-        setFilterLastInteraction(restoredFilterLastInteraction);
-        setFilterLastInteractionFrom(restoredFilterLastInteractionFrom);
-        setFilterLastInteractionTo(restoredFilterLastInteractionTo);
-        setFilterImportDate(restoredFilterImportDate);
-        setFilterImportDateFrom(restoredFilterImportDateFrom);
-        setFilterImportDateTo(restoredFilterImportDateTo);
-        setFilterNoActivity(restoredFilterNoActivity);
-        setFilterMatchType(restoredFilterMatchType);
-        
-        // Restore page number
-        const pageNum = parseInt(restoredPage, 10);
-        if (pageNum >= 1 && pageNum !== contactsPage) {
-          setContactsPage(pageNum);
-        }
-        
-        // Restore KPI filter if present
-        if (restoredKpiChannel && restoredKpiMetric) {
-          setFilterKpi({ channel: restoredKpiChannel, metric: restoredKpiMetric });
-          if (restoredKpiOpen) {
-            setKpiProspectModal({ isOpen: true, filter: { channel: restoredKpiChannel, metric: restoredKpiMetric } });
-          }
-        }
+        applyFilterParams(returnToParams);
       } catch (error) {
         console.error('Error parsing returnTo URL:', error);
         // If parsing fails, just remove returnTo param
@@ -446,6 +524,7 @@ export default function ProjectDetail() {
         !!searchParams.get('filterHasLinkedIn') ||
         !!searchParams.get('filterHasEmail') ||
         !!searchParams.get('filterHasPhone') ||
+        !!searchParams.get('view') ||
         returningFromActivityHistoryRef.current;
 
       if (!hasAnyUrlState) {
@@ -1306,46 +1385,7 @@ export default function ProjectDetail() {
   };
 
   const getStageBadge = (stage) => {
-    const stageConfig = {
-      // Call statuses
-      'Ring': { bg: 'bg-yellow-100', text: 'text-yellow-800' },
-      'Busy': { bg: 'bg-orange-100', text: 'text-orange-800' },
-      'Call Back': { bg: 'bg-amber-100', text: 'text-amber-800' },
-      'Hang Up': { bg: 'bg-red-100', text: 'text-red-800' },
-      'Switch Off': { bg: 'bg-gray-100', text: 'text-gray-800' },
-      'Invalid': { bg: 'bg-red-100', text: 'text-red-800' },
-      'Future': { bg: 'bg-blue-100', text: 'text-blue-800' },
-      'Existing': { bg: 'bg-indigo-100', text: 'text-indigo-800' },
-      'Interested': { bg: 'bg-green-100', text: 'text-green-800' },
-      'Not Interested': { bg: 'bg-red-100', text: 'text-red-800' },
-      'Details Shared': { bg: 'bg-cyan-100', text: 'text-cyan-800' },
-      'Demo Booked': { bg: 'bg-purple-100', text: 'text-purple-800' },
-      'Demo Completed': { bg: 'bg-emerald-100', text: 'text-emerald-800' },
-      // Email and LinkedIn statuses
-      'CIP': { bg: 'bg-blue-100', text: 'text-blue-800' },
-      'No Reply': { bg: 'bg-gray-100', text: 'text-gray-800' },
-      'Out of Office': { bg: 'bg-gray-100', text: 'text-gray-800' },
-      'Meeting Proposed': { bg: 'bg-yellow-100', text: 'text-yellow-800' },
-      'Meeting Scheduled': { bg: 'bg-cyan-100', text: 'text-cyan-800' },
-      'In-Person Meeting': { bg: 'bg-indigo-100', text: 'text-indigo-800' },
-      'Meeting Completed': { bg: 'bg-green-100', text: 'text-green-800' },
-      'SQL': { bg: 'bg-emerald-100', text: 'text-emerald-800' },
-      'Tech Discussion': { bg: 'bg-purple-100', text: 'text-purple-800' },
-      'WON': { bg: 'bg-green-200', text: 'text-green-900', border: 'border-2 border-green-400' },
-      'Lost': { bg: 'bg-red-200', text: 'text-red-900', border: 'border-2 border-red-400' },
-      'Low Potential - Open': { bg: 'bg-orange-100', text: 'text-orange-800' },
-      'Potential Future': { bg: 'bg-teal-100', text: 'text-teal-800' },
-      'Wrong Person': { bg: 'bg-red-100', text: 'text-red-800' },
-      'Bounce': { bg: 'bg-red-100', text: 'text-red-800' },
-      'Opt-Out': { bg: 'bg-red-100', text: 'text-red-800' },
-      // Legacy stages for backward compatibility
-      'New': { bg: 'bg-blue-100', text: 'text-blue-800' },
-      'Contacted': { bg: 'bg-purple-100', text: 'text-purple-800' },
-      'Qualified': { bg: 'bg-green-100', text: 'text-green-800' },
-      'Proposal': { bg: 'bg-yellow-100', text: 'text-yellow-800' },
-      'Negotiation': { bg: 'bg-orange-100', text: 'text-orange-800' }
-    };
-    const config = stageConfig[stage] || { bg: 'bg-gray-100', text: 'text-gray-800' };
+    const config = getStatusStyle(statusSchema, stage || 'New');
     return (
       <span className={`inline-flex items-center justify-center px-2.5 py-1 text-xs font-medium rounded-full whitespace-nowrap ${config.bg} ${config.text} ${config.border || ''}`}>
         {stage || 'New'}
@@ -1815,153 +1855,7 @@ export default function ProjectDetail() {
         return false;
       });
 
-      let hasMatchingActivity = false;
-      
-      if (filterKpi.channel === 'linkedin') {
-        // Backend uses type: 'linkedin'
-        const linkedinActivities = contactActivities.filter(a => a.type === 'linkedin');
-        if (filterKpi.metric === 'connectionSent') {
-          hasMatchingActivity = linkedinActivities.some(a => a.lnRequestSent === true || a.lnRequestSent === 'Yes');
-        } else if (filterKpi.metric === 'accepted') {
-          hasMatchingActivity = linkedinActivities.some(a => a.connected === true || a.connected === 'Yes');
-        } else if (filterKpi.metric === 'followUps') {
-          hasMatchingActivity = linkedinActivities.length > 1;
-        } else if (filterKpi.metric === 'cip') {
-          hasMatchingActivity = linkedinActivities.some(a => 
-            a.status && (a.status === 'CIP' || a.status === 'Conversations in Progress')
-          );
-        } else if (filterKpi.metric === 'meetingProposed') {
-          hasMatchingActivity = linkedinActivities.some(a => a.status === 'Meeting Proposed');
-        } else if (filterKpi.metric === 'scheduled') {
-          hasMatchingActivity = linkedinActivities.some(a => a.status === 'Meeting Scheduled');
-        } else if (filterKpi.metric === 'completed') {
-          hasMatchingActivity = linkedinActivities.some(a => a.status === 'Meeting Completed');
-        } else if (filterKpi.metric === 'sql') {
-          hasMatchingActivity = contact.stage === 'SQL';
-        } else if (filterKpi.metric === 'win') {
-          hasMatchingActivity = contact.stage === 'WON';
-        }
-        // Legacy metrics
-        else if (filterKpi.metric === 'connectionRequestsSent') {
-          hasMatchingActivity = linkedinActivities.some(a => a.lnRequestSent === true || a.lnRequestSent === 'Yes');
-        } else if (filterKpi.metric === 'connectionAcceptanceRate') {
-          hasMatchingActivity = linkedinActivities.some(a => a.connected === true || a.connected === 'Yes');
-        } else if (filterKpi.metric === 'messagesSent') {
-          hasMatchingActivity = linkedinActivities.some(a => a.status && a.status !== '');
-        } else if (filterKpi.metric === 'messageReplyRate') {
-          hasMatchingActivity = linkedinActivities.some(a => 
-            a.status && ['Meeting Proposed', 'Meeting Scheduled', 'Meeting Completed', 'SQL', 'Tech Discussion'].includes(a.status)
-          );
-        } else if (filterKpi.metric === 'meetingsBooked') {
-          hasMatchingActivity = linkedinActivities.some(a => 
-            a.status && ['Meeting Scheduled', 'Meeting Completed', 'In-Person Meeting'].includes(a.status)
-          );
-        }
-      } else if (filterKpi.channel === 'call') {
-        // Backend uses type: 'call' and callStatus field (not status)
-        const callActivities = contactActivities.filter(a => a.type === 'call');
-        if (filterKpi.metric === 'allProspects') {
-          // Show all prospects (no filtering)
-          hasMatchingActivity = true;
-        } else if (filterKpi.metric === 'callsAttempted') {
-          // All call activities
-          hasMatchingActivity = callActivities.length > 0;
-        } else if (filterKpi.metric === 'totalCalls') {
-          // Total Calls = total call activities (backend: callsMade)
-          hasMatchingActivity = callActivities.length > 0;
-        } else if (filterKpi.metric === 'callsConnected') {
-          // Calls that were answered (not Ring, Busy, Switch Off, Invalid, Hang Up)
-          hasMatchingActivity = callActivities.some(a => 
-            a.callStatus && !['Ring', 'Busy', 'Switch Off', 'Invalid', 'Hang Up'].includes(a.callStatus)
-          );
-        } else if (filterKpi.metric === 'decisionMakerReached') {
-          // Calls that reached decision maker (answered and not Not Interested)
-          hasMatchingActivity = callActivities.some(a => 
-            a.callStatus && !['Ring', 'Busy', 'Switch Off', 'Invalid', 'Hang Up', 'Not Interested'].includes(a.callStatus)
-          );
-        } else if (filterKpi.metric === 'interested') {
-          hasMatchingActivity = callActivities.some(a => a.callStatus === 'Interested');
-        } else if (filterKpi.metric === 'notInterested') {
-          hasMatchingActivity = callActivities.some(a => a.callStatus === 'Not Interested');
-        } else if (filterKpi.metric === 'detailsShared') {
-          hasMatchingActivity = callActivities.some(a => a.callStatus === 'Details Shared');
-        } else if (filterKpi.metric === 'demoBooked') {
-          hasMatchingActivity = callActivities.some(a => a.callStatus === 'Demo Booked');
-        } else if (filterKpi.metric === 'demoCompleted') {
-          hasMatchingActivity = callActivities.some(a => a.callStatus === 'Demo Completed');
-        } else if (filterKpi.metric === 'sql') {
-          // Check project contact stage
-          hasMatchingActivity = contact.stage === 'SQL';
-        } else if (filterKpi.metric === 'won') {
-          // Check project contact stage
-          hasMatchingActivity = contact.stage === 'WON';
-        } else if (filterKpi.metric === 'callsMade') {
-          // Legacy support
-          hasMatchingActivity = callActivities.length > 0;
-        } else if (filterKpi.metric === 'callAnswerRate') {
-          // Legacy support
-          hasMatchingActivity = callActivities.some(a => 
-            a.callStatus && !['Ring', 'Busy', 'Switch Off', 'Invalid', 'Hang Up'].includes(a.callStatus)
-          );
-        } else if (filterKpi.metric === 'callInterestedRate') {
-          // Legacy support
-          hasMatchingActivity = callActivities.some(a => 
-            a.callStatus && ['Interested', 'Details Shared', 'Demo Booked', 'Demo Completed'].includes(a.callStatus)
-          );
-        } else if (filterKpi.metric === 'meetingsBooked') {
-          // Legacy support
-          hasMatchingActivity = callActivities.some(a => 
-            a.callStatus && ['Demo Booked', 'Demo Completed'].includes(a.callStatus)
-          );
-        }
-      } else if (filterKpi.channel === 'email') {
-        // Backend uses type: 'email'
-        const emailActivities = contactActivities.filter(a => a.type === 'email');
-        if (filterKpi.metric === 'emailsSent') {
-          // Backend counts all email activities
-          hasMatchingActivity = emailActivities.length > 0;
-        } else if (filterKpi.metric === 'accepted') {
-          // Accepted: emails that were opened (not bounced, opt-out, or no reply)
-          hasMatchingActivity = emailActivities.some(a => 
-            a.status && a.status !== 'Bounce' && a.status !== 'Opt-Out' && a.status !== 'No Reply'
-          );
-        } else if (filterKpi.metric === 'followups') {
-          // Followups: contacts with more than 1 email activity
-          hasMatchingActivity = emailActivities.length > 1;
-        } else if (filterKpi.metric === 'cip') {
-          // CIP: Conversations in Progress
-          hasMatchingActivity = emailActivities.some(a => 
-            a.status && (a.status === 'CIP' || a.status === 'Conversations in Progress')
-          );
-        } else if (filterKpi.metric === 'meetingProposed') {
-          hasMatchingActivity = emailActivities.some(a => a.status === 'Meeting Proposed');
-        } else if (filterKpi.metric === 'scheduled') {
-          hasMatchingActivity = emailActivities.some(a => a.status === 'Meeting Scheduled');
-        } else if (filterKpi.metric === 'completed') {
-          hasMatchingActivity = emailActivities.some(a => a.status === 'Meeting Completed');
-        } else if (filterKpi.metric === 'sql') {
-          // SQL: check project contact stage
-          hasMatchingActivity = contact.stage === 'SQL';
-        } else if (filterKpi.metric === 'emailBounce') {
-          hasMatchingActivity = emailActivities.some(a => a.status === 'Bounce');
-        }
-        // Legacy metrics (for backward compatibility)
-        else if (filterKpi.metric === 'emailOpenRate') {
-          hasMatchingActivity = emailActivities.some(a => 
-            a.status && a.status !== 'Bounce' && a.status !== 'Opt-Out' && a.status !== 'No Reply'
-          );
-        } else if (filterKpi.metric === 'emailReplyRate') {
-          hasMatchingActivity = emailActivities.some(a => 
-            a.status && ['Meeting Proposed', 'Meeting Scheduled', 'Meeting Completed', 'SQL', 'Tech Discussion'].includes(a.status)
-          );
-        } else if (filterKpi.metric === 'meetingsBooked') {
-          hasMatchingActivity = emailActivities.some(a => 
-            a.status && ['Meeting Scheduled', 'Meeting Completed', 'In-Person Meeting'].includes(a.status)
-          );
-        }
-      }
-      
-      if (!hasMatchingActivity) return false;
+      if (!matchesKpiMetric(filterKpi.channel, filterKpi.metric, contact, contactActivities, statusSchema)) return false;
     }
 
     // Quick filters
@@ -2006,7 +1900,7 @@ export default function ProjectDetail() {
       }
       return 0;
     });
-  }, [contacts, debouncedSearchQuery, quickFilter, filterStatus, filterActionDate, filterActionDateFrom, filterActionDateTo, filterLastInteraction, filterLastInteractionFrom, filterLastInteractionTo, filterImportDate, filterImportDateFrom, filterImportDateTo, filterNoActivity, filterMatchType, filterKpi, allProjectActivities, project, activityLookups, id, sortBy, sortOrder]);
+  }, [contacts, debouncedSearchQuery, quickFilter, filterStatus, filterActionDate, filterActionDateFrom, filterActionDateTo, filterLastInteraction, filterLastInteractionFrom, filterLastInteractionTo, filterImportDate, filterImportDateFrom, filterImportDateTo, filterNoActivity, filterMatchType, filterKpi, allProjectActivities, project, statusSchema, activityLookups, id, sortBy, sortOrder]);
 
   // When filters/search active: paginate over filtered results (slice). Otherwise use filteredContacts as-is (one API page).
   const { paginatedFilteredContacts, filteredTotal, filteredTotalPages } = useMemo(() => {
@@ -2027,6 +1921,49 @@ export default function ProjectDetail() {
     };
   }, [filteredContacts, hasFiltersOrSearch, contactsPage, contactsTotal, contactsTotalPages]);
 
+  // Prospect export: contact fields plus the status and follow-up columns shown in the table
+  const prospectExportColumns = useMemo(() => {
+    const lookup = (map, contact) => map.get(contact._id?.toString ? contact._id.toString() : String(contact._id)) || null;
+    return [
+      ...CONTACT_EXPORT_COLUMNS.filter(column => column.key !== 'category'),
+      { key: 'status', label: 'Status', value: c => lookup(activityLookups.latestActivityStatusByContactId, c)?.status || c.stage || 'New' },
+      { key: 'lastInteraction', label: 'Last Interaction', value: c => { const a = lookup(activityLookups.lastActivityByContactId, c); return a ? getActivityDate(a) : null; } },
+      { key: 'nextAction', label: 'Next Action', value: c => lookup(activityLookups.nextActionByContactId, c)?.nextAction },
+      { key: 'nextActionDate', label: 'Next Action Date', value: c => { const a = lookup(activityLookups.nextActionByContactId, c); return a?.nextActionDate ? new Date(a.nextActionDate) : null; } },
+      { key: 'assignedTo', label: 'Assigned To', value: c => c.assignedTo || project?.assignedTo }
+    ];
+  }, [activityLookups, project]);
+
+  // With filters or search active every matching prospect is already loaded; otherwise the table
+  // only holds one page, so page through the project's prospects in the table's sort order
+  const fetchProspectsForExport = async ({ onProgress, shouldStop }) => {
+    if (hasFiltersOrSearch) return filteredContacts;
+    const rows = await fetchAllPages(async (page, limit) => {
+      const response = await API.get(`/projects/${id}/project-contacts?page=${page}&limit=${limit}`);
+      const pagination = response.data.pagination || {};
+      return { rows: response.data.data || [], total: pagination.total, totalPages: pagination.totalPages };
+    }, { onProgress, shouldStop });
+    const unique = new Map();
+    rows.forEach(contact => {
+      const contactIdStr = contact._id?.toString ? contact._id.toString() : String(contact._id);
+      if (!contactIdStr || deletedContactIds.has(contactIdStr)) return;
+      if (!unique.has(contactIdStr) || (contact.projectContactId && !unique.get(contactIdStr).projectContactId)) {
+        unique.set(contactIdStr, contact);
+      }
+    });
+    const prospects = Array.from(unique.values());
+    if (sortBy === 'name') {
+      prospects.sort((a, b) => (sortOrder === 'asc' ? 1 : -1) * (a.name || '').toLowerCase().localeCompare((b.name || '').toLowerCase()));
+    }
+    return prospects;
+  };
+
+  // Cadence position for the prospects on the current page
+  const cadenceProgressByContactId = useMemo(
+    () => buildCadenceProgress(cadence, paginatedFilteredContacts, allProjectActivities, getContactImportDate),
+    [cadence, paginatedFilteredContacts, allProjectActivities]
+  );
+
   // State to store all contacts for KPI filtering (not paginated)
   const [allContactsForKpi, setAllContactsForKpi] = useState([]);
   const [loadingAllContactsForKpi, setLoadingAllContactsForKpi] = useState(false);
@@ -2141,604 +2078,12 @@ export default function ProjectDetail() {
           return false; // No activities found for this contact
         }
         
-        // Use fallback activities for this check
-        const fallbackLinkedinActivities = fallbackActivities.filter(a => a.type === 'linkedin');
-        const fallbackCallActivities = fallbackActivities.filter(a => a.type === 'call');
-        const fallbackEmailActivities = fallbackActivities.filter(a => a.type === 'email');
-        
-        let hasMatchingActivity = false;
-        
-        if (kpiFilter.channel === 'linkedin') {
-          if (kpiFilter.metric === 'connectionSent') {
-            hasMatchingActivity = fallbackLinkedinActivities.some(a => a.lnRequestSent === true || a.lnRequestSent === 'Yes');
-          } else if (kpiFilter.metric === 'accepted') {
-            hasMatchingActivity = fallbackLinkedinActivities.some(a => a.connected === true || a.connected === 'Yes');
-          } else if (kpiFilter.metric === 'followUps') {
-            hasMatchingActivity = fallbackLinkedinActivities.length > 1;
-          } else if (kpiFilter.metric === 'followups' || kpiFilter.metric === 'todayFollowups' || kpiFilter.metric === 'tomorrowFollowups' || kpiFilter.metric === 'missedFollowups') {
-            const now = new Date();
-            const today = new Date(now);
-            today.setHours(0, 0, 0, 0);
-            const tomorrow = new Date(today);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            const dayAfterTomorrow = new Date(tomorrow);
-            dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 1);
-
-            if (kpiFilter.metric === 'missedFollowups') {
-              // For missed follow-ups, check only the most recent activity's nextActionDate
-              if (fallbackLinkedinActivities.length === 0) return false;
-              // Sort by date (most recent first)
-              const sortedActivities = [...fallbackLinkedinActivities].sort((a, b) => {
-                const dateA = getActivityDate(a);
-                const dateB = getActivityDate(b);
-                return dateB - dateA; // Most recent first
-              });
-              const mostRecentActivity = sortedActivities[0];
-              if (!mostRecentActivity || !mostRecentActivity.nextActionDate) return false;
-              try {
-                const d = new Date(mostRecentActivity.nextActionDate);
-                if (isNaN(d.getTime())) return false; // Invalid date
-                d.setHours(0, 0, 0, 0);
-                hasMatchingActivity = d < today;
-              } catch (dateError) {
-                console.error('Error parsing nextActionDate for LinkedIn activity:', dateError, mostRecentActivity);
-                return false;
-              }
-            } else {
-              hasMatchingActivity = fallbackLinkedinActivities.some(a => {
-                if (!a.nextActionDate) return false;
-                try {
-                  const d = new Date(a.nextActionDate);
-                  if (isNaN(d.getTime())) return false; // Invalid date
-                  d.setHours(0, 0, 0, 0);
-                  if (kpiFilter.metric === 'followups') {
-                    // Show all follow-ups (today, tomorrow, or missed)
-                    return true;
-                  } else if (kpiFilter.metric === 'todayFollowups') {
-                    return d >= today && d < tomorrow;
-                  } else if (kpiFilter.metric === 'tomorrowFollowups') {
-                    return d >= tomorrow && d < dayAfterTomorrow;
-                  }
-                  return false;
-                } catch (dateError) {
-                  console.error('Error parsing nextActionDate for LinkedIn activity:', dateError, a);
-                  return false;
-                }
-              });
-            }
-          } else if (kpiFilter.metric === 'cip') {
-            hasMatchingActivity = fallbackLinkedinActivities.some(a => 
-              a.status && (a.status === 'CIP' || a.status === 'Conversations in Progress')
-            );
-          } else if (kpiFilter.metric === 'meetingProposed') {
-            hasMatchingActivity = fallbackLinkedinActivities.some(a => a.status === 'Meeting Proposed');
-          } else if (kpiFilter.metric === 'scheduled') {
-            hasMatchingActivity = fallbackLinkedinActivities.some(a => a.status === 'Meeting Scheduled');
-          } else if (kpiFilter.metric === 'completed') {
-            hasMatchingActivity = fallbackLinkedinActivities.some(a => a.status === 'Meeting Completed');
-          } else if (kpiFilter.metric === 'sql') {
-            hasMatchingActivity = contact.stage === 'SQL';
-          } else if (kpiFilter.metric === 'win') {
-            hasMatchingActivity = contact.stage === 'WON';
-          }
-          // Legacy metrics
-          else if (kpiFilter.metric === 'connectionRequestsSent') {
-            hasMatchingActivity = fallbackLinkedinActivities.some(a => a.lnRequestSent === true || a.lnRequestSent === 'Yes');
-          } else if (kpiFilter.metric === 'connectionAcceptanceRate') {
-            hasMatchingActivity = fallbackLinkedinActivities.some(a => a.connected === true || a.connected === 'Yes');
-          } else if (kpiFilter.metric === 'messagesSent') {
-            hasMatchingActivity = fallbackLinkedinActivities.some(a => a.status && a.status !== '');
-          } else if (kpiFilter.metric === 'messageReplyRate') {
-            hasMatchingActivity = fallbackLinkedinActivities.some(a => 
-              a.status && ['Meeting Proposed', 'Meeting Scheduled', 'Meeting Completed', 'SQL', 'Tech Discussion'].includes(a.status)
-            );
-          } else if (kpiFilter.metric === 'meetingsBooked') {
-            hasMatchingActivity = fallbackLinkedinActivities.some(a => 
-              a.status && ['Meeting Scheduled', 'Meeting Completed', 'In-Person Meeting'].includes(a.status)
-            );
-          }
-        } else if (kpiFilter.channel === 'call') {
-          if (kpiFilter.metric === 'allProspects') {
-            hasMatchingActivity = true;
-          } else if (kpiFilter.metric === 'callsAttempted') {
-            hasMatchingActivity = fallbackCallActivities.length > 0;
-          } else if (kpiFilter.metric === 'callsConnected') {
-            hasMatchingActivity = fallbackCallActivities.some(a => 
-              a.callStatus && !['Ring', 'Busy', 'Switch Off', 'Invalid', 'Hang Up'].includes(a.callStatus)
-            );
-          } else if (kpiFilter.metric === 'decisionMakerReached') {
-            hasMatchingActivity = fallbackCallActivities.some(a => 
-              a.callStatus && !['Ring', 'Busy', 'Switch Off', 'Invalid', 'Hang Up', 'Not Interested'].includes(a.callStatus)
-            );
-          } else if (kpiFilter.metric === 'interested') {
-            hasMatchingActivity = fallbackCallActivities.some(a => a.callStatus === 'Interested');
-          } else if (kpiFilter.metric === 'notInterested') {
-            hasMatchingActivity = fallbackCallActivities.some(a => a.callStatus === 'Not Interested');
-          } else if (kpiFilter.metric === 'detailsShared') {
-            hasMatchingActivity = fallbackCallActivities.some(a => a.callStatus === 'Details Shared');
-          } else if (kpiFilter.metric === 'demoBooked') {
-            hasMatchingActivity = fallbackCallActivities.some(a => a.callStatus === 'Demo Booked');
-          } else if (kpiFilter.metric === 'demoCompleted') {
-            hasMatchingActivity = fallbackCallActivities.some(a => a.callStatus === 'Demo Completed');
-          } else if (kpiFilter.metric === 'sql') {
-            hasMatchingActivity = contact.stage === 'SQL';
-          } else if (kpiFilter.metric === 'won') {
-            hasMatchingActivity = contact.stage === 'WON';
-          } else if (kpiFilter.metric === 'followups' || kpiFilter.metric === 'todayFollowups' || kpiFilter.metric === 'tomorrowFollowups' || kpiFilter.metric === 'missedFollowups') {
-            const now = new Date();
-            const today = new Date(now);
-            today.setHours(0, 0, 0, 0);
-            const tomorrow = new Date(today);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            const dayAfterTomorrow = new Date(tomorrow);
-            dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 1);
-
-            if (kpiFilter.metric === 'missedFollowups') {
-              // For missed follow-ups, check only the most recent activity's nextActionDate
-              if (fallbackCallActivities.length === 0) return false;
-              // Sort by date (most recent first)
-              const sortedActivities = [...fallbackCallActivities].sort((a, b) => {
-                const dateA = getActivityDate(a);
-                const dateB = getActivityDate(b);
-                return dateB - dateA; // Most recent first
-              });
-              const mostRecentActivity = sortedActivities[0];
-              if (!mostRecentActivity || !mostRecentActivity.nextActionDate) return false;
-              try {
-                const d = new Date(mostRecentActivity.nextActionDate);
-                if (isNaN(d.getTime())) return false; // Invalid date
-                d.setHours(0, 0, 0, 0);
-                hasMatchingActivity = d < today;
-              } catch (dateError) {
-                console.error('Error parsing nextActionDate for Call activity:', dateError, mostRecentActivity);
-                return false;
-              }
-            } else {
-              hasMatchingActivity = fallbackCallActivities.some(a => {
-                if (!a.nextActionDate) return false;
-                try {
-                  const d = new Date(a.nextActionDate);
-                  if (isNaN(d.getTime())) return false; // Invalid date
-                  d.setHours(0, 0, 0, 0);
-                  if (kpiFilter.metric === 'followups') {
-                    // Show all follow-ups (today, tomorrow, or missed)
-                    return true;
-                  } else if (kpiFilter.metric === 'todayFollowups') {
-                    return d >= today && d < tomorrow;
-                  } else if (kpiFilter.metric === 'tomorrowFollowups') {
-                    return d >= tomorrow && d < dayAfterTomorrow;
-                  }
-                  return false;
-                } catch (dateError) {
-                  console.error('Error parsing nextActionDate for Call activity:', dateError, a);
-                  return false;
-                }
-              });
-            }
-          }
-        } else if (kpiFilter.channel === 'email') {
-          if (kpiFilter.metric === 'followups' || kpiFilter.metric === 'todayFollowups' || kpiFilter.metric === 'tomorrowFollowups' || kpiFilter.metric === 'missedFollowups') {
-            const now = new Date();
-            const today = new Date(now);
-            today.setHours(0, 0, 0, 0);
-            const tomorrow = new Date(today);
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            const dayAfterTomorrow = new Date(tomorrow);
-            dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 1);
-
-            if (kpiFilter.metric === 'missedFollowups') {
-              // For missed follow-ups, check only the most recent activity's nextActionDate
-              if (fallbackEmailActivities.length === 0) return false;
-              // Sort by date (most recent first)
-              const sortedActivities = [...fallbackEmailActivities].sort((a, b) => {
-                const dateA = getActivityDate(a);
-                const dateB = getActivityDate(b);
-                return dateB - dateA; // Most recent first
-              });
-              const mostRecentActivity = sortedActivities[0];
-              if (!mostRecentActivity || !mostRecentActivity.nextActionDate) return false;
-              try {
-                const d = new Date(mostRecentActivity.nextActionDate);
-                if (isNaN(d.getTime())) return false; // Invalid date
-                d.setHours(0, 0, 0, 0);
-                hasMatchingActivity = d < today;
-              } catch (dateError) {
-                console.error('Error parsing nextActionDate for Email activity:', dateError, mostRecentActivity);
-                return false;
-              }
-            } else {
-              hasMatchingActivity = fallbackEmailActivities.some(a => {
-                if (!a.nextActionDate) return false;
-                try {
-                  const d = new Date(a.nextActionDate);
-                  if (isNaN(d.getTime())) return false; // Invalid date
-                  d.setHours(0, 0, 0, 0);
-                  if (kpiFilter.metric === 'followups') {
-                    // Show all follow-ups (today, tomorrow, or missed)
-                    return true;
-                  } else if (kpiFilter.metric === 'todayFollowups') {
-                    return d >= today && d < tomorrow;
-                  } else if (kpiFilter.metric === 'tomorrowFollowups') {
-                    return d >= tomorrow && d < dayAfterTomorrow;
-                  }
-                  return false;
-                } catch (dateError) {
-                  console.error('Error parsing nextActionDate for Email activity:', dateError, a);
-                  return false;
-                }
-              });
-            }
-          } else if (kpiFilter.metric === 'emailsSent') {
-            hasMatchingActivity = fallbackEmailActivities.length > 0;
-          } else if (kpiFilter.metric === 'accepted') {
-            hasMatchingActivity = fallbackEmailActivities.some(a => 
-              a.status && a.status !== 'Bounce' && a.status !== 'Opt-Out' && a.status !== 'No Reply'
-            );
-          } else if (kpiFilter.metric === 'cip') {
-            hasMatchingActivity = fallbackEmailActivities.some(a => 
-              a.status && (a.status === 'CIP' || a.status === 'Conversations in Progress')
-            );
-          } else if (kpiFilter.metric === 'meetingProposed') {
-            hasMatchingActivity = fallbackEmailActivities.some(a => a.status === 'Meeting Proposed');
-          } else if (kpiFilter.metric === 'scheduled') {
-            hasMatchingActivity = fallbackEmailActivities.some(a => a.status === 'Meeting Scheduled');
-          } else if (kpiFilter.metric === 'completed') {
-            hasMatchingActivity = fallbackEmailActivities.some(a => a.status === 'Meeting Completed');
-          } else if (kpiFilter.metric === 'sql') {
-            hasMatchingActivity = contact.stage === 'SQL';
-          } else if (kpiFilter.metric === 'emailBounce') {
-            hasMatchingActivity = fallbackEmailActivities.some(a => a.status === 'Bounce');
-          }
-          // Legacy metrics (for backward compatibility)
-          else if (kpiFilter.metric === 'emailOpenRate') {
-            hasMatchingActivity = fallbackEmailActivities.some(a => 
-              a.status && a.status !== 'Bounce' && a.status !== 'Opt-Out' && a.status !== 'No Reply'
-            );
-          } else if (kpiFilter.metric === 'emailReplyRate') {
-            hasMatchingActivity = fallbackEmailActivities.some(a => 
-              a.status && ['Meeting Proposed', 'Meeting Scheduled', 'Meeting Completed', 'SQL', 'Tech Discussion'].includes(a.status)
-            );
-          } else if (kpiFilter.metric === 'meetingsBooked') {
-            hasMatchingActivity = fallbackEmailActivities.some(a => 
-              a.status && ['Meeting Scheduled', 'Meeting Completed', 'In-Person Meeting'].includes(a.status)
-            );
-          }
-        }
-        
-        return hasMatchingActivity;
+        return matchesKpiMetric(kpiFilter.channel, kpiFilter.metric, contact, fallbackActivities, statusSchema)
+          ?? matchesFollowUpKpi(kpiFilter.metric, fallbackActivities.filter(a => a.type === kpiFilter.channel));
       }
 
-      let hasMatchingActivity = false;
-      
-      if (kpiFilter.channel === 'linkedin') {
-        // Backend uses type: 'linkedin'
-        const linkedinActivities = contactActivities.filter(a => a.type === 'linkedin');
-        if (kpiFilter.metric === 'connectionSent') {
-          // Backend checks: lnRequestSent === true or 'Yes'
-          hasMatchingActivity = linkedinActivities.some(a => a.lnRequestSent === true || a.lnRequestSent === 'Yes');
-        } else if (kpiFilter.metric === 'accepted') {
-          // Backend checks: connected === true or 'Yes'
-          hasMatchingActivity = linkedinActivities.some(a => a.connected === true || a.connected === 'Yes');
-        } else if (kpiFilter.metric === 'followUps') {
-          // Backend checks: more than 1 LinkedIn activity for this contact
-          hasMatchingActivity = linkedinActivities.length > 1;
-        } else if (kpiFilter.metric === 'cip') {
-          // Backend checks: status === 'CIP' or 'Conversations in Progress'
-          hasMatchingActivity = linkedinActivities.some(a => 
-            a.status && (a.status === 'CIP' || a.status === 'Conversations in Progress')
-          );
-        } else if (kpiFilter.metric === 'meetingProposed') {
-          // Backend checks: status === 'Meeting Proposed'
-          hasMatchingActivity = linkedinActivities.some(a => a.status === 'Meeting Proposed');
-        } else if (kpiFilter.metric === 'scheduled') {
-          // Backend checks: status === 'Meeting Scheduled'
-          hasMatchingActivity = linkedinActivities.some(a => a.status === 'Meeting Scheduled');
-        } else if (kpiFilter.metric === 'completed') {
-          // Backend checks: status === 'Meeting Completed'
-          hasMatchingActivity = linkedinActivities.some(a => a.status === 'Meeting Completed');
-        } else if (kpiFilter.metric === 'sql') {
-          // Check project contact stage
-          hasMatchingActivity = contact.stage === 'SQL';
-        } else if (kpiFilter.metric === 'win') {
-          // Check project contact stage
-          hasMatchingActivity = contact.stage === 'WON';
-        } else if (kpiFilter.metric === 'followups' || kpiFilter.metric === 'todayFollowups' || kpiFilter.metric === 'tomorrowFollowups' || kpiFilter.metric === 'missedFollowups') {
-          const now = new Date();
-          const today = new Date(now);
-          today.setHours(0, 0, 0, 0);
-          const tomorrow = new Date(today);
-          tomorrow.setDate(tomorrow.getDate() + 1);
-          const dayAfterTomorrow = new Date(tomorrow);
-          dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 1);
-
-          if (kpiFilter.metric === 'missedFollowups') {
-            // For missed follow-ups, check only the most recent activity's nextActionDate
-            if (linkedinActivities.length === 0) {
-              hasMatchingActivity = false;
-            } else {
-              // Sort by date (most recent first)
-              const sortedActivities = [...linkedinActivities].sort((a, b) => {
-                const dateA = getActivityDate(a);
-                const dateB = getActivityDate(b);
-                return dateB - dateA; // Most recent first
-              });
-              const mostRecentActivity = sortedActivities[0];
-              if (!mostRecentActivity || !mostRecentActivity.nextActionDate) {
-                hasMatchingActivity = false;
-              } else {
-                try {
-                  const d = new Date(mostRecentActivity.nextActionDate);
-                  if (isNaN(d.getTime())) {
-                    hasMatchingActivity = false;
-                  } else {
-                    d.setHours(0, 0, 0, 0);
-                    hasMatchingActivity = d < today;
-                  }
-                } catch (dateError) {
-                  console.error('Error parsing nextActionDate for LinkedIn activity:', dateError, mostRecentActivity);
-                  hasMatchingActivity = false;
-                }
-              }
-            }
-          } else {
-            hasMatchingActivity = linkedinActivities.some(a => {
-              if (!a.nextActionDate) return false;
-              try {
-                const d = new Date(a.nextActionDate);
-                if (isNaN(d.getTime())) return false; // Invalid date
-                d.setHours(0, 0, 0, 0);
-                if (kpiFilter.metric === 'followups') {
-                  // Show all follow-ups (today, tomorrow, or missed)
-                  return true;
-                } else if (kpiFilter.metric === 'todayFollowups') {
-                  return d >= today && d < tomorrow;
-                } else if (kpiFilter.metric === 'tomorrowFollowups') {
-                  return d >= tomorrow && d < dayAfterTomorrow;
-                }
-                return false;
-              } catch (dateError) {
-                console.error('Error parsing nextActionDate for LinkedIn activity:', dateError, a);
-                return false;
-              }
-            });
-          }
-        }
-        // Legacy metrics (for backward compatibility)
-        else if (kpiFilter.metric === 'connectionRequestsSent') {
-          hasMatchingActivity = linkedinActivities.some(a => a.lnRequestSent === true || a.lnRequestSent === 'Yes');
-        } else if (kpiFilter.metric === 'connectionAcceptanceRate') {
-          hasMatchingActivity = linkedinActivities.some(a => a.connected === true || a.connected === 'Yes');
-        } else if (kpiFilter.metric === 'messagesSent') {
-          hasMatchingActivity = linkedinActivities.some(a => a.status && a.status !== '');
-        } else if (kpiFilter.metric === 'messageReplyRate') {
-          hasMatchingActivity = linkedinActivities.some(a => 
-            a.status && ['Meeting Proposed', 'Meeting Scheduled', 'Meeting Completed', 'SQL', 'Tech Discussion'].includes(a.status)
-          );
-        } else if (kpiFilter.metric === 'meetingsBooked') {
-          hasMatchingActivity = linkedinActivities.some(a => 
-            a.status && ['Meeting Scheduled', 'Meeting Completed', 'In-Person Meeting'].includes(a.status)
-          );
-        }
-      } else if (kpiFilter.channel === 'call') {
-        // Backend uses type: 'call' and callStatus field (not status)
-        const callActivities = contactActivities.filter(a => a.type === 'call');
-        if (kpiFilter.metric === 'allProspects') {
-          // Show all prospects (no filtering)
-          hasMatchingActivity = true;
-        } else if (kpiFilter.metric === 'callsAttempted') {
-          // All call activities
-          hasMatchingActivity = callActivities.length > 0;
-        } else if (kpiFilter.metric === 'totalCalls') {
-          // Total Calls = total call activities (backend: callsMade)
-          hasMatchingActivity = callActivities.length > 0;
-        } else if (kpiFilter.metric === 'callsConnected') {
-          // Calls that were answered (not Ring, Busy, Switch Off, Invalid, Hang Up)
-          hasMatchingActivity = callActivities.some(a => 
-            a.callStatus && !['Ring', 'Busy', 'Switch Off', 'Invalid', 'Hang Up'].includes(a.callStatus)
-          );
-        } else if (kpiFilter.metric === 'decisionMakerReached') {
-          // Calls that reached decision maker (answered and not Not Interested)
-          hasMatchingActivity = callActivities.some(a => 
-            a.callStatus && !['Ring', 'Busy', 'Switch Off', 'Invalid', 'Hang Up', 'Not Interested'].includes(a.callStatus)
-          );
-        } else if (kpiFilter.metric === 'interested') {
-          hasMatchingActivity = callActivities.some(a => a.callStatus === 'Interested');
-        } else if (kpiFilter.metric === 'notInterested') {
-          hasMatchingActivity = callActivities.some(a => a.callStatus === 'Not Interested');
-        } else if (kpiFilter.metric === 'detailsShared') {
-          hasMatchingActivity = callActivities.some(a => a.callStatus === 'Details Shared');
-        } else if (kpiFilter.metric === 'demoBooked') {
-          hasMatchingActivity = callActivities.some(a => a.callStatus === 'Demo Booked');
-        } else if (kpiFilter.metric === 'demoCompleted') {
-          hasMatchingActivity = callActivities.some(a => a.callStatus === 'Demo Completed');
-        } else if (kpiFilter.metric === 'sql') {
-          // Check project contact stage
-          hasMatchingActivity = contact.stage === 'SQL';
-        } else if (kpiFilter.metric === 'won') {
-          // Check project contact stage
-          hasMatchingActivity = contact.stage === 'WON';
-        } else if (kpiFilter.metric === 'followups' || kpiFilter.metric === 'todayFollowups' || kpiFilter.metric === 'tomorrowFollowups' || kpiFilter.metric === 'missedFollowups') {
-          // Filter by nextActionDate
-          const now = new Date();
-          const today = new Date(now);
-          today.setHours(0, 0, 0, 0);
-          const tomorrow = new Date(today);
-          tomorrow.setDate(tomorrow.getDate() + 1);
-          const dayAfterTomorrow = new Date(tomorrow);
-          dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 1);
-
-          if (kpiFilter.metric === 'missedFollowups') {
-            // For missed follow-ups, check only the most recent activity's nextActionDate
-            if (callActivities.length === 0) {
-              hasMatchingActivity = false;
-            } else {
-              // Sort by date (most recent first)
-              const sortedActivities = [...callActivities].sort((a, b) => {
-                const dateA = getActivityDate(a);
-                const dateB = getActivityDate(b);
-                return dateB - dateA; // Most recent first
-              });
-              const mostRecentActivity = sortedActivities[0];
-              if (!mostRecentActivity || !mostRecentActivity.nextActionDate) {
-                hasMatchingActivity = false;
-              } else {
-                try {
-                  const d = new Date(mostRecentActivity.nextActionDate);
-                  if (isNaN(d.getTime())) {
-                    hasMatchingActivity = false;
-                  } else {
-                    d.setHours(0, 0, 0, 0);
-                    hasMatchingActivity = d < today;
-                  }
-                } catch (dateError) {
-                  console.error('Error parsing nextActionDate for Call activity:', dateError, mostRecentActivity);
-                  hasMatchingActivity = false;
-                }
-              }
-            }
-          } else {
-            hasMatchingActivity = callActivities.some(a => {
-              if (!a.nextActionDate) return false;
-              try {
-                const d = new Date(a.nextActionDate);
-                if (isNaN(d.getTime())) return false; // Invalid date
-                d.setHours(0, 0, 0, 0);
-                if (kpiFilter.metric === 'followups') {
-                  // Show all follow-ups (today, tomorrow, or missed)
-                  return true;
-                } else if (kpiFilter.metric === 'todayFollowups') {
-                  return d >= today && d < tomorrow;
-                } else if (kpiFilter.metric === 'tomorrowFollowups') {
-                  return d >= tomorrow && d < dayAfterTomorrow;
-                }
-                return false;
-              } catch (dateError) {
-                console.error('Error parsing nextActionDate for Call activity:', dateError, a);
-                return false;
-              }
-            });
-          }
-        } else if (kpiFilter.metric === 'callsMade') {
-          // Legacy support
-          hasMatchingActivity = callActivities.length > 0;
-        } else if (kpiFilter.metric === 'callAnswerRate') {
-          // Legacy support
-          hasMatchingActivity = callActivities.some(a => 
-            a.callStatus && !['Ring', 'Busy', 'Switch Off', 'Invalid', 'Hang Up'].includes(a.callStatus)
-          );
-        } else if (kpiFilter.metric === 'callInterestedRate') {
-          // Legacy support
-          hasMatchingActivity = callActivities.some(a => 
-            a.callStatus && ['Interested', 'Details Shared', 'Demo Booked', 'Demo Completed'].includes(a.callStatus)
-          );
-        } else if (kpiFilter.metric === 'meetingsBooked') {
-          // Legacy support
-          hasMatchingActivity = callActivities.some(a => 
-            a.callStatus && ['Demo Booked', 'Demo Completed'].includes(a.callStatus)
-          );
-        }
-      } else if (kpiFilter.channel === 'email') {
-        // Backend uses type: 'email'
-        const emailActivities = contactActivities.filter(a => a.type === 'email');
-        if (kpiFilter.metric === 'followups' || kpiFilter.metric === 'todayFollowups' || kpiFilter.metric === 'tomorrowFollowups' || kpiFilter.metric === 'missedFollowups') {
-          const now = new Date();
-          const today = new Date(now);
-          today.setHours(0, 0, 0, 0);
-          const tomorrow = new Date(today);
-          tomorrow.setDate(tomorrow.getDate() + 1);
-          const dayAfterTomorrow = new Date(tomorrow);
-          dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 1);
-
-          if (kpiFilter.metric === 'missedFollowups') {
-            // For missed follow-ups, check only the most recent activity's nextActionDate
-            if (emailActivities.length === 0) {
-              hasMatchingActivity = false;
-            } else {
-              // Sort by date (most recent first)
-              const sortedActivities = [...emailActivities].sort((a, b) => {
-                const dateA = getActivityDate(a);
-                const dateB = getActivityDate(b);
-                return dateB - dateA; // Most recent first
-              });
-              const mostRecentActivity = sortedActivities[0];
-              if (!mostRecentActivity || !mostRecentActivity.nextActionDate) {
-                hasMatchingActivity = false;
-              } else {
-                try {
-                  const d = new Date(mostRecentActivity.nextActionDate);
-                  if (isNaN(d.getTime())) {
-                    hasMatchingActivity = false;
-                  } else {
-                    d.setHours(0, 0, 0, 0);
-                    hasMatchingActivity = d < today;
-                  }
-                } catch (dateError) {
-                  console.error('Error parsing nextActionDate for Email activity:', dateError, mostRecentActivity);
-                  hasMatchingActivity = false;
-                }
-              }
-            }
-          } else {
-            hasMatchingActivity = emailActivities.some(a => {
-              if (!a.nextActionDate) return false;
-              try {
-                const d = new Date(a.nextActionDate);
-                if (isNaN(d.getTime())) return false; // Invalid date
-                d.setHours(0, 0, 0, 0);
-                if (kpiFilter.metric === 'followups') {
-                  // Show all follow-ups (today, tomorrow, or missed)
-                  return true;
-                } else if (kpiFilter.metric === 'todayFollowups') {
-                  return d >= today && d < tomorrow;
-                } else if (kpiFilter.metric === 'tomorrowFollowups') {
-                  return d >= tomorrow && d < dayAfterTomorrow;
-                }
-                return false;
-              } catch (dateError) {
-                console.error('Error parsing nextActionDate for Email activity:', dateError, a);
-                return false;
-              }
-            });
-          }
-        } else if (kpiFilter.metric === 'emailsSent') {
-          // Backend counts all email activities
-          hasMatchingActivity = emailActivities.length > 0;
-        } else if (kpiFilter.metric === 'accepted') {
-          hasMatchingActivity = emailActivities.some(a => 
-            a.status && a.status !== 'Bounce' && a.status !== 'Opt-Out' && a.status !== 'No Reply'
-          );
-        } else if (kpiFilter.metric === 'cip') {
-          hasMatchingActivity = emailActivities.some(a => 
-            a.status && (a.status === 'CIP' || a.status === 'Conversations in Progress')
-          );
-        } else if (kpiFilter.metric === 'meetingProposed') {
-          hasMatchingActivity = emailActivities.some(a => a.status === 'Meeting Proposed');
-        } else if (kpiFilter.metric === 'scheduled') {
-          hasMatchingActivity = emailActivities.some(a => a.status === 'Meeting Scheduled');
-        } else if (kpiFilter.metric === 'completed') {
-          hasMatchingActivity = emailActivities.some(a => a.status === 'Meeting Completed');
-        } else if (kpiFilter.metric === 'sql') {
-          hasMatchingActivity = contact.stage === 'SQL';
-        } else if (kpiFilter.metric === 'emailBounce') {
-          hasMatchingActivity = emailActivities.some(a => a.status === 'Bounce');
-        }
-        // Legacy metrics (for backward compatibility)
-        else if (kpiFilter.metric === 'emailOpenRate') {
-          hasMatchingActivity = emailActivities.some(a => 
-            a.status && a.status !== 'Bounce' && a.status !== 'Opt-Out' && a.status !== 'No Reply'
-          );
-        } else if (kpiFilter.metric === 'emailReplyRate') {
-          hasMatchingActivity = emailActivities.some(a => 
-            a.status && ['Meeting Proposed', 'Meeting Scheduled', 'Meeting Completed', 'SQL', 'Tech Discussion'].includes(a.status)
-          );
-        } else if (kpiFilter.metric === 'meetingsBooked') {
-          hasMatchingActivity = emailActivities.some(a => 
-            a.status && ['Meeting Scheduled', 'Meeting Completed', 'In-Person Meeting'].includes(a.status)
-          );
-        }
-      }
-      
-      return hasMatchingActivity;
+      return matchesKpiMetric(kpiFilter.channel, kpiFilter.metric, contact, contactActivities, statusSchema)
+        ?? matchesFollowUpKpi(kpiFilter.metric, contactActivities.filter(a => a.type === kpiFilter.channel));
         } catch (contactError) {
           console.error('Error filtering contact for KPI:', contactError, contact);
           return false; // Exclude this contact if there's an error
@@ -2748,7 +2093,7 @@ export default function ProjectDetail() {
       console.error('Error in getKpiFilteredProspects:', error, kpiFilter);
       return []; // Return empty array on error
     }
-  }, [allContactsForKpi, contacts, activityLookups, allProjectActivities, id]);
+  }, [allContactsForKpi, contacts, activityLookups, allProjectActivities, statusSchema, id]);
 
   // Fetch all contacts when KPI modal opens
   useEffect(() => {
@@ -2818,7 +2163,7 @@ export default function ProjectDetail() {
 
   // Handle remove prospects
   const handleRemoveProspects = async () => {
-    if (selectedContacts.size === 0) return;
+    if (selectedContacts.size === 0 || !canRemoveProspects) return;
 
     setRemoving(true);
     try {
@@ -2836,6 +2181,13 @@ export default function ProjectDetail() {
           return;
         }
         
+        // Removal is soft, so offer an undo (and the trash after that)
+        setUndoRemove({
+          key: Date.now(),
+          contactIds: contactIdsArray,
+          message: deletedCount === 1 ? 'Prospect removed from the project.' : `${deletedCount} prospects removed from the project.`
+        });
+
         // Clear selection
         setSelectedContacts(new Set());
         setShowRemoveConfirmation(false);
@@ -2949,6 +2301,33 @@ export default function ProjectDetail() {
     }
   };
 
+  // Stop hiding restored prospects, then refetch. The refetch runs from an effect so it sees the
+  // updated deletedContactIds instead of this render's copy.
+  const handleProspectsRestored = (contactIds) => {
+    setDeletedContactIds(prev => {
+      const newSet = new Set(prev);
+      contactIds.forEach(contactId => newSet.delete(String(contactId)));
+      return newSet;
+    });
+    setProspectsRestoredAt(Date.now());
+  };
+
+  const handleUndoRemoveProspects = async () => {
+    await API.post(`/projects/${id}/project-contacts/trash/restore`, { contactIds: undoRemove.contactIds });
+    handleProspectsRestored(undoRemove.contactIds);
+  };
+
+  useEffect(() => {
+    if (!prospectsRestoredAt) return;
+    if (showProspectSuggestions) {
+      fetchSimilarContacts();
+    } else {
+      fetchImportedContacts();
+    }
+    fetchAllProjectActivities();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [prospectsRestoredAt]);
+
   // Optimized stats calculation using activityLookups for better performance
   const stats = useMemo(() => {
       const today = new Date();
@@ -3049,6 +2428,50 @@ export default function ProjectDetail() {
               </svg>
             Report
             </button>
+          {enabledActivityTypes.includes('email') && (
+          <button
+            onClick={() => navigate(`/projects/${id}/sequences`)}
+            className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors font-medium text-sm"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z" />
+            </svg>
+            Sequences
+          </button>
+          )}
+          {canShareWithClient && (
+          <button
+            onClick={() => setClientInviteModal(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors font-medium text-sm"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
+            </svg>
+            Share with Client
+          </button>
+          )}
+          {canExportProspects && (
+          <button
+            onClick={() => setShowExport(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors font-medium text-sm"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+            </svg>
+            Export
+          </button>
+          )}
+          {canRemoveProspects && (
+          <button
+            onClick={() => setShowTrash(true)}
+            className="flex items-center gap-2 px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors font-medium text-sm"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+            </svg>
+            Trash
+          </button>
+          )}
           <button 
             onClick={handleToggleProspectSuggestions}
             disabled={!hasICP}
@@ -3071,6 +2494,7 @@ export default function ProjectDetail() {
               </svg>
             )}
           </button>
+          {canImport && (
           <button 
             onClick={() => setBulkImportModal(true)}
             className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-sm"
@@ -3080,6 +2504,7 @@ export default function ProjectDetail() {
             </svg>
             Bulk Import
           </button>
+          )}
         </div>
       </div>
 
@@ -3874,6 +3299,44 @@ export default function ProjectDetail() {
         </div>
       )}
 
+      {/* Interrupted Bulk Log */}
+      {interruptedBulkJob && (() => {
+        const summary = summarizeBulkJob(interruptedBulkJob);
+        const typeLabel = interruptedBulkJob.type === 'call' ? 'call' : interruptedBulkJob.type === 'email' ? 'email' : 'LinkedIn';
+        return (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 mb-6 flex items-center justify-between gap-3">
+            <p className="text-sm text-amber-800">
+              A bulk {typeLabel} log didn't finish: {summary.pending + summary.failed} of {summary.total} prospects still need logging.
+            </p>
+            <button
+              onClick={() => setBulkActivityModal({ isOpen: true, type: interruptedBulkJob.type })}
+              className="px-3 py-1.5 text-xs font-semibold text-amber-800 bg-white border border-amber-300 rounded-lg hover:bg-amber-100"
+            >
+              Review
+            </button>
+          </div>
+        );
+      })()}
+
+      {/* Cadence */}
+      {cadence.length > 0 && (
+      <CadencePanel
+        projectId={id}
+        cadence={cadence}
+        activities={allProjectActivities}
+        getStartDate={getContactImportDate}
+        onLogTouch={handleOpenActivityModal}
+      />
+      )}
+
+      {/* Saved Views */}
+      <SavedViewTabs
+        key={id}
+        projectId={id}
+        searchParams={searchParams}
+        onApply={handleApplyView}
+      />
+
       {/* Filters Section */}
       <div className="bg-white rounded-lg border border-gray-200 shadow-sm p-4 mb-6">
         <div className="flex items-center justify-between mb-4">
@@ -3963,38 +3426,15 @@ export default function ProjectDetail() {
               <option value="">Filter by status</option>
               {/* Call-related statuses */}
               <optgroup label="Call Statuses">
-                <option value="Ring">Ring</option>
-                <option value="Busy">Busy</option>
-                <option value="Call Back">Call Back</option>
-                <option value="Hang Up">Hang Up</option>
-                <option value="Switch Off">Switch Off</option>
-                <option value="Invalid">Invalid</option>
-                <option value="Future">Future</option>
-                <option value="Existing">Existing</option>
-                <option value="Interested">Interested</option>
-                <option value="Not Interested">Not Interested</option>
-                <option value="Details Shared">Details Shared</option>
-                <option value="Demo Booked">Demo Booked</option>
-                <option value="Demo Completed">Demo Completed</option>
+                {getStatusOptions(statusSchema, 'call').map((status) => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
               </optgroup>
               {/* Email and LinkedIn statuses */}
               <optgroup label="Email & LinkedIn Statuses">
-                <option value="CIP">CIP</option>
-                <option value="No Reply">No Reply</option>
-                <option value="Out of Office">Out of Office</option>
-                <option value="Meeting Proposed">Meeting Proposed</option>
-                <option value="Meeting Scheduled">Meeting Scheduled</option>
-                <option value="In-Person Meeting">In-Person Meeting</option>
-                <option value="Meeting Completed">Meeting Completed</option>
-                <option value="SQL">SQL</option>
-                <option value="Tech Discussion">Tech Discussion</option>
-                <option value="WON">WON</option>
-                <option value="Lost">Lost</option>
-                <option value="Low Potential - Open">Low Potential - Open</option>
-                <option value="Potential Future">Potential Future</option>
-                <option value="Wrong Person">Wrong Person</option>
-                <option value="Bounce">Bounce</option>
-                <option value="Opt-Out">Opt-Out</option>
+                {getAllStatusLabels(statusSchema, ['linkedin', 'email']).map((status) => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
               </optgroup>
             </select>
             <select
@@ -4533,7 +3973,23 @@ export default function ProjectDetail() {
               </button>
               )}
 
+              {/* Enroll in Sequence Button - Only show if coldEmail channel is enabled */}
+              {enabledActivityTypes.includes('email') && (
+              <button
+                onClick={() => setEnrollSequenceModal(true)}
+                className="group relative inline-flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-sky-500 via-sky-600 to-teal-600 text-white text-sm font-bold rounded-xl hover:from-sky-600 hover:via-sky-700 hover:to-teal-700 transition-all duration-300 shadow-lg hover:shadow-xl transform hover:scale-105 active:scale-95 overflow-hidden"
+              >
+                {/* Shine effect on hover */}
+                <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white to-transparent opacity-0 group-hover:opacity-20 group-hover:animate-shimmer"></div>
+                <svg className="w-5 h-5 relative z-10 transform group-hover:scale-110 transition-transform duration-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2.5} d="M4 6h16M4 12h10M4 18h6m8-3l3 3-3 3" />
+                </svg>
+                <span className="relative z-10">Enroll in Sequence</span>
+              </button>
+              )}
+
               {/* Remove Button */}
+              {canRemoveProspects && (
               <button
                 onClick={() => setShowRemoveConfirmation(true)}
                 className="group relative inline-flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-red-500 via-red-600 to-rose-600 text-white text-sm font-bold rounded-xl hover:from-red-600 hover:via-red-700 hover:to-rose-700 transition-all duration-300 shadow-lg hover:shadow-xl transform hover:scale-105 active:scale-95 overflow-hidden"
@@ -4545,6 +4001,7 @@ export default function ProjectDetail() {
                 </svg>
                 <span className="relative z-10">Remove</span>
               </button>
+              )}
 
               {/* Clear Button */}
               <button
@@ -4573,7 +4030,7 @@ export default function ProjectDetail() {
               </div>
               <div>
                 <h3 className="text-lg font-bold text-gray-900">Remove Prospects?</h3>
-                <p className="text-sm text-gray-600 mt-1">This action cannot be undone.</p>
+                <p className="text-sm text-gray-600 mt-1">You can undo this right after, or restore them later from the trash.</p>
               </div>
             </div>
             
@@ -4793,7 +4250,7 @@ export default function ProjectDetail() {
                           >
                             All Statuses
                           </button>
-                          {['New', 'Interested', 'Not Interested', 'Details Shared', 'Demo Booked', 'Demo Completed', 'SQL', 'WON', 'Lost', 'CIP', 'No Reply', 'Meeting Proposed', 'Meeting Scheduled', 'Meeting Completed', 'Ring', 'Busy', 'Call Back', 'Hang Up', 'Switch Off', 'Invalid', 'Future', 'Existing', 'Bounce', 'Opt-Out'].map((status) => (
+                          {['New', ...getAllStatusLabels(statusSchema)].map((status) => (
                             <button
                               key={status}
                               onClick={() => {
@@ -5175,6 +4632,25 @@ export default function ProjectDetail() {
                           ) : (
                             <div className="text-sm text-gray-400">-</div>
                           )}
+                          {(() => {
+                            const cadenceProgress = contactIdValue ? cadenceProgressByContactId.get(String(contactIdValue)) : null;
+                            if (!cadenceProgress) return null;
+                            if (cadenceProgress.state === 'done') {
+                              return <div className="text-xs text-green-600 mt-1">Cadence finished</div>;
+                            }
+                            return (
+                              <div
+                                className={`text-xs mt-1 ${
+                                  cadenceProgress.state === 'overdue' ? 'text-red-600' :
+                                  cadenceProgress.state === 'due' ? 'text-orange-600' :
+                                  'text-gray-500'
+                                }`}
+                                title={`Touch ${cadenceProgress.completed + 1} of ${cadenceProgress.total}`}
+                              >
+                                Cadence: {getTouchLabel(cadenceProgress.nextTouch)} · {cadenceProgress.state === 'due' ? 'today' : formatDate(cadenceProgress.dueDate)}
+                              </div>
+                            );
+                          })()}
                         </td>
                         <td className="px-4 py-2.5">
                           <div className="flex items-center gap-1.5">
@@ -5278,6 +4754,8 @@ export default function ProjectDetail() {
         email={activityModal.email}
         linkedInProfileUrl={activityModal.linkedInProfileUrl}
         lastActivity={activityModal.lastActivity}
+        statusSchema={statusSchema}
+        callRetryRules={callRetryRules}
       />
 
       {/* Bulk Import Modal */}
@@ -5295,6 +4773,51 @@ export default function ProjectDetail() {
         }}
       />
 
+      {/* Client Invite Modal */}
+      <ClientInviteModal
+        isOpen={clientInviteModal}
+        onClose={() => setClientInviteModal(false)}
+        projectId={id}
+      />
+
+      <TrashModal
+        isOpen={showTrash}
+        onClose={() => setShowTrash(false)}
+        title="Removed Prospects"
+        endpoint={`/projects/${id}/project-contacts/trash`}
+        onRestored={handleProspectsRestored}
+      />
+
+      {canExportProspects && (
+        <ExportModal
+          isOpen={showExport}
+          onClose={() => setShowExport(false)}
+          title="Export Prospects"
+          columns={prospectExportColumns}
+          fetchRows={fetchProspectsForExport}
+          fileName={`${project?.companyName || 'Project'}_Prospects`}
+          storageKey="project-prospects"
+        />
+      )}
+
+      {undoRemove && (
+        <UndoToast
+          key={undoRemove.key}
+          message={undoRemove.message}
+          onUndo={handleUndoRemoveProspects}
+          onDismiss={() => setUndoRemove(null)}
+        />
+      )}
+
+      {/* Enroll in Sequence Modal */}
+      <EnrollSequenceModal
+        isOpen={enrollSequenceModal}
+        onClose={() => setEnrollSequenceModal(false)}
+        projectId={id}
+        contactIds={Array.from(selectedContacts)}
+        onManageSequences={() => navigate(`/projects/${id}/sequences`)}
+      />
+
       <BulkActivityLogModal
         isOpen={bulkActivityModal.isOpen}
         onClose={handleCloseBulkActivityModal}
@@ -5302,6 +4825,7 @@ export default function ProjectDetail() {
         selectedContacts={selectedContacts}
         projectId={id}
         contacts={contacts}
+        statusSchema={statusSchema}
       />
 
       {/* KPI Prospect Modal */}
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import API from '../api/axios';
+import { PERMISSIONS, hasPermission } from '../utils/permissions';
 
 export default function Projects() {
   const navigate = useNavigate();
@@ -100,6 +101,8 @@ export default function Projects() {
     }
   };
 
+  const canManageProjects = hasPermission(PERMISSIONS.MANAGE_PROJECTS);
+
   const handleCreateProject = () => {
     navigate('/projects/new');
   };
@@ -110,6 +113,7 @@ export default function Projects() {
 
   const handleToggleActive = async (e, projectId, currentStatus) => {
     e.stopPropagation(); // Prevent row click navigation
+    if (!canManageProjects) return;
     
     const isActive = currentStatus === 'active';
     const newStatus = isActive ? 'draft' : 'active';
@@ -195,6 +199,7 @@ export default function Projects() {
             </svg>
             Analytics Dashboard
           </button>
+          {canManageProjects && (
           <button
             onClick={handleCreateProject}
             className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-sm"
@@ -204,6 +209,7 @@ export default function Projects() {
             </svg>
             Create Project
           </button>
+          )}
         </div>
       </div>
 
@@ -402,11 +408,12 @@ export default function Projects() {
                       </div>
                     </td>
                     <td className="px-3 py-4" onClick={(e) => e.stopPropagation()}>
-                      <label className="relative inline-flex items-center cursor-pointer">
+                      <label className={`relative inline-flex items-center ${canManageProjects ? 'cursor-pointer' : 'cursor-not-allowed opacity-60'}`}>
                         <input
                           type="checkbox"
                           checked={project.status === 'active'}
                           onChange={(e) => handleToggleActive(e, project._id, project.status)}
+                          disabled={!canManageProjects}
                           className="sr-only peer"
                         />
                         <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
@@ -428,6 +435,7 @@ export default function Projects() {
                           </svg>
                           View
                         </button>
+                      {canManageProjects && (
                       <button
                         onClick={(e) => {
                           e.stopPropagation();
@@ -441,6 +449,7 @@ export default function Projects() {
                         </svg>
                         Edit
                       </button>
+                      )}
                       </div>
                     </td>
                   </tr>
@@ -460,6 +469,7 @@ export default function Projects() {
             </div>
             <h2 className="text-lg font-semibold text-gray-900 mb-2">No projects yet</h2>
             <p className="text-sm text-gray-600 mb-6">Create your first project to get started</p>
+            {canManageProjects && (
             <button
               onClick={handleCreateProject}
               className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-sm"
@@ -469,6 +479,7 @@ export default function Projects() {
               </svg>
               Create Project
             </button>
+            )}
           </div>
         </div>
       )}
@@ -796,6 +807,7 @@ export default function Projects() {
               >
                 Close
               </button>
+              {canManageProjects && (
               <button
                 onClick={() => {
                   setViewModal({ isOpen: false, project: null });
@@ -805,6 +817,7 @@ export default function Projects() {
               >
                 Edit Project
               </button>
+              )}
             </div>
           </div>
         </div>
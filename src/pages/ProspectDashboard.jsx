@@ -1,6 +1,12 @@
 import React, { useState, useEffect, useMemo, lazy, Suspense } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import API from '../api/axios';
+import DateRangePicker from '../components/DateRangePicker';
+import DeltaBadge from '../components/DeltaBadge';
+import ProspectDrillDownModal from '../components/ProspectDrillDownModal';
+import { readDateRange, writeDateRange, getComparisonRange, getDateRangeRequestParams, getDateRangeCacheKey, formatDateRange } from '../utils/dateRange';
+import { getFunnelStageProspects } from '../utils/metrics';
+import { resolveStatusSchema } from '../utils/statusSchema';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -53,21 +59,16 @@ const setCachedValue = (cache, key, data) => {
   cache[key] = { data, timestamp: Date.now() };
 };
 
-// Helper function to get the activity date (prioritize activity-specific dates over createdAt)
-const getActivityDate = (activity) => {
-  if (activity.type === 'call' && activity.callDate) {
-    return new Date(activity.callDate);
-  }
-  if (activity.type === 'email' && activity.emailDate) {
-    return new Date(activity.emailDate);
-  }
-  if (activity.type === 'linkedin' && activity.linkedinDate) {
-    return new Date(activity.linkedinDate);
-  }
-  // Fallback to createdAt if activity-specific date is not available
-  return new Date(activity.createdAt);
+// Older analytics responses name some cold-calling stages differently
+const LEGACY_CALL_STAGE_KEYS = {
+  callSent: 'callsAttempted',
+  accepted: 'callsConnected',
+  scheduled: 'demoBooked',
+  completed: 'demoCompleted'
 };
 
+const FUNNEL_NAMES = { call: 'Cold Calling', email: 'Email', linkedin: 'LinkedIn' };
+
 export default function ProspectDashboard() {
   const navigate = useNavigate();
   const [searchParams, setSearchParams] = useSearchParams();
@@ -80,8 +81,13 @@ export default function ProspectDashboard() {
   const [stageData, setStageData] = useState([]);
   const [loadingStageData, setLoadingStageData] = useState(false);
   const [notification, setNotification] = useState(null);
-  const [teamTimeFilter, setTeamTimeFilter] = useState('today'); // 'today', 'last7days', 'lastMonth'
+  // Team tab period lives in the URL (?range=&from=&to=&compare=)
+  const teamDateRange = useMemo(() => readDateRange(searchParams, 'today'), [searchParams]);
+  const teamRangeKey = getDateRangeCacheKey(teamDateRange);
+  const teamComparisonRange = useMemo(() => getComparisonRange(teamDateRange), [teamDateRange]);
+  const teamComparisonKey = teamComparisonRange ? getDateRangeCacheKey(teamComparisonRange) : null;
   const [teamActivityData, setTeamActivityData] = useState(null);
+  const [teamComparisonData, setTeamComparisonData] = useState(null);
   const [loadingTeamActivity, setLoadingTeamActivity] = useState(false);
   const [teamMemberFunnels, setTeamMemberFunnels] = useState([]);
   const [loadingTeamFunnels, setLoadingTeamFunnels] = useState(false);
@@ -108,7 +114,12 @@ export default function ProspectDashboard() {
 
   useEffect(() => {
     fetchTeamActivityData();
-  }, [selectedProject, teamTimeFilter]);
+  }, [selectedProject, teamRangeKey]);
+
+  useEffect(() => {
+    fetchTeamComparisonData();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedProject, teamComparisonKey]);
 
   useEffect(() => {
     fetchTeamMemberFunnels();
@@ -176,7 +187,7 @@ export default function ProspectDashboard() {
 
   const fetchTeamActivityData = async () => {
     try {
-      const key = `${selectedProject || 'all'}:${teamTimeFilter}`;
+      const key = `${selectedProject || 'all'}:${teamRangeKey}`;
       const cached = getCachedValue(teamActivityCache, key);
       if (cached) {
         setTeamActivityData(cached);
@@ -184,9 +195,7 @@ export default function ProspectDashboard() {
       } else {
         setLoadingTeamActivity(true);
       }
-      const params = {
-        timeFilter: teamTimeFilter
-      };
+      const params = getDateRangeRequestParams(teamDateRange);
       if (selectedProject) {
         params.projectId = selectedProject;
       }
@@ -204,339 +213,99 @@ export default function ProspectDashboard() {
     }
   };
 
+  // Same request for the comparison period; shares teamActivityCache
+  const fetchTeamComparisonData = async () => {
+    if (!teamComparisonKey) {
+      setTeamComparisonData(null);
+      return;
+    }
+    try {
+      const key = `${selectedProject || 'all'}:${teamComparisonKey}`;
+      const cached = getCachedValue(teamActivityCache, key);
+      if (cached) {
+        setTeamComparisonData(cached);
+        return;
+      }
+      setTeamComparisonData(null);
+      const params = getDateRangeRequestParams(teamComparisonRange);
+      if (selectedProject) {
+        params.projectId = selectedProject;
+      }
+      const response = await API.get('/activities/team-performance', { params });
+      if (response.data.success) {
+        setTeamComparisonData(response.data.data);
+        setCachedValue(teamActivityCache, key, response.data.data);
+      }
+    } catch (error) {
+      console.error('Error fetching team comparison data:', error);
+      setTeamComparisonData(null);
+    }
+  };
+
   const handleProjectChange = (projectId) => {
     setSelectedProject(projectId);
+    // Keep the team period when switching projects
+    const params = new URLSearchParams(searchParams);
     if (projectId) {
-      setSearchParams({ projectId });
+      params.set('projectId', projectId);
     } else {
-      setSearchParams({});
+      params.delete('projectId');
     }
+    setSearchParams(params);
   };
 
-  const fetchStageData = async (stage, funnelType, funnelData, memberId = null) => {
-    try {
-      setLoadingStageData(true);
-      setSelectedStage({ stage, funnelType, funnelData, memberId });
-      
-      // Handle Prospect Data stage - fetch all prospects with their latest activity status
-      if (stage === 'prospectData') {
-        if (!selectedProject) {
-          setNotification({ type: 'info', message: 'Please select a project to view prospects' });
-          setLoadingStageData(false);
-          return;
-        }
-        
-        // Fetch both prospects and activities in parallel
-        // Limit activities to 5000 for better performance
-        const [prospectsResponse, activitiesResponse] = await Promise.all([
-          API.get(`/projects/${selectedProject}/project-contacts?limit=100`),
-          API.get(`/activities/project/${selectedProject}?limit=5000`)
-        ]);
-        
-        if (prospectsResponse.data.success) {
-          let prospects = prospectsResponse.data.data || [];
-          let activities = activitiesResponse.data.success ? (activitiesResponse.data.data || []) : [];
-          
-          // Filter by team member if memberId is provided
-          if (memberId) {
-            const memberIdStr = memberId.toString ? memberId.toString() : String(memberId);
-            // Filter activities by createdBy
-            activities = activities.filter(a => {
-              if (!a.createdBy) return false;
-              // Handle both ObjectId objects and strings
-              const activityCreatedBy = a.createdBy?.toString ? a.createdBy.toString() : 
-                                       (a.createdBy?._id ? a.createdBy._id.toString() : String(a.createdBy));
-              return activityCreatedBy === memberIdStr;
-            });
-            // Filter prospects to only those that have activities from this member
-            const contactIdsWithMemberActivities = new Set(
-              activities.map(a => a.contactId?.toString ? a.contactId.toString() : String(a.contactId)).filter(Boolean)
-            );
-            prospects = prospects.filter(p => {
-              const prospectIdStr = p._id?.toString ? p._id.toString() : String(p._id);
-              return contactIdsWithMemberActivities.has(prospectIdStr);
-            });
-          }
-          
-          // Build activity status lookup by contactId - find most recent status for each contact
-          const latestStatusByContactId = new Map();
-          activities.forEach(activity => {
-            if (activity.contactId && activity.status && activity.status.trim() !== '') {
-              const contactIdStr = activity.contactId.toString ? activity.contactId.toString() : String(activity.contactId);
-              const activityDate = getActivityDate(activity);
-              const existing = latestStatusByContactId.get(contactIdStr);
-              
-              if (!existing || activityDate > existing.activityDate) {
-                latestStatusByContactId.set(contactIdStr, {
-                  status: activity.status,
-                  activityDate: activityDate
-                });
-              }
-            }
-          });
-          
-          // Map prospects with their latest status from Activity History
-          setStageData(prospects.map(prospect => {
-            const prospectIdStr = prospect._id?.toString ? prospect._id.toString() : String(prospect._id);
-            const latestStatusData = latestStatusByContactId.get(prospectIdStr);
-            // Use latest status from Activity History, fallback to database stage, then 'New'
-            const displayStatus = latestStatusData?.status || prospect.stage || 'New';
-            
-            return {
-              ...prospect,
-              isProspect: true,
-              displayStatus: displayStatus // Store the calculated status
-            };
-          }));
-        }
-        setLoadingStageData(false);
-        return;
-      }
-
-      // Handle other stages - fetch activities
-      if (!selectedProject) {
-        setNotification({ type: 'info', message: 'Please select a project to view stage details' });
-        setLoadingStageData(false);
-        return;
-      }
-
-      const response = await API.get(`/activities/project/${selectedProject}`);
-      
-      if (response.data.success) {
-        let activities = response.data.data || [];
-        
-        // Filter by team member if memberId is provided
-        if (memberId) {
-          const memberIdStr = memberId.toString ? memberId.toString() : String(memberId);
-          activities = activities.filter(a => {
-            if (!a.createdBy) return false;
-            // Handle both ObjectId objects and strings
-            const activityCreatedBy = a.createdBy?.toString ? a.createdBy.toString() : 
-                                     (a.createdBy?._id ? a.createdBy._id.toString() : String(a.createdBy));
-            return activityCreatedBy === memberIdStr;
-          });
-        }
-        
-        let filteredActivities = [];
-
-        if (funnelType === 'call') {
-          switch (stage) {
-            // New 10-stage structure
-            case 'callsAttempted':
-            case 'callSent': // Legacy support
-              filteredActivities = activities.filter(a => a.type === 'call' && a.callDate);
-              break;
-            case 'callsConnected':
-            case 'accepted': // Legacy support
-              const connectedStatuses = ['Interested', 'Not Interested', 'Call Back', 'Future', 'Details Shared', 'Demo Booked', 'Demo Completed', 'Existing'];
-              filteredActivities = activities.filter(a => 
-                a.type === 'call' && 
-                a.callStatus && connectedStatuses.includes(a.callStatus)
-              );
-              break;
-            case 'decisionMakerReached':
-              const decisionMakerStatuses = ['Interested', 'Details Shared', 'Demo Booked', 'Demo Completed'];
-              filteredActivities = activities.filter(a => 
-                a.type === 'call' && 
-                a.callStatus && decisionMakerStatuses.includes(a.callStatus)
-              );
-              break;
-            case 'interested':
-              filteredActivities = activities.filter(a => 
-                a.type === 'call' && a.callStatus === 'Interested'
-              );
-              break;
-            case 'detailsShared':
-              filteredActivities = activities.filter(a => 
-                a.type === 'call' && a.callStatus === 'Details Shared'
-              );
-              break;
-            case 'demoBooked':
-            case 'scheduled': // Legacy support
-              filteredActivities = activities.filter(a => 
-                a.type === 'call' && a.callStatus === 'Demo Booked'
-              );
-              break;
-            case 'demoCompleted':
-            case 'completed': // Legacy support
-              filteredActivities = activities.filter(a => 
-                a.type === 'call' && a.callStatus === 'Demo Completed'
-              );
-              break;
-            case 'sql':
-              filteredActivities = activities.filter(a => 
-                a.type === 'call' && 
-                (a.callStatus === 'Demo Completed' || 
-                 (a.callStatus === 'Interested' && a.conversationNotes && a.conversationNotes.length > 50) ||
-                 a.status === 'SQL')
-              );
-              break;
-            // Legacy stages (for backward compatibility)
-            case 'followups':
-              const callCounts = {};
-              activities.filter(a => a.type === 'call' && a.callDate).forEach(a => {
-                const contactId = a.contactId?.toString();
-                if (contactId) {
-                  callCounts[contactId] = (callCounts[contactId] || 0) + 1;
-                }
-              });
-              const followupContactIds = Object.keys(callCounts).filter(id => callCounts[id] > 1);
-              filteredActivities = activities.filter(a => 
-                a.type === 'call' && 
-                followupContactIds.includes(a.contactId?.toString())
-              );
-              break;
-            case 'cip':
-              filteredActivities = activities.filter(a => 
-                a.type === 'call' && 
-                ['Interested', 'Call Back', 'Future'].includes(a.callStatus)
-              );
-              break;
-            case 'meetingProposed':
-              filteredActivities = activities.filter(a => 
-                a.type === 'call' && 
-                a.nextAction && (
-                  a.nextAction.toLowerCase().includes('meeting') ||
-                  a.nextAction.toLowerCase().includes('demo') ||
-                  a.nextAction.toLowerCase().includes('call')
-                )
-              );
-              break;
-          }
-        } else if (funnelType === 'email') {
-          switch (stage) {
-            case 'emailSent':
-              filteredActivities = activities.filter(a => a.type === 'email' && a.emailDate);
-              break;
-            case 'accepted':
-              filteredActivities = activities.filter(a => 
-                a.type === 'email' && 
-                ['Interested', 'Meeting Proposed', 'Meeting Scheduled'].includes(a.status)
-              );
-              break;
-            case 'followups':
-              const emailCounts = {};
-              activities.filter(a => a.type === 'email' && a.emailDate).forEach(a => {
-                const contactId = a.contactId?.toString();
-                if (contactId) {
-                  emailCounts[contactId] = (emailCounts[contactId] || 0) + 1;
-                }
-              });
-              const emailFollowupContactIds = Object.keys(emailCounts).filter(id => emailCounts[id] > 1);
-              filteredActivities = activities.filter(a => 
-                a.type === 'email' && 
-                emailFollowupContactIds.includes(a.contactId?.toString())
-              );
-              break;
-            case 'cip':
-              filteredActivities = activities.filter(a => 
-                a.type === 'email' && a.status === 'CIP'
-              );
-              break;
-            case 'meetingProposed':
-              filteredActivities = activities.filter(a => 
-                a.type === 'email' && a.status === 'Meeting Proposed'
-              );
-              break;
-            case 'scheduled':
-              filteredActivities = activities.filter(a => 
-                a.type === 'email' && a.status === 'Meeting Scheduled'
-              );
-              break;
-            case 'completed':
-              filteredActivities = activities.filter(a => 
-                a.type === 'email' && a.status === 'Meeting Completed'
-              );
-              break;
-            case 'sql':
-              filteredActivities = activities.filter(a => 
-                a.type === 'email' && 
-                ['SQL', 'Meeting Completed'].includes(a.status)
-              );
-              break;
-          }
-        } else if (funnelType === 'linkedin') {
-          switch (stage) {
-            case 'connectionSent':
-              filteredActivities = activities.filter(a => 
-                a.type === 'linkedin' && 
-                (a.lnRequestSent === 'Yes' || a.lnRequestSent === true)
-              );
-              break;
-            case 'accepted':
-              filteredActivities = activities.filter(a => 
-                a.type === 'linkedin' && 
-                (a.connected === 'Yes' || a.connected === true)
-              );
-              break;
-            case 'followups':
-              const linkedinCounts = {};
-              activities.filter(a => a.type === 'linkedin').forEach(a => {
-                const contactId = a.contactId?.toString();
-                if (contactId) {
-                  linkedinCounts[contactId] = (linkedinCounts[contactId] || 0) + 1;
-                }
-              });
-              const linkedinFollowupContactIds = Object.keys(linkedinCounts).filter(id => linkedinCounts[id] > 1);
-              filteredActivities = activities.filter(a => 
-                a.type === 'linkedin' && 
-                linkedinFollowupContactIds.includes(a.contactId?.toString())
-              );
-              break;
-            case 'cip':
-              filteredActivities = activities.filter(a => 
-                a.type === 'linkedin' && a.status === 'CIP'
-              );
-              break;
-            case 'meetingProposed':
-              filteredActivities = activities.filter(a => 
-                a.type === 'linkedin' && a.status === 'Meeting Proposed'
-              );
-              break;
-            case 'scheduled':
-              filteredActivities = activities.filter(a => 
-                a.type === 'linkedin' && a.status === 'Meeting Scheduled'
-              );
-              break;
-            case 'completed':
-              filteredActivities = activities.filter(a => 
-                a.type === 'linkedin' && a.status === 'Meeting Completed'
-              );
-              break;
-            case 'sql':
-              filteredActivities = activities.filter(a => 
-                a.type === 'linkedin' && 
-                ['SQL', 'Meeting Completed'].includes(a.status)
-              );
-              break;
-          }
-        }
+  const handleTeamDateRangeChange = (range) => {
+    setSearchParams(writeDateRange(searchParams, range), { replace: true });
+  };
 
-        // Fetch contact details for activities
-        const contactIds = [...new Set(filteredActivities.map(a => a.contactId).filter(Boolean))];
-        const contactsMap = new Map();
-        
-        if (contactIds.length > 0) {
-          const contactsResponse = await Promise.all(
-            contactIds.slice(0, 100).map(id => 
-              API.get(`/contacts/${id}`).catch(() => null)
-            )
-          );
-          
-          contactsResponse.forEach((resp, idx) => {
-            if (resp?.data?.success) {
-              contactsMap.set(contactIds[idx], resp.data.data);
-            }
-          });
-        }
+  // Per-channel totals from the pie data, for the comparison strip
+  const getChannelTotals = (activityData) => {
+    const pie = activityData?.pieData;
+    if (!pie?.labels || !pie.datasets?.[0]) return null;
+    return pie.labels.map((label, index) => ({ label, value: Number(pie.datasets[0].data[index]) || 0 }));
+  };
 
-        const enrichedActivities = filteredActivities.map(activity => ({
-          ...activity,
-          contact: contactsMap.get(activity.contactId?.toString()) || null
-        }));
+  // Lists the prospects behind a funnel stage with the same stage rules as the funnel pages.
+  // Team member funnels only look at that member's activities and the prospects they touched.
+  const fetchStageData = async (stage, funnelType, memberId = null) => {
+    if (!selectedProject) {
+      setNotification({ type: 'info', message: 'Please select a project to view stage details' });
+      return;
+    }
 
-        setStageData(enrichedActivities);
+    try {
+      setLoadingStageData(true);
+      setSelectedStage({ stage, funnelType, memberId });
+
+      const [projectResponse, prospectsResponse, activitiesResponse] = await Promise.all([
+        API.get(`/projects/${selectedProject}`),
+        API.get(`/projects/${selectedProject}/project-contacts?limit=10000`),
+        API.get(`/activities/project/${selectedProject}?limit=10000`)
+      ]);
+      const statusSchema = resolveStatusSchema(projectResponse.data.success ? projectResponse.data.data : null);
+      let prospects = prospectsResponse.data.success ? (prospectsResponse.data.data || []) : [];
+      let activities = activitiesResponse.data.success ? (activitiesResponse.data.data || []) : [];
+
+      if (memberId) {
+        const memberIdStr = memberId.toString ? memberId.toString() : String(memberId);
+        activities = activities.filter(a => {
+          if (!a.createdBy) return false;
+          // Handle both ObjectId objects and strings
+          const activityCreatedBy = a.createdBy?.toString ? a.createdBy.toString() : 
+                                   (a.createdBy?._id ? a.createdBy._id.toString() : String(a.createdBy));
+          return activityCreatedBy === memberIdStr;
+        });
+        const contactIdsWithMemberActivities = new Set(
+          activities.map(a => a.contactId?.toString ? a.contactId.toString() : String(a.contactId)).filter(Boolean)
+        );
+        prospects = prospects.filter(p => {
+          const prospectIdStr = p._id?.toString ? p._id.toString() : String(p._id);
+          return contactIdsWithMemberActivities.has(prospectIdStr);
+        });
       }
+
+      const stageKey = funnelType === 'call' ? (LEGACY_CALL_STAGE_KEYS[stage.key] || stage.key) : stage.key;
+      setStageData(getFunnelStageProspects(funnelType, stageKey, prospects, activities, statusSchema));
     } catch (error) {
       console.error('Error fetching stage data:', error);
       setStageData([]);
@@ -545,6 +314,10 @@ export default function ProspectDashboard() {
     }
   };
 
+  const stageMemberName = selectedStage?.memberId
+    ? teamMemberFunnels.find(m => String(m.memberId) === String(selectedStage.memberId))?.name || 'Team Member'
+    : null;
+
   // Determine enabled activity types based on selected project channels
   const enabledActivityTypes = useMemo(() => {
     if (!selectedProject) {
@@ -777,13 +550,13 @@ export default function ProspectDashboard() {
     const handleStageClick = (stage) => {
       // Always allow clicking on Prospect Data
       if (stage.key === 'prospectData') {
-        fetchStageData(stage.key, funnelType, data, memberId);
+        fetchStageData(stage, funnelType, memberId);
         return;
       }
       
       // For other stages, check if they have data
       if (stage.clickable && (data[stage.key] || 0) > 0) {
-        fetchStageData(stage.key, funnelType, data, memberId);
+        fetchStageData(stage, funnelType, memberId);
       } else if (stage.clickable) {
         setNotification({ type: 'info', message: `No records found for ${stage.label} stage` });
         setTimeout(() => setNotification(null), 3000);
@@ -2297,41 +2070,44 @@ export default function ProspectDashboard() {
               )}
             </div>
 
-            {/* Time Filter Buttons */}
+            {/* Time Filter */}
             <div className="bg-white border border-gray-200 rounded-lg p-4">
-              <div className="flex items-center gap-3">
-                <span className="text-sm font-medium text-gray-700">Time Period:</span>
-                <button
-                  onClick={() => setTeamTimeFilter('today')}
-                  className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
-                    teamTimeFilter === 'today'
-                      ? 'bg-blue-600 text-white'
-                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                  }`}
-                >
-                  Today
-                </button>
-                <button
-                  onClick={() => setTeamTimeFilter('last7days')}
-                  className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
-                    teamTimeFilter === 'last7days'
-                      ? 'bg-blue-600 text-white'
-                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                  }`}
-                >
-                  Last 7 Days
-                </button>
-                <button
-                  onClick={() => setTeamTimeFilter('lastMonth')}
-                  className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
-                    teamTimeFilter === 'lastMonth'
-                      ? 'bg-blue-600 text-white'
-                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                  }`}
-                >
-                  Last Month
-                </button>
+              <div className="flex items-start justify-between gap-3">
+                <span className="text-sm font-medium text-gray-700 pt-2">Time Period:</span>
+                <DateRangePicker value={teamDateRange} onChange={handleTeamDateRangeChange} />
               </div>
+              {teamComparisonRange && !loadingTeamActivity && (() => {
+                const currentTotals = getChannelTotals(teamActivityData);
+                const previousTotals = getChannelTotals(teamComparisonData);
+                if (!currentTotals) return null;
+                const currentSum = currentTotals.reduce((sum, channel) => sum + channel.value, 0);
+                const previousSum = previousTotals ? previousTotals.reduce((sum, channel) => sum + channel.value, 0) : null;
+                return (
+                  <div className="mt-4 pt-4 border-t border-gray-100">
+                    <p className="text-xs text-gray-500 mb-2">
+                      Compared with {formatDateRange(teamComparisonRange)}
+                      {!teamComparisonData && ' (loading...)'}
+                    </p>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                      <div className="bg-gray-50 rounded-lg p-3">
+                        <div className="text-xs font-medium text-gray-600">All Activities</div>
+                        <div className="text-xl font-bold text-gray-900">{currentSum.toLocaleString()}</div>
+                        <DeltaBadge current={currentSum} previous={previousSum} />
+                      </div>
+                      {currentTotals.map((channel) => (
+                        <div key={channel.label} className="bg-gray-50 rounded-lg p-3">
+                          <div className="text-xs font-medium text-gray-600">{channel.label}</div>
+                          <div className="text-xl font-bold text-gray-900">{channel.value.toLocaleString()}</div>
+                          <DeltaBadge
+                            current={channel.value}
+                            previous={previousTotals ? (previousTotals.find(p => p.label === channel.label)?.value ?? 0) : null}
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })()}
             </div>
 
             {/* Activity Graph */}
@@ -2416,185 +2192,20 @@ export default function ProspectDashboard() {
         )}
       </div>
 
-      {/* Stage Data Modal - Outside main content container */}
-      {selectedStage && (
-        <div 
-          className="fixed inset-0 bg-black bg-opacity-50 z-[100] flex items-center justify-center p-4"
-          onClick={() => {
-            setSelectedStage(null);
-            setStageData([]);
-          }}
-          style={{ position: 'fixed', top: 0, left: 0, right: 0, bottom: 0 }}
-        >
-          <div 
-            className="bg-white rounded-xl shadow-2xl max-w-6xl w-full max-h-[90vh] flex flex-col relative z-[101]"
-            onClick={(e) => e.stopPropagation()}
-            style={{ position: 'relative', zIndex: 101 }}
-          >
-            {/* Modal Header */}
-            <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between bg-gradient-to-r from-gray-50 to-white">
-              <div>
-                <h3 className="text-xl font-bold text-gray-900">
-                  {selectedStage.memberId ? (() => {
-                    const member = teamMemberFunnels.find(m => {
-                      const mId = m.memberId?.toString ? m.memberId.toString() : String(m.memberId);
-                      const sId = selectedStage.memberId?.toString ? selectedStage.memberId.toString() : String(selectedStage.memberId);
-                      return mId === sId;
-                    });
-                    const memberName = member?.name || 'Team Member';
-                    return selectedStage.stage === 'prospectData' 
-                      ? `${memberName} - All Prospects` 
-                      : `${memberName} - ${selectedStage.stage.charAt(0).toUpperCase() + selectedStage.stage.slice(1)} - ${selectedStage.funnelType === 'call' ? 'Cold Calling' : selectedStage.funnelType === 'email' ? 'Email' : 'LinkedIn'} Funnel`;
-                  })() : (
-                    selectedStage.stage === 'prospectData' 
-                      ? 'All Prospects' 
-                      : selectedStage.stage.charAt(0).toUpperCase() + selectedStage.stage.slice(1) + ' - ' + (selectedStage.funnelType === 'call' ? 'Cold Calling' : selectedStage.funnelType === 'email' ? 'Email' : 'LinkedIn') + ' Funnel'
-                  )}
-                </h3>
-                <p className="text-sm text-gray-600 mt-1">
-                  {stageData.length} {selectedStage.stage === 'prospectData' ? 'prospect' : 'record'}{stageData.length !== 1 ? 's' : ''} found
-                </p>
-              </div>
-              <button
-                onClick={() => {
-                  setSelectedStage(null);
-                  setStageData([]);
-                }}
-                className="text-gray-400 hover:text-gray-600 transition-colors p-1 hover:bg-gray-100 rounded-lg"
-              >
-                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                </svg>
-              </button>
-            </div>
-
-            {/* Modal Content */}
-            <div className="flex-1 overflow-y-auto p-6">
-              {loadingStageData ? (
-                <div className="flex items-center justify-center py-12">
-                  <div className="animate-spin rounded-full h-8 w-8 border-2 border-gray-200 border-t-blue-600"></div>
-                </div>
-              ) : stageData.length > 0 ? (
-                <div className="overflow-x-auto">
-                  <table className="w-full">
-                    <thead className="bg-gradient-to-r from-gray-50 to-gray-100 border-b-2 border-gray-200 sticky top-0">
-                      <tr>
-                        <th className="px-4 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">
-                          {selectedStage.stage === 'prospectData' ? 'Prospect' : 'Contact'}
-                        </th>
-                        <th className="px-4 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">Company</th>
-                        {selectedStage.stage === 'prospectData' ? (
-                          <>
-                            <th className="px-4 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">Email</th>
-                            <th className="px-4 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">Phone</th>
-                            <th className="px-4 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">Stage</th>
-                            <th className="px-4 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">Priority</th>
-                          </>
-                        ) : (
-                          <>
-                            <th className="px-4 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">Date</th>
-                            <th className="px-4 py-3 text-left text-xs font-bold text-gray-700 uppercase tracking-wider">Status</th>
-                          </>
-                        )}
-                      </tr>
-                    </thead>
-                    <tbody className="divide-y divide-gray-200">
-                      {stageData.map((item, idx) => {
-                        // If it's prospect data, display prospect information
-                        if (item.isProspect || selectedStage.stage === 'prospectData') {
-                          return (
-                            <tr key={idx} className="hover:bg-blue-50/50 transition-colors">
-                              <td className="px-4 py-3 text-sm font-semibold text-gray-900">
-                                {item.name || 'Unknown'}
-                              </td>
-                              <td className="px-4 py-3 text-sm text-gray-700 font-medium">
-                                {item.company || 'N/A'}
-                              </td>
-                              <td className="px-4 py-3 text-sm text-gray-600">
-                                {item.email || 'N/A'}
-                              </td>
-                              <td className="px-4 py-3 text-sm text-gray-600">
-                                {item.firstPhone || 'N/A'}
-                              </td>
-                              <td className="px-4 py-3 text-sm">
-                                {(item.displayStatus || item.stage) && (
-                                  <span className="px-2 py-1 text-xs font-semibold bg-purple-100 text-purple-800 rounded-full border border-purple-200">
-                                    {item.displayStatus || item.stage}
-                                  </span>
-                                )}
-                              </td>
-                              <td className="px-4 py-3 text-sm">
-                                {item.priority && (
-                                  <span className={`px-2 py-1 text-xs font-semibold rounded-full border ${
-                                    item.priority === 'High' ? 'bg-red-100 text-red-800 border-red-200' :
-                                    item.priority === 'Medium' ? 'bg-yellow-100 text-yellow-800 border-yellow-200' :
-                                    'bg-gray-100 text-gray-800 border-gray-200'
-                                  }`}>
-                                    {item.priority}
-                                  </span>
-                                )}
-                              </td>
-                            </tr>
-                          );
-                        }
-                        
-                        // Otherwise, display activity information
-                        return (
-                          <tr key={idx} className="hover:bg-blue-50/50 transition-colors">
-                            <td className="px-4 py-3 text-sm font-semibold text-gray-900">
-                              {item.contact?.name || 'Unknown'}
-                            </td>
-                            <td className="px-4 py-3 text-sm text-gray-700 font-medium">
-                              {item.contact?.company || 'N/A'}
-                            </td>
-                            <td className="px-4 py-3 text-sm text-gray-600">
-                              {item.callDate || item.emailDate || item.linkedinDate
-                                ? new Date(item.callDate || item.emailDate || item.linkedinDate).toLocaleDateString('en-US', {
-                                    year: 'numeric',
-                                    month: 'short',
-                                    day: 'numeric'
-                                  })
-                                : item.createdAt
-                                ? new Date(item.createdAt).toLocaleDateString('en-US', {
-                                    year: 'numeric',
-                                    month: 'short',
-                                    day: 'numeric'
-                                  })
-                                : 'N/A'}
-                            </td>
-                            <td className="px-4 py-3 text-sm">
-                              {item.status && (
-                                <span className="px-2 py-1 text-xs font-semibold bg-blue-100 text-blue-800 rounded-full border border-blue-200">
-                                  {item.status}
-                                </span>
-                              )}
-                              {item.callStatus && (
-                                <span className="px-2 py-1 text-xs font-semibold bg-green-100 text-green-800 rounded-full border border-green-200">
-                                  {item.callStatus}
-                                </span>
-                              )}
-                              {!item.status && !item.callStatus && (
-                                <span className="text-xs text-gray-400">-</span>
-                              )}
-                            </td>
-                          </tr>
-                        );
-                      })}
-                    </tbody>
-                  </table>
-                </div>
-              ) : (
-                <div className="text-center py-12 text-gray-500">
-                  <svg className="w-16 h-16 mx-auto mb-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                  </svg>
-                  <p className="text-sm font-medium">No records found for this stage</p>
-                </div>
-              )}
-            </div>
-          </div>
-        </div>
-      )}
+      <ProspectDrillDownModal
+        isOpen={!!selectedStage}
+        onClose={() => {
+          setSelectedStage(null);
+          setStageData([]);
+        }}
+        title={selectedStage ? `${stageMemberName ? `${stageMemberName} - ` : ''}${selectedStage.stage.label}` : ''}
+        subtitle={selectedStage ? `${FUNNEL_NAMES[selectedStage.funnelType]} Funnel` : ''}
+        rows={stageData}
+        loading={loadingStageData}
+        channel={selectedStage?.funnelType}
+        projectId={selectedProject}
+        onActivityLogged={() => fetchStageData(selectedStage.stage, selectedStage.funnelType, selectedStage.memberId)}
+      />
     </div>
   );
 }
@@ -0,0 +1,410 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import API from '../api/axios';
+import ActivityLogModal from '../components/ActivityLogModal';
+import { getNextActionDate, parseDateKey, startOfDay, toDateKey, toIdString } from '../utils/helpers';
+
+const NEXT_ACTION_LABELS = {
+  'follow-up-call': 'Follow-up Call',
+  'send-proposal': 'Send Proposal',
+  'schedule-meeting': 'Schedule Meeting',
+  'send-email': 'Send Email',
+  'connect-linkedin': 'Connect on LinkedIn'
+};
+
+// Which ActivityLogModal type to open for a next action; others reuse the source activity's type
+const NEXT_ACTION_TYPES = {
+  'follow-up-call': 'call',
+  'send-email': 'email',
+  'connect-linkedin': 'linkedin'
+};
+
+const TYPE_LABELS = { call: 'Call', email: 'Email', linkedin: 'LinkedIn' };
+
+const addDays = (days) => {
+  const d = startOfDay(new Date());
+  d.setDate(d.getDate() + days);
+  return toDateKey(d);
+};
+
+// Projects the user works on: listed as a team member, or the project's assignee
+const isOnProject = (project, user) => {
+  const ids = [user.email, user.name].filter(Boolean).map(value => value.toLowerCase());
+  const team = [...(project.teamMembers || []), project.assignedTo].filter(Boolean).map(value => String(value).toLowerCase());
+  return team.some(member => ids.includes(member));
+};
+
+export default function Tasks() {
+  const navigate = useNavigate();
+  const currentUser = JSON.parse(localStorage.getItem('user') || '{}');
+  const currentUserId = toIdString(currentUser._id || currentUser.id);
+  const [tasks, setTasks] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [scope, setScope] = useState('mine'); // 'mine' | 'team'
+  const [filterProject, setFilterProject] = useState('');
+  const [filterType, setFilterType] = useState('');
+  const [updatingTaskId, setUpdatingTaskId] = useState(null);
+  const [rescheduleTaskId, setRescheduleTaskId] = useState(null);
+  const [activityModal, setActivityModal] = useState({
+    isOpen: false,
+    type: null,
+    contactName: '',
+    companyName: '',
+    projectId: null,
+    contactId: null,
+    phoneNumber: null,
+    email: null,
+    linkedInProfileUrl: null,
+    lastActivity: null
+  });
+
+  useEffect(() => {
+    fetchTasks();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [scope]);
+
+  const fetchTasks = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const projectsResponse = await API.get('/projects');
+      const allProjects = projectsResponse.data.success && Array.isArray(projectsResponse.data.data)
+        ? projectsResponse.data.data
+        : [];
+      // Every project's activities and contacts are loaded below, so "Mine" only reads the user's own projects
+      const projectList = scope === 'mine' ? allProjects.filter(project => isOnProject(project, currentUser)) : allProjects;
+      setProjects(projectList);
+
+      const perProject = await Promise.all(projectList.map(async (project) => {
+        try {
+          const activitiesResponse = await API.get(`/activities/project/${project._id}?limit=5000`);
+          const activities = activitiesResponse.data.success ? (activitiesResponse.data.data || []) : [];
+
+          // A follow-up is open when it sits on the contact's latest activity in this project;
+          // logging anything newer for the contact supersedes it.
+          const latestByContact = new Map();
+          activities.forEach(activity => {
+            if (!activity.contactId) return;
+            const contactIdStr = toIdString(activity.contactId);
+            const existing = latestByContact.get(contactIdStr);
+            if (!existing || new Date(activity.createdAt) > new Date(existing.createdAt)) {
+              latestByContact.set(contactIdStr, activity);
+            }
+          });
+          const openFollowups = Array.from(latestByContact.values())
+            .filter(a => a.nextActionDate && (scope !== 'mine' || !currentUserId || toIdString(a.createdBy) === currentUserId));
+          if (openFollowups.length === 0) return [];
+
+          const contactsResponse = await API.get(`/projects/${project._id}/project-contacts?limit=10000`);
+          const contactsById = new Map(
+            (contactsResponse.data.success ? (contactsResponse.data.data || []) : [])
+              .map(contact => [toIdString(contact._id), contact])
+          );
+
+          return openFollowups.map(activity => ({
+            id: activity._id,
+            activity,
+            project,
+            contact: contactsById.get(toIdString(activity.contactId)) || null,
+            ownerId: toIdString(activity.createdBy),
+            ownerName: activity.createdBy?.name || activity.createdBy?.email || '',
+            dueDate: startOfDay(getNextActionDate(activity))
+          }));
+        } catch (err) {
+          console.error(`Error fetching follow-ups for project ${project._id}:`, err);
+          return [];
+        }
+      }));
+
+      setTasks(perProject.flat().sort((a, b) => a.dueDate - b.dueDate));
+    } catch (err) {
+      console.error('Error fetching tasks:', err);
+      setError('Couldn\'t load your follow-ups. Try refreshing the page.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const visibleTasks = useMemo(() => {
+    return tasks.filter(task => {
+      if (filterProject && task.project._id !== filterProject) return false;
+      if (filterType && task.activity.type !== filterType) return false;
+      return true;
+    });
+  }, [tasks, filterProject, filterType]);
+
+  const buckets = useMemo(() => {
+    const todayStart = startOfDay(new Date());
+    const tomorrowStart = new Date(todayStart);
+    tomorrowStart.setDate(tomorrowStart.getDate() + 1);
+    return {
+      overdue: visibleTasks.filter(t => t.dueDate < todayStart),
+      today: visibleTasks.filter(t => t.dueDate >= todayStart && t.dueDate < tomorrowStart),
+      upcoming: visibleTasks.filter(t => t.dueDate >= tomorrowStart)
+    };
+  }, [visibleTasks]);
+
+  const handleReschedule = async (task, date) => {
+    if (!date) return;
+    setUpdatingTaskId(task.id);
+    try {
+      await API.put(`/activities/${task.activity._id}`, { nextActionDate: date, nextActionTimed: false });
+      setTasks(prev => prev
+        .map(t => (t.id === task.id
+          ? { ...t, activity: { ...t.activity, nextActionDate: date, nextActionTimed: false }, dueDate: parseDateKey(date) }
+          : t))
+        .sort((a, b) => a.dueDate - b.dueDate));
+      setRescheduleTaskId(null);
+    } catch (err) {
+      console.error('Error rescheduling follow-up:', err);
+      setError('Couldn\'t reschedule that follow-up. Give it another try.');
+    } finally {
+      setUpdatingTaskId(null);
+    }
+  };
+
+  const handleMarkDone = async (task) => {
+    setUpdatingTaskId(task.id);
+    try {
+      await API.put(`/activities/${task.activity._id}`, { nextAction: '', nextActionDate: null });
+      setTasks(prev => prev.filter(t => t.id !== task.id));
+    } catch (err) {
+      console.error('Error completing follow-up:', err);
+      setError('Couldn\'t mark that follow-up as done. Give it another try.');
+    } finally {
+      setUpdatingTaskId(null);
+    }
+  };
+
+  const handleOpenActivityModal = (task) => {
+    const contact = task.contact || {};
+    setActivityModal({
+      isOpen: true,
+      type: NEXT_ACTION_TYPES[task.activity.nextAction] || task.activity.type,
+      contactName: contact.name || 'N/A',
+      companyName: contact.company || '',
+      projectId: task.project._id,
+      contactId: toIdString(task.activity.contactId),
+      phoneNumber: contact.firstPhone || task.activity.phoneNumber || null,
+      email: contact.email || task.activity.email || null,
+      linkedInProfileUrl: contact.personLinkedinUrl || contact.companyLinkedinUrl || task.activity.linkedInUrl || null,
+      // Prefill from the source activity, but the new entry should set its own next step
+      lastActivity: { ...task.activity, nextAction: '', nextActionDate: null }
+    });
+  };
+
+  const handleCloseActivityModal = (saved = false) => {
+    setActivityModal({
+      isOpen: false,
+      type: null,
+      contactName: '',
+      companyName: '',
+      projectId: null,
+      contactId: null,
+      phoneNumber: null,
+      email: null,
+      linkedInProfileUrl: null,
+      lastActivity: null
+    });
+    if (saved) {
+      fetchTasks();
+    }
+  };
+
+  const formatDate = (date) => {
+    return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  };
+
+  const renderTask = (task, tone) => {
+    const contact = task.contact || {};
+    const contactId = toIdString(task.activity.contactId);
+    const isUpdating = updatingTaskId === task.id;
+    return (
+      <div key={task.id} className="flex flex-col md:flex-row md:items-center gap-3 p-4 bg-white border border-gray-200 rounded-lg hover:shadow-sm transition-shadow">
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2 flex-wrap">
+            <button
+              onClick={() => navigate(`/contacts/${contactId}/activities?projectId=${task.project._id}&returnTo=${encodeURIComponent('/tasks')}`)}
+              className="text-sm font-semibold text-gray-900 hover:text-blue-600 truncate"
+            >
+              {contact.name || 'Unknown contact'}
+            </button>
+            <span className="text-xs text-gray-500 truncate">{contact.company || ''}</span>
+          </div>
+          <div className="mt-1 flex items-center gap-2 flex-wrap text-xs">
+            <span className="px-2 py-0.5 rounded-full bg-blue-50 text-blue-700 font-medium">
+              {NEXT_ACTION_LABELS[task.activity.nextAction] || task.activity.nextAction || 'Follow up'}
+            </span>
+            <span className="text-gray-500">after {TYPE_LABELS[task.activity.type] || task.activity.type}</span>
+            <span className="text-gray-400">•</span>
+            <span className="text-gray-600">{task.project.companyName || 'Project'}</span>
+            {scope === 'team' && task.ownerName && (
+              <>
+                <span className="text-gray-400">•</span>
+                <span className="text-gray-600">{task.ownerName}</span>
+              </>
+            )}
+          </div>
+        </div>
+        <div className={`text-xs font-medium whitespace-nowrap ${tone}`}>{formatDate(task.dueDate)}</div>
+        <div className="flex items-center gap-2 flex-wrap">
+          <button
+            onClick={() => handleOpenActivityModal(task)}
+            disabled={isUpdating}
+            className="px-3 py-1.5 text-xs font-semibold text-white bg-blue-600 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+          >
+            Log {TYPE_LABELS[NEXT_ACTION_TYPES[task.activity.nextAction] || task.activity.type] || 'Activity'}
+          </button>
+          {rescheduleTaskId === task.id ? (
+            <input
+              type="date"
+              autoFocus
+              min={addDays(0)}
+              max={addDays(7)}
+              defaultValue={toDateKey(task.dueDate)}
+              onChange={(e) => handleReschedule(task, e.target.value)}
+              onBlur={() => setRescheduleTaskId(null)}
+              className="px-2 py-1 text-xs border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          ) : (
+            <>
+              <button
+                onClick={() => handleReschedule(task, addDays(1))}
+                disabled={isUpdating}
+                className="px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                title="Snooze until tomorrow"
+              >
+                Snooze
+              </button>
+              <button
+                onClick={() => setRescheduleTaskId(task.id)}
+                disabled={isUpdating}
+                className="px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+              >
+                Reschedule
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => handleMarkDone(task)}
+            disabled={isUpdating}
+            className="px-3 py-1.5 text-xs font-medium text-green-700 bg-green-50 border border-green-200 rounded-lg hover:bg-green-100 transition-colors disabled:opacity-50"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const sections = [
+    { key: 'overdue', label: 'Overdue', tone: 'text-red-600', badge: 'bg-red-100 text-red-700' },
+    { key: 'today', label: 'Due Today', tone: 'text-amber-600', badge: 'bg-amber-100 text-amber-700' },
+    { key: 'upcoming', label: 'Upcoming', tone: 'text-gray-600', badge: 'bg-gray-100 text-gray-700' }
+  ];
+
+  return (
+    <div className="p-6 max-w-6xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">My Day</h1>
+          <p className="text-sm text-gray-500 mt-1">{scope === 'mine' ? 'Follow-ups scheduled from your logged activities, across the projects you\'re on' : 'Follow-ups scheduled by everyone, across all projects'}</p>
+        </div>
+        <div className="flex items-center gap-2 flex-wrap">
+          <div className="inline-flex rounded-lg border border-gray-300 overflow-hidden">
+            {[{ key: 'mine', label: 'Mine' }, { key: 'team', label: 'Team' }].map(option => (
+              <button
+                key={option.key}
+                onClick={() => setScope(option.key)}
+                className={`px-3 py-1.5 text-xs font-medium transition-colors ${
+                  scope === option.key ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <select
+            value={filterProject}
+            onChange={(e) => setFilterProject(e.target.value)}
+            className="px-3 py-1.5 text-xs border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+          >
+            <option value="">All projects</option>
+            {projects.map(project => (
+              <option key={project._id} value={project._id}>{project.companyName}</option>
+            ))}
+          </select>
+          <select
+            value={filterType}
+            onChange={(e) => setFilterType(e.target.value)}
+            className="px-3 py-1.5 text-xs border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 bg-white"
+          >
+            <option value="">All channels</option>
+            <option value="call">Call</option>
+            <option value="email">Email</option>
+            <option value="linkedin">LinkedIn</option>
+          </select>
+          <button
+            onClick={fetchTasks}
+            disabled={loading}
+            className="px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        </div>
+      ) : visibleTasks.length === 0 ? (
+        <div className="bg-white border border-gray-200 rounded-lg p-12 text-center">
+          <h3 className="text-sm font-semibold text-gray-900 mb-1">Nothing on your plate</h3>
+          <p className="text-sm text-gray-500">Follow-ups appear here when an activity is logged with a next action date.</p>
+        </div>
+      ) : (
+        <div className="space-y-8">
+          {sections.map(section => (
+            buckets[section.key].length > 0 && (
+              <div key={section.key}>
+                <div className="flex items-center gap-2 mb-3">
+                  <h2 className="text-sm font-semibold text-gray-900 uppercase tracking-wide">{section.label}</h2>
+                  <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${section.badge}`}>
+                    {buckets[section.key].length}
+                  </span>
+                </div>
+                <div className="space-y-2">
+                  {buckets[section.key].map(task => renderTask(task, section.tone))}
+                </div>
+              </div>
+            )
+          ))}
+        </div>
+      )}
+
+      <ActivityLogModal
+        isOpen={activityModal.isOpen}
+        onClose={handleCloseActivityModal}
+        type={activityModal.type}
+        contactName={activityModal.contactName}
+        companyName={activityModal.companyName}
+        projectId={activityModal.projectId}
+        contactId={activityModal.contactId}
+        phoneNumber={activityModal.phoneNumber}
+        email={activityModal.email}
+        linkedInProfileUrl={activityModal.linkedInProfileUrl}
+        lastActivity={activityModal.lastActivity}
+      />
+    </div>
+  );
+}
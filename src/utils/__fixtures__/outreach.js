@@ -0,0 +1,70 @@
+// Five prospects worked on every channel during March 2026. The counts the metrics tests expect
+// are worked out by hand next to each prospect.
+
+const on = (day, hour = 10) => new Date(2026, 2, day, hour).toISOString();
+
+const contact = (id, stage, addedDay) => ({ _id: id, name: `Prospect ${id}`, stage, createdAt: on(addedDay, 9) });
+
+export const MARCH = "Mar '26";
+
+export const contacts = [
+  contact('c1', 'SQL', 1),
+  contact('c2', 'WON', 1),
+  contact('c3', 'Contacted', 2),
+  contact('c4', 'New', 2),
+  // Logged like an SQL under the old funnel rules, but the project stage was never moved
+  contact('c5', 'Contacted', 3)
+];
+
+const call = (contactId, day, callStatus, extra = {}) => ({
+  _id: `call-${contactId}-${day}`, type: 'call', contactId, callStatus, callDate: on(day), createdAt: on(day), ...extra
+});
+
+const email = (contactId, day, status, extra = {}) => ({
+  _id: `email-${contactId}-${day}`, type: 'email', contactId, status, emailDate: on(day), createdAt: on(day), ...extra
+});
+
+const linkedin = (contactId, day, fields) => ({
+  _id: `linkedin-${contactId}-${day}`, type: 'linkedin', contactId, linkedinDate: on(day), createdAt: on(day), ...fields
+});
+
+export const callActivities = [
+  // c1: not reached, then a decision maker
+  call('c1', 2, 'Ring', { callNumber: '1st call' }),
+  call('c1', 4, 'Interested', { callNumber: '2nd call' }),
+  // c2: demo booked and completed
+  call('c2', 3, 'Demo Booked', { callNumber: '1st call' }),
+  call('c2', 10, 'Demo Completed', { callNumber: '2nd call' }),
+  // c3: connected, but "Call Back" isn't a decision maker
+  call('c3', 5, 'Call Back', { callNumber: '1st call' }),
+  // c4: no callDate, so it's dated by createdAt and still an attempt
+  { _id: 'call-c4-6', type: 'call', contactId: 'c4', callStatus: 'Busy', createdAt: on(6) },
+  // c5: every old SQL trigger at once
+  call('c5', 12, 'Demo Completed', {
+    status: 'SQL',
+    conversationNotes: 'Walked through the whole platform with the team and agreed on a pilot scope.'
+  })
+];
+
+export const emailActivities = [
+  email('c1', 2, 'No Reply'),
+  email('c1', 6, 'Interested'),
+  email('c2', 3, 'Out of Office'),
+  email('c2', 9, 'Meeting Scheduled'),
+  // A next action date puts a prospect in the email Scheduled stage
+  email('c3', 4, 'Bounce', { nextActionDate: on(11) }),
+  // Saved before the status was renamed to "Opt-Out"
+  email('c4', 5, 'Opt Out'),
+  email('c5', 7, 'Meeting Proposed')
+];
+
+export const linkedinActivities = [
+  linkedin('c1', 2, { lnRequestSent: 'Yes' }),
+  linkedin('c1', 3, { connected: 'Yes' }),
+  linkedin('c1', 5, { status: 'CIP' }),
+  linkedin('c2', 2, { template: 'introduction-message' }),
+  linkedin('c2', 8, { status: 'Meeting Scheduled' }),
+  linkedin('c3', 4, { lnRequestSent: 'Existing Connect' })
+];
+
+export const activities = [...callActivities, ...emailActivities, ...linkedinActivities];
@@ -0,0 +1,87 @@
+// Change history recorded by the API whenever a contact, an activity or a prospect's project record
+// (stage, status, assignee) is created, edited, deleted, restored or merged. Each entry is one save:
+// { _id, entityType, entityId, entityLabel, action, changes: [{ field, from, to }],
+//   user: { _id, name, email }, contactId, projectId, projectName, createdAt }
+
+export const AUDIT_ENTITY_TYPES = [
+  { key: 'contact', label: 'Contact' },
+  { key: 'activity', label: 'Activity' },
+  { key: 'projectContact', label: 'Prospect stage' }
+];
+
+export const AUDIT_ACTIONS = [
+  { key: 'create', label: 'Created' },
+  { key: 'update', label: 'Updated' },
+  { key: 'delete', label: 'Deleted' },
+  { key: 'restore', label: 'Restored' },
+  { key: 'merge', label: 'Merged' }
+];
+
+export const AUDIT_PAGE_SIZE = 50;
+
+const FIELD_LABELS = {
+  name: 'Name',
+  title: 'Title',
+  company: 'Company',
+  email: 'Email',
+  firstPhone: 'Phone',
+  companyPhone: 'Company Phone',
+  personLinkedinUrl: 'LinkedIn',
+  companyLinkedinUrl: 'Company LinkedIn',
+  website: 'Website',
+  industry: 'Industry',
+  city: 'City',
+  state: 'State',
+  country: 'Country',
+  category: 'Category',
+  type: 'Type',
+  outcome: 'Outcome',
+  status: 'Status',
+  stage: 'Stage',
+  notes: 'Notes',
+  conversation: 'Conversation',
+  callDate: 'Call Date',
+  linkedinDate: 'LinkedIn Date',
+  nextAction: 'Next Action',
+  nextActionDate: 'Next Action Date',
+  assignedTo: 'Assigned To',
+  invalidFields: 'Flagged Invalid'
+};
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+Z?)?$/;
+
+export const getAuditFieldLabel = (field) => FIELD_LABELS[field]
+  || String(field || '').replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+
+export const getAuditEntityLabel = (key) => AUDIT_ENTITY_TYPES.find(type => type.key === key)?.label || 'Record';
+
+export const getAuditActionLabel = (key) => AUDIT_ACTIONS.find(action => action.key === key)?.label || 'Changed';
+
+export const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.length > 0 ? value.map(formatAuditValue).join(', ') : '—';
+  if (typeof value === 'object') return value.name || value.email || JSON.stringify(value);
+  if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) {
+      return value.length > 10 ? date.toLocaleString() : date.toLocaleDateString();
+    }
+  }
+  return String(value);
+};
+
+// Entries grouped under a calendar-day heading, newest day first (entries arrive newest first)
+export const groupAuditEntriesByDay = (entries = []) => {
+  const groups = [];
+  entries.forEach(entry => {
+    const day = new Date(entry.createdAt).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    const last = groups[groups.length - 1];
+    if (last && last.day === day) {
+      last.entries.push(entry);
+    } else {
+      groups.push({ day, entries: [entry] });
+    }
+  });
+  return groups;
+};
@@ -0,0 +1,153 @@
+// Bulk job engine used by bulk activity logging.
+// A job is a list of items that each run through the same async task. Items run a few at a time,
+// transient errors (network, timeouts, 429, 5xx) are retried with backoff, and the job is saved to
+// localStorage after every change so a closed tab can pick up where it stopped.
+
+const STORAGE_PREFIX = 'bulkActivityJob:';
+
+export const BULK_JOB_CONCURRENCY = 4;
+export const BULK_JOB_MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 800;
+
+// One saved job per project and activity type
+const storageKey = (projectId, type) => `${STORAGE_PREFIX}${projectId}:${type}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const createBulkJob = ({ projectId, type, payload, items }) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  projectId,
+  type,
+  payload,
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+  items: items.map(item => ({ ...item, status: 'pending', attempts: 0, error: null }))
+});
+
+export const saveBulkJob = (job) => {
+  try {
+    localStorage.setItem(storageKey(job.projectId, job.type), JSON.stringify({ ...job, updatedAt: new Date().toISOString() }));
+  } catch (error) {
+    // Storage full or disabled: the run still finishes, it just can't be resumed
+    console.error('Error saving bulk job:', error);
+  }
+};
+
+// The saved job for this project and type, if any. Items that were mid-flight when the tab closed go back to pending.
+export const loadBulkJob = (projectId, type) => {
+  if (!projectId || !type) return null;
+  try {
+    const stored = localStorage.getItem(storageKey(projectId, type));
+    if (!stored) return null;
+    const job = JSON.parse(stored);
+    if (!Array.isArray(job?.items)) return null;
+    return {
+      ...job,
+      items: job.items.map(item => (item.status === 'running' ? { ...item, status: 'pending' } : item))
+    };
+  } catch (error) {
+    console.error('Error reading bulk job:', error);
+    return null;
+  }
+};
+
+export const clearBulkJob = (projectId, type) => {
+  localStorage.removeItem(storageKey(projectId, type));
+};
+
+export const summarizeBulkJob = (job) => {
+  const summary = { total: 0, pending: 0, running: 0, succeeded: 0, failed: 0 };
+  (job?.items || []).forEach(item => {
+    summary.total++;
+    summary[item.status]++;
+  });
+  summary.done = summary.succeeded + summary.failed;
+  return summary;
+};
+
+export const hasUnfinishedItems = (job) => (job?.items || []).some(item => item.status !== 'succeeded');
+
+// Failed items go back to pending with a fresh attempt budget
+export const resetFailedItems = (job) => ({
+  ...job,
+  items: job.items.map(item => (item.status === 'failed' ? { ...item, status: 'pending', attempts: 0, error: null } : item))
+});
+
+// No response at all, a timeout, rate limiting or a server error. 4xx answers won't change on retry,
+// and errors that didn't come from a request at all aren't worth retrying either. A request that got
+// no response may still have been saved, so tasks mark ones that can't safely run twice (e.g. creating
+// a record) with `error.idempotent = false` and those aren't retried.
+export const isTransientError = (error) => {
+  if (!error?.isAxiosError) return false;
+  if (!error.response) return error.idempotent !== false;
+  const status = error.response.status;
+  return status === 408 || status === 429 || status >= 500;
+};
+
+export const describeError = (error) => {
+  const serverMessage = error?.response?.data?.error || error?.response?.data?.message;
+  if (serverMessage) return serverMessage;
+  if (error?.isAxiosError && !error.response) {
+    return error.idempotent === false
+      ? 'No response from the server, so it may have saved anyway. Check before retrying.'
+      : 'No response from the server (network error)';
+  }
+  if (!error?.response) return error?.message || 'Unknown error';
+  return `Request failed with status ${error.response.status}`;
+};
+
+// Runs every pending item through `task(item)`, which may return changes to merge into the item
+// (e.g. an id from a step that already succeeded, so a retry can skip it). On failure the task can
+// attach `error.itemChanges` for the same purpose.
+// `onUpdate(job)` gets a new job object after every state change; `shouldStop()` is checked before
+// each item so the caller can pause the run.
+export const runBulkJob = async (initialJob, task, { onUpdate, shouldStop, concurrency = BULK_JOB_CONCURRENCY, maxAttempts = BULK_JOB_MAX_ATTEMPTS } = {}) => {
+  let job = initialJob;
+
+  const updateItem = (index, changes) => {
+    job = { ...job, items: job.items.map((item, i) => (i === index ? { ...item, ...changes } : item)) };
+    saveBulkJob(job);
+    onUpdate?.(job);
+  };
+
+  const queue = job.items
+    .map((item, index) => (item.status === 'pending' ? index : null))
+    .filter(index => index !== null);
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      if (shouldStop?.()) return;
+      const index = queue.shift();
+      updateItem(index, { status: 'running', attempts: 0 });
+
+      for (;;) {
+        const attempts = job.items[index].attempts + 1;
+        try {
+          const changes = await task(job.items[index]);
+          updateItem(index, { ...changes, status: 'succeeded', attempts, error: null });
+          break;
+        } catch (error) {
+          const changes = error?.itemChanges || {};
+          if (isTransientError(error) && attempts < maxAttempts) {
+            if (shouldStop?.()) {
+              // Paused between attempts: leave it for the resume
+              updateItem(index, { ...changes, status: 'pending', attempts });
+              break;
+            }
+            updateItem(index, { ...changes, attempts });
+            await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+            continue;
+          }
+          console.error(`Bulk job item failed (${job.items[index].name || index}):`, error);
+          updateItem(index, { ...changes, status: 'failed', attempts, error: describeError(error) });
+          break;
+        }
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+  // Items never started because of a stop stay pending for the next resume
+  return job;
+};
@@ -0,0 +1,93 @@
+// Per-project multi-channel cadence: an ordered touch plan like Day 1 LinkedIn, Day 3 call, Day 5 email.
+// A project stores `cadence` as [{ day, type, label }]. Progress isn't stored anywhere: each contact's
+// position is worked out from the activities already logged, so logging an activity of the expected
+// type is what advances the contact to the next touch.
+
+import { DAY_MS, startOfDay, toIdString } from './helpers';
+import { getActivityDate } from './metrics';
+
+export const CADENCE_TOUCH_TYPES = [
+  { key: 'linkedin', label: 'LinkedIn', channel: 'linkedInOutreach' },
+  { key: 'call', label: 'Call', channel: 'coldCalling' },
+  { key: 'email', label: 'Email', channel: 'coldEmail' }
+];
+
+export const getTouchLabel = (touch) => {
+  const type = CADENCE_TOUCH_TYPES.find(t => t.key === touch.type);
+  return touch.label?.trim() || `${type?.label || touch.type} touch`;
+};
+
+// Touches on channels the project runs, ordered by day
+export const resolveCadence = (project) => {
+  const touches = Array.isArray(project?.cadence) ? project.cadence : [];
+  return touches
+    .filter(touch => {
+      const type = CADENCE_TOUCH_TYPES.find(t => t.key === touch.type);
+      return type && project?.channels?.[type.channel] && Number(touch.day) >= 1;
+    })
+    .map(touch => ({ ...touch, day: Number(touch.day) }))
+    .sort((a, b) => a.day - b.day);
+};
+
+// Where one contact is in the cadence.
+// Walks the contact's activities oldest first; each activity matching the next touch's type completes
+// it. The first touch is due on its day counted from `startDate` (when the contact joined the project);
+// later touches keep their spacing from whenever the previous touch was actually done, so a late touch
+// shifts the rest.
+// Returns { completed, total, nextTouch, dueDate, state } with state 'done' | 'overdue' | 'due' | 'upcoming'.
+export const getContactCadenceProgress = (cadence, startDate, activities, now = new Date()) => {
+  const total = cadence.length;
+  if (total === 0) return null;
+
+  const startedAt = startOfDay(startDate || now);
+  const contactActivities = activities
+    .filter(activity => activity.contactId && getActivityDate(activity) >= startedAt)
+    .sort((a, b) => getActivityDate(a) - getActivityDate(b));
+
+  let completed = 0;
+  let lastTouchDate = null;
+  for (const activity of contactActivities) {
+    if (completed >= total) break;
+    if (activity.type === cadence[completed].type) {
+      lastTouchDate = getActivityDate(activity);
+      completed++;
+    }
+  }
+
+  if (completed >= total) {
+    return { completed, total, nextTouch: null, dueDate: null, state: 'done' };
+  }
+
+  const nextTouch = cadence[completed];
+  const dueDate = completed === 0
+    ? new Date(startedAt.getTime() + (nextTouch.day - 1) * DAY_MS)
+    : new Date(startOfDay(lastTouchDate).getTime() + (nextTouch.day - cadence[completed - 1].day) * DAY_MS);
+
+  const today = startOfDay(now);
+  let state = 'upcoming';
+  if (dueDate < today) state = 'overdue';
+  else if (dueDate.getTime() === today.getTime()) state = 'due';
+
+  return { completed, total, nextTouch, dueDate, state };
+};
+
+// Progress for every contact, keyed by contact id. Activities are grouped once up front.
+export const buildCadenceProgress = (cadence, contacts, activities, getStartDate = (contact) => contact.createdAt, now = new Date()) => {
+  const progress = new Map();
+  if (cadence.length === 0) return progress;
+
+  const activitiesByContact = new Map();
+  activities.forEach(activity => {
+    const contactId = toIdString(activity.contactId);
+    if (!contactId) return;
+    if (!activitiesByContact.has(contactId)) activitiesByContact.set(contactId, []);
+    activitiesByContact.get(contactId).push(activity);
+  });
+
+  contacts.forEach(contact => {
+    const contactId = toIdString(contact._id);
+    if (!contactId) return;
+    progress.set(contactId, getContactCadenceProgress(cadence, getStartDate(contact), activitiesByContact.get(contactId) || [], now));
+  });
+  return progress;
+};
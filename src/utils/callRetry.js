@@ -0,0 +1,106 @@
+// Per-project retry rules for cold calling.
+// A project stores `callRetryRules` as [{ status, mode, delayHours, maxAttempts }]: when a call is
+// logged with `status`, the next call is scheduled either `delayHours` later ('delay') or at the time
+// the rep enters ('manual'), until the contact has had `maxAttempts` calls. The callback is saved on
+// the activity as a 'follow-up-call' next action, which is what the calling queue reads.
+
+import { getNextActionDate, toIdString } from './helpers';
+
+export const CALL_RETRY_MODES = [
+  { key: 'delay', label: 'After a delay' },
+  { key: 'manual', label: 'Time the rep enters' }
+];
+
+export const CALL_RETRY_NEXT_ACTION = 'follow-up-call';
+
+// Mirrors the "1st call" … "10th call" options in ActivityLogModal
+export const MAX_CALL_NUMBER = 10;
+
+// Next actions must fall within a week, so no rule waits longer than that
+export const MAX_CALL_RETRY_DELAY_HOURS = 7 * 24;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const rule = (status, mode, delayHours, maxAttempts) => ({ status, mode, delayHours, maxAttempts });
+
+export const DEFAULT_CALL_RETRY_RULES = [
+  rule('Ring', 'delay', 2, 5),
+  rule('Busy', 'delay', 1, 5),
+  rule('Switch Off', 'delay', 24, 3),
+  rule('Call Back', 'manual', 0, 5)
+];
+
+// A project's rules, or the defaults for projects saved before rules existed. An empty list is kept:
+// it means the project doesn't want automatic retries.
+export const resolveCallRetryRules = (project) => {
+  if (!Array.isArray(project?.callRetryRules)) return DEFAULT_CALL_RETRY_RULES;
+  return project.callRetryRules
+    .filter(r => r && r.status && r.status.trim() && CALL_RETRY_MODES.some(m => m.key === r.mode))
+    .map(r => rule(
+      r.status.trim(),
+      r.mode,
+      r.mode === 'delay' ? Math.min(MAX_CALL_RETRY_DELAY_HOURS, Math.max(1, Number(r.delayHours) || 1)) : 0,
+      Math.max(1, parseInt(r.maxAttempts, 10) || 1)
+    ));
+};
+
+// "3rd call" -> 3; null when the rep didn't pick one
+export const getCallAttemptNumber = (callNumber) => {
+  const attempt = parseInt(callNumber, 10);
+  return attempt > 0 ? attempt : null;
+};
+
+export const getCallNumberLabel = (attempt) => {
+  const n = Math.min(Math.max(1, attempt), MAX_CALL_NUMBER);
+  const suffix = n === 1 ? 'st' : n === 2 ? 'nd' : n === 3 ? 'rd' : 'th';
+  return `${n}${suffix} call`;
+};
+
+// What to do after logging attempt number `attempt` with `callStatus`.
+// Returns null when no rule covers the status, otherwise { rule, exhausted, dueAt } where dueAt is
+// the computed callback for 'delay' rules and null for 'manual' ones (or when attempts are used up).
+export const getCallRetry = (rules, callStatus, attempt, now = new Date()) => {
+  const match = (rules || []).find(r => r.status === callStatus);
+  if (!match) return null;
+
+  const exhausted = attempt >= match.maxAttempts;
+  const dueAt = !exhausted && match.mode === 'delay'
+    ? new Date(now.getTime() + match.delayHours * HOUR_MS)
+    : null;
+  return { rule: match, exhausted, dueAt };
+};
+
+// Prospects with a follow-up call scheduled on their latest call, soonest first.
+// A date-only next action (no time picked) counts as due from the start of that day.
+// Returns [{ contact, activity, dueAt, state }] with state 'due' (now or earlier) | 'today' | 'upcoming'.
+export const buildCallQueue = (contacts, activities, now = new Date()) => {
+  const latestCallByContact = new Map();
+  activities.forEach(activity => {
+    if (activity.type !== 'call') return;
+    const contactId = toIdString(activity.contactId);
+    if (!contactId) return;
+    const current = latestCallByContact.get(contactId);
+    if (!current || new Date(activity.createdAt) > new Date(current.createdAt)) {
+      latestCallByContact.set(contactId, activity);
+    }
+  });
+
+  const endOfToday = new Date(now);
+  endOfToday.setHours(23, 59, 59, 999);
+
+  const queue = [];
+  contacts.forEach(contact => {
+    const activity = latestCallByContact.get(toIdString(contact._id));
+    if (!activity || activity.nextAction !== CALL_RETRY_NEXT_ACTION || !activity.nextActionDate) return;
+
+    const dueAt = getNextActionDate(activity);
+    if (isNaN(dueAt.getTime())) return;
+
+    let state = 'upcoming';
+    if (dueAt <= now) state = 'due';
+    else if (dueAt <= endOfToday) state = 'today';
+    queue.push({ contact, activity, dueAt, state });
+  });
+
+  return queue.sort((a, b) => a.dueAt - b.dueAt);
+};
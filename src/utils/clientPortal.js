@@ -0,0 +1,171 @@
+import { resolveStatusSchema, getStatusesByFlag } from './statusSchema';
+import { FUNNEL_STAGES, computeFunnel } from './metrics';
+import { DAY_MS } from './helpers';
+
+// Read-only views shared with client stakeholders.
+// The portal endpoints already scope data to the client's projects; everything is still passed
+// through the whitelists below so internal fields (notes, owners, next actions, contact details)
+// never reach the portal even if the API starts returning them.
+
+const CLIENT_ACTIVITY_FIELDS = [
+  '_id', 'type', 'status', 'callStatus', 'callNumber', 'contactId', 'projectId',
+  'createdAt', 'callDate', 'emailDate', 'linkedinDate', 'lnRequestSent', 'connected', 'template'
+];
+
+const CLIENT_CONTACT_FIELDS = ['_id', 'createdAt', 'stage'];
+
+const pick = (source, fields) => fields.reduce((acc, field) => {
+  if (source?.[field] !== undefined) acc[field] = source[field];
+  return acc;
+}, {});
+
+// Populated references come back as objects; the portal only needs the id
+const toId = (value) => (value && typeof value === 'object' ? value._id : value)?.toString();
+
+export const sanitizeClientProject = (project) => ({
+  _id: toId(project?._id),
+  companyName: project?.companyName || '',
+  website: project?.website || '',
+  channels: pick(project?.channels, ['coldCalling', 'linkedInOutreach', 'coldEmail']),
+  campaignDetails: pick(project?.campaignDetails, ['leadQuotaCommitted', 'startDate', 'endDate']),
+  statusSchema: project?.statusSchema
+});
+
+// Only this project's activities, reduced to the fields the funnels and monthly report count
+export const sanitizeClientActivities = (activities = [], projectId) => activities
+  .filter(activity => !activity.projectId || toId(activity.projectId) === projectId)
+  .map(activity => ({
+    ...pick(activity, CLIENT_ACTIVITY_FIELDS),
+    contactId: toId(activity.contactId),
+    projectId
+  }));
+
+export const sanitizeClientContacts = (contacts = []) => contacts.map(contact => ({
+  ...pick(contact, CLIENT_CONTACT_FIELDS),
+  _id: toId(contact._id)
+}));
+
+// Portal payload ({ project, activities, contacts }) in the shape MonthlyReport's portalData expects
+export const sanitizeClientReport = (data) => {
+  const project = sanitizeClientProject(data?.project);
+  return {
+    project,
+    activities: sanitizeClientActivities(data?.activities || [], project._id),
+    contacts: sanitizeClientContacts(data?.contacts || [])
+  };
+};
+
+// The internal funnel pages' stages (FUNNEL_STAGES in utils/metrics), with client-facing labels.
+// Counts come from the same computeFunnel, so clients see the numbers the team sees.
+const CLIENT_FUNNELS = [
+  {
+    key: 'linkedin',
+    label: 'LinkedIn',
+    channel: 'linkedInOutreach',
+    stageLabels: {
+      prospectData: 'Prospects',
+      connectionSent: 'Connection Requests Sent',
+      accepted: 'Connections Accepted',
+      followups: 'Followed Up',
+      cip: 'Conversations in Progress',
+      meetingProposed: 'Meetings Proposed',
+      scheduled: 'Meetings Scheduled',
+      completed: 'Meetings Completed',
+      sql: 'SQLs'
+    }
+  },
+  {
+    key: 'call',
+    label: 'Cold Calling',
+    channel: 'coldCalling',
+    stageLabels: {
+      prospectData: 'Prospects',
+      callsAttempted: 'Calls Attempted',
+      callsConnected: 'Calls Connected',
+      decisionMakerReached: 'Decision Makers Reached',
+      interested: 'Interested',
+      detailsShared: 'Details Shared',
+      demoBooked: 'Demos Booked',
+      demoCompleted: 'Demos Completed',
+      sql: 'SQLs',
+      won: 'Won'
+    }
+  },
+  {
+    key: 'email',
+    label: 'Email',
+    channel: 'coldEmail',
+    stageLabels: {
+      prospectData: 'Prospects',
+      emailSent: 'Emails Sent',
+      accepted: 'Replies',
+      followups: 'Followed Up',
+      cip: 'Conversations in Progress',
+      meetingProposed: 'Meetings Proposed',
+      scheduled: 'Meetings Scheduled',
+      completed: 'Meetings Completed',
+      sql: 'SQLs'
+    }
+  }
+];
+
+// Prospects reaching each funnel stage, for the channels the project runs
+export const computeClientFunnels = (project, contacts, activities) => {
+  const schema = resolveStatusSchema(project);
+  return CLIENT_FUNNELS
+    .filter(funnel => project?.channels?.[funnel.channel])
+    .map(funnel => {
+      const counts = computeFunnel(funnel.key, contacts, activities, schema);
+      return {
+        key: funnel.key,
+        label: funnel.label,
+        stages: FUNNEL_STAGES[funnel.key].map(stage => ({
+          label: funnel.stageLabels[stage.key] || stage.key,
+          count: counts[stage.key]
+        }))
+      };
+    });
+};
+
+const STATUS_CHANNEL_BY_TYPE = { linkedin: 'linkedin', email: 'email', call: 'call' };
+
+// Contacts whose status on any channel carries the flag in the project's status schema
+const countContactsWithFlag = (project, activities, flag) => {
+  const schema = resolveStatusSchema(project);
+  const contactIds = new Set();
+  activities.forEach(activity => {
+    const channel = STATUS_CHANNEL_BY_TYPE[activity.type];
+    if (!channel || !activity.contactId) return;
+    const value = channel === 'call' ? activity.callStatus : activity.status;
+    if (value && getStatusesByFlag(schema, channel, flag).includes(value)) {
+      contactIds.add(activity.contactId);
+    }
+  });
+  return contactIds.size;
+};
+
+// Leads delivered against the committed quota, plus how far through the campaign window we are
+export const computeQuotaProgress = (project, activities, now = new Date()) => {
+  const committed = Number(project?.campaignDetails?.leadQuotaCommitted) || 0;
+  const delivered = countContactsWithFlag(project, activities, 'positive');
+  const startDate = project?.campaignDetails?.startDate ? new Date(project.campaignDetails.startDate) : null;
+  const endDate = project?.campaignDetails?.endDate ? new Date(project.campaignDetails.endDate) : null;
+
+  let totalDays = null;
+  let elapsedDays = null;
+  if (startDate && endDate && endDate > startDate) {
+    totalDays = Math.ceil((endDate - startDate) / DAY_MS);
+    elapsedDays = Math.min(totalDays, Math.max(0, Math.ceil((now - startDate) / DAY_MS)));
+  }
+
+  return {
+    committed,
+    delivered,
+    percent: committed > 0 ? Math.min(100, Math.round((delivered / committed) * 100)) : 0,
+    meetingsBooked: countContactsWithFlag(project, activities, 'meeting'),
+    startDate,
+    endDate,
+    totalDays,
+    elapsedDays
+  };
+};
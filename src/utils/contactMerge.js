@@ -0,0 +1,137 @@
+import { normalizeEmail, normalizeLinkedinUrl } from './importValidation';
+
+// Duplicate detection and merge helpers. Two contacts are duplicates when they share an email,
+// a LinkedIn profile, or the same normalized name at the same normalized company; matches chain,
+// so A~B by email and B~C by LinkedIn puts all three in one group.
+
+// Fields shown side by side in the merge dialog; the survivor takes the picked value for each
+export const MERGE_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'title', label: 'Title' },
+  { key: 'company', label: 'Company' },
+  { key: 'email', label: 'Email' },
+  { key: 'firstPhone', label: 'Phone' },
+  { key: 'companyPhone', label: 'Company Phone' },
+  { key: 'personLinkedinUrl', label: 'LinkedIn' },
+  { key: 'companyLinkedinUrl', label: 'Company LinkedIn' },
+  { key: 'website', label: 'Website' },
+  { key: 'industry', label: 'Industry' },
+  { key: 'employees', label: 'Employees' },
+  { key: 'keywords', label: 'Keywords' },
+  { key: 'city', label: 'City' },
+  { key: 'state', label: 'State' },
+  { key: 'country', label: 'Country' }
+];
+
+export const DUPLICATE_REASON_LABELS = {
+  email: 'Same email',
+  linkedin: 'Same LinkedIn',
+  'name-company': 'Same name and company'
+};
+
+// Legal suffixes and punctuation that make "Acme Inc." and "ACME" look like different companies
+const COMPANY_SUFFIXES = /\b(incorporated|inc|llc|l\.l\.c|ltd|limited|corp|corporation|co|company|gmbh|plc|pvt|private|llp|sa|ag|bv)\b\.?/g;
+
+export const normalizeCompanyName = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(COMPANY_SUFFIXES, ' ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+export const normalizePersonName = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const hasValue = (value) => value !== null && value !== undefined && String(value).trim() !== '';
+
+const filledFieldCount = (contact) => MERGE_FIELDS.filter(field => hasValue(contact[field.key])).length;
+
+// Groups of 2+ contacts that look like the same person, largest first.
+// Each group: { id, reasons: ['email' | 'linkedin' | 'name-company'], contacts }
+export const findDuplicateGroups = (contacts = []) => {
+  const parent = contacts.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const reasonsByPair = [];
+  const union = (a, b, reason) => {
+    reasonsByPair.push({ index: a, reason });
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent[rootB] = rootA;
+  };
+
+  const firstSeen = { email: new Map(), linkedin: new Map(), 'name-company': new Map() };
+  contacts.forEach((contact, index) => {
+    const personName = normalizePersonName(contact.name);
+    const companyName = normalizeCompanyName(contact.company);
+    const keys = {
+      email: normalizeEmail(contact.email),
+      linkedin: normalizeLinkedinUrl(contact.personLinkedinUrl),
+      'name-company': personName && companyName ? `${personName}|${companyName}` : ''
+    };
+    Object.entries(keys).forEach(([reason, key]) => {
+      if (!key) return;
+      const seen = firstSeen[reason];
+      if (seen.has(key)) {
+        union(seen.get(key), index, reason);
+      } else {
+        seen.set(key, index);
+      }
+    });
+  });
+
+  const groups = new Map();
+  contacts.forEach((contact, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, { contacts: [], reasons: new Set() });
+    groups.get(root).contacts.push(contact);
+  });
+  reasonsByPair.forEach(({ index, reason }) => groups.get(find(index)).reasons.add(reason));
+
+  return [...groups.values()]
+    .filter(group => group.contacts.length > 1)
+    .map(group => ({
+      id: group.contacts.map(contact => contact._id).sort().join(':'),
+      reasons: [...group.reasons],
+      contacts: group.contacts
+    }))
+    .sort((a, b) => b.contacts.length - a.contacts.length);
+};
+
+// The record that survives by default: the most complete one, oldest on a tie
+export const pickSurvivor = (contacts = []) => [...contacts].sort((a, b) => {
+  const filled = filledFieldCount(b) - filledFieldCount(a);
+  if (filled !== 0) return filled;
+  return new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+})[0] || null;
+
+// { [fieldKey]: contactId } – the survivor's value where it has one, else the first contact that does
+export const getDefaultFieldChoices = (contacts, survivorId) => {
+  const survivor = contacts.find(contact => contact._id === survivorId);
+  const others = contacts.filter(contact => contact._id !== survivorId);
+  return MERGE_FIELDS.reduce((choices, field) => {
+    const source = [survivor, ...others].find(contact => contact && hasValue(contact[field.key]));
+    choices[field.key] = source?._id || survivorId;
+    return choices;
+  }, {});
+};
+
+export const buildMergedValues = (contacts, fieldChoices) => MERGE_FIELDS.reduce((values, field) => {
+  const source = contacts.find(contact => contact._id === fieldChoices[field.key]);
+  values[field.key] = source?.[field.key] ?? '';
+  return values;
+}, {});
+
+// Company names from the company view that normalize to the same name as `companyName`
+export const findCompanyAliases = (companyName, companies = []) => {
+  const key = normalizeCompanyName(companyName);
+  if (!key) return [];
+  return companies.filter(company => company.name !== companyName && normalizeCompanyName(company.name) === key);
+};
@@ -0,0 +1,91 @@
+import { isValidEmail, isValidPhone, isValidUrl } from './importValidation';
+
+// Checks behind the Dashboard's Data Quality bars. The server decides which contacts fail a check
+// (GET /dashboard/data-quality/issues); these definitions drive the drill-down: which fields to
+// show and edit, how to tell a missing value from an invalid one, and what "mark invalid" flags.
+// Contacts flagged by a researcher carry the field names in `invalidFields`.
+
+export const DATA_QUALITY_CHECKS = [
+  {
+    key: 'emailValid',
+    label: 'Email Valid',
+    issueLabel: 'Missing or invalid email',
+    fields: ['email'],
+    canMarkInvalid: true
+  },
+  {
+    key: 'phoneValid',
+    label: 'Phone Valid',
+    issueLabel: 'Missing or invalid phone',
+    fields: ['firstPhone'],
+    canMarkInvalid: true
+  },
+  {
+    key: 'completeProfile',
+    label: 'Complete Profile',
+    issueLabel: 'Incomplete profile',
+    fields: ['name', 'title', 'company', 'industry', 'country'],
+    canMarkInvalid: false
+  },
+  {
+    key: 'linkedinConnected',
+    label: 'LinkedIn Connected',
+    issueLabel: 'Missing or invalid LinkedIn URL',
+    fields: ['personLinkedinUrl'],
+    canMarkInvalid: true
+  },
+  {
+    // Nothing to fix in a field here; the list is for follow-up, not editing
+    key: 'recentActivity',
+    label: 'Recent Activity',
+    issueLabel: 'No activity in the last 30 days',
+    fields: [],
+    canMarkInvalid: false
+  }
+];
+
+export const DATA_QUALITY_FIELD_LABELS = {
+  email: 'Email',
+  firstPhone: 'Phone',
+  name: 'Name',
+  title: 'Title',
+  company: 'Company',
+  industry: 'Industry',
+  country: 'Country',
+  personLinkedinUrl: 'LinkedIn URL'
+};
+
+const FIELD_VALIDATORS = {
+  email: isValidEmail,
+  firstPhone: isValidPhone,
+  personLinkedinUrl: (value) => isValidUrl(value) && /linkedin\.com\//i.test(value)
+};
+
+export const QUALITY_TREND_DAYS = 90;
+
+export const getDataQualityCheck = (key) => DATA_QUALITY_CHECKS.find(check => check.key === key) || null;
+
+// 'missing' | 'invalid' | null for one field of a contact
+export const getFieldIssue = (contact, field) => {
+  const value = String(contact?.[field] ?? '').trim();
+  if (!value) return 'missing';
+  if (contact?.invalidFields?.includes(field)) return 'invalid';
+  const validate = FIELD_VALIDATORS[field];
+  if (validate && !validate(value)) return 'invalid';
+  return null;
+};
+
+// Message for a value typed into the drill-down, or '' when it can be saved
+export const validateFieldValue = (field, value) => {
+  const trimmed = String(value ?? '').trim();
+  if (!trimmed) return `${DATA_QUALITY_FIELD_LABELS[field] || field} can't be empty.`;
+  const validate = FIELD_VALIDATORS[field];
+  if (validate && !validate(trimmed)) return `That doesn't look like a valid ${(DATA_QUALITY_FIELD_LABELS[field] || field).toLowerCase()}.`;
+  return '';
+};
+
+// Trend points from the API carry raw counts per check plus totalContacts; charted as percentages
+export const toQualityTrendPercents = (points, checkKey) => (points || []).map(point => {
+  const total = point.totalContacts || 0;
+  return total > 0 ? Math.round(((point[checkKey] || 0) / total) * 1000) / 10 : 0;
+});
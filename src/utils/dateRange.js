@@ -0,0 +1,148 @@
+// Date range selection shared by the performance views (EmployeePerformance, ProspectDashboard team tab).
+// A range is { preset, from, to, compare } and lives in the URL as ?range=&from=&to=&compare= so a
+// view can be bookmarked or shared. `from`/`to` are YYYY-MM-DD and only used by the custom preset.
+//
+// today / last7days / lastMonth are the presets the API has always understood and are still sent as
+// `timeFilter`. Everything else goes out as timeFilter=custom with explicit startDate/endDate.
+
+import { DAY_MS, parseDateKey, toDateKey } from './helpers';
+
+export const DATE_RANGE_PRESETS = [
+  { key: 'today', label: 'Today' },
+  { key: 'last7days', label: 'Last 7 Days' },
+  { key: 'lastMonth', label: 'Last Month' },
+  { key: 'thisQuarter', label: 'This Quarter' },
+  { key: 'lastQuarter', label: 'Last Quarter' },
+  { key: 'custom', label: 'Custom' }
+];
+
+export const COMPARE_OPTIONS = [
+  { key: '', label: 'No comparison' },
+  { key: 'wow', label: 'vs. week before' },
+  { key: 'mom', label: 'vs. month before' }
+];
+
+const LEGACY_PRESETS = ['today', 'last7days', 'lastMonth'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+const addMonths = (date, months) => {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  // Clamp e.g. Mar 31 - 1 month to Feb 28/29
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+  return d;
+};
+
+const startOfQuarter = (date) => new Date(date.getFullYear(), Math.floor(date.getMonth() / 3) * 3, 1);
+
+export const readDateRange = (searchParams, defaultPreset) => {
+  const preset = searchParams.get('range');
+  const from = searchParams.get('from') || '';
+  const to = searchParams.get('to') || '';
+  const compare = searchParams.get('compare') || '';
+  const range = {
+    preset: DATE_RANGE_PRESETS.some(p => p.key === preset) ? preset : defaultPreset,
+    from: DATE_PATTERN.test(from) ? from : '',
+    to: DATE_PATTERN.test(to) ? to : '',
+    compare: COMPARE_OPTIONS.some(o => o.key === compare) ? compare : ''
+  };
+  // A custom range without both ends isn't usable yet
+  if (range.preset === 'custom' && (!range.from || !range.to)) {
+    return { ...range, preset: defaultPreset };
+  }
+  return range;
+};
+
+// Returns a copy of searchParams with the range written in (other params are kept)
+export const writeDateRange = (searchParams, range) => {
+  const params = new URLSearchParams(searchParams);
+  params.set('range', range.preset);
+  if (range.preset === 'custom') {
+    params.set('from', range.from);
+    params.set('to', range.to);
+  } else {
+    params.delete('from');
+    params.delete('to');
+  }
+  if (range.compare) params.set('compare', range.compare);
+  else params.delete('compare');
+  return params;
+};
+
+// Inclusive calendar bounds. lastMonth is read as the last 30 days.
+export const getDateRangeBounds = (range, now = new Date()) => {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  switch (range.preset) {
+    case 'today':
+      return { from: toDateKey(today), to: toDateKey(today) };
+    case 'last7days':
+      return { from: toDateKey(addDays(today, -6)), to: toDateKey(today) };
+    case 'lastMonth':
+      return { from: toDateKey(addDays(today, -29)), to: toDateKey(today) };
+    case 'thisQuarter':
+      return { from: toDateKey(startOfQuarter(today)), to: toDateKey(today) };
+    case 'lastQuarter': {
+      const start = addMonths(startOfQuarter(today), -3);
+      return { from: toDateKey(start), to: toDateKey(addDays(startOfQuarter(today), -1)) };
+    }
+    default:
+      return range.from <= range.to ? { from: range.from, to: range.to } : { from: range.to, to: range.from };
+  }
+};
+
+// Whole calendar days from one key to another; rounded so a DST change doesn't cost a day
+const daysBetween = (fromKey, toKey) => Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / DAY_MS);
+
+// The same span shifted back a week or a month, as a custom range. A range longer than the shift
+// would overlap itself, so it's compared with the equal-length span just before it instead.
+// null when not comparing.
+export const getComparisonRange = (range, now = new Date()) => {
+  if (!range.compare) return null;
+  const { from, to } = getDateRangeBounds(range, now);
+  const shift = (key) => (range.compare === 'wow' ? addDays(parseDateKey(key), -7) : addMonths(parseDateKey(key), -1));
+  const shiftedTo = toDateKey(shift(to));
+  if (shiftedTo < from) {
+    return { preset: 'custom', from: toDateKey(shift(from)), to: shiftedTo, compare: '' };
+  }
+  const previousTo = addDays(parseDateKey(from), -1);
+  const previousFrom = addDays(previousTo, -daysBetween(from, to));
+  return { preset: 'custom', from: toDateKey(previousFrom), to: toDateKey(previousTo), compare: '' };
+};
+
+export const getDateRangeRequestParams = (range, now = new Date()) => {
+  if (LEGACY_PRESETS.includes(range.preset)) {
+    return { timeFilter: range.preset };
+  }
+  const { from, to } = getDateRangeBounds(range, now);
+  return { timeFilter: 'custom', startDate: from, endDate: to };
+};
+
+// Cache key for per-range caches. Legacy presets keep their old keys.
+export const getDateRangeCacheKey = (range, now = new Date()) => {
+  if (LEGACY_PRESETS.includes(range.preset)) return range.preset;
+  const { from, to } = getDateRangeBounds(range, now);
+  return `${from}_${to}`;
+};
+
+export const formatDateRange = (range, now = new Date()) => {
+  const { from, to } = getDateRangeBounds(range, now);
+  const format = (key) => parseDateKey(key).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  return from === to ? format(from) : `${format(from)} – ${format(to)}`;
+};
+
+// Change between two numbers; pct is null when there's no baseline
+export const computeDelta = (current, previous) => {
+  const currentValue = Number(current) || 0;
+  const previousValue = Number(previous) || 0;
+  const diff = currentValue - previousValue;
+  return { diff, pct: previousValue > 0 ? Math.round((diff / previousValue) * 100) : null };
+};
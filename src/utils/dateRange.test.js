@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { getComparisonRange } from './dateRange';
+
+const NOW = new Date(2026, 9, 19);
+
+const compare = (range) => {
+  const { from, to } = getComparisonRange(range, NOW);
+  return [from, to];
+};
+
+describe('getComparisonRange', () => {
+  it('returns null when not comparing', () => {
+    expect(getComparisonRange({ preset: 'last7days', compare: '' }, NOW)).toBeNull();
+  });
+
+  it('shifts a range that fits inside the shift', () => {
+    expect(compare({ preset: 'last7days', compare: 'wow' })).toEqual(['2026-10-06', '2026-10-12']);
+    expect(compare({ preset: 'custom', from: '2026-03-01', to: '2026-03-31', compare: 'mom' })).toEqual(['2026-02-01', '2026-02-28']);
+  });
+
+  it('compares a longer range with the equal-length span just before it', () => {
+    // 30 days (Sep 20 – Oct 19) shifted a week would overlap itself
+    expect(compare({ preset: 'lastMonth', compare: 'wow' })).toEqual(['2026-08-21', '2026-09-19']);
+    expect(compare({ preset: 'custom', from: '2026-01-01', to: '2026-03-31', compare: 'mom' })).toEqual(['2025-10-03', '2025-12-31']);
+  });
+});
@@ -0,0 +1,139 @@
+import API from '../api/axios';
+import { getStatusOptions, statusHasFlag } from './statusSchema';
+import { startOfDay, toIdString } from './helpers';
+import { isEmailResponse } from './metrics';
+
+// Multi-step cold email sequences.
+// A sequence is { name, steps: [{ subject, body, waitDays }], stopRules: { reply, optOut, bounce } }.
+// An enrollment tracks one contact through it: { contactId, currentStep, status, stopReason,
+// enrolledAt, lastSentAt }. currentStep is the index of the next step to send; status is
+// 'active' | 'completed' | 'stopped'.
+
+export const SEQUENCE_VARIABLES = [
+  { key: 'firstName', label: 'First name' },
+  { key: 'lastName', label: 'Last name' },
+  { key: 'fullName', label: 'Full name' },
+  { key: 'company', label: 'Company' },
+  { key: 'title', label: 'Job title' },
+  { key: 'senderName', label: 'Your name' }
+];
+
+export const STOP_RULES = [
+  { key: 'reply', label: 'Stop when they reply' },
+  { key: 'optOut', label: 'Stop on opt-out' },
+  { key: 'bounce', label: 'Stop on bounce' }
+];
+
+export const STOP_REASON_LABELS = {
+  reply: 'Replied',
+  optOut: 'Opted out',
+  bounce: 'Bounced',
+  manual: 'Stopped manually'
+};
+
+export const createEmptyStep = (waitDays = 3) => ({ subject: '', body: '', waitDays });
+
+export const createEmptySequence = () => ({
+  name: '',
+  steps: [createEmptyStep(0)],
+  stopRules: { reply: true, optOut: true, bounce: true }
+});
+
+// {{firstName}} etc. → contact values. Unknown variables are left in place so they're easy to spot.
+export const renderSequenceTemplate = (text, contact = {}, sender = {}) => {
+  const nameParts = String(contact.name || '').trim().split(/\s+/);
+  const values = {
+    firstName: nameParts[0] || '',
+    lastName: nameParts.slice(1).join(' '),
+    fullName: contact.name || '',
+    company: contact.company || '',
+    title: contact.title || '',
+    senderName: sender.name || ''
+  };
+  return String(text || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? values[key] : match));
+};
+
+// Which stop rule (if any) an email status triggers under this project's schema
+export const getStopReasonForStatus = (status, stopRules = {}, schema) => {
+  if (!status) return null;
+  if (stopRules.bounce && statusHasFlag(schema, 'email', status, 'bounce')) return 'bounce';
+  if (stopRules.optOut && statusHasFlag(schema, 'email', status, 'optOut')) return 'optOut';
+  // A status the project's schema doesn't know can't be told apart from a reply, so it doesn't stop
+  const isEmailStatus = getStatusOptions(schema, 'email').includes(status);
+  if (stopRules.reply && isEmailStatus && isEmailResponse({ type: 'email', status }, schema)) {
+    return 'reply';
+  }
+  return null;
+};
+
+// First stop rule hit by an email activity logged for this contact since they were enrolled
+export const findStopReason = (sequence, enrollment, activities, schema) => {
+  const enrolledAt = new Date(enrollment.enrolledAt || enrollment.createdAt || 0);
+  const contactId = toIdString(enrollment.contactId);
+  for (const activity of activities) {
+    if (activity.type !== 'email' || toIdString(activity.contactId) !== contactId) continue;
+    if (new Date(activity.updatedAt || activity.createdAt) < enrolledAt) continue;
+    const reason = getStopReasonForStatus(activity.status, sequence.stopRules, schema);
+    if (reason) return reason;
+  }
+  return null;
+};
+
+// Stops the active enrollments of contacts whose just-logged email status hits a sequence's stop
+// rules, so a reply stops the sequence right away rather than the next time its queue is opened.
+// `logged` is a list of { contactId, status }. Resolves to the number of enrollments stopped.
+export const stopSequencesForEmails = async (projectId, logged, schema) => {
+  const statusesByContact = new Map();
+  logged.forEach(({ contactId, status }) => {
+    const key = toIdString(contactId);
+    if (!key || !status) return;
+    statusesByContact.set(key, [...(statusesByContact.get(key) || []), status]);
+  });
+  if (statusesByContact.size === 0) return 0;
+
+  const sequencesResponse = await API.get(`/projects/${projectId}/email-sequences`);
+  const sequences = sequencesResponse.data.success ? (sequencesResponse.data.data || []) : [];
+  let stopped = 0;
+  for (const sequence of sequences) {
+    const stopReasons = new Map();
+    statusesByContact.forEach((statuses, contactId) => {
+      const reason = statuses.map(status => getStopReasonForStatus(status, sequence.stopRules, schema)).find(Boolean);
+      if (reason) stopReasons.set(contactId, reason);
+    });
+    if (stopReasons.size === 0) continue;
+
+    const enrollmentsResponse = await API.get(`/projects/${projectId}/email-sequences/${sequence._id}/enrollments`);
+    const enrollments = enrollmentsResponse.data.success ? (enrollmentsResponse.data.data || []) : [];
+    for (const enrollment of enrollments) {
+      const stopReason = stopReasons.get(toIdString(enrollment.contactId));
+      if (enrollment.status !== 'active' || !stopReason) continue;
+      await API.put(`/projects/${projectId}/email-sequences/${sequence._id}/enrollments/${enrollment._id}`, {
+        status: 'stopped',
+        stopReason
+      });
+      stopped += 1;
+    }
+  }
+  return stopped;
+};
+
+// When the enrollment's next step is due: wait days count from enrollment for the first step,
+// and from the previous send after that
+export const getStepDueDate = (sequence, enrollment) => {
+  const step = sequence.steps?.[enrollment.currentStep];
+  if (!step) return null;
+  const from = enrollment.currentStep === 0 || !enrollment.lastSentAt ? enrollment.enrolledAt || enrollment.createdAt : enrollment.lastSentAt;
+  const due = startOfDay(from || new Date());
+  due.setDate(due.getDate() + (Number(step.waitDays) || 0));
+  return due;
+};
+
+// Problems that would stop a sequence from being saved
+export const validateSequence = (sequence) => {
+  if (!sequence.name.trim()) return 'Give the sequence a name.';
+  if (sequence.steps.length === 0) return 'Add at least one step.';
+  const emptyIndex = sequence.steps.findIndex(step => !step.subject.trim() || !step.body.trim());
+  if (emptyIndex !== -1) return `Step ${emptyIndex + 1} needs a subject and a body.`;
+  if (sequence.steps.some(step => Number(step.waitDays) < 0)) return 'Wait days can\'t be negative.';
+  return null;
+};
@@ -0,0 +1,143 @@
+// Shared table export. A page describes its columns once ({ key, label, value: row => any }) and
+// hands ExportModal a fetchRows function that returns every row matching its current filters and sort,
+// paging through the API with fetchAllPages when the table itself only holds one page.
+
+import * as XLSX from 'xlsx-js-style';
+import { toDateKey } from './helpers';
+
+export const EXPORT_FORMATS = [
+  { key: 'csv', label: 'CSV' },
+  { key: 'xlsx', label: 'Excel (XLSX)' },
+  { key: 'json', label: 'JSON' }
+];
+
+export const EXPORT_PAGE_SIZE = 500;
+
+const COLUMN_STORAGE_PREFIX = 'exportColumns:';
+
+// Contact fields, shared by the contact tables (Contacts, CompanyDetail, a project's prospects)
+export const CONTACT_EXPORT_COLUMNS = [
+  { key: 'name', label: 'Name', value: c => c.name },
+  { key: 'title', label: 'Title', value: c => c.title },
+  { key: 'company', label: 'Company', value: c => c.company },
+  { key: 'email', label: 'Email', value: c => c.email },
+  { key: 'firstPhone', label: 'Phone', value: c => c.firstPhone },
+  { key: 'companyPhone', label: 'Company Phone', value: c => c.companyPhone },
+  { key: 'personLinkedinUrl', label: 'LinkedIn', value: c => c.personLinkedinUrl },
+  { key: 'companyLinkedinUrl', label: 'Company LinkedIn', value: c => c.companyLinkedinUrl },
+  { key: 'website', label: 'Website', value: c => c.website },
+  { key: 'industry', label: 'Industry', value: c => c.industry },
+  { key: 'employees', label: 'Employees', value: c => c.employees },
+  { key: 'keywords', label: 'Keywords', value: c => c.keywords },
+  { key: 'city', label: 'City', value: c => c.city },
+  { key: 'state', label: 'State', value: c => c.state },
+  { key: 'country', label: 'Country', value: c => c.country },
+  { key: 'category', label: 'Category', value: c => c.category }
+];
+
+// Calls fetchPage(page, limit) until the API runs out of pages. fetchPage resolves to
+// { rows, totalPages?, total? }; without totals it stops at the first short page.
+export const fetchAllPages = async (fetchPage, { pageSize = EXPORT_PAGE_SIZE, onProgress, shouldStop } = {}) => {
+  const rows = [];
+  for (let page = 1; ; page++) {
+    if (shouldStop?.()) throw new Error('Export cancelled');
+    const result = await fetchPage(page, pageSize);
+    const pageRows = result?.rows || [];
+    rows.push(...pageRows);
+    onProgress?.({ fetched: rows.length, total: result?.total || null });
+
+    const lastPage = result?.totalPages
+      ? page >= result.totalPages
+      : pageRows.length < pageSize;
+    if (lastPage || pageRows.length === 0) return rows;
+  }
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    return isNaN(value.getTime())
+      ? ''
+      : `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ${pad(value.getHours())}:${pad(value.getMinutes())}`;
+  }
+  if (Array.isArray(value)) return value.filter(v => v !== null && v !== undefined && v !== '').join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+export const toExportRecords = (rows, columns) => rows.map(row => {
+  const record = {};
+  columns.forEach(column => {
+    record[column.label] = formatValue(column.value(row));
+  });
+  return record;
+});
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (records, labels) => [
+  labels.map(toCsvCell).join(','),
+  ...records.map(record => labels.map(label => toCsvCell(record[label])).join(','))
+].join('\r\n');
+
+const todayStamp = () => toDateKey(new Date());
+
+const saveBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadExport = (rows, columns, format, fileBaseName) => {
+  const records = toExportRecords(rows, columns);
+  const labels = columns.map(column => column.label);
+  const fileName = `${fileBaseName.replace(/[^\w-]+/g, '_')}_${todayStamp()}.${format}`;
+
+  if (format === 'json') {
+    saveBlob(new Blob([JSON.stringify(records, null, 2)], { type: 'application/json' }), fileName);
+    return;
+  }
+  if (format === 'xlsx') {
+    const worksheet = XLSX.utils.json_to_sheet(records, { header: labels });
+    worksheet['!cols'] = labels.map(label => ({
+      wch: Math.min(50, Math.max(label.length, ...records.slice(0, 200).map(record => String(record[label]).length)) + 2)
+    }));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Export');
+    XLSX.writeFile(workbook, fileName);
+    return;
+  }
+  // BOM so Excel opens the CSV as UTF-8
+  saveBlob(new Blob(['\uFEFF', toCsv(records, labels)], { type: 'text/csv;charset=utf-8' }), fileName);
+};
+
+// Remembered column choice per table; falls back to every column
+export const loadExportColumns = (storageKey, columns) => {
+  const allKeys = columns.map(column => column.key);
+  try {
+    const stored = JSON.parse(localStorage.getItem(`${COLUMN_STORAGE_PREFIX}${storageKey}`) || 'null');
+    if (!Array.isArray(stored)) return allKeys;
+    const known = stored.filter(key => allKeys.includes(key));
+    return known.length > 0 ? known : allKeys;
+  } catch {
+    return allKeys;
+  }
+};
+
+export const saveExportColumns = (storageKey, keys) => {
+  localStorage.setItem(`${COLUMN_STORAGE_PREFIX}${storageKey}`, JSON.stringify(keys));
+};
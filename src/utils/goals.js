@@ -0,0 +1,137 @@
+// Per-rep activity goals. Managers set daily and weekly targets per metric; the server returns each
+// rep's daily counts (GET /goals/progress) and everything else here is derived from those counts:
+// attainment for the current day or week, and streaks of working days where every daily target was hit.
+//
+// Targets: { [metricKey]: { daily: number, weekly: number } }, 0 meaning "no target".
+// Days: [{ date: 'YYYY-MM-DD', callsDialed, linkedinRequests, emailsSent, meetingsBooked }].
+
+import { toDateKey } from './helpers';
+
+export const GOAL_METRICS = [
+  { key: 'callsDialed', label: 'Calls dialed', shortLabel: 'Calls' },
+  { key: 'linkedinRequests', label: 'LinkedIn requests', shortLabel: 'LinkedIn' },
+  { key: 'emailsSent', label: 'Emails sent', shortLabel: 'Emails' },
+  { key: 'meetingsBooked', label: 'Meetings booked', shortLabel: 'Meetings' }
+];
+
+export const GOAL_PERIODS = [
+  { key: 'daily', label: 'Today' },
+  { key: 'weekly', label: 'This Week' }
+];
+
+// How many days of counts the streak needs to look back over
+export const GOAL_HISTORY_DAYS = 60;
+
+const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6;
+
+// Weeks start on Monday
+const startOfWeek = (date) => {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+};
+
+export const createEmptyTargets = () => GOAL_METRICS.reduce((targets, metric) => {
+  targets[metric.key] = { daily: 0, weekly: 0 };
+  return targets;
+}, {});
+
+export const normalizeTargets = (targets) => {
+  const normalized = createEmptyTargets();
+  GOAL_METRICS.forEach(metric => {
+    normalized[metric.key] = {
+      daily: Math.max(0, Number(targets?.[metric.key]?.daily) || 0),
+      weekly: Math.max(0, Number(targets?.[metric.key]?.weekly) || 0)
+    };
+  });
+  return normalized;
+};
+
+export const hasAnyTarget = (targets) => GOAL_METRICS.some(metric => (targets?.[metric.key]?.daily || 0) > 0 || (targets?.[metric.key]?.weekly || 0) > 0);
+
+const countsByDate = (days) => {
+  const map = new Map();
+  (days || []).forEach(day => map.set(day.date, day));
+  return map;
+};
+
+const sumMetric = (byDate, metricKey, from, to) => {
+  let total = 0;
+  for (let d = new Date(from); d <= to; d.setDate(d.getDate() + 1)) {
+    total += Number(byDate.get(toDateKey(d))?.[metricKey]) || 0;
+  }
+  return total;
+};
+
+// Actual vs target for each metric in the current day or week, plus an overall attainment.
+// Overall is the average of each metric's attainment capped at 100%, so beating one target
+// doesn't cover for missing another. Metrics without a target are left out.
+export const getGoalAttainment = (targets, days, period = 'daily', now = new Date()) => {
+  const byDate = countsByDate(days);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const from = period === 'weekly' ? startOfWeek(today) : today;
+
+  const metrics = GOAL_METRICS.map(metric => {
+    const target = Number(targets?.[metric.key]?.[period]) || 0;
+    const actual = sumMetric(byDate, metric.key, from, today);
+    return {
+      ...metric,
+      target,
+      actual,
+      pct: target > 0 ? Math.round((actual / target) * 100) : null
+    };
+  });
+
+  const withTargets = metrics.filter(metric => metric.target > 0);
+  const overall = withTargets.length > 0
+    ? Math.round(withTargets.reduce((sum, metric) => sum + Math.min(metric.pct, 100), 0) / withTargets.length)
+    : null;
+
+  return { metrics, overall };
+};
+
+const metAllDailyTargets = (targets, day) => GOAL_METRICS.every(metric => {
+  const target = Number(targets?.[metric.key]?.daily) || 0;
+  return target === 0 || (Number(day?.[metric.key]) || 0) >= target;
+});
+
+// Consecutive working days (Mon-Fri) on which every daily target was met, counting back from
+// yesterday. Today extends the streak once it's been hit but doesn't break it while still in progress.
+export const getGoalStreak = (targets, days, now = new Date()) => {
+  const hasDailyTargets = GOAL_METRICS.some(metric => (Number(targets?.[metric.key]?.daily) || 0) > 0);
+  if (!hasDailyTargets) return 0;
+
+  const byDate = countsByDate(days);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  let streak = !isWeekend(today) && metAllDailyTargets(targets, byDate.get(toDateKey(today))) ? 1 : 0;
+
+  const cursor = new Date(today);
+  for (let i = 0; i < GOAL_HISTORY_DAYS; i++) {
+    cursor.setDate(cursor.getDate() - 1);
+    if (isWeekend(cursor)) continue;
+    if (!metAllDailyTargets(targets, byDate.get(toDateKey(cursor)))) break;
+    streak++;
+  }
+  return streak;
+};
+
+// Leaderboard rows from the goals list and the progress list, best attainment first.
+// Reps without targets sort last.
+export const buildGoalLeaderboard = (goals, progress, period = 'daily', now = new Date()) => {
+  const progressByUser = new Map((progress || []).map(entry => [String(entry.userId), entry]));
+  return (goals || [])
+    .map(goal => {
+      const entry = progressByUser.get(String(goal.userId));
+      const targets = normalizeTargets(goal.targets);
+      const { metrics, overall } = getGoalAttainment(targets, entry?.days, period, now);
+      return {
+        userId: goal.userId,
+        name: goal.name || entry?.name || 'Unknown',
+        email: goal.email || '',
+        metrics,
+        attainment: overall,
+        streak: getGoalStreak(targets, entry?.days, now)
+      };
+    })
+    .sort((a, b) => (b.attainment ?? -1) - (a.attainment ?? -1) || b.streak - a.streak);
+};
@@ -0,0 +1,44 @@
+// Small helpers shared by the utils and pages. Activity dates come from getActivityDate in
+// utils/metrics, so every screen dates an activity the same way.
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// An id as a string, whether the API sent the raw id or the populated document
+export const toIdString = (value) => {
+  if (!value) return '';
+  if (typeof value === 'object' && (value._id || value.id)) return (value._id || value.id).toString();
+  return String(value);
+};
+
+// Midnight (local) of the day a date falls on
+export const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// YYYY-MM-DD in local time, the format of <input type="date">
+export const toDateKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// HH:MM in local time, the format of <input type="time">
+export const toTimeKey = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+// Local midnight of a YYYY-MM-DD key. new Date('2026-03-05') would be UTC midnight, which is the
+// day before in time zones behind UTC.
+export const parseDateKey = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// When an activity's next action is due. Callbacks saved with a time of day are flagged
+// `nextActionTimed`; date-only next actions are stored as midnight UTC and come back as local
+// midnight of that calendar day.
+export const getNextActionDate = (activity) => {
+  const value = activity.nextActionDate;
+  if (!value) return null;
+  if (activity.nextActionTimed) return new Date(value);
+  const iso = typeof value === 'string' ? value : new Date(value).toISOString();
+  return parseDateKey(iso.slice(0, 10));
+};
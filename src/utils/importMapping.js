@@ -0,0 +1,207 @@
+import * as XLSX from 'xlsx';
+
+// Contact fields the import endpoints understand, keyed by the header the server expects.
+// Aliases are matched case- and punctuation-insensitively when auto-detecting a mapping.
+export const CONTACT_IMPORT_FIELDS = [
+  { key: 'Name', required: true, aliases: ['full name', 'contact name', 'person name'] },
+  { key: 'First Name', virtual: true, aliases: ['firstname', 'given name'] },
+  { key: 'Last Name', virtual: true, aliases: ['lastname', 'surname', 'family name'] },
+  { key: 'Company', required: true, aliases: ['company name', 'organization', 'organisation', 'account name'] },
+  { key: 'Email', required: true, aliases: ['email address', 'work email', 'business email', 'e-mail'] },
+  { key: 'Person Linkedin Url', required: true, aliases: ['linkedin url', 'linkedin profile url', 'linkedin', 'profile url', 'person linkedin'] },
+  { key: 'Title', aliases: ['job title', 'designation', 'position', 'role'] },
+  { key: 'First Phone', aliases: ['phone', 'phone number', 'mobile', 'mobile phone', 'work direct phone', 'direct phone'] },
+  { key: '# Employees', aliases: ['employees', 'employee count', 'company size', 'headcount', 'number of employees'] },
+  { key: 'Category', aliases: [] },
+  { key: 'Industry', aliases: ['company industry'] },
+  { key: 'Keywords', aliases: ['tags'] },
+  { key: 'Website', aliases: ['company website', 'domain', 'company domain', 'url'] },
+  { key: 'Company Linkedin Url', aliases: ['company linkedin', 'company linkedin profile'] },
+  { key: 'Facebook Url', aliases: ['facebook'] },
+  { key: 'Twitter Url', aliases: ['twitter'] },
+  { key: 'City', aliases: ['person city'] },
+  { key: 'State', aliases: ['person state', 'region'] },
+  { key: 'Country', aliases: ['person country'] },
+  { key: 'Company Address', aliases: ['address'] },
+  { key: 'Company City', aliases: [] },
+  { key: 'Company State', aliases: [] },
+  { key: 'Company Country', aliases: [] },
+  { key: 'Company Phone', aliases: ['corporate phone', 'office phone'] },
+  { key: 'SEO Description', aliases: ['description', 'company description'] },
+  { key: 'Technologies', aliases: ['tech stack'] },
+  { key: 'Annual Revenue', aliases: ['revenue'] }
+];
+
+// Built-in presets for common export formats; user presets are stored alongside in localStorage
+export const BUILT_IN_MAPPING_PRESETS = [
+  {
+    name: 'Apollo export',
+    builtIn: true,
+    mapping: {
+      'First Name': 'First Name',
+      'Last Name': 'Last Name',
+      'Title': 'Title',
+      'Company': 'Company',
+      'Email': 'Email',
+      'First Phone': 'First Phone',
+      '# Employees': '# Employees',
+      'Industry': 'Industry',
+      'Keywords': 'Keywords',
+      'Person Linkedin Url': 'Person Linkedin Url',
+      'Website': 'Website',
+      'Company Linkedin Url': 'Company Linkedin Url',
+      'Facebook Url': 'Facebook Url',
+      'Twitter Url': 'Twitter Url',
+      'City': 'City',
+      'State': 'State',
+      'Country': 'Country',
+      'Company Address': 'Company Address',
+      'Company City': 'Company City',
+      'Company State': 'Company State',
+      'Company Country': 'Company Country',
+      'Company Phone': 'Company Phone',
+      'SEO Description': 'SEO Description',
+      'Technologies': 'Technologies',
+      'Annual Revenue': 'Annual Revenue'
+    }
+  },
+  {
+    name: 'Sales Navigator export',
+    builtIn: true,
+    mapping: {
+      'First Name': 'First Name',
+      'Last Name': 'Last Name',
+      'Job Title': 'Title',
+      'Company Name': 'Company',
+      'Email': 'Email',
+      'LinkedIn Profile URL': 'Person Linkedin Url',
+      'Phone': 'First Phone',
+      'Company Website': 'Website',
+      'Company LinkedIn URL': 'Company Linkedin Url',
+      'Industry': 'Industry',
+      'Location': 'City',
+      'Company Headcount': '# Employees'
+    }
+  }
+];
+
+const PRESETS_STORAGE_KEY = 'importMappingPresets';
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9#]/g, '');
+
+// Read the first sheet of a CSV/XLSX/XLS file into headers + row objects keyed by header
+export const parseImportFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const workbook = XLSX.read(buffer, { type: 'array' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    return { headers: [], rows: [] };
+  }
+  const matrix = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: true });
+  const headerIndex = matrix.findIndex(row => row.some(cell => String(cell).trim() !== ''));
+  if (headerIndex === -1) {
+    return { headers: [], rows: [] };
+  }
+  const headers = matrix[headerIndex].map((h, i) => String(h).trim() || `Column ${i + 1}`);
+  const rows = matrix.slice(headerIndex + 1).map((values, i) => {
+    // Spreadsheet line number, for pointing users back at the original file
+    const row = { _rowNumber: headerIndex + i + 2 };
+    headers.forEach((header, col) => {
+      row[header] = values[col] !== undefined ? String(values[col]).trim() : '';
+    });
+    return row;
+  }).filter(row => headers.some(header => row[header] !== ''));
+  return { headers, rows };
+};
+
+// Guess a field for every header: exact key first, then aliases
+export const autoDetectMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+  headers.forEach(header => {
+    const normalized = normalizeHeader(header);
+    const field = CONTACT_IMPORT_FIELDS.find(f => !used.has(f.key) && normalizeHeader(f.key) === normalized)
+      || CONTACT_IMPORT_FIELDS.find(f => !used.has(f.key) && f.aliases.some(alias => normalizeHeader(alias) === normalized));
+    mapping[header] = field ? field.key : '';
+    if (field) used.add(field.key);
+  });
+  return mapping;
+};
+
+// Apply a preset to the headers actually present; unmatched headers fall back to auto-detection
+export const applyPreset = (headers, preset) => {
+  const detected = autoDetectMapping(headers);
+  const presetByNormalized = Object.entries(preset.mapping).reduce((acc, [source, target]) => {
+    acc[normalizeHeader(source)] = target;
+    return acc;
+  }, {});
+  return headers.reduce((mapping, header) => {
+    const fromPreset = presetByNormalized[normalizeHeader(header)];
+    mapping[header] = fromPreset !== undefined ? fromPreset : detected[header];
+    return mapping;
+  }, {});
+};
+
+// Required fields that no header maps to. First + Last Name together satisfy Name.
+export const getMissingRequiredFields = (mapping) => {
+  const mapped = new Set(Object.values(mapping).filter(Boolean));
+  return CONTACT_IMPORT_FIELDS
+    .filter(f => f.required && !mapped.has(f.key))
+    .filter(f => !(f.key === 'Name' && mapped.has('First Name')))
+    .map(f => f.key);
+};
+
+// Rows re-keyed by server field names, with First/Last Name folded into Name
+export const applyMapping = (rows, mapping) => {
+  const entries = Object.entries(mapping).filter(([, field]) => field);
+  return rows.map(row => {
+    const mappedRow = { _rowNumber: row._rowNumber };
+    entries.forEach(([header, field]) => {
+      const value = row[header] || '';
+      // If two headers map to the same field, keep the first non-empty value
+      if (!mappedRow[field]) mappedRow[field] = value;
+    });
+    if (!mappedRow['Name'] && (mappedRow['First Name'] || mappedRow['Last Name'])) {
+      mappedRow['Name'] = [mappedRow['First Name'], mappedRow['Last Name']].filter(Boolean).join(' ');
+    }
+    delete mappedRow['First Name'];
+    delete mappedRow['Last Name'];
+    return mappedRow;
+  });
+};
+
+// Serialize mapped rows back into a CSV File with the headers the import endpoints expect
+export const buildMappedFile = (mappedRows, originalName = 'import') => {
+  const columns = CONTACT_IMPORT_FIELDS
+    .filter(f => !f.virtual && mappedRows.some(row => row[f.key] !== undefined))
+    .map(f => f.key);
+  const sheet = XLSX.utils.json_to_sheet(mappedRows, { header: columns });
+  const csv = XLSX.utils.sheet_to_csv(sheet);
+  const baseName = originalName.replace(/\.[^.]+$/, '');
+  return new File([csv], `${baseName}-mapped.csv`, { type: 'text/csv' });
+};
+
+export const loadMappingPresets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY) || '[]');
+    return [...BUILT_IN_MAPPING_PRESETS, ...(Array.isArray(stored) ? stored : [])];
+  } catch (error) {
+    console.error('Error parsing import mapping presets:', error);
+    return [...BUILT_IN_MAPPING_PRESETS];
+  }
+};
+
+export const saveMappingPreset = (name, mapping) => {
+  const userPresets = loadMappingPresets()
+    .filter(p => !p.builtIn && p.name !== name);
+  const cleanMapping = Object.fromEntries(Object.entries(mapping).filter(([, field]) => field));
+  const updated = [...userPresets, { name, mapping: cleanMapping }];
+  localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(updated));
+  return [...BUILT_IN_MAPPING_PRESETS, ...updated];
+};
+
+export const deleteMappingPreset = (name) => {
+  const updated = loadMappingPresets().filter(p => !p.builtIn && p.name !== name);
+  localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(updated));
+  return [...BUILT_IN_MAPPING_PRESETS, ...updated];
+};
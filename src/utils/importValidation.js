@@ -0,0 +1,174 @@
+import * as XLSX from 'xlsx';
+import API from '../api/axios';
+import { CONTACT_IMPORT_FIELDS } from './importMapping';
+
+// Browser-side checks run on mapped import rows before anything is uploaded.
+// Rows are objects keyed by server field names (see applyMapping), plus a `_rowNumber`
+// pointing back at the line in the original file.
+
+export const REQUIRED_IMPORT_FIELDS = CONTACT_IMPORT_FIELDS.filter(f => f.required).map(f => f.key);
+
+const EMAIL_FIELDS = ['Email'];
+const PHONE_FIELDS = ['First Phone', 'Company Phone'];
+const URL_FIELDS = ['Person Linkedin Url', 'Company Linkedin Url', 'Website', 'Facebook Url', 'Twitter Url'];
+
+const EXISTING_LOOKUP_BATCH_SIZE = 500;
+
+export const isValidEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value).trim());
+
+export const isValidPhone = (value) => {
+  const digits = String(value).replace(/[\s\-().]/g, '').replace(/^\+/, '');
+  return /^\d{7,15}$/.test(digits);
+};
+
+export const isValidUrl = (value) => {
+  const trimmed = String(value).trim();
+  if (/\s/.test(trimmed)) return false;
+  try {
+    const url = new URL(/^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    return url.hostname.includes('.');
+  } catch {
+    return false;
+  }
+};
+
+export const normalizeEmail = (value) => String(value || '').trim().toLowerCase();
+
+// linkedin.com/in/jane-doe/, https://www.linkedin.com/in/Jane-Doe?trk=x → linkedin.com/in/jane-doe
+export const normalizeLinkedinUrl = (value) => String(value || '')
+  .trim()
+  .toLowerCase()
+  .replace(/^https?:\/\//, '')
+  .replace(/^(www\.|[a-z]{2}\.)/, '')
+  .replace(/[?#].*$/, '')
+  .replace(/\/+$/, '');
+
+export const createContactIndex = (contacts = []) => {
+  const index = { emails: new Set(), linkedinUrls: new Set() };
+  contacts.forEach(contact => {
+    const email = normalizeEmail(contact.email);
+    const linkedinUrl = normalizeLinkedinUrl(contact.personLinkedinUrl || contact.linkedInUrl);
+    if (email) index.emails.add(email);
+    if (linkedinUrl) index.linkedinUrls.add(linkedinUrl);
+  });
+  return index;
+};
+
+// Ask the server which of the import's own emails and LinkedIn URLs are already in the databank,
+// a batch at a time, and index the contacts it finds
+export const fetchExistingContactIndex = async (rows) => {
+  const emails = [...new Set(rows.map(row => normalizeEmail(row['Email'])).filter(Boolean))];
+  const linkedinUrls = [...new Set(rows.map(row => normalizeLinkedinUrl(row['Person Linkedin Url'])).filter(Boolean))];
+  const contacts = [];
+  for (let start = 0; start < Math.max(emails.length, linkedinUrls.length); start += EXISTING_LOOKUP_BATCH_SIZE) {
+    const response = await API.post('/contacts/lookup', {
+      emails: emails.slice(start, start + EXISTING_LOOKUP_BATCH_SIZE),
+      linkedinUrls: linkedinUrls.slice(start, start + EXISTING_LOOKUP_BATCH_SIZE)
+    });
+    const list = response?.data?.data || [];
+    contacts.push(...(Array.isArray(list) ? list : []));
+  }
+  return createContactIndex(contacts);
+};
+
+// One entry per row: { errors: [{ field, type, message }] }.
+// type is 'missing' | 'format' | 'duplicate-file' | 'duplicate-existing'.
+// Of the rows sharing an email or LinkedIn URL, the first one that passes every other check stays
+// clean (the first one overall when none do); the rest are flagged.
+export const validateImportRows = (rows, existingIndex = null, { skipExisting = true } = {}) => {
+  const results = rows.map(row => {
+    const errors = [];
+    const value = (field) => String(row[field] || '').trim();
+
+    REQUIRED_IMPORT_FIELDS.forEach(field => {
+      if (!value(field)) {
+        errors.push({ field, type: 'missing', message: `${field} is required` });
+      }
+    });
+
+    EMAIL_FIELDS.forEach(field => {
+      if (value(field) && !isValidEmail(value(field))) {
+        errors.push({ field, type: 'format', message: `${field} isn't a valid email address` });
+      }
+    });
+
+    PHONE_FIELDS.forEach(field => {
+      if (value(field) && !isValidPhone(value(field))) {
+        errors.push({ field, type: 'format', message: `${field} isn't a valid phone number` });
+      }
+    });
+
+    URL_FIELDS.forEach(field => {
+      if (value(field) && !isValidUrl(value(field))) {
+        errors.push({ field, type: 'format', message: `${field} isn't a valid URL` });
+      }
+    });
+
+    if (value('Person Linkedin Url') && isValidUrl(value('Person Linkedin Url')) && !/linkedin\.com\//i.test(value('Person Linkedin Url'))) {
+      errors.push({ field: 'Person Linkedin Url', type: 'format', message: 'Person Linkedin Url should be a linkedin.com link' });
+    }
+
+    const email = normalizeEmail(row['Email']);
+    const linkedinUrl = normalizeLinkedinUrl(row['Person Linkedin Url']);
+
+    if (existingIndex && skipExisting) {
+      if (email && existingIndex.emails.has(email)) {
+        errors.push({ field: 'Email', type: 'duplicate-existing', message: 'Email already exists in Contacts' });
+      } else if (linkedinUrl && existingIndex.linkedinUrls.has(linkedinUrl)) {
+        errors.push({ field: 'Person Linkedin Url', type: 'duplicate-existing', message: 'LinkedIn URL already exists in Contacts' });
+      }
+    }
+
+    return { errors, email, linkedinUrl };
+  });
+
+  // The row each email / LinkedIn URL is kept on: the first valid one, else the first one
+  const keepers = { email: new Map(), linkedinUrl: new Map() };
+  results.forEach((result, index) => {
+    ['email', 'linkedinUrl'].forEach(key => {
+      const value = result[key];
+      if (!value) return;
+      const keeper = keepers[key].get(value);
+      if (keeper === undefined || (results[keeper].errors.length > 0 && result.errors.length === 0)) {
+        keepers[key].set(value, index);
+      }
+    });
+  });
+
+  return results.map(({ errors, email, linkedinUrl }, index) => {
+    const duplicateErrors = [];
+    const emailKeeper = email ? keepers.email.get(email) : index;
+    const linkedinKeeper = linkedinUrl ? keepers.linkedinUrl.get(linkedinUrl) : index;
+    if (emailKeeper !== index) {
+      duplicateErrors.push({ field: 'Email', type: 'duplicate-file', message: `Same email as row ${rows[emailKeeper]._rowNumber}` });
+    }
+    if (linkedinKeeper !== index) {
+      duplicateErrors.push({ field: 'Person Linkedin Url', type: 'duplicate-file', message: `Same LinkedIn URL as row ${rows[linkedinKeeper]._rowNumber}` });
+    }
+    return { errors: [...errors, ...duplicateErrors] };
+  });
+};
+
+// Download every flagged row with its problems, using the same columns as the import file
+export const downloadErrorReport = (rows, validation, fileName = 'import') => {
+  const columns = CONTACT_IMPORT_FIELDS
+    .filter(f => !f.virtual && rows.some(row => row[f.key] !== undefined))
+    .map(f => f.key);
+  const reportRows = rows
+    .map((row, i) => ({ row, errors: validation[i]?.errors || [] }))
+    .filter(({ errors }) => errors.length > 0)
+    .map(({ row, errors }) => ({
+      'Row': row._rowNumber,
+      'Errors': errors.map(e => e.message).join('; '),
+      ...columns.reduce((acc, column) => {
+        acc[column] = row[column] || '';
+        return acc;
+      }, {})
+    }));
+
+  const worksheet = XLSX.utils.json_to_sheet(reportRows, { header: ['Row', 'Errors', ...columns] });
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Errors');
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+  XLSX.writeFile(workbook, `${baseName}-errors.csv`, { bookType: 'csv' });
+};
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { validateImportRows } from './importValidation';
+
+const row = (rowNumber, fields = {}) => ({
+  _rowNumber: rowNumber,
+  Name: 'Jane Doe',
+  Company: 'Acme',
+  Email: 'jane@acme.com',
+  'Person Linkedin Url': `linkedin.com/in/jane-${rowNumber}`,
+  ...fields
+});
+
+const errorTypes = (result) => result.errors.map(error => error.type);
+
+describe('validateImportRows', () => {
+  it('keeps the first of several valid rows sharing an email', () => {
+    const [first, second] = validateImportRows([row(2), row(3)]);
+    expect(first.errors).toEqual([]);
+    expect(second.errors).toEqual([{ field: 'Email', type: 'duplicate-file', message: 'Same email as row 2' }]);
+  });
+
+  it('keeps the first valid row when an earlier duplicate fails validation', () => {
+    const [invalid, valid] = validateImportRows([row(2, { Company: '' }), row(3)]);
+    expect(errorTypes(invalid)).toEqual(['missing', 'duplicate-file']);
+    expect(invalid.errors[1].message).toBe('Same email as row 3');
+    expect(valid.errors).toEqual([]);
+  });
+
+  it('keeps the first row when none of the duplicates are valid', () => {
+    const [first, second] = validateImportRows([row(2, { Company: '' }), row(3, { Name: '' })]);
+    expect(errorTypes(first)).toEqual(['missing']);
+    expect(errorTypes(second)).toEqual(['missing', 'duplicate-file']);
+  });
+});
@@ -0,0 +1,676 @@
+// One set of metric definitions for the funnel pages, the channel reports, the monthly report and
+// the project KPI filters, so the same activities give the same number on every screen.
+//
+// Rules every metric below follows:
+// - An activity is dated by its channel date (callDate / emailDate / linkedinDate), falling back to
+//   createdAt. Reports bucket activities by that date and list a period for every date they use.
+// - Funnel stages and KPI filters count prospects (unique contacts), never activities.
+// - Call and email report rows count activities. LinkedIn report rows count prospects per period,
+//   because one LinkedIn conversation is usually logged as several touches.
+// - SQL and WON come from the prospect's stage in the project, the same field the API's KPI counts
+//   read. No activity status or note length promotes a prospect on its own.
+// - Which statuses mean "not reached", "decision maker", "in conversation", "no reply", "bounce" or
+//   "opt-out" comes from the project's status schema flags (utils/statusSchema). Every function taking a
+//   `statusSchema` falls back to the default schema when it's left out.
+import { getStatusesByFlag, statusHasFlag } from './statusSchema';
+import { DAY_MS } from './helpers';
+
+export const CIP_STATUSES = ['CIP', 'Conversations in Progress'];
+
+const LINKEDIN_INTRO_TEMPLATE = 'introduction-message';
+const LINKEDIN_FOLLOW_UP_TEMPLATE = 'follow-up-message';
+
+const MONTH_ORDER = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const isYes = (value) => value === true || value === 'Yes';
+
+const getTemplate = (activity) => activity.template?.trim() || '';
+
+// Older email activities were saved as "Opt Out"
+const getEmailStatus = (activity) => (activity.status === 'Opt Out' ? 'Opt-Out' : activity.status);
+
+const getContactId = (activity) => activity.contactId?.toString() || '';
+
+export const getActivityDate = (activity) => {
+  if (activity.type === 'call' && activity.callDate) {
+    return new Date(activity.callDate);
+  }
+  if (activity.type === 'email' && activity.emailDate) {
+    return new Date(activity.emailDate);
+  }
+  if (activity.type === 'linkedin' && activity.linkedinDate) {
+    return new Date(activity.linkedinDate);
+  }
+  return new Date(activity.createdAt);
+};
+
+// Activity predicates
+
+// Any call outcome not flagged `unreached`, including custom ones, is a connect. The funnel page
+// used to count only a fixed list of connected statuses, so custom statuses never connected there.
+export const isCallConnected = (activity, statusSchema) =>
+  !!activity.callStatus && !statusHasFlag(statusSchema, 'call', activity.callStatus, 'unreached');
+
+// Only statuses flagged `decisionMaker` (by default Interested, Details Shared, Demo Booked and Demo
+// Completed). This is narrower than the old KPI card, which counted every connected call except
+// "Not Interested", so Call Back, Future and Existing no longer count as reaching the decision maker.
+export const isDecisionMakerReached = (activity, statusSchema) =>
+  statusHasFlag(statusSchema, 'call', activity.callStatus, 'decisionMaker');
+
+// A connection request is either flagged on the activity or sent with the introduction template
+export const isLinkedInRequestSent = (activity) => isYes(activity.lnRequestSent) || getTemplate(activity) === LINKEDIN_INTRO_TEMPLATE;
+
+export const isLinkedInAccepted = (activity) => isYes(activity.connected);
+
+// LinkedIn conversations carry a CIP status. Email has none, so its statuses are flagged `conversation`
+// instead (by default Interested and Out of Office, what the email funnel has always counted as CIP).
+export const isConversationInProgress = (activity, statusSchema) =>
+  CIP_STATUSES.includes(activity.status) ||
+  (activity.type === 'email' && statusHasFlag(statusSchema, 'email', getEmailStatus(activity), 'conversation'));
+
+// A meeting status, or any email with a next action date: the email funnel's Scheduled stage has
+// always counted a booked follow-up as scheduled
+const isEmailScheduled = (activity) => getEmailStatus(activity) === 'Meeting Scheduled' || !!activity.nextActionDate;
+
+// Email status flags meaning nothing came back from the prospect themselves
+const NOT_A_REPLY_FLAGS = ['noReply', 'autoReply', 'bounce', 'optOut'];
+
+// Any email status except those flagged no reply, auto-reply, bounce or opt-out is a reply from the
+// prospect. Reports, the funnel's Accepted stage, attribution and sequence stop rules all read this;
+// the funnel used to count only Interested, Meeting Proposed and Meeting Scheduled.
+export const isEmailResponse = (activity, statusSchema) => {
+  const status = getEmailStatus(activity);
+  return !!status && !NOT_A_REPLY_FLAGS.some(flag => statusHasFlag(statusSchema, 'email', status, flag));
+};
+
+// SQL and WON read only the prospect's stage. The funnel pages used to also promote a prospect on
+// an activity: "Demo Completed" / "Meeting Completed", "Interested" with notes over 50 characters
+// (any "Interested" on LinkedIn), or an activity status of "SQL" / "WON". Those prospects now count
+// once their stage is moved.
+export const isSqlProspect = (contact) => contact?.stage === 'SQL';
+
+export const isWonProspect = (contact) => contact?.stage === 'WON';
+
+const hasCallStatus = (callStatus) => (activity) => activity.callStatus === callStatus;
+const hasStatus = (status) => (activity) => getEmailStatus(activity) === status;
+const always = () => true;
+
+// What a single activity contributes to each report row, per channel. Drill-downs use the same
+// table so the prospects listed behind a number are the ones that were counted.
+export const ACTIVITY_METRICS = {
+  call: {
+    totalCalls: always,
+    callsConnected: isCallConnected,
+    decisionMakerReached: isDecisionMakerReached,
+    interested: hasCallStatus('Interested'),
+    notInterested: hasCallStatus('Not Interested'),
+    ring: hasCallStatus('Ring'),
+    busy: hasCallStatus('Busy'),
+    hangUp: hasCallStatus('Hang Up'),
+    callBack: hasCallStatus('Call Back'),
+    switchOff: hasCallStatus('Switch Off'),
+    detailsShared: hasCallStatus('Details Shared'),
+    future: hasCallStatus('Future'),
+    invalid: hasCallStatus('Invalid'),
+    demoBooked: hasCallStatus('Demo Booked'),
+    demoCompleted: hasCallStatus('Demo Completed')
+  },
+  linkedin: {
+    connectionRequestSent: isLinkedInRequestSent,
+    connectionAccepted: isLinkedInAccepted,
+    existingConnection: (activity) => activity.lnRequestSent === 'Existing Connect',
+    firstMessageSent: (activity) => getTemplate(activity) === LINKEDIN_INTRO_TEMPLATE,
+    followupMessagesSent: (activity) => getTemplate(activity) === LINKEDIN_FOLLOW_UP_TEMPLATE,
+    conversationsInProgress: isConversationInProgress,
+    meetingProposed: hasStatus('Meeting Proposed'),
+    meetingScheduled: hasStatus('Meeting Scheduled'),
+    meetingCompleted: hasStatus('Meeting Completed')
+  },
+  email: {
+    emailsSent: always,
+    noReply: hasStatus('No Reply'),
+    notInterested: hasStatus('Not Interested'),
+    outOfOffice: hasStatus('Out of Office'),
+    meetingProposed: hasStatus('Meeting Proposed'),
+    meetingScheduled: hasStatus('Meeting Scheduled'),
+    interested: hasStatus('Interested'),
+    wrongPerson: hasStatus('Wrong Person'),
+    bounce: (activity, statusSchema) => statusHasFlag(statusSchema, 'email', getEmailStatus(activity), 'bounce'),
+    optOut: (activity, statusSchema) => statusHasFlag(statusSchema, 'email', getEmailStatus(activity), 'optOut'),
+    meetingCompleted: hasStatus('Meeting Completed'),
+    totalResponses: isEmailResponse
+  }
+};
+
+export const activityMatchesMetric = (channel, metricKey, activity, statusSchema) =>
+  activity.type === channel && !!ACTIVITY_METRICS[channel]?.[metricKey]?.(activity, statusSchema);
+
+// Periods
+
+// Period keys as the reports print them: "3 Mar '26" (day), "Mar '26" (month), "2026" (year)
+export const getPeriodKey = (date, mode) => {
+  const d = new Date(date);
+  const month = d.toLocaleString('default', { month: 'short' });
+  const year = d.getFullYear().toString();
+  if (mode === 'year') return year;
+  if (mode === 'day') return `${d.getDate()} ${month} '${year.slice(-2)}`;
+  return `${month} '${year.slice(-2)}`;
+};
+
+// First day of the period a key names, in local time
+export const getPeriodStart = (key, mode) => {
+  if (mode === 'year') return new Date(parseInt(key, 10), 0, 1);
+  if (mode === 'day') {
+    const [, day, month, year] = key.match(/(\d+) (\w+) '(\d+)/) || [];
+    return new Date(2000 + parseInt(year, 10), MONTH_ORDER.indexOf(month), parseInt(day, 10));
+  }
+  const [month, year] = key.split(" '");
+  return new Date(2000 + parseInt(year, 10), MONTH_ORDER.indexOf(month), 1);
+};
+
+export const sortPeriodKeys = (keys, mode) =>
+  [...keys].sort((a, b) => getPeriodStart(a, mode) - getPeriodStart(b, mode));
+
+const isValidDate = (date) => date instanceof Date && !isNaN(date.getTime());
+
+// Every period with an activity or a prospect added, oldest first
+export const getReportPeriods = (activities, contacts, mode, { includeCurrent = false } = {}) => {
+  const periods = new Set();
+  activities.forEach(activity => {
+    const date = getActivityDate(activity);
+    if (isValidDate(date)) periods.add(getPeriodKey(date, mode));
+  });
+  contacts.forEach(contact => {
+    if (contact.createdAt) periods.add(getPeriodKey(contact.createdAt, mode));
+  });
+  if (includeCurrent) periods.add(getPeriodKey(new Date(), mode));
+  return sortPeriodKeys(periods, mode);
+};
+
+// Reports
+
+// A call's contact is "fresh" in the period of its first logged "1st call": Map<contactId, period>
+const getFirstCallPeriods = (callActivities, mode) => {
+  const firstCallPeriods = new Map();
+  callActivities.forEach(activity => {
+    const date = getActivityDate(activity);
+    if (!isValidDate(date) || activity.callNumber !== '1st call') return;
+    const contactId = getContactId(activity) || 'unknown';
+    if (!firstCallPeriods.has(contactId)) firstCallPeriods.set(contactId, getPeriodKey(date, mode));
+  });
+  return firstCallPeriods;
+};
+
+// Fresh calls are numbered "1st call", or unnumbered in the contact's first-call period. The rest are follow-ups.
+const isFreshCall = (activity, period, firstCallPeriods) =>
+  activity.callNumber === '1st call' ||
+  (!activity.callNumber && firstCallPeriods.get(getContactId(activity) || 'unknown') === period);
+
+// Per-period rows for one channel's report, keyed by period. Every row carries dataAllocated (and
+// its LinkedIn name dataResearch): prospects added to the project in that period. Call rows also
+// split totalCalls into freshCalls and followUps; email rows add responseRate (%, one decimal).
+export const computeChannelReport = (channel, activities, contacts, periods, mode, statusSchema) => {
+  const metricKeys = Object.keys(ACTIVITY_METRICS[channel]);
+  const channelActivities = activities.filter(activity => activity.type === channel);
+  const data = {};
+  const prospectSets = {};
+
+  periods.forEach(period => {
+    data[period] = { dataAllocated: 0, dataResearch: 0 };
+    prospectSets[period] = {};
+    metricKeys.forEach(key => {
+      data[period][key] = 0;
+      prospectSets[period][key] = new Set();
+    });
+    if (channel === 'call') {
+      data[period].freshCalls = 0;
+      data[period].followUps = 0;
+    }
+    if (channel === 'email') data[period].responseRate = 0;
+  });
+
+  contacts.forEach(contact => {
+    if (!contact.createdAt) return;
+    const row = data[getPeriodKey(contact.createdAt, mode)];
+    if (row) {
+      row.dataAllocated++;
+      row.dataResearch++;
+    }
+  });
+
+  channelActivities.forEach(activity => {
+    const date = getActivityDate(activity);
+    if (!isValidDate(date)) return;
+    const period = getPeriodKey(date, mode);
+    if (!data[period]) return;
+    const contactId = getContactId(activity) || 'unknown';
+
+    metricKeys.forEach(key => {
+      if (!ACTIVITY_METRICS[channel][key](activity, statusSchema)) return;
+      if (channel === 'linkedin') prospectSets[period][key].add(contactId);
+      else data[period][key]++;
+    });
+  });
+
+  if (channel === 'linkedin') {
+    periods.forEach(period => {
+      metricKeys.forEach(key => {
+        data[period][key] = prospectSets[period][key].size;
+      });
+    });
+  }
+
+  if (channel === 'call') {
+    const firstCallPeriods = getFirstCallPeriods(channelActivities, mode);
+    channelActivities.forEach(activity => {
+      const date = getActivityDate(activity);
+      if (!isValidDate(date)) return;
+      const period = getPeriodKey(date, mode);
+      if (!data[period]) return;
+      if (isFreshCall(activity, period, firstCallPeriods)) data[period].freshCalls++;
+      else data[period].followUps++;
+    });
+  }
+
+  if (channel === 'email') {
+    periods.forEach(period => {
+      const row = data[period];
+      if (row.emailsSent > 0) {
+        row.responseRate = parseFloat(((row.totalResponses / row.emailsSent) * 100).toFixed(1));
+      }
+    });
+  }
+
+  return data;
+};
+
+// Funnels
+
+const activityStage = (key, match, min = 1) => ({ key, match, min });
+const PROSPECT_DATA_STAGE = { key: 'prospectData', added: true };
+const SQL_STAGE = { key: 'sql', prospect: isSqlProspect };
+const WON_STAGE = { key: 'won', prospect: isWonProspect };
+
+// Each channel's funnel, top to bottom. A prospect reaches an activity stage on the date of its
+// first matching activity (`min: 2`: its second one) and Prospect Data on the day it was added to
+// the project. SQL and WON follow the project stage, which carries no date.
+export const FUNNEL_STAGES = {
+  call: [
+    PROSPECT_DATA_STAGE,
+    // Any logged call counts as an attempt, with or without a callDate (it used to need one)
+    activityStage('callsAttempted', always),
+    activityStage('callsConnected', isCallConnected),
+    activityStage('decisionMakerReached', isDecisionMakerReached),
+    activityStage('interested', ACTIVITY_METRICS.call.interested),
+    activityStage('detailsShared', ACTIVITY_METRICS.call.detailsShared),
+    activityStage('demoBooked', ACTIVITY_METRICS.call.demoBooked),
+    activityStage('demoCompleted', ACTIVITY_METRICS.call.demoCompleted),
+    SQL_STAGE,
+    WON_STAGE
+  ],
+  email: [
+    PROSPECT_DATA_STAGE,
+    activityStage('emailSent', always),
+    activityStage('accepted', isEmailResponse),
+    activityStage('followups', always, 2),
+    activityStage('cip', isConversationInProgress),
+    activityStage('meetingProposed', ACTIVITY_METRICS.email.meetingProposed),
+    activityStage('scheduled', isEmailScheduled),
+    activityStage('completed', ACTIVITY_METRICS.email.meetingCompleted),
+    SQL_STAGE
+  ],
+  linkedin: [
+    PROSPECT_DATA_STAGE,
+    activityStage('connectionSent', isLinkedInRequestSent),
+    activityStage('accepted', isLinkedInAccepted),
+    activityStage('followups', always, 2),
+    activityStage('cip', isConversationInProgress),
+    activityStage('meetingProposed', ACTIVITY_METRICS.linkedin.meetingProposed),
+    activityStage('scheduled', ACTIVITY_METRICS.linkedin.meetingScheduled),
+    activityStage('completed', ACTIVITY_METRICS.linkedin.meetingCompleted),
+    SQL_STAGE
+  ]
+};
+
+const byChannel = (activities, channel) => activities.filter(activity => activity.type === channel);
+
+const getProspectId = (contact, index) => contact._id?.toString() || `prospect-${index}`;
+
+const getTime = (date) => (isValidDate(date) ? date.getTime() : 0);
+
+// When each prospect reached each stage, and the activity that got it there.
+// dates: Map<prospectId, { [stageKey]: Date | null }>. A missing key means the stage wasn't
+// reached; null means reached on an unknown date. triggers: Map<prospectId, { [stageKey]: activity }>.
+const traceStages = (channel, contacts, activities, statusSchema) => {
+  const stages = FUNNEL_STAGES[channel];
+  const dates = new Map();
+  const triggers = new Map();
+  const entryFor = (prospectId) => {
+    if (!dates.has(prospectId)) dates.set(prospectId, {});
+    return dates.get(prospectId);
+  };
+
+  contacts.forEach((contact, index) => {
+    const entry = entryFor(getProspectId(contact, index));
+    stages.forEach(stage => {
+      if (stage.added) entry[stage.key] = contact.createdAt ? new Date(contact.createdAt) : null;
+      else if (stage.prospect?.(contact)) entry[stage.key] = null;
+    });
+  });
+
+  const matchCounts = new Map();
+  byChannel(activities, channel)
+    .filter(activity => getContactId(activity))
+    .sort((a, b) => getTime(getActivityDate(a)) - getTime(getActivityDate(b)))
+    .forEach(activity => {
+      const prospectId = getContactId(activity);
+      const date = getActivityDate(activity);
+      stages.forEach(stage => {
+        if (!stage.match?.(activity, statusSchema)) return;
+        const countKey = `${prospectId}|${stage.key}`;
+        const count = (matchCounts.get(countKey) || 0) + 1;
+        matchCounts.set(countKey, count);
+        if (count !== stage.min) return;
+        entryFor(prospectId)[stage.key] = isValidDate(date) ? date : null;
+        if (!triggers.has(prospectId)) triggers.set(prospectId, {});
+        triggers.get(prospectId)[stage.key] = activity;
+      });
+    });
+
+  return { dates, triggers };
+};
+
+const getStageDates = (channel, contacts, activities, statusSchema) => traceStages(channel, contacts, activities, statusSchema).dates;
+
+const countStages = (stages, entries) => {
+  const counts = {};
+  stages.forEach(stage => {
+    counts[stage.key] = entries.filter(dates => stage.key in dates).length;
+  });
+  return counts;
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Each stage is the number of prospects in the project that reached it
+export const computeFunnel = (channel, contacts, activities, statusSchema) =>
+  countStages(FUNNEL_STAGES[channel], [...getStageDates(channel, contacts, activities, statusSchema).values()]);
+
+// Stage-to-stage view of a funnel. For every stage after the first: conversion (% of the previous
+// stage's prospects, null when that stage is empty), dropOff (prospects lost since the previous
+// stage) and medianDays between the two stages over prospects with both dates (null when none).
+export const computeFunnelConversion = (channel, contacts, activities, statusSchema) => {
+  const stages = FUNNEL_STAGES[channel];
+  const entries = [...getStageDates(channel, contacts, activities, statusSchema).values()];
+  const counts = countStages(stages, entries);
+
+  return stages.map((stage, index) => {
+    const count = counts[stage.key];
+    if (index === 0) return { key: stage.key, count, conversion: null, dropOff: null, medianDays: null };
+
+    const previous = stages[index - 1];
+    const previousCount = counts[previous.key];
+    const days = entries
+      .filter(dates => dates[previous.key] && dates[stage.key])
+      .map(dates => Math.max(0, (dates[stage.key] - dates[previous.key]) / DAY_MS));
+    const medianDays = median(days);
+
+    return {
+      key: stage.key,
+      count,
+      conversion: previousCount > 0 ? (count / previousCount) * 100 : null,
+      dropOff: Math.max(0, previousCount - count),
+      medianDays: medianDays === null ? null : Math.round(medianDays * 10) / 10
+    };
+  });
+};
+
+// Monday 00:00 of the week a date falls in
+export const getWeekStart = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+};
+
+// Funnel counts per import week (the week each prospect was added), newest week first.
+// Prospects with no added date are left out.
+export const computeFunnelCohorts = (channel, contacts, activities, statusSchema) => {
+  const stages = FUNNEL_STAGES[channel];
+  const reached = getStageDates(channel, contacts, activities, statusSchema);
+  const cohorts = new Map();
+
+  contacts.forEach((contact, index) => {
+    if (!contact.createdAt) return;
+    const weekStart = getWeekStart(contact.createdAt);
+    if (!isValidDate(weekStart)) return;
+    const key = weekStart.getTime();
+    if (!cohorts.has(key)) cohorts.set(key, { weekStart, entries: [] });
+    cohorts.get(key).entries.push(reached.get(getProspectId(contact, index)));
+  });
+
+  return [...cohorts.values()]
+    .sort((a, b) => b.weekStart - a.weekStart)
+    .map(({ weekStart, entries }) => ({ weekStart, size: entries.length, counts: countStages(stages, entries) }));
+};
+
+// Drill-downs
+//
+// Rows are { contact, activity, date, count }: the prospect, the activity that put it in the number
+// (null when a stage or row doesn't come from an activity), that activity's date and how many of the
+// prospect's activities matched. A prospect with logged activities that isn't in `contacts` still
+// counted, so it comes back as just its id.
+
+const byNewest = (a, b) => getTime(b.date) - getTime(a.date);
+
+const indexContacts = (contacts) =>
+  new Map(contacts.map((contact, index) => [getProspectId(contact, index), contact]));
+
+// The prospects counted in one funnel stage, newest first. The activity is the one that moved the
+// prospect into the stage (its second one for Follow-ups).
+export const getFunnelStageProspects = (channel, stageKey, contacts, activities, statusSchema) => {
+  const { dates, triggers } = traceStages(channel, contacts, activities, statusSchema);
+  const contactsById = indexContacts(contacts);
+  const rows = [];
+  dates.forEach((entry, prospectId) => {
+    if (!(stageKey in entry)) return;
+    rows.push({
+      contact: contactsById.get(prospectId) || { _id: prospectId },
+      activity: triggers.get(prospectId)?.[stageKey] || null,
+      date: entry[stageKey],
+      count: 1
+    });
+  });
+  return rows.sort(byNewest);
+};
+
+// The prospects behind one report cell (a metric in one period), newest first. The activity is the
+// prospect's first match in the period; for call and email rows the counts add up to the cell.
+export const getReportCellProspects = (channel, metricKey, period, mode, contacts, activities, statusSchema) => {
+  if (metricKey === 'dataAllocated' || metricKey === 'dataResearch') {
+    return contacts
+      .filter(contact => contact.createdAt && getPeriodKey(contact.createdAt, mode) === period)
+      .map(contact => ({ contact, activity: null, date: new Date(contact.createdAt), count: 1 }))
+      .sort(byNewest);
+  }
+
+  const channelActivities = byChannel(activities, channel);
+  let matches = (activity) => activityMatchesMetric(channel, metricKey, activity, statusSchema);
+  if (channel === 'call' && (metricKey === 'freshCalls' || metricKey === 'followUps')) {
+    const firstCallPeriods = getFirstCallPeriods(channelActivities, mode);
+    matches = (activity) => isFreshCall(activity, period, firstCallPeriods) === (metricKey === 'freshCalls');
+  }
+
+  const contactsById = indexContacts(contacts);
+  const rows = new Map();
+  channelActivities.forEach(activity => {
+    const date = getActivityDate(activity);
+    if (!isValidDate(date) || getPeriodKey(date, mode) !== period || !matches(activity)) return;
+    const contactId = getContactId(activity);
+    const row = rows.get(contactId);
+    if (!row) {
+      rows.set(contactId, { contact: contactsById.get(contactId) || { _id: contactId || undefined }, activity, date, count: 1 });
+      return;
+    }
+    row.count++;
+    if (date < row.date) Object.assign(row, { activity, date });
+  });
+  return [...rows.values()].sort(byNewest);
+};
+
+// Attribution
+
+export const ATTRIBUTION_CHANNELS = ['linkedin', 'call', 'email'];
+
+export const ATTRIBUTION_OUTCOMES = [
+  { key: 'meeting', label: 'Meetings' },
+  { key: 'sql', label: 'SQLs' },
+  { key: 'won', label: 'WONs' }
+];
+
+// A meeting status is one carrying the schema's `meeting` flag, the same statuses the project KPIs
+// count as meetings booked. A prospect's first one dates the meeting (usually "Meeting Scheduled" or
+// "Demo Booked"; a later "Completed" status doesn't add a second meeting).
+export const isMeetingBooked = (activity, statusSchema) =>
+  activity.type === 'call'
+    ? statusHasFlag(statusSchema, 'call', activity.callStatus, 'meeting')
+    : statusHasFlag(statusSchema, activity.type, getEmailStatus(activity), 'meeting');
+
+const emptyCredits = () => Object.fromEntries(ATTRIBUTION_CHANNELS.map(channel => [channel, 0]));
+
+// A prospect's touches up to the one that moved them to `stage` (logged with it as the status). The
+// stage itself carries no date, so without such a touch the path ends at the prospect's last update,
+// and takes every touch when even that is missing.
+const getPathToStage = (contact, path, stage) => {
+  const stageIndex = path.findIndex(activity => activity.status === stage || activity.callStatus === stage);
+  if (stageIndex !== -1) return path.slice(0, stageIndex + 1);
+  const updatedAt = contact.updatedAt ? new Date(contact.updatedAt) : null;
+  if (!isValidDate(updatedAt)) return path;
+  return path.filter(activity => getTime(getActivityDate(activity)) <= updatedAt.getTime());
+};
+
+// Credits each meeting, SQL and WON to the channels whose activities led to it, keyed by outcome:
+// { total, unattributed, firstTouch, lastTouch, multiTouch } with per-channel credits. A prospect's
+// touches are its activities on any channel up to its first meeting status, or up to reaching the
+// SQL or WON stage (see getPathToStage). First touch credits the earliest touch and last touch the
+// latest; multi-touch splits one credit evenly over every touch. Outcomes without touches are unattributed.
+export const computeAttribution = (contacts, activities, statusSchema) => {
+  const touches = new Map();
+  activities
+    .filter(activity => ATTRIBUTION_CHANNELS.includes(activity.type) && getContactId(activity))
+    .sort((a, b) => getTime(getActivityDate(a)) - getTime(getActivityDate(b)))
+    .forEach(activity => {
+      const prospectId = getContactId(activity);
+      if (!touches.has(prospectId)) touches.set(prospectId, []);
+      touches.get(prospectId).push(activity);
+    });
+
+  const result = {};
+  ATTRIBUTION_OUTCOMES.forEach(({ key }) => {
+    result[key] = { total: 0, unattributed: 0, firstTouch: emptyCredits(), lastTouch: emptyCredits(), multiTouch: emptyCredits() };
+  });
+
+  const credit = (outcome, path) => {
+    const row = result[outcome];
+    row.total++;
+    if (path.length === 0) {
+      row.unattributed++;
+      return;
+    }
+    row.firstTouch[path[0].type]++;
+    row.lastTouch[path[path.length - 1].type]++;
+    path.forEach(activity => {
+      row.multiTouch[activity.type] += 1 / path.length;
+    });
+  };
+
+  touches.forEach(path => {
+    const meetingIndex = path.findIndex(activity => isMeetingBooked(activity, statusSchema));
+    if (meetingIndex !== -1) credit('meeting', path.slice(0, meetingIndex + 1));
+  });
+
+  contacts.forEach((contact, index) => {
+    const path = touches.get(getProspectId(contact, index)) || [];
+    if (isSqlProspect(contact)) credit('sql', getPathToStage(contact, path, 'SQL'));
+    if (isWonProspect(contact)) credit('won', getPathToStage(contact, path, 'WON'));
+  });
+
+  return result;
+};
+
+// KPI filters
+
+const anyActivity = (predicate) => (activities, contact, statusSchema) => activities.some(activity => predicate(activity, statusSchema));
+const hasStatusFlag = (channel, flag) => (activities, contact, statusSchema) => {
+  const statuses = getStatusesByFlag(statusSchema, channel, flag);
+  const field = channel === 'call' ? 'callStatus' : 'status';
+  return activities.some(activity => statuses.includes(activity[field]));
+};
+const hasAnyActivity = (activities) => activities.length > 0;
+const hasFollowUps = (activities) => activities.length > 1;
+const isSql = (activities, contact) => isSqlProspect(contact);
+const isWon = (activities, contact) => isWonProspect(contact);
+
+// KPI card metric -> whether a prospect belongs in its list, given that prospect's activities in
+// the channel. Older metric keys stay so saved links and legacy cards keep working.
+const KPI_METRICS = {
+  linkedin: {
+    connectionSent: anyActivity(isLinkedInRequestSent),
+    accepted: anyActivity(isLinkedInAccepted),
+    followUps: hasFollowUps,
+    cip: anyActivity(isConversationInProgress),
+    meetingProposed: anyActivity(ACTIVITY_METRICS.linkedin.meetingProposed),
+    scheduled: anyActivity(ACTIVITY_METRICS.linkedin.meetingScheduled),
+    completed: anyActivity(ACTIVITY_METRICS.linkedin.meetingCompleted),
+    sql: isSql,
+    win: isWon,
+    connectionRequestsSent: anyActivity(isLinkedInRequestSent),
+    connectionAcceptanceRate: anyActivity(isLinkedInAccepted),
+    messagesSent: anyActivity(activity => !!activity.status),
+    messageReplyRate: hasStatusFlag('linkedin', 'positive'),
+    meetingsBooked: hasStatusFlag('linkedin', 'meeting')
+  },
+  call: {
+    allProspects: always,
+    callsAttempted: hasAnyActivity,
+    totalCalls: hasAnyActivity,
+    callsConnected: anyActivity(isCallConnected),
+    decisionMakerReached: anyActivity(isDecisionMakerReached),
+    interested: anyActivity(ACTIVITY_METRICS.call.interested),
+    notInterested: anyActivity(ACTIVITY_METRICS.call.notInterested),
+    detailsShared: anyActivity(ACTIVITY_METRICS.call.detailsShared),
+    demoBooked: anyActivity(ACTIVITY_METRICS.call.demoBooked),
+    demoCompleted: anyActivity(ACTIVITY_METRICS.call.demoCompleted),
+    sql: isSql,
+    won: isWon,
+    callsMade: hasAnyActivity,
+    callAnswerRate: anyActivity(isCallConnected),
+    callInterestedRate: hasStatusFlag('call', 'positive'),
+    meetingsBooked: hasStatusFlag('call', 'meeting')
+  },
+  email: {
+    emailsSent: hasAnyActivity,
+    accepted: anyActivity(isEmailResponse),
+    followups: hasFollowUps,
+    cip: anyActivity(isConversationInProgress),
+    meetingProposed: anyActivity(ACTIVITY_METRICS.email.meetingProposed),
+    scheduled: anyActivity(isEmailScheduled),
+    completed: anyActivity(ACTIVITY_METRICS.email.meetingCompleted),
+    sql: isSql,
+    emailBounce: anyActivity(ACTIVITY_METRICS.email.bounce),
+    emailOpenRate: anyActivity(isEmailResponse),
+    emailReplyRate: hasStatusFlag('email', 'positive'),
+    meetingsBooked: hasStatusFlag('email', 'meeting')
+  }
+};
+
+// true/false when the metric is defined here; null for date-based metrics the caller handles
+export const matchesKpiMetric = (channel, metric, contact, activities, statusSchema) => {
+  const check = KPI_METRICS[channel]?.[metric];
+  return check ? check(byChannel(activities, channel), contact, statusSchema) : null;
+};
@@ -0,0 +1,360 @@
+import { describe, it, expect } from 'vitest';
+import {
+  ACTIVITY_METRICS,
+  FUNNEL_STAGES,
+  activityMatchesMetric,
+  computeAttribution,
+  computeChannelReport,
+  computeFunnel,
+  getFunnelStageProspects,
+  getReportCellProspects,
+  getReportPeriods,
+  isCallConnected,
+  isConversationInProgress,
+  isDecisionMakerReached,
+  isEmailResponse,
+  isSqlProspect,
+  isWonProspect,
+  matchesKpiMetric
+} from './metrics';
+import { resolveStatusSchema } from './statusSchema';
+import { MARCH, activities, callActivities, contacts, emailActivities } from './__fixtures__/outreach';
+
+const CHANNELS = ['call', 'email', 'linkedin'];
+
+const report = (channel, statusSchema) => computeChannelReport(channel, activities, contacts, [MARCH], 'month', statusSchema)[MARCH];
+
+// Built the way MonthlyReport keeps the channel rows: one row per channel in each period
+const monthlyRow = () => Object.fromEntries(['email', 'linkedin', 'call'].map(channel => [
+  channel,
+  computeChannelReport(channel, activities, contacts, [MARCH], 'month')[MARCH]
+]));
+
+const kpiCount = (channel, metric, statusSchema) =>
+  contacts.filter(contact => matchesKpiMetric(
+    channel,
+    metric,
+    contact,
+    activities.filter(activity => activity.contactId === contact._id),
+    statusSchema
+  )).length;
+
+// Prospects behind a report cell, which is what a funnel stage counts
+const cellProspects = (channel, metric) => getReportCellProspects(channel, metric, MARCH, 'month', contacts, activities).length;
+
+describe('computeFunnel', () => {
+  it('counts prospects per call stage', () => {
+    expect(computeFunnel('call', contacts, activities)).toEqual({
+      prospectData: 5,
+      callsAttempted: 5,
+      callsConnected: 4,
+      decisionMakerReached: 3,
+      interested: 1,
+      detailsShared: 0,
+      demoBooked: 1,
+      demoCompleted: 2,
+      sql: 1,
+      won: 1
+    });
+  });
+
+  it('counts prospects per email stage', () => {
+    expect(computeFunnel('email', contacts, activities)).toEqual({
+      prospectData: 5,
+      emailSent: 5,
+      accepted: 3,
+      followups: 2,
+      cip: 2,
+      meetingProposed: 1,
+      scheduled: 2,
+      completed: 0,
+      sql: 1
+    });
+  });
+
+  it('counts prospects per LinkedIn stage', () => {
+    expect(computeFunnel('linkedin', contacts, activities)).toEqual({
+      prospectData: 5,
+      connectionSent: 2,
+      accepted: 1,
+      followups: 2,
+      cip: 1,
+      meetingProposed: 0,
+      scheduled: 1,
+      completed: 0,
+      sql: 1
+    });
+  });
+
+  it('moves a prospect into Follow-ups on its second activity', () => {
+    const [row] = getFunnelStageProspects('email', 'followups', contacts, activities).filter(r => r.contact._id === 'c2');
+    expect(row.activity.status).toBe('Meeting Scheduled');
+  });
+});
+
+describe('computeChannelReport', () => {
+  it('counts call activities per period', () => {
+    expect(report('call')).toMatchObject({
+      dataAllocated: 5,
+      totalCalls: 7,
+      freshCalls: 3,
+      followUps: 4,
+      callsConnected: 5,
+      decisionMakerReached: 4,
+      interested: 1,
+      ring: 1,
+      busy: 1,
+      callBack: 1,
+      demoBooked: 1,
+      demoCompleted: 2
+    });
+  });
+
+  it('counts email activities per period', () => {
+    expect(report('email')).toMatchObject({
+      dataAllocated: 5,
+      emailsSent: 7,
+      noReply: 1,
+      outOfOffice: 1,
+      interested: 1,
+      meetingProposed: 1,
+      meetingScheduled: 1,
+      bounce: 1,
+      optOut: 1,
+      totalResponses: 3,
+      responseRate: 42.9
+    });
+  });
+
+  it('counts LinkedIn prospects per period', () => {
+    expect(report('linkedin')).toMatchObject({
+      dataResearch: 5,
+      connectionRequestSent: 2,
+      connectionAccepted: 1,
+      existingConnection: 1,
+      firstMessageSent: 1,
+      followupMessagesSent: 0,
+      conversationsInProgress: 1,
+      meetingScheduled: 1
+    });
+  });
+
+  it('lists every period with an activity or a prospect added', () => {
+    expect(getReportPeriods(activities, contacts, 'month')).toEqual([MARCH]);
+  });
+});
+
+describe('matchesKpiMetric', () => {
+  it('puts a prospect in a KPI list when any of its activities match', () => {
+    const c1 = contacts.find(contact => contact._id === 'c1');
+    const c1Calls = callActivities.filter(activity => activity.contactId === 'c1');
+    expect(matchesKpiMetric('call', 'callsConnected', c1, c1Calls)).toBe(true);
+    expect(matchesKpiMetric('call', 'demoBooked', c1, c1Calls)).toBe(false);
+  });
+
+  it('only reads the activities of the metric\'s channel', () => {
+    const c1 = contacts.find(contact => contact._id === 'c1');
+    expect(matchesKpiMetric('call', 'callsMade', c1, emailActivities)).toBe(false);
+  });
+
+  it('returns null for metrics it doesn\'t define', () => {
+    expect(matchesKpiMetric('call', 'callsToday', contacts[0], callActivities)).toBeNull();
+  });
+
+  it('counts meetings booked from the schema\'s meeting flag', () => {
+    expect(kpiCount('call', 'meetingsBooked')).toBe(2);
+    expect(kpiCount('email', 'meetingsBooked')).toBe(1);
+    expect(kpiCount('linkedin', 'meetingsBooked')).toBe(1);
+  });
+});
+
+describe('per-metric definitions', () => {
+  it('matches only activities of the metric\'s channel', () => {
+    const interestedCall = callActivities.find(activity => activity.callStatus === 'Interested');
+    expect(activityMatchesMetric('call', 'interested', interestedCall)).toBe(true);
+    expect(activityMatchesMetric('email', 'interested', interestedCall)).toBe(false);
+    expect(activityMatchesMetric('call', 'noSuchMetric', interestedCall)).toBe(false);
+  });
+
+  it('reads legacy "Opt Out" email statuses as opt-outs', () => {
+    const legacy = emailActivities.find(activity => activity.status === 'Opt Out');
+    expect(ACTIVITY_METRICS.email.optOut(legacy)).toBe(true);
+    expect(isEmailResponse(legacy)).toBe(false);
+  });
+
+  it('doesn\'t count an Out of Office as an email response', () => {
+    expect(isEmailResponse({ type: 'email', status: 'Out of Office' })).toBe(false);
+    expect(isEmailResponse({ type: 'email', status: 'Interested' })).toBe(true);
+    expect(isEmailResponse({ type: 'email', status: 'No Reply' })).toBe(false);
+    expect(isEmailResponse({ type: 'email' })).toBe(false);
+  });
+
+  it('follows a project\'s custom status flags', () => {
+    const statusSchema = resolveStatusSchema({
+      statusSchema: {
+        call: [
+          { label: 'Voicemail', color: 'gray', unreached: true },
+          { label: 'Gatekeeper', color: 'blue' },
+          { label: 'Pitched', color: 'green', decisionMaker: true },
+          // Saved before the flag existed: inherits "not reached" from the default Ring
+          { label: 'Ring', color: 'yellow' }
+        ],
+        email: [
+          { label: 'Auto Responder', color: 'gray', noReply: true },
+          { label: 'Hard Bounce', color: 'red', bounce: true },
+          { label: 'Replied', color: 'green' }
+        ]
+      }
+    });
+    const callWith = (callStatus) => ({ type: 'call', callStatus });
+    const emailWith = (status) => ({ type: 'email', status });
+
+    expect(isCallConnected(callWith('Voicemail'), statusSchema)).toBe(false);
+    expect(isCallConnected(callWith('Ring'), statusSchema)).toBe(false);
+    expect(isCallConnected(callWith('Gatekeeper'), statusSchema)).toBe(true);
+    expect(isDecisionMakerReached(callWith('Gatekeeper'), statusSchema)).toBe(false);
+    expect(isDecisionMakerReached(callWith('Pitched'), statusSchema)).toBe(true);
+    expect(isDecisionMakerReached(callWith('Interested'), statusSchema)).toBe(false);
+
+    expect(isEmailResponse(emailWith('Auto Responder'), statusSchema)).toBe(false);
+    expect(isEmailResponse(emailWith('Replied'), statusSchema)).toBe(true);
+    expect(activityMatchesMetric('email', 'bounce', emailWith('Hard Bounce'), statusSchema)).toBe(true);
+    expect(activityMatchesMetric('email', 'bounce', emailWith('Bounce'), statusSchema)).toBe(false);
+  });
+});
+
+describe('changed definitions', () => {
+  it('takes SQL and WON from the prospect\'s stage only', () => {
+    const c5 = contacts.find(contact => contact._id === 'c5');
+    expect(isSqlProspect(c5)).toBe(false);
+    expect(isWonProspect({ stage: 'WON' })).toBe(true);
+    expect(isWonProspect({ stage: 'SQL' })).toBe(false);
+    CHANNELS.forEach(channel => {
+      expect(getFunnelStageProspects(channel, 'sql', contacts, activities).map(row => row.contact._id)).toEqual(['c1']);
+    });
+  });
+
+  it('counts only decision-maker statuses as reaching the decision maker', () => {
+    ['Interested', 'Details Shared', 'Demo Booked', 'Demo Completed'].forEach(callStatus => {
+      expect(isDecisionMakerReached({ type: 'call', callStatus })).toBe(true);
+    });
+    ['Call Back', 'Future', 'Existing', 'Not Interested', 'Ring'].forEach(callStatus => {
+      expect(isDecisionMakerReached({ type: 'call', callStatus })).toBe(false);
+    });
+    const c3 = contacts.find(contact => contact._id === 'c3');
+    const c3Calls = callActivities.filter(activity => activity.contactId === 'c3');
+    expect(matchesKpiMetric('call', 'callsConnected', c3, c3Calls)).toBe(true);
+    expect(matchesKpiMetric('call', 'decisionMakerReached', c3, c3Calls)).toBe(false);
+  });
+
+  it('counts a call without a callDate as attempted', () => {
+    const attempted = getFunnelStageProspects('call', 'callsAttempted', contacts, activities).map(row => row.contact._id);
+    expect(attempted).toContain('c4');
+  });
+
+  it('keeps counting a next action date as an email Scheduled', () => {
+    const scheduled = getFunnelStageProspects('email', 'scheduled', contacts, activities).map(row => row.contact._id).sort();
+    expect(scheduled).toEqual(['c2', 'c3']);
+  });
+
+  it('reads email CIP from the schema\'s conversation flag', () => {
+    const cip = getFunnelStageProspects('email', 'cip', contacts, activities).map(row => row.contact._id).sort();
+    expect(cip).toEqual(['c1', 'c2']);
+
+    const statusSchema = resolveStatusSchema({
+      statusSchema: { email: [{ label: 'Interested', color: 'green', conversation: false }, { label: 'Engaged', color: 'blue', conversation: true }] }
+    });
+    expect(isConversationInProgress({ type: 'email', status: 'Interested' }, statusSchema)).toBe(false);
+    expect(isConversationInProgress({ type: 'email', status: 'Engaged' }, statusSchema)).toBe(true);
+    expect(isConversationInProgress({ type: 'linkedin', status: 'Interested' })).toBe(false);
+  });
+});
+
+describe('one number on every screen', () => {
+  // Funnel stage -> the report row counting the same thing
+  const SHARED_ROWS = {
+    call: {
+      callsAttempted: 'totalCalls',
+      callsConnected: 'callsConnected',
+      decisionMakerReached: 'decisionMakerReached',
+      interested: 'interested',
+      detailsShared: 'detailsShared',
+      demoBooked: 'demoBooked',
+      demoCompleted: 'demoCompleted'
+    },
+    email: {
+      emailSent: 'emailsSent',
+      accepted: 'totalResponses',
+      meetingProposed: 'meetingProposed',
+      completed: 'meetingCompleted'
+    },
+    linkedin: {
+      connectionSent: 'connectionRequestSent',
+      accepted: 'connectionAccepted',
+      cip: 'conversationsInProgress',
+      meetingProposed: 'meetingProposed',
+      scheduled: 'meetingScheduled',
+      completed: 'meetingCompleted'
+    }
+  };
+
+  // Funnel stages whose KPI card uses another key
+  const KPI_KEYS = { email: { emailSent: 'emailsSent' }, linkedin: { followups: 'followUps' } };
+
+  CHANNELS.forEach(channel => {
+    it(`gives the ${channel} funnel and its report the same prospects`, () => {
+      const funnel = computeFunnel(channel, contacts, activities);
+      Object.entries(SHARED_ROWS[channel]).forEach(([stage, row]) => {
+        expect([stage, cellProspects(channel, row)]).toEqual([stage, funnel[stage]]);
+      });
+      expect(report(channel).dataAllocated).toBe(funnel.prospectData);
+    });
+
+    it(`gives the ${channel} funnel and its KPI lists the same prospects`, () => {
+      const funnel = computeFunnel(channel, contacts, activities);
+      FUNNEL_STAGES[channel]
+        .filter(stage => !stage.added)
+        .forEach(({ key }) => {
+          expect([key, kpiCount(channel, KPI_KEYS[channel]?.[key] || key)]).toEqual([key, funnel[key]]);
+        });
+    });
+  });
+
+  it('prints the channel reports\' numbers in the monthly report', () => {
+    const monthly = monthlyRow();
+    CHANNELS.forEach(channel => {
+      expect(monthly[channel]).toEqual(report(channel));
+    });
+    // Keys the channels share keep each channel's own count
+    expect([monthly.email.interested, monthly.call.interested]).toEqual([1, 1]);
+    expect([monthly.email.meetingScheduled, monthly.linkedin.meetingScheduled]).toEqual([1, 1]);
+    expect(monthly.call.dataAllocated).toBe(computeFunnel('call', contacts, activities).prospectData);
+  });
+});
+
+describe('computeAttribution', () => {
+  const credits = (row) => Object.fromEntries(Object.entries(row).filter(([, value]) => value > 0));
+
+  it('stops an SQL\'s path at the prospect\'s last update', () => {
+    // c1 was last updated on the 4th, after its second call and before its later LinkedIn and email touches
+    const c1 = { ...contacts.find(contact => contact._id === 'c1'), updatedAt: new Date(2026, 2, 4, 12).toISOString() };
+    const { sql } = computeAttribution([c1], activities);
+    expect(sql.total).toBe(1);
+    expect(credits(sql.lastTouch)).toEqual({ call: 1 });
+    expect(sql.multiTouch.linkedin).toBeCloseTo(2 / 5);
+    expect(sql.multiTouch.email).toBeCloseTo(1 / 5);
+  });
+
+  it('stops a WON\'s path at the touch logged with the WON status', () => {
+    const prospect = { _id: 'p1', stage: 'WON', updatedAt: new Date(2026, 2, 20).toISOString() };
+    const touches = [
+      { _id: 'a1', type: 'linkedin', contactId: 'p1', linkedinDate: new Date(2026, 2, 1).toISOString() },
+      { _id: 'a2', type: 'call', contactId: 'p1', callStatus: 'Demo Completed', status: 'WON', callDate: new Date(2026, 2, 5).toISOString() },
+      { _id: 'a3', type: 'email', contactId: 'p1', status: 'Interested', emailDate: new Date(2026, 2, 9).toISOString() }
+    ];
+    const { won } = computeAttribution([prospect], touches);
+    expect(credits(won.firstTouch)).toEqual({ linkedin: 1 });
+    expect(credits(won.lastTouch)).toEqual({ call: 1 });
+    expect(won.multiTouch.email).toBe(0);
+  });
+});
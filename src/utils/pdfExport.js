@@ -0,0 +1,129 @@
+// PDF export for the report pages, through the browser's print-to-PDF. The report element is cloned
+// into a hidden iframe that carries the app's stylesheets, Chart.js canvases are swapped for images
+// of their current frame, and a branded header (project, report, date range, generation time) is added
+// on top. Anything marked data-pdf-exclude (navigation, toggles, buttons) is left out.
+
+import { getActivityDate } from './metrics';
+
+const BRAND_NAME = 'Outbound SaaS';
+
+const PRINT_CLEANUP_FALLBACK_MS = 10 * 60 * 1000;
+
+const PRINT_STYLES = `
+  @page { size: A4 landscape; margin: 12mm; }
+  * {
+    -webkit-print-color-adjust: exact !important;
+    print-color-adjust: exact !important;
+    animation: none !important;
+    transition: none !important;
+  }
+  html, body { background: #fff !important; margin: 0; }
+  .min-h-screen { min-height: 0 !important; }
+  .sticky { position: static !important; }
+  .overflow-x-auto, .overflow-y-auto, .overflow-hidden { overflow: visible !important; }
+  .max-w-5xl, .max-w-7xl { max-width: none !important; }
+  table { font-size: 9px !important; }
+  th, td { padding: 4px 6px !important; }
+  tr, img, .pdf-block { break-inside: avoid; page-break-inside: avoid; }
+  .pdf-header { display: flex; justify-content: space-between; align-items: flex-end; border-bottom: 2px solid #4f46e5; padding-bottom: 8px; margin-bottom: 16px; font-family: system-ui, sans-serif; }
+  .pdf-header .brand { font-size: 11px; font-weight: 700; color: #4f46e5; text-transform: uppercase; letter-spacing: 0.05em; }
+  .pdf-header .title { font-size: 20px; font-weight: 700; color: #111827; margin-top: 2px; }
+  .pdf-header .meta { font-size: 10px; color: #6b7280; text-align: right; line-height: 1.5; }
+`;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// "Mar 3, 2026 – Oct 18, 2026" across the activities a report was built from, dated the way the
+// reports date them
+export const getActivityDateRangeLabel = (activities) => {
+  let min = null;
+  let max = null;
+  (activities || []).forEach(activity => {
+    const date = getActivityDate(activity);
+    if (isNaN(date.getTime())) return;
+    if (!min || date < min) min = date;
+    if (!max || date > max) max = date;
+  });
+  if (!min) return 'No activity yet';
+  return formatDate(min) === formatDate(max) ? formatDate(min) : `${formatDate(min)} – ${formatDate(max)}`;
+};
+
+const waitForLoad = (doc) => Promise.all(
+  [...doc.querySelectorAll('link[rel="stylesheet"], img')].map(node => new Promise(resolve => {
+    if ((node.tagName === 'IMG' && node.complete) || (node.tagName === 'LINK' && node.sheet)) {
+      resolve();
+      return;
+    }
+    node.addEventListener('load', resolve, { once: true });
+    node.addEventListener('error', resolve, { once: true });
+  }))
+);
+
+export const exportReportPdf = async (element, { projectName, reportTitle, dateRange }) => {
+  if (!element) throw new Error('Nothing to export');
+
+  const clone = element.cloneNode(true);
+
+  // Canvases don't keep their pixels when cloned, so copy each frame across as an image. The clone
+  // and source canvases are paired before excluded sections are removed, while their order still matches.
+  const sourceCanvases = element.querySelectorAll('canvas');
+  clone.querySelectorAll('canvas').forEach((canvas, index) => {
+    const source = sourceCanvases[index];
+    if (!source) return;
+    const img = document.createElement('img');
+    img.src = source.toDataURL('image/png');
+    img.style.width = '100%';
+    img.style.height = 'auto';
+    canvas.replaceWith(img);
+  });
+
+  clone.querySelectorAll('[data-pdf-exclude]').forEach(node => node.remove());
+
+  const iframe = document.createElement('iframe');
+  iframe.setAttribute('aria-hidden', 'true');
+  iframe.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+  document.body.appendChild(iframe);
+
+  const doc = iframe.contentDocument;
+  const appStyles = [...document.querySelectorAll('link[rel="stylesheet"], style')]
+    .map(node => node.outerHTML)
+    .join('\n');
+  const generatedAt = new Date();
+  const title = `${reportTitle} - ${projectName || 'Project'}`;
+
+  doc.open();
+  doc.write(`<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>${appStyles}<style>${PRINT_STYLES}</style></head><body>
+    <div class="pdf-header">
+      <div>
+        <div class="brand">${escapeHtml(BRAND_NAME)}</div>
+        <div class="title">${escapeHtml(projectName || 'Project')} · ${escapeHtml(reportTitle)}</div>
+      </div>
+      <div class="meta">
+        <div>${escapeHtml(dateRange)}</div>
+        <div>Generated ${escapeHtml(generatedAt.toLocaleString())}</div>
+      </div>
+    </div>
+  </body></html>`);
+  doc.close();
+  doc.body.appendChild(doc.importNode(clone, true));
+
+  await waitForLoad(doc);
+
+  // The iframe has to outlive the print dialog, so it goes on afterprint. Browsers that never fire
+  // afterprint for an iframe get it removed by the fallback, long after any dialog has closed.
+  let fallbackTimer = null;
+  const removeIframe = () => {
+    clearTimeout(fallbackTimer);
+    iframe.remove();
+  };
+  iframe.contentWindow.addEventListener('afterprint', removeIframe, { once: true });
+  fallbackTimer = setTimeout(removeIframe, PRINT_CLEANUP_FALLBACK_MS);
+  iframe.contentWindow.focus();
+  iframe.contentWindow.print();
+};
@@ -0,0 +1,112 @@
+// Role-based access for routes, sidebar items and destructive actions.
+// The role comes from the `user` object stored at login. The backend still enforces its own
+// checks; this only keeps people out of screens and buttons they can't use.
+
+export const ROLES = {
+  ADMIN: 'admin',
+  MANAGER: 'manager',
+  SDR: 'sdr',
+  CLIENT_VIEWER: 'client_viewer'
+};
+
+export const ROLE_LABELS = {
+  [ROLES.ADMIN]: 'Admin',
+  [ROLES.MANAGER]: 'Manager',
+  [ROLES.SDR]: 'SDR',
+  [ROLES.CLIENT_VIEWER]: 'Client Viewer'
+};
+
+// Users stored before roles existed had every screen, so a missing role keeps that access until the
+// backend assigns one. A role we don't recognise gets the least-privileged internal role.
+const MISSING_ROLE = ROLES.ADMIN;
+const UNKNOWN_ROLE = ROLES.SDR;
+
+// Spellings the backend or older user records may use
+const ROLE_ALIASES = {
+  'administrator': ROLES.ADMIN,
+  'super_admin': ROLES.ADMIN,
+  'superadmin': ROLES.ADMIN,
+  'team_lead': ROLES.MANAGER,
+  'lead': ROLES.MANAGER,
+  'rep': ROLES.SDR,
+  'user': ROLES.SDR,
+  'employee': ROLES.SDR,
+  'client': ROLES.CLIENT_VIEWER,
+  'viewer': ROLES.CLIENT_VIEWER
+};
+
+const ALL_ROLES = Object.values(ROLES);
+const INTERNAL_ROLES = [ROLES.ADMIN, ROLES.MANAGER, ROLES.SDR];
+const MANAGEMENT_ROLES = [ROLES.ADMIN, ROLES.MANAGER];
+
+export const PERMISSIONS = {
+  VIEW_DATABANK: 'view:databank',
+  IMPORT_CONTACTS: 'import:contacts',
+  EDIT_CONTACTS: 'edit:contacts',
+  DELETE_CONTACTS: 'delete:contacts',
+  MERGE_CONTACTS: 'merge:contacts',
+  VIEW_TASKS: 'view:tasks',
+  VIEW_PROJECTS: 'view:projects',
+  MANAGE_PROJECTS: 'manage:projects',
+  REMOVE_PROSPECTS: 'remove:prospects',
+  LOG_ACTIVITIES: 'log:activities',
+  VIEW_REPORTS: 'view:reports',
+  EXPORT_DATA: 'export:data',
+  VIEW_ANALYTICS: 'view:analytics',
+  VIEW_MASTER_DASHBOARD: 'view:master-dashboard',
+  VIEW_EMPLOYEE_PERFORMANCE: 'view:employee-performance',
+  VIEW_LEADERBOARD: 'view:leaderboard',
+  MANAGE_GOALS: 'manage:goals',
+  VIEW_AUDIT_LOG: 'view:audit-log',
+  VIEW_CLIENT_PORTAL: 'view:client-portal'
+};
+
+const PERMISSION_ROLES = {
+  [PERMISSIONS.VIEW_DATABANK]: INTERNAL_ROLES,
+  [PERMISSIONS.IMPORT_CONTACTS]: INTERNAL_ROLES,
+  [PERMISSIONS.EDIT_CONTACTS]: INTERNAL_ROLES,
+  [PERMISSIONS.DELETE_CONTACTS]: [ROLES.ADMIN],
+  [PERMISSIONS.MERGE_CONTACTS]: MANAGEMENT_ROLES,
+  [PERMISSIONS.VIEW_TASKS]: INTERNAL_ROLES,
+  [PERMISSIONS.VIEW_PROJECTS]: INTERNAL_ROLES,
+  [PERMISSIONS.MANAGE_PROJECTS]: MANAGEMENT_ROLES,
+  [PERMISSIONS.REMOVE_PROSPECTS]: MANAGEMENT_ROLES,
+  [PERMISSIONS.LOG_ACTIVITIES]: INTERNAL_ROLES,
+  [PERMISSIONS.VIEW_REPORTS]: INTERNAL_ROLES,
+  [PERMISSIONS.EXPORT_DATA]: INTERNAL_ROLES,
+  [PERMISSIONS.VIEW_ANALYTICS]: INTERNAL_ROLES,
+  [PERMISSIONS.VIEW_MASTER_DASHBOARD]: MANAGEMENT_ROLES,
+  [PERMISSIONS.VIEW_EMPLOYEE_PERFORMANCE]: MANAGEMENT_ROLES,
+  [PERMISSIONS.VIEW_LEADERBOARD]: INTERNAL_ROLES,
+  [PERMISSIONS.MANAGE_GOALS]: MANAGEMENT_ROLES,
+  [PERMISSIONS.VIEW_AUDIT_LOG]: [ROLES.ADMIN],
+  // Clients only see the portal, scoped server-side to the projects they were invited to
+  [PERMISSIONS.VIEW_CLIENT_PORTAL]: [ROLES.CLIENT_VIEWER]
+};
+
+export const getCurrentUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem('user') || '{}') || {};
+  } catch {
+    return {};
+  }
+};
+
+export const normalizeRole = (role) => {
+  const key = String(role || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (!key) return MISSING_ROLE;
+  if (ALL_ROLES.includes(key)) return key;
+  return ROLE_ALIASES[key] || UNKNOWN_ROLE;
+};
+
+export const getUserRole = (user = getCurrentUser()) => normalizeRole(user?.role);
+
+export const hasPermission = (permission, role = getUserRole()) => {
+  return (PERMISSION_ROLES[permission] || []).includes(role);
+};
+
+// Where to send someone after login or when they hit a route they can't open
+export const getHomePath = (role = getUserRole()) => {
+  if (hasPermission(PERMISSIONS.VIEW_CLIENT_PORTAL, role)) return '/client';
+  return hasPermission(PERMISSIONS.VIEW_DATABANK, role) ? '/dashboard' : '/projects';
+};
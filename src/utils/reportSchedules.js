@@ -0,0 +1,70 @@
+// Report schedules for MonthlyReport. The server builds the same workbook as the Export Excel button
+// for the schedule's view mode and emails it to the recipients; each run is kept as a generated report
+// that can be downloaded again from the schedule window.
+//
+// Schedule: { frequency: 'weekly' | 'monthly', dayOfWeek (0-6, weekly), dayOfMonth (1-28, monthly),
+//             viewMode: 'day' | 'month', recipients: [email], enabled }
+
+export const REPORT_FREQUENCIES = [
+  { key: 'weekly', label: 'Weekly' },
+  { key: 'monthly', label: 'Monthly' }
+];
+
+export const REPORT_VIEW_MODES = [
+  { key: 'day', label: 'Day View' },
+  { key: 'month', label: 'Month View' }
+];
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Capped at 28 so every month has the day
+export const MONTH_DAYS = Array.from({ length: 28 }, (_, i) => i + 1);
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const isValidEmail = (value) => EMAIL_PATTERN.test((value || '').trim());
+
+// Default recipients: the client's contact person plus the project team, deduplicated case-insensitively
+export const getProjectRecipients = (project) => {
+  const seen = new Set();
+  return [project?.contactPerson?.email, ...(project?.teamMembers || [])]
+    .map(email => (email || '').trim())
+    .filter(email => {
+      if (!isValidEmail(email) || seen.has(email.toLowerCase())) return false;
+      seen.add(email.toLowerCase());
+      return true;
+    });
+};
+
+export const createDefaultSchedule = (project, viewMode = 'month') => ({
+  frequency: 'weekly',
+  dayOfWeek: 1,
+  dayOfMonth: 1,
+  viewMode,
+  recipients: getProjectRecipients(project),
+  enabled: true
+});
+
+const ordinal = (n) => {
+  const suffix = n % 10 === 1 && n !== 11 ? 'st' : n % 10 === 2 && n !== 12 ? 'nd' : n % 10 === 3 && n !== 13 ? 'rd' : 'th';
+  return `${n}${suffix}`;
+};
+
+export const describeSchedule = (schedule) => {
+  const when = schedule.frequency === 'monthly'
+    ? `Monthly on the ${ordinal(schedule.dayOfMonth)}`
+    : `Weekly on ${WEEKDAYS[schedule.dayOfWeek]}`;
+  const view = REPORT_VIEW_MODES.find(mode => mode.key === schedule.viewMode)?.label || 'Month View';
+  return `${when} · ${view}`;
+};
+
+// Next calendar day the schedule will run (the server sends in the morning, so today still counts)
+export const getNextRunDate = (schedule, now = new Date()) => {
+  if (schedule.frequency === 'monthly') {
+    const monthOffset = now.getDate() > schedule.dayOfMonth ? 1 : 0;
+    return new Date(now.getFullYear(), now.getMonth() + monthOffset, schedule.dayOfMonth);
+  }
+  const next = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  next.setDate(next.getDate() + ((schedule.dayOfWeek - next.getDay() + 7) % 7));
+  return next;
+};
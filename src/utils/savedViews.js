@@ -0,0 +1,50 @@
+// Saved views for the ProjectDetail prospect table.
+// A view is just the filter part of the page's query string, stored server-side per project so it
+// can be shared with teammates. Pagination, open modals and returnTo never go into a view.
+
+export const VIEW_PARAM_KEYS = [
+  'search',
+  'quickFilter',
+  'filterStatus',
+  'filterActionDate',
+  'filterActionDateFrom',
+  'filterActionDateTo',
+  'filterLastInteraction',
+  'filterLastInteractionFrom',
+  'filterLastInteractionTo',
+  'filterImportDate',
+  'filterImportDateFrom',
+  'filterImportDateTo',
+  'filterNoActivity',
+  'filterMatchType',
+  'kpiChannel',
+  'kpiMetric',
+  'filterKeywords',
+  'filterCity',
+  'filterState',
+  'filterCountry',
+  'filterHasLinkedIn',
+  'filterHasEmail',
+  'filterHasPhone'
+];
+
+// Filter params in a fixed key order, so two views with the same filters serialize identically
+export const serializeViewParams = (searchParams) => {
+  const params = new URLSearchParams();
+  VIEW_PARAM_KEYS.forEach(key => {
+    const value = searchParams.get(key);
+    if (value) params.set(key, value);
+  });
+  return params.toString();
+};
+
+export const hasViewFilters = (searchParams) => serializeViewParams(searchParams) !== '';
+
+export const isViewActive = (view, searchParams) => {
+  return serializeViewParams(new URLSearchParams(view.params || '')) === serializeViewParams(searchParams);
+};
+
+// Link a teammate can open to land on the project with the view applied
+export const getViewLink = (projectId, view) => {
+  return `${window.location.origin}/projects/${projectId}?view=${view._id}`;
+};
@@ -0,0 +1,160 @@
+// Per-project status vocabularies.
+// A project may carry a `statusSchema` ({ linkedin: [...], email: [...], call: [...] }) edited
+// from CreateProject. Any channel left empty falls back to the defaults below, which mirror the
+// dropdowns that used to be hardcoded in ActivityLogModal and BulkActivityLogModal.
+
+export const STATUS_CHANNELS = [
+  { key: 'linkedin', label: 'LinkedIn', field: 'status' },
+  { key: 'email', label: 'Email', field: 'status' },
+  { key: 'call', label: 'Cold Calling', field: 'callStatus' }
+];
+
+// Flags a status can carry. Reports, funnels, KPI filters and sequence stop rules read these instead
+// of hardcoded label lists. Flags with `channels` only apply to (and are only edited on) those channels.
+export const STATUS_FLAGS = [
+  { key: 'positive', label: 'Positive' },
+  { key: 'meeting', label: 'Meeting' },
+  { key: 'closed', label: 'Closed' },
+  { key: 'unreached', label: 'Not reached', channels: ['call'] },
+  { key: 'decisionMaker', label: 'Decision maker', channels: ['call'] },
+  { key: 'conversation', label: 'In conversation', channels: ['email'] },
+  { key: 'noReply', label: 'No reply', channels: ['email'] },
+  { key: 'autoReply', label: 'Auto-reply', channels: ['email'] },
+  { key: 'bounce', label: 'Bounce', channels: ['email'] },
+  { key: 'optOut', label: 'Opt-out', channels: ['email'] }
+];
+
+export const getChannelFlags = (channel) => STATUS_FLAGS.filter(flag => !flag.channels || flag.channels.includes(channel));
+
+// Full class strings so Tailwind keeps them in the build
+export const STATUS_COLORS = {
+  gray: { bg: 'bg-gray-100', text: 'text-gray-800' },
+  red: { bg: 'bg-red-100', text: 'text-red-800' },
+  orange: { bg: 'bg-orange-100', text: 'text-orange-800' },
+  amber: { bg: 'bg-amber-100', text: 'text-amber-800' },
+  yellow: { bg: 'bg-yellow-100', text: 'text-yellow-800' },
+  green: { bg: 'bg-green-100', text: 'text-green-800' },
+  emerald: { bg: 'bg-emerald-100', text: 'text-emerald-800' },
+  teal: { bg: 'bg-teal-100', text: 'text-teal-800' },
+  cyan: { bg: 'bg-cyan-100', text: 'text-cyan-800' },
+  blue: { bg: 'bg-blue-100', text: 'text-blue-800' },
+  indigo: { bg: 'bg-indigo-100', text: 'text-indigo-800' },
+  purple: { bg: 'bg-purple-100', text: 'text-purple-800' },
+  success: { bg: 'bg-green-200', text: 'text-green-900', border: 'border-2 border-green-400' },
+  danger: { bg: 'bg-red-200', text: 'text-red-900', border: 'border-2 border-red-400' }
+};
+
+const status = (label, color, flags = {}) => ({
+  label,
+  color,
+  ...Object.fromEntries(STATUS_FLAGS.map(flag => [flag.key, !!flags[flag.key]]))
+});
+
+export const DEFAULT_STATUS_SCHEMA = {
+  linkedin: [
+    status('CIP', 'blue'),
+    status('No Reply', 'gray'),
+    status('Not Interested', 'red', { closed: true }),
+    status('Meeting Proposed', 'yellow', { positive: true }),
+    status('Meeting Scheduled', 'cyan', { positive: true, meeting: true }),
+    status('In-Person Meeting', 'indigo', { meeting: true }),
+    status('Meeting Completed', 'green', { positive: true, meeting: true }),
+    status('SQL', 'emerald', { positive: true }),
+    status('Tech Discussion', 'purple', { positive: true }),
+    status('WON', 'success', { closed: true }),
+    status('Lost', 'danger', { closed: true }),
+    status('Low Potential - Open', 'orange'),
+    status('Potential Future', 'teal')
+  ],
+  email: [
+    status('No Reply', 'gray', { noReply: true }),
+    status('Not Interested', 'red', { closed: true }),
+    status('Out of Office', 'gray', { autoReply: true, conversation: true }),
+    status('Meeting Proposed', 'yellow', { positive: true }),
+    status('Meeting Scheduled', 'cyan', { positive: true, meeting: true }),
+    status('Interested', 'green', { conversation: true }),
+    status('Wrong Person', 'red', { closed: true }),
+    status('Bounce', 'red', { closed: true, bounce: true }),
+    status('Opt-Out', 'red', { closed: true, optOut: true }),
+    status('Meeting Completed', 'green', { positive: true, meeting: true })
+  ],
+  call: [
+    status('Interested', 'green', { positive: true, decisionMaker: true }),
+    status('Not Interested', 'red', { closed: true }),
+    status('Ring', 'yellow', { unreached: true }),
+    status('Busy', 'orange', { unreached: true }),
+    status('Call Back', 'amber'),
+    status('Hang Up', 'red', { unreached: true }),
+    status('Switch Off', 'gray', { unreached: true }),
+    status('Future', 'blue'),
+    status('Details Shared', 'cyan', { positive: true, decisionMaker: true }),
+    status('Demo Booked', 'purple', { positive: true, meeting: true, decisionMaker: true }),
+    status('Invalid', 'red', { closed: true, unreached: true }),
+    status('Existing', 'indigo', { closed: true }),
+    status('Demo Completed', 'emerald', { positive: true, meeting: true, decisionMaker: true })
+  ]
+};
+
+// Stages written before statuses existed, still present on older project contacts
+const LEGACY_STAGE_COLORS = {
+  'New': 'blue',
+  'Contacted': 'purple',
+  'Qualified': 'green',
+  'Proposal': 'yellow',
+  'Negotiation': 'orange'
+};
+
+// Flags a custom status was saved without (schemas saved before the flag existed) are taken from the
+// default status with the same label, so older projects keep counting e.g. "Ring" as not reached
+const withDefaultFlags = (channel, entry) => {
+  const fallback = DEFAULT_STATUS_SCHEMA[channel].find(s => s.label === entry.label.trim()) || {};
+  return Object.fromEntries(STATUS_FLAGS.map(flag => [flag.key, flag.key in entry ? entry[flag.key] : fallback[flag.key]]));
+};
+
+// Merge a project's custom schema over the defaults, channel by channel
+export const resolveStatusSchema = (project) => {
+  const custom = project?.statusSchema || {};
+  return STATUS_CHANNELS.reduce((schema, { key }) => {
+    const entries = Array.isArray(custom[key]) ? custom[key].filter(s => s && s.label && s.label.trim()) : [];
+    schema[key] = entries.length > 0
+      ? entries.map(s => status(s.label.trim(), STATUS_COLORS[s.color] ? s.color : 'gray', withDefaultFlags(key, s)))
+      : DEFAULT_STATUS_SCHEMA[key];
+    return schema;
+  }, {});
+};
+
+// Ordered labels for a channel's dropdown
+export const getStatusOptions = (schema, channel) => {
+  return (schema?.[channel] || DEFAULT_STATUS_SCHEMA[channel] || []).map(s => s.label);
+};
+
+// Labels of a channel carrying the given flag (a STATUS_FLAGS key)
+export const getStatusesByFlag = (schema, channel, flag) => {
+  return (schema?.[channel] || DEFAULT_STATUS_SCHEMA[channel] || []).filter(s => s[flag]).map(s => s.label);
+};
+
+// Whether one label carries the flag, without building the label list
+export const statusHasFlag = (schema, channel, label, flag) => {
+  if (!label) return false;
+  return !!(schema?.[channel] || DEFAULT_STATUS_SCHEMA[channel] || []).find(s => s.label === label)?.[flag];
+};
+
+// Every label across channels, de-duplicated and in channel order
+export const getAllStatusLabels = (schema, channels = STATUS_CHANNELS.map(c => c.key)) => {
+  const labels = [];
+  channels.forEach(channel => {
+    getStatusOptions(schema, channel).forEach(label => {
+      if (!labels.includes(label)) labels.push(label);
+    });
+  });
+  return labels;
+};
+
+// Badge classes for a status label; the first channel defining the label wins
+export const getStatusStyle = (schema, label) => {
+  for (const { key } of STATUS_CHANNELS) {
+    const match = (schema?.[key] || DEFAULT_STATUS_SCHEMA[key]).find(s => s.label === label);
+    if (match) return STATUS_COLORS[match.color] || STATUS_COLORS.gray;
+  }
+  return STATUS_COLORS[LEGACY_STAGE_COLORS[label]] || STATUS_COLORS.gray;
+};